@@ -25,8 +25,60 @@ module.exports = {
   MATCHING_TIMEOUT_MS: parseInt(process.env.MATCHING_TIMEOUT_MS) || 30000, // 30 seconds
   POOL_FORMATION_TIME_MS: parseInt(process.env.POOL_FORMATION_TIME_MS) || 120000, // 2 minutes
   
+  // Matching Mode
+  MATCHING_MODE: process.env.MATCHING_MODE || 'greedy', // 'greedy' or 'batch'
+  BATCH_MAX_SIZE: parseInt(process.env.BATCH_MAX_SIZE) || 200,
+  BATCH_EXACT_LIMIT: parseInt(process.env.BATCH_EXACT_LIMIT) || 12, // Exact optimizer up to this many requests
+  BATCH_VEHICLE_COST_KM: parseFloat(process.env.BATCH_VEHICLE_COST_KM) || 10, // Penalty per vehicle, in km
+  BATCH_MAX_GROUP_SIZE: parseInt(process.env.BATCH_MAX_GROUP_SIZE) || 6, // Most requests sharing one vehicle
+  BATCH_NEIGHBOURS: parseInt(process.env.BATCH_NEIGHBOURS) || 8, // Closest riders each request may be grouped with
+  BATCH_LOCK_TTL_MS: parseInt(process.env.BATCH_LOCK_TTL_MS) || 300000, // Longest a batch run holds the matching lock
+  
+  // Vehicle Fleet: seats, luggage and fare multiplier per vehicle type
+  VEHICLE_FLEET: {
+    sedan: {
+      seats: parseInt(process.env.MAX_POOL_SIZE) || 4,
+      luggage: parseInt(process.env.MAX_LUGGAGE_PER_CAB) || 6,
+      priceMultiplier: 1.0
+    },
+    suv: {
+      seats: parseInt(process.env.SUV_SEATS) || 6,
+      luggage: parseInt(process.env.SUV_LUGGAGE) || 8,
+      priceMultiplier: parseFloat(process.env.SUV_PRICE_MULTIPLIER) || 1.3
+    },
+    van: {
+      seats: parseInt(process.env.VAN_SEATS) || 8,
+      luggage: parseInt(process.env.VAN_LUGGAGE) || 12,
+      priceMultiplier: parseFloat(process.env.VAN_PRICE_MULTIPLIER) || 1.6
+    }
+  },
+  
+  // Scheduled Bookings
+  SCHEDULED_MATCHING_LEAD_MS: parseInt(process.env.SCHEDULED_MATCHING_LEAD_MS) || 1800000, // Start matching 30 minutes before pickup
+  SCHEDULED_POOL_WINDOW_MS: parseInt(process.env.SCHEDULED_POOL_WINDOW_MS) || 900000, // Pool riders leaving within 15 minutes of each other
+  SCHEDULED_MAX_ADVANCE_DAYS: parseInt(process.env.SCHEDULED_MAX_ADVANCE_DAYS) || 30,
+  SCHEDULER_INTERVAL_MS: parseInt(process.env.SCHEDULER_INTERVAL_MS) || 60000, // How often due bookings are released to matching
+  
+  // Flight Tracking
+  FLIGHT_STATUS_PROVIDER: process.env.FLIGHT_STATUS_PROVIDER || 'file',
+  FLIGHT_STATUS_FILE: process.env.FLIGHT_STATUS_FILE || '', // JSON flight statuses for the 'file' provider
+  FLIGHT_REFRESH_INTERVAL_MS: parseInt(process.env.FLIGHT_REFRESH_INTERVAL_MS) || 300000, // 5 minutes
+  FLIGHT_TRACKING_HORIZON_MS: parseInt(process.env.FLIGHT_TRACKING_HORIZON_MS) || 86400000, // Track flights landing within 24 hours
+  FLIGHT_DEPLANING_BUFFER_MS: parseInt(process.env.FLIGHT_DEPLANING_BUFFER_MS) || 1200000, // Pickup 20 minutes after landing
+  FLIGHT_CHANGE_THRESHOLD_MS: parseInt(process.env.FLIGHT_CHANGE_THRESHOLD_MS) || 300000, // Ignore estimate changes under 5 minutes
+  
+  // Matching Queue
+  MATCHING_QUEUE_CONCURRENCY: parseInt(process.env.MATCHING_QUEUE_CONCURRENCY) || 5,
+  MATCHING_QUEUE_ATTEMPTS: parseInt(process.env.MATCHING_QUEUE_ATTEMPTS) || 3,
+  MATCHING_QUEUE_BACKOFF_MS: parseInt(process.env.MATCHING_QUEUE_BACKOFF_MS) || 1000,
+  
   // Geospatial
   MATCHING_RADIUS_KM: parseFloat(process.env.MATCHING_RADIUS_KM) || 5, // 5 km radius
+  MATCHING_NEARBY_LIMIT: parseInt(process.env.MATCHING_NEARBY_LIMIT) || 60, // Nearest pools fetched per request
+  MATCHING_CANDIDATE_LIMIT: parseInt(process.env.MATCHING_CANDIDATE_LIMIT) || 20, // Best-ranked pools routed per request
+  MATCHING_DIRECTION_WEIGHT: parseFloat(process.env.MATCHING_DIRECTION_WEIGHT) || 1, // Heading mismatch versus proximity in ranking
+  DIRECTION_SECTORS: parseInt(process.env.DIRECTION_SECTORS) || 8, // Compass sectors trips are bucketed into (45 degrees each)
+  DIRECTION_SECTOR_SPREAD: parseInt(process.env.DIRECTION_SECTOR_SPREAD) || 1, // Neighbouring sectors still considered a match
   
   // Pricing
   BASE_RATE_PER_KM: parseFloat(process.env.BASE_RATE_PER_KM) || 2.0,
@@ -34,13 +86,64 @@ module.exports = {
   MINIMUM_FARE: parseFloat(process.env.MINIMUM_FARE) || 5.0,
   AIRPORT_FEE: parseFloat(process.env.AIRPORT_FEE) || 3.0,
   
+  // Price Quotes
+  QUOTE_TTL_MS: parseInt(process.env.QUOTE_TTL_MS) || 300000, // Quoted prices are binding for 5 minutes
+  QUOTE_SECRET: process.env.QUOTE_SECRET || '', // Signs quote tokens; defaults to JWT_SECRET
+  
+  // Demand Tracking
+  DEMAND_REGION: process.env.DEMAND_REGION || 'airport', // Region this deployment serves
+  DEMAND_WINDOW_MS: parseInt(process.env.DEMAND_WINDOW_MS) || 900000, // Count requests and drivers seen in the last 15 minutes
+  DEMAND_GEOHASH_PRECISION: parseInt(process.env.DEMAND_GEOHASH_PRECISION) || 5, // Geohash cells of about 5 km
+  SURGE_SMOOTHING_MS: parseInt(process.env.SURGE_SMOOTHING_MS) || 300000, // Surge moves about two thirds of the way to demand in 5 minutes
+  
+  // Cancellation Policy
+  CANCELLATION_FREE_WINDOW_MS: parseInt(process.env.CANCELLATION_FREE_WINDOW_MS) || 120000, // Riders can leave free for 2 minutes after matching
+  CANCELLATION_FEES: { // Base fee by how far the ride has got
+    forming: 0,
+    matched: parseFloat(process.env.CANCELLATION_FEE_MATCHED) || 2.0, // Other riders are committed
+    driver_assigned: parseFloat(process.env.CANCELLATION_FEE_DRIVER_ASSIGNED) || 4.0, // A driver is on the way
+    active: parseFloat(process.env.CANCELLATION_FEE_ACTIVE) || 5.0 // The ride has started
+  },
+  CANCELLATION_FEE_PER_MIN: parseFloat(process.env.CANCELLATION_FEE_PER_MIN) || 0.25, // Added for each minute past the free window
+  CANCELLATION_MAX_FARE_SHARE: parseFloat(process.env.CANCELLATION_MAX_FARE_SHARE) || 0.5, // Fee never exceeds half the rider's fare
+  NO_SHOW_GRACE_MS: parseInt(process.env.NO_SHOW_GRACE_MS) || 300000, // Driver waits 5 minutes at a pickup
+  NO_SHOW_FEE: parseFloat(process.env.NO_SHOW_FEE) || 10.0, // Up to the rider's fare
+  CANCELLATION_COMPENSATION_SHARE: parseFloat(process.env.CANCELLATION_COMPENSATION_SHARE) || 0.5, // Share of a fee credited to the riders left behind
+  
+  // Settlement
+  SETTLEMENT_MAX_INCREASE: parseFloat(process.env.SETTLEMENT_MAX_INCREASE) || 0.2, // A final fare is at most 20% above the agreed price
+  
+  // Payments
+  PAYMENT_GATEWAY: process.env.PAYMENT_GATEWAY || 'fake', // 'fake' keeps payments in memory, for local use and tests
+  PAYMENT_CURRENCY: process.env.PAYMENT_CURRENCY || 'USD',
+  DRIVER_PAYOUT_SHARE: parseFloat(process.env.DRIVER_PAYOUT_SHARE) || 0.75, // Drivers earn 75% of each fare before discounts
+  WALLET_MIN_TOP_UP: parseFloat(process.env.WALLET_MIN_TOP_UP) || 5, // Smallest card top-up of stored credit
+  WALLET_MAX_TOP_UP: parseFloat(process.env.WALLET_MAX_TOP_UP) || 500, // Largest single top-up
+  
+  // Organizations
+  ORGANIZATION_INVITE_TTL_MS: parseInt(process.env.ORGANIZATION_INVITE_TTL_MS) || 604800000, // Invites expire after 7 days
+  
+  // Loyalty Tiers: completed rides needed for each tier and its price factor
+  LOYALTY_TIERS: {
+    basic: { minRides: 0, priceFactor: 1.0 },
+    premium: { minRides: parseInt(process.env.LOYALTY_PREMIUM_RIDES) || 10, priceFactor: 0.95 }, // 5% discount
+    vip: { minRides: parseInt(process.env.LOYALTY_VIP_RIDES) || 50, priceFactor: 0.90 } // 10% discount
+  },
+  
   // Performance
   MAX_REQUESTS_PER_SECOND: parseInt(process.env.MAX_REQUESTS_PER_SECOND) || 100,
   RATE_LIMIT_WINDOW_MS: parseInt(process.env.RATE_LIMIT_WINDOW_MS) || 1000,
   
   // External Services
   GOOGLE_MAPS_API_KEY: process.env.GOOGLE_MAPS_API_KEY || '',
-  
+
+  // Routing
+  ROUTING_PROVIDER: process.env.ROUTING_PROVIDER || 'haversine', // 'haversine', 'osrm', 'google' or 'local'
+  ROUTING_URL: process.env.ROUTING_URL || '', // OSRM server, or Google Maps API base URL override
+  ROUTING_GRAPH_FILE: process.env.ROUTING_GRAPH_FILE || '', // JSON road graph for the 'local' provider
+  ROUTING_TIMEOUT_MS: parseInt(process.env.ROUTING_TIMEOUT_MS) || 3000,
+  ROUTING_AVG_SPEED_KMH: parseFloat(process.env.ROUTING_AVG_SPEED_KMH) || 40,
+
   // Locks
   LOCK_TIMEOUT_MS: parseInt(process.env.LOCK_TIMEOUT_MS) || 5000,
   
@@ -0,0 +1,173 @@
+const PromoCode = require('../models/PromoCode');
+const { refundPayment, payOutDriver } = require('../services/payments');
+const { accountBalance } = require('../services/ledger');
+const { createOrganization } = require('../services/organizations');
+const { createError } = require('../utils/errors');
+const logger = require('../utils/logger');
+
+/**
+ * Create a promo code
+ */
+exports.createPromoCode = async (req, res) => {
+  try {
+    const {
+      code,
+      description,
+      discountType,
+      discountValue,
+      maxDiscount,
+      validFrom,
+      validUntil,
+      maxRedemptions,
+      maxRedemptionsPerUser,
+      allowedTiers,
+      airports,
+      firstRideOnly
+    } = req.body;
+
+    if (validFrom && validUntil && new Date(validUntil) <= new Date(validFrom)) {
+      throw createError('validUntil must be after validFrom', 400);
+    }
+
+    if (await PromoCode.exists({ code: code.toUpperCase() })) {
+      throw createError(`Promo code ${code.toUpperCase()} already exists`, 409);
+    }
+
+    const promo = await PromoCode.create({
+      code,
+      description,
+      discountType,
+      discountValue,
+      maxDiscount,
+      validFrom,
+      validUntil,
+      maxRedemptions,
+      maxRedemptionsPerUser,
+      allowedTiers,
+      airports,
+      firstRideOnly,
+      createdBy: req.userId
+    });
+
+    logger.info(`Promo code ${promo.code} created by admin ${req.userId}`);
+
+    res.status(201).json({
+      success: true,
+      data: { promoCode: promo }
+    });
+
+  } catch (error) {
+    logger.error('Create promo code error:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      error: error.message || 'Failed to create promo code'
+    });
+  }
+};
+
+/**
+ * Refund part or all of a rider's payment
+ */
+exports.refundPayment = async (req, res) => {
+  try {
+    const { amount, reason } = req.body;
+
+    const payment = await refundPayment(req.params.paymentId, {
+      amount,
+      reason,
+      idempotencyKey: req.get('Idempotency-Key')
+    });
+
+    logger.info(`Payment ${payment._id} refund of $${amount} requested by admin ${req.userId}`);
+
+    res.json({
+      success: true,
+      data: { payment }
+    });
+
+  } catch (error) {
+    logger.error('Refund payment error:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      error: error.message || 'Failed to refund payment'
+    });
+  }
+};
+
+/**
+ * Record a payout of a driver's earnings
+ */
+exports.payOutDriver = async (req, res) => {
+  try {
+    const transaction = await payOutDriver(req.params.driverId, {
+      amount: req.body.amount,
+      idempotencyKey: req.get('Idempotency-Key')
+    });
+
+    logger.info(`Payout to driver ${req.params.driverId} recorded by admin ${req.userId}`);
+
+    res.status(201).json({
+      success: true,
+      data: { transaction }
+    });
+
+  } catch (error) {
+    logger.error('Driver payout error:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      error: error.message || 'Failed to pay out driver'
+    });
+  }
+};
+
+/**
+ * Get the balance of a ledger account
+ */
+exports.getAccountBalance = async (req, res) => {
+  try {
+    const { account } = req.params;
+
+    res.json({
+      success: true,
+      data: {
+        account,
+        balance: await accountBalance(account)
+      }
+    });
+
+  } catch (error) {
+    logger.error('Get account balance error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to get account balance'
+    });
+  }
+};
+
+/**
+ * Create an organization for business travel
+ */
+exports.createOrganization = async (req, res) => {
+  try {
+    const { name, emailDomains, policy, adminUserId } = req.body;
+
+    const organization = await createOrganization(
+      { name, emailDomains, policy, createdBy: req.userId },
+      adminUserId
+    );
+
+    logger.info(`Organization ${organization.name} created by admin ${req.userId}`);
+
+    res.status(201).json({
+      success: true,
+      data: { organization }
+    });
+
+  } catch (error) {
+    logger.error('Create organization error:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      error: error.message || 'Failed to create organization'
+    });
+  }
+};
@@ -1,5 +1,7 @@
 const User = require('../models/User');
 const { generateToken } = require('../middleware/auth');
+const { tierProgress } = require('../services/loyaltyProgram');
+const { createError } = require('../utils/errors');
 const logger = require('../utils/logger');
 
 /**
@@ -7,7 +9,7 @@ const logger = require('../utils/logger');
  */
 exports.register = async (req, res) => {
   try {
-    const { email, phone, password, name } = req.body;
+    const { email, phone, password, name, role, vehicleType, licensePlate } = req.body;
 
     // Check if user already exists
     const existingUser = await User.findOne({
@@ -26,7 +28,9 @@ exports.register = async (req, res) => {
       email,
       phone,
       password,
-      name
+      name,
+      role: role || 'rider',
+      driverProfile: role === 'driver' ? { vehicleType, licensePlate } : undefined
     });
 
     await user.save();
@@ -135,12 +139,17 @@ exports.getProfile = async (req, res) => {
  */
 exports.updatePreferences = async (req, res) => {
   try {
-    const { detourTolerance, maxWaitTime, preferredVehicleType } = req.body;
+    const { detourTolerance, maxWaitTime, preferredVehicleType, billingProfile } = req.body;
+
+    if (billingProfile === 'organization' && !req.user.organization?.organizationId) {
+      throw createError('You are not a member of an organization', 400);
+    }
 
     const updates = {};
     if (detourTolerance !== undefined) updates['preferences.detourTolerance'] = detourTolerance;
     if (maxWaitTime !== undefined) updates['preferences.maxWaitTime'] = maxWaitTime;
     if (preferredVehicleType !== undefined) updates['preferences.preferredVehicleType'] = preferredVehicleType;
+    if (billingProfile !== undefined) updates['preferences.billingProfile'] = billingProfile;
 
     const user = await User.findByIdAndUpdate(
       req.userId,
@@ -159,9 +168,29 @@ exports.updatePreferences = async (req, res) => {
 
   } catch (error) {
     logger.error('Update preferences error:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      error: error.message || 'Failed to update preferences'
+    });
+  }
+};
+
+/**
+ * Get the user's loyalty tier and progress towards the next one
+ */
+exports.getLoyaltyProgress = async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      data: {
+        loyalty: tierProgress(req.user)
+      }
+    });
+  } catch (error) {
+    logger.error('Get loyalty progress error:', error);
     res.status(500).json({
       success: false,
-      error: 'Failed to update preferences'
+      error: 'Failed to get loyalty progress'
     });
   }
 };
\ No newline at end of file
@@ -0,0 +1,236 @@
+const RidePool = require('../models/RidePool');
+const MatchingEngine = require('../services/matchingEngine');
+const RideLifecycle = require('../services/rideLifecycle');
+const VehicleFleet = require('../utils/vehicleFleet');
+const { recordDriverOnline, recordDriverOffline } = require('../services/demandTracker');
+const database = require('../config/database');
+const logger = require('../utils/logger');
+
+// Initialize lifecycle service once Redis is connected
+let rideLifecycle;
+const getRideLifecycle = () => {
+  if (!rideLifecycle) {
+    rideLifecycle = new RideLifecycle(new MatchingEngine(database.redisLock));
+  }
+  return rideLifecycle;
+};
+
+/**
+ * Send a lifecycle error with its status code
+ */
+const handleLifecycleError = (res, error, fallback) => {
+  if (!error.status) {
+    logger.error(`${fallback}:`, error);
+  }
+
+  res.status(error.status || 500).json({
+    success: false,
+    error: error.status ? error.message : fallback
+  });
+};
+
+/**
+ * Get pools waiting for a driver that the driver's vehicle can take: pools
+ * formed for the same or a smaller vehicle whose riders accept its type
+ */
+exports.getAvailablePools = async (req, res) => {
+  try {
+    const vehicleType = req.user.driverProfile.vehicleType;
+    const { seats, luggage } = VehicleFleet.getVehicle(vehicleType);
+
+    const pools = await RidePool.find({
+      status: { $in: ['forming', 'matched'] },
+      'vehicle.driverId': { $exists: false },
+      'vehicle.capacity': { $lte: seats },
+      'vehicle.luggageCapacity': { $lte: luggage },
+      $or: [
+        { 'vehicle.allowedTypes': vehicleType },
+        { 'vehicle.allowedTypes.0': { $exists: false }, 'vehicle.type': vehicleType }
+      ]
+    })
+    .sort({ createdAt: 1 })
+    .limit(20)
+    .lean();
+
+    res.json({
+      success: true,
+      data: { pools }
+    });
+
+  } catch (error) {
+    logger.error('Get available pools error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to get available pools'
+    });
+  }
+};
+
+/**
+ * Report the driver online at a location, or offline. Online drivers count
+ * as available cabs for surge pricing until they have not reported for
+ * DEMAND_WINDOW_MS or take a ride.
+ */
+exports.updateAvailability = async (req, res) => {
+  try {
+    const { online, location } = req.body;
+
+    if (online) {
+      await recordDriverOnline(req.userId, { type: 'Point', coordinates: location.coordinates });
+    } else {
+      await recordDriverOffline(req.userId);
+    }
+
+    res.json({
+      success: true,
+      data: { online }
+    });
+
+  } catch (error) {
+    logger.error('Update availability error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update availability'
+    });
+  }
+};
+
+/**
+ * Get the driver's assigned rides
+ */
+exports.getAssignedRides = async (req, res) => {
+  try {
+    const pools = await RidePool.find({
+      'vehicle.driverId': req.userId,
+      status: { $in: ['matched', 'active'] }
+    })
+    .sort({ createdAt: 1 })
+    .lean();
+
+    res.json({
+      success: true,
+      data: { rides: pools }
+    });
+
+  } catch (error) {
+    logger.error('Get assigned rides error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to get assigned rides'
+    });
+  }
+};
+
+/**
+ * Accept a pool
+ */
+exports.acceptPool = async (req, res) => {
+  try {
+    const pool = await getRideLifecycle().acceptPool(req.user, req.params.poolId);
+
+    res.json({
+      success: true,
+      data: { pool }
+    });
+
+  } catch (error) {
+    handleLifecycleError(res, error, 'Failed to accept ride');
+  }
+};
+
+/**
+ * Start a ride
+ */
+exports.startRide = async (req, res) => {
+  try {
+    const pool = await getRideLifecycle().startRide(req.userId, req.params.poolId);
+
+    res.json({
+      success: true,
+      data: { pool }
+    });
+
+  } catch (error) {
+    handleLifecycleError(res, error, 'Failed to start ride');
+  }
+};
+
+/**
+ * Mark a stop as completed
+ */
+exports.completeStop = async (req, res) => {
+  try {
+    const pool = await getRideLifecycle().completeStop(
+      req.userId,
+      req.params.poolId,
+      parseInt(req.params.sequence)
+    );
+
+    res.json({
+      success: true,
+      data: { pool }
+    });
+
+  } catch (error) {
+    handleLifecycleError(res, error, 'Failed to complete stop');
+  }
+};
+
+/**
+ * Report arriving at a pickup stop
+ */
+exports.arriveAtStop = async (req, res) => {
+  try {
+    const pool = await getRideLifecycle().arriveAtStop(
+      req.userId,
+      req.params.poolId,
+      parseInt(req.params.sequence)
+    );
+
+    res.json({
+      success: true,
+      data: { pool }
+    });
+
+  } catch (error) {
+    handleLifecycleError(res, error, 'Failed to report arrival');
+  }
+};
+
+/**
+ * Report that the rider at a pickup stop did not show up
+ */
+exports.reportNoShow = async (req, res) => {
+  try {
+    const { pool, cancellation } = await getRideLifecycle().reportNoShow(
+      req.userId,
+      req.params.poolId,
+      parseInt(req.params.sequence)
+    );
+
+    res.json({
+      success: true,
+      data: { pool, cancellation }
+    });
+
+  } catch (error) {
+    handleLifecycleError(res, error, 'Failed to report no-show');
+  }
+};
+
+/**
+ * Complete a ride
+ */
+exports.completeRide = async (req, res) => {
+  try {
+    const pool = await getRideLifecycle().completeRide(req.userId, req.params.poolId);
+
+    res.json({
+      success: true,
+      data: { pool }
+    });
+
+  } catch (error) {
+    handleLifecycleError(res, error, 'Failed to complete ride');
+  }
+};
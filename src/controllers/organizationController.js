@@ -0,0 +1,264 @@
+const Organization = require('../models/Organization');
+const {
+  createInvite,
+  joinOrganization,
+  approveJoinRequest,
+  declineJoinRequest,
+  leaveOrganization,
+  monthlyStatement
+} = require('../services/organizations');
+const { createError } = require('../utils/errors');
+const logger = require('../utils/logger');
+
+/**
+ * Find the organization in the route
+ */
+const findOrganization = async (organizationId) => {
+  const organization = await Organization.findById(organizationId);
+
+  if (!organization) {
+    throw createError('Organization not found', 404);
+  }
+
+  return organization;
+};
+
+/**
+ * Get the user's organization and travel policy
+ */
+exports.getMyOrganization = async (req, res) => {
+  try {
+    const membership = req.user.organization;
+
+    if (!membership?.organizationId) {
+      throw createError('You are not a member of an organization', 404);
+    }
+
+    const organization = await Organization.findById(membership.organizationId)
+      .select('name emailDomains policy isActive')
+      .lean();
+
+    res.json({
+      success: true,
+      data: {
+        organization,
+        role: membership.role,
+        joinedAt: membership.joinedAt
+      }
+    });
+
+  } catch (error) {
+    logger.error('Get organization error:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      error: error.message || 'Failed to get organization'
+    });
+  }
+};
+
+/**
+ * Join an organization by invite, or ask to join by email domain
+ */
+exports.joinOrganization = async (req, res) => {
+  try {
+    const { organization, user, pending } = await joinOrganization(req.user, req.body.inviteToken);
+
+    if (pending) {
+      return res.status(202).json({
+        success: true,
+        data: {
+          organization: { _id: organization._id, name: organization.name },
+          pending: true,
+          message: `Your request to join ${organization.name} is waiting for an organization admin to approve it`
+        }
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        organization: { _id: organization._id, name: organization.name, policy: organization.policy },
+        user: user.toJSON()
+      }
+    });
+
+  } catch (error) {
+    logger.error('Join organization error:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      error: error.message || 'Failed to join organization'
+    });
+  }
+};
+
+/**
+ * Leave the user's organization
+ */
+exports.leaveOrganization = async (req, res) => {
+  try {
+    if (!req.user.organization?.organizationId) {
+      throw createError('You are not a member of an organization', 404);
+    }
+
+    const user = await leaveOrganization(req.userId);
+
+    logger.info(`User ${req.userId} left organization ${req.user.organization.organizationId}`);
+
+    res.json({
+      success: true,
+      data: { user: user.toJSON() }
+    });
+
+  } catch (error) {
+    logger.error('Leave organization error:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      error: error.message || 'Failed to leave organization'
+    });
+  }
+};
+
+/**
+ * Invite someone to the organization
+ */
+exports.createInvite = async (req, res) => {
+  try {
+    const organization = await findOrganization(req.params.organizationId);
+
+    const { invite, token } = await createInvite(organization, req.body.email, req.userId);
+
+    res.status(201).json({
+      success: true,
+      data: { invite, token }
+    });
+
+  } catch (error) {
+    logger.error('Create invite error:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      error: error.message || 'Failed to create invite'
+    });
+  }
+};
+
+/**
+ * List requests to join the organization
+ */
+exports.getJoinRequests = async (req, res) => {
+  try {
+    const organization = await findOrganization(req.params.organizationId);
+
+    res.json({
+      success: true,
+      data: { joinRequests: organization.joinRequests }
+    });
+
+  } catch (error) {
+    logger.error('Get join requests error:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      error: error.message || 'Failed to get join requests'
+    });
+  }
+};
+
+/**
+ * Approve a request to join the organization
+ */
+exports.approveJoinRequest = async (req, res) => {
+  try {
+    const organization = await findOrganization(req.params.organizationId);
+
+    const user = await approveJoinRequest(organization, req.params.userId);
+
+    logger.info(`User ${req.userId} approved user ${req.params.userId} joining organization ${organization._id}`);
+
+    res.json({
+      success: true,
+      data: { user: user.toJSON() }
+    });
+
+  } catch (error) {
+    logger.error('Approve join request error:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      error: error.message || 'Failed to approve join request'
+    });
+  }
+};
+
+/**
+ * Decline a request to join the organization
+ */
+exports.declineJoinRequest = async (req, res) => {
+  try {
+    const organization = await findOrganization(req.params.organizationId);
+
+    await declineJoinRequest(organization, req.params.userId);
+
+    res.json({
+      success: true,
+      data: { message: 'Join request declined' }
+    });
+
+  } catch (error) {
+    logger.error('Decline join request error:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      error: error.message || 'Failed to decline join request'
+    });
+  }
+};
+
+/**
+ * Update the organization's travel policy
+ */
+exports.updatePolicy = async (req, res) => {
+  try {
+    const organization = await findOrganization(req.params.organizationId);
+
+    ['maxFare', 'allowedVehicleTypes', 'poolingRequired']
+      .filter(field => req.body[field] !== undefined)
+      .forEach(field => {
+        organization.set(`policy.${field}`, req.body[field] ?? undefined);
+      });
+    await organization.save();
+
+    logger.info(`Travel policy of organization ${organization._id} updated by user ${req.userId}`);
+
+    res.json({
+      success: true,
+      data: { policy: organization.policy }
+    });
+
+  } catch (error) {
+    logger.error('Update travel policy error:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      error: error.message || 'Failed to update travel policy'
+    });
+  }
+};
+
+/**
+ * Get the organization's statement for a month
+ */
+exports.getStatement = async (req, res) => {
+  try {
+    const organization = await findOrganization(req.params.organizationId);
+
+    res.json({
+      success: true,
+      data: {
+        statement: await monthlyStatement(organization, req.params.month)
+      }
+    });
+
+  } catch (error) {
+    logger.error('Get statement error:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      error: error.message || 'Failed to get statement'
+    });
+  }
+};
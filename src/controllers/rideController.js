@@ -1,19 +1,131 @@
 const RideRequest = require('../models/RideRequest');
 const RidePool = require('../models/RidePool');
+const Organization = require('../models/Organization');
 const MatchingEngine = require('../services/matchingEngine');
 const PricingEngine = require('../services/pricingEngine');
+const { enqueueRideRequest, activateScheduledRequest } = require('../services/matchingQueue');
+const { createFlightStatusProvider } = require('../services/flightStatusProviders');
+const {
+  scheduleFields,
+  flightPickupTime,
+  matchingWindowStart,
+  matchingExpiry,
+  assertValidPickupTime
+} = require('../services/rideScheduler');
+const { issueQuote, verifyQuote, redeemQuote, releaseQuote } = require('../services/priceQuotes');
+const { recordRideRequested } = require('../services/demandTracker');
+const {
+  findApplicablePromo,
+  redeemPromo,
+  reversePromoRedemption
+} = require('../services/promoCodes');
+const {
+  findBillingOrganization,
+  travelPolicyVehicleTypes,
+  assertWithinTravelPolicy,
+  assertTravelPolicyUpdate
+} = require('../services/organizations');
+const { createError } = require('../utils/errors');
 const DistanceCalculator = require('../utils/distanceCalculator');
+const VehicleFleet = require('../utils/vehicleFleet');
 const config = require('../config/config');
 const logger = require('../utils/logger');
-const { redisLock, redisCache } = require('../config/database');
+const database = require('../config/database');
 
-// Initialize matching engine
-const matchingEngine = new MatchingEngine(redisLock);
+// Initialize matching engine once Redis is connected
+let matchingEngine;
+const getMatchingEngine = () => {
+  if (!matchingEngine) {
+    matchingEngine = new MatchingEngine(database.redisLock);
+  }
+  return matchingEngine;
+};
+
+let flightStatusProvider;
+const getFlightStatusProvider = () => {
+  if (!flightStatusProvider) {
+    flightStatusProvider = createFlightStatusProvider();
+  }
+  return flightStatusProvider;
+};
+
+/**
+ * Undo what a booking did before it failed, so the rider can book again
+ * with the same quote and promo code
+ * @param {Object} booking - { rideRequest, saved, quote, promoRedeemed }
+ */
+const abandonBooking = async ({ rideRequest, saved, quote, promoRedeemed }) => {
+  const steps = [
+    saved && (() => RideRequest.updateOne(
+      { _id: rideRequest._id, status: { $in: ['scheduled', 'pending'] } },
+      { status: 'cancelled' }
+    )),
+    quote && (() => releaseQuote(quote, database.redisCache)),
+    promoRedeemed && (() => reversePromoRedemption(rideRequest._id, 'Ride request could not be booked'))
+  ];
+
+  // One step failing must not stop the others
+  for (const step of steps.filter(Boolean)) {
+    try {
+      await step();
+    } catch (error) {
+      logger.error(`Failed to undo failed ride request ${rideRequest._id}:`, error);
+    }
+  }
+};
+
+/**
+ * The smallest vehicle that carries the party, of the types the rider
+ * accepts and their organization's travel policy allows
+ * @param {Object} party - { passengers, luggage, preferredVehicleType }
+ * @param {Object} organization - Organization billed for the ride, if any
+ * @returns {string} Vehicle type
+ * @throws {Error} 400 if no such vehicle can carry the party
+ */
+const chooseVehicleType = ({ passengers, luggage, preferredVehicleType }, organization) => {
+  const vehicleType = VehicleFleet.smallestFitting(
+    passengers,
+    luggage,
+    organization
+      ? travelPolicyVehicleTypes(organization, preferredVehicleType)
+      : VehicleFleet.allowedTypes(preferredVehicleType)
+  );
+
+  if (!vehicleType) {
+    throw createError(
+      `No ${preferredVehicleType === 'any' ? 'vehicle' : preferredVehicleType} ` +
+      `${organization ? 'your organization allows ' : ''}can carry ` +
+      `${passengers} passengers with ${luggage} bags`,
+      400
+    );
+  }
+
+  return vehicleType;
+};
+
+/**
+ * Itemized solo fare for a booking at the current demand around its pickup
+ * @param {Object} ride - { pickupLocation, metadata, loyaltyTier, quote, promo }
+ * @param {string} vehicleType
+ * @returns {Promise<Object>} Fare breakdown
+ */
+const priceBooking = async (ride, vehicleType) => {
+  const demandData = await PricingEngine.getCurrentDemand(
+    config.DEMAND_REGION,
+    database.redisCache,
+    ride.pickupLocation
+  );
+
+  return PricingEngine.calculateSoloFare(ride, vehicleType, demandData.surgeFactor);
+};
 
 /**
  * Create a new ride request
  */
 exports.createRideRequest = async (req, res) => {
+  // What the booking has done so far, undone if it fails
+  const booking = { rideRequest: null, saved: false, quote: null, promoRedeemed: false };
+
   try {
     const {
       pickupLocation,
@@ -22,16 +134,85 @@ exports.createRideRequest = async (req, res) => {
       dropoffAddress,
       passengers,
       luggage,
-      detourTolerance
+      detourTolerance,
+      scheduledPickupTime,
+      flightNumber,
+      quoteToken,
+      promoCode,
+      paymentMethod,
+      billingProfile
     } = req.body;
+    const preferredVehicleType = req.body.preferredVehicleType ||
+      req.user.preferences?.preferredVehicleType || 'any';
+    const riderDetourTolerance = detourTolerance || req.user.preferences.detourTolerance;
 
-    // Calculate estimated distance and price
-    const distance = DistanceCalculator.calculateDistance(
+    // Business rides are billed to the rider's organization, within its travel policy
+    const organization = await findBillingOrganization(req.user, billingProfile);
+
+    // The party must fit in a vehicle type the rider accepts
+    const vehicleType = chooseVehicleType({ passengers, luggage, preferredVehicleType }, organization);
+
+    // A quote from the price estimate caps what the rider can be charged
+    const quote = quoteToken
+      ? verifyQuote(quoteToken, { userId: req.userId, pickupLocation, dropoffLocation, vehicleType })
+      : undefined;
+
+    const promo = promoCode ? await findApplicablePromo(promoCode, req.user) : null;
+
+    if (scheduledPickupTime) {
+      assertValidPickupTime(scheduledPickupTime);
+    }
+
+    // Riders on a flight are picked up after landing unless they chose a time
+    let pickupTime = scheduledPickupTime ? new Date(scheduledPickupTime) : null;
+    let flight;
+    if (flightNumber) {
+      const flightStatus = await getFlightStatusProvider().getFlightStatus(flightNumber);
+
+      if (!flightStatus) {
+        throw createError(`Flight ${flightNumber} not found`, 400);
+      }
+      if (flightStatus.status === 'cancelled') {
+        throw createError(`Flight ${flightStatus.flightNumber} is cancelled`, 400);
+      }
+
+      flight = {
+        number: flightStatus.flightNumber,
+        status: flightStatus.status,
+        scheduledArrival: flightStatus.scheduledArrival,
+        estimatedArrival: flightStatus.estimatedArrival,
+        lastCheckedAt: new Date()
+      };
+      pickupTime = pickupTime || flightPickupTime(flightStatus.estimatedArrival);
+    }
+
+    // Calculate estimated road distance and price
+    const { distance, duration } = await DistanceCalculator.getRoadRoute(
       pickupLocation,
       dropoffLocation
     );
-    const duration = DistanceCalculator.estimateDuration(distance);
-    const estimatedPrice = PricingEngine.calculateBasePrice(distance, duration);
+    const fareBreakdown = await priceBooking(
+      {
+        pickupLocation,
+        metadata: { estimatedDistance: distance, estimatedDuration: duration },
+        loyaltyTier: req.user.tier,
+        quote,
+        promo: promo?.toFareTerms()
+      },
+      vehicleType
+    );
+    const estimatedPrice = fareBreakdown.total;
+
+    if (organization) {
+      assertWithinTravelPolicy(organization, {
+        estimatedPrice,
+        detourTolerance: riderDetourTolerance,
+        paymentMethod
+      });
+    }
+
+    // Scheduled rides wait until their matching window opens
+    const schedule = scheduleFields(pickupTime);
 
     // Create ride request
     const rideRequest = new RideRequest({
@@ -48,43 +229,134 @@ exports.createRideRequest = async (req, res) => {
       dropoffAddress,
       passengers,
       luggage,
-      detourTolerance: detourTolerance || req.user.preferences.detourTolerance,
-      expiresAt: new Date(Date.now() + config.MATCHING_TIMEOUT_MS),
+      detourTolerance: riderDetourTolerance,
+      // Matching never moves a ride out of the type a travel policy chose
+      preferredVehicleType: organization?.policy?.allowedVehicleTypes?.length > 0 ? vehicleType : preferredVehicleType,
+      loyaltyTier: req.user.tier,
+      quote,
+      promo: promo?.toFareTerms(),
+      paymentMethod,
+      billing: {
+        profile: organization ? 'organization' : 'personal',
+        organizationId: organization?._id
+      },
+      ...schedule,
+      flight,
       metadata: {
         estimatedDistance: distance,
         estimatedDuration: duration,
-        estimatedPrice: estimatedPrice
+        estimatedPrice: estimatedPrice,
+        fareBreakdown
       }
     });
 
+    booking.rideRequest = rideRequest;
+
+    // Each quote books one ride
+    if (quote) {
+      await redeemQuote(quote, database.redisCache);
+      booking.quote = quote;
+    }
+    if (promo) {
+      const promoLine = fareBreakdown.lines.find(line => line.type === 'promo_discount');
+      await redeemPromo(promo, rideRequest, promoLine ? -promoLine.amount : 0);
+      booking.promoRedeemed = true;
+    }
+
     await rideRequest.save();
+    booking.saved = true;
 
-    // Process matching asynchronously
-    const matchResult = await matchingEngine.processRideRequest(rideRequest);
+    // Matched by a queue worker, or by the batch matcher when the window closes
+    if (rideRequest.status === 'pending') {
+      await recordRideRequested(rideRequest);
+      if (config.MATCHING_MODE !== 'batch') {
+        await enqueueRideRequest(rideRequest);
+      }
+    }
 
-    logger.info(`Ride request ${rideRequest._id} processed: ${JSON.stringify(matchResult)}`);
+    logger.info(`Ride request ${rideRequest._id} accepted (${rideRequest.status})`);
 
-    res.status(201).json({
+    res.status(202).json({
       success: true,
       data: {
         requestId: rideRequest._id,
-        poolId: matchResult.poolId,
-        isNewPool: matchResult.isNewPool,
-        estimatedPrice: matchResult.estimatedPrice,
-        detour: matchResult.detour,
-        status: 'matched'
+        estimatedPrice,
+        fareBreakdown,
+        vehicleType,
+        status: rideRequest.status,
+        scheduledPickupTime: rideRequest.scheduledPickupTime,
+        matchingWindowOpensAt: rideRequest.matchingWindowOpensAt,
+        flight: rideRequest.flight?.number ? rideRequest.flight : undefined,
+        quote: rideRequest.quote?.id ? rideRequest.quote : undefined,
+        promoCode: promo?.code,
+        paymentMethod: rideRequest.paymentMethod,
+        billing: rideRequest.billing
       }
     });
 
   } catch (error) {
     logger.error('Create ride request error:', error);
-    res.status(500).json({
+    await abandonBooking(booking);
+    res.status(error.status || 500).json({
       success: false,
       error: error.message || 'Failed to create ride request'
     });
   }
 };
 
+/**
+ * Get ride request status
+ */
+exports.getRideRequest = async (req, res) => {
+  try {
+    const { requestId } = req.params;
+
+    const rideRequest = await RideRequest.findOne({
+      _id: requestId,
+      userId: req.userId
+    }).lean();
+
+    if (!rideRequest) {
+      return res.status(404).json({
+        success: false,
+        error: 'Ride request not found'
+      });
+    }
+
+    // Once matched, report this rider's price and own detour in the pool
+    let passenger = null;
+    if (rideRequest.matchedPoolId) {
+      const pool = await RidePool.findById(rideRequest.matchedPoolId)
+        .select('passengers')
+        .lean();
+      passenger = pool?.passengers.find(p => p.requestId.toString() === requestId);
+    }
+
+    res.json({
+      success: true,
+      data: {
+        requestId: rideRequest._id,
+        status: rideRequest.status,
+        poolId: rideRequest.matchedPoolId,
+        estimatedPrice: passenger ? passenger.price : rideRequest.metadata?.estimatedPrice,
+        fareBreakdown: passenger ? passenger.fareBreakdown : rideRequest.metadata?.fareBreakdown,
+        detour: passenger ? passenger.detour : null,
+        scheduledPickupTime: rideRequest.scheduledPickupTime,
+        matchingWindowOpensAt: rideRequest.matchingWindowOpensAt,
+        flight: rideRequest.flight,
+        expiresAt: rideRequest.expiresAt
+      }
+    });
+
+  } catch (error) {
+    logger.error('Get ride request error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to get ride request'
+    });
+  }
+};
+
 /**
  * Get ride pool details
  */
@@ -103,12 +375,13 @@ exports.getRidePool = async (req, res) => {
       });
     }
 
-    // Check if user is part of this pool
+    // Check if user is part of this pool, as a passenger or its driver
     const isPassenger = pool.passengers.some(
       p => p.userId._id.toString() === req.userId.toString()
     );
+    const isDriver = pool.vehicle.driverId?.toString() === req.userId.toString();
 
-    if (!isPassenger) {
+    if (!isPassenger && !isDriver) {
       return res.status(403).json({
         success: false,
         error: 'You are not part of this ride pool'
@@ -206,7 +479,7 @@ exports.cancelRide = async (req, res) => {
   try {
     const { poolId } = req.params;
 
-    const result = await matchingEngine.cancelRide(req.userId, poolId);
+    const result = await getMatchingEngine().cancelRide(req.userId, poolId);
 
     if (!result.success) {
       return res.status(400).json({
@@ -221,13 +494,14 @@ exports.cancelRide = async (req, res) => {
       success: true,
       data: {
         message: 'Ride cancelled successfully',
-        pool: result.pool
+        pool: result.pool,
+        cancellation: result.cancellation
       }
     });
 
   } catch (error) {
     logger.error('Cancel ride error:', error);
-    res.status(500).json({
+    res.status(error.status || 500).json({
       success: false,
       error: error.message || 'Failed to cancel ride'
     });
@@ -235,59 +509,309 @@ exports.cancelRide = async (req, res) => {
 };
 
 /**
- * Get current pricing for a route
+ * List the user's upcoming scheduled rides
+ */
+exports.getScheduledRides = async (req, res) => {
+  try {
+    const rides = await RideRequest.find({
+      userId: req.userId,
+      scheduledPickupTime: { $gte: new Date() },
+      status: { $in: ['scheduled', 'pending', 'matched'] }
+    })
+    .sort({ scheduledPickupTime: 1 })
+    .lean();
+
+    res.json({
+      success: true,
+      data: { rides }
+    });
+
+  } catch (error) {
+    logger.error('Get scheduled rides error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to get scheduled rides'
+    });
+  }
+};
+
+/**
+ * Change a scheduled ride before its matching window opens
+ */
+exports.updateScheduledRide = async (req, res) => {
+  // Given back if the ride is not updated after a new promo code is redeemed
+  let promoRedeemed = false;
+
+  try {
+    const { requestId } = req.params;
+    const updates = {};
+
+    ['pickupAddress', 'dropoffAddress', 'passengers', 'luggage', 'detourTolerance', 'preferredVehicleType']
+      .filter(field => req.body[field] !== undefined)
+      .forEach(field => {
+        updates[field] = req.body[field];
+      });
+
+    if (req.body.scheduledPickupTime) {
+      const pickupTime = new Date(req.body.scheduledPickupTime);
+      assertValidPickupTime(pickupTime);
+
+      const opensAt = matchingWindowStart(pickupTime);
+      updates.scheduledPickupTime = pickupTime;
+      updates.matchingWindowOpensAt = opensAt;
+      updates.expiresAt = matchingExpiry(opensAt);
+    }
+
+    const booked = await RideRequest.findOne({ _id: requestId, userId: req.userId }).lean();
+
+    if (!booked) {
+      throw createError('Scheduled ride not found', 404);
+    }
+
+    // Business rides stay within their organization's travel policy
+    const organization = booked.billing?.organizationId &&
+      await Organization.findById(booked.billing.organizationId);
+
+    if (organization) {
+      assertTravelPolicyUpdate(organization, updates);
+    }
+
+    // A ride holds one promo code; adding it again changes nothing
+    let promo = req.body.promoCode
+      ? await findApplicablePromo(req.body.promoCode, req.user, new Date(), booked._id)
+      : null;
+    if (promo && booked.promo?.code) {
+      if (promo.code !== booked.promo.code) {
+        throw createError(
+          `Promo code ${booked.promo.code} is already applied to this ride; cancel it and book again to use another`,
+          400
+        );
+      }
+      promo = null;
+    }
+
+    // A new party or vehicle preference needs a vehicle that carries it, at
+    // that vehicle's price; a new promo code comes off that price
+    const refit = ['passengers', 'luggage', 'preferredVehicleType'].some(field => updates[field] !== undefined);
+    if (refit || promo) {
+      // A booking under a travel policy holds the type the policy chose, so
+      // the party is refitted from every type the policy allows
+      const policyChoosesType = organization?.policy?.allowedVehicleTypes?.length > 0;
+      const vehicleType = chooseVehicleType({
+        passengers: updates.passengers ?? booked.passengers,
+        luggage: updates.luggage ?? booked.luggage,
+        preferredVehicleType: updates.preferredVehicleType ||
+          (policyChoosesType && refit ? 'any' : booked.preferredVehicleType)
+      }, organization);
+
+      if (policyChoosesType) {
+        updates.preferredVehicleType = vehicleType;
+      }
+
+      // A quote only caps the price of the vehicle it was issued for
+      const quote = booked.quote?.vehicleType === vehicleType ? booked.quote : undefined;
+      if (booked.quote?.id && !quote) {
+        updates.$unset = { quote: 1 };
+      }
+
+      const fareBreakdown = await priceBooking(
+        { ...booked, quote, promo: promo ? promo.toFareTerms() : booked.promo },
+        vehicleType
+      );
+
+      if (organization) {
+        assertWithinTravelPolicy(organization, {
+          estimatedPrice: fareBreakdown.total,
+          detourTolerance: updates.detourTolerance ?? booked.detourTolerance,
+          paymentMethod: booked.paymentMethod
+        });
+      }
+
+      updates['metadata.estimatedPrice'] = fareBreakdown.total;
+      updates['metadata.fareBreakdown'] = fareBreakdown;
+
+      if (promo) {
+        const promoLine = fareBreakdown.lines.find(line => line.type === 'promo_discount');
+        await redeemPromo(promo, booked, promoLine ? -promoLine.amount : 0);
+        promoRedeemed = true;
+        updates.promo = promo.toFareTerms();
+      }
+    }
+
+    // Only a booking still waiting for its window can change
+    const rideRequest = await RideRequest.findOneAndUpdate(
+      { _id: requestId, userId: req.userId, status: 'scheduled' },
+      updates,
+      { new: true, runValidators: true }
+    );
+
+    if (!rideRequest) {
+      throw createError('Ride is already being matched; cancel it and book again instead', 409);
+    }
+    promoRedeemed = false; // The ride holds the code now; cancelling it gives the code back
+
+    // Moving the pickup earlier can open the window straight away
+    if (rideRequest.matchingWindowOpensAt <= new Date()) {
+      await activateScheduledRequest(rideRequest._id);
+    }
+
+    logger.info(`Scheduled ride ${requestId} updated by user ${req.userId}`);
+
+    res.json({
+      success: true,
+      data: { ride: await RideRequest.findById(rideRequest._id).lean() }
+    });
+
+  } catch (error) {
+    logger.error('Update scheduled ride error:', error);
+    if (promoRedeemed) {
+      try {
+        await reversePromoRedemption(req.params.requestId, 'Scheduled ride could not be updated');
+      } catch (reverseError) {
+        logger.error(`Failed to give back promo code on ride request ${req.params.requestId}:`, reverseError);
+      }
+    }
+    res.status(error.status || 500).json({
+      success: false,
+      error: error.message || 'Failed to update scheduled ride'
+    });
+  }
+};
+
+/**
+ * Cancel a scheduled ride, leaving its pool if it was already matched
+ */
+exports.cancelScheduledRide = async (req, res) => {
+  try {
+    const { requestId } = req.params;
+
+    const rideRequest = await RideRequest.findOneAndUpdate(
+      { _id: requestId, userId: req.userId, status: { $in: ['scheduled', 'pending'] } },
+      { status: 'cancelled' },
+      { new: true }
+    );
+    let cancellation = null;
+
+    if (!rideRequest) {
+      const existing = await RideRequest.findOne({ _id: requestId, userId: req.userId });
+
+      if (!existing) {
+        throw createError('Scheduled ride not found', 404);
+      }
+      if (existing.status !== 'matched') {
+        throw createError(`Ride is already ${existing.status}`, 409);
+      }
+
+      ({ cancellation } = await getMatchingEngine().cancelRide(req.userId, existing.matchedPoolId));
+    } else {
+      await reversePromoRedemption(rideRequest._id, 'Scheduled ride cancelled');
+    }
+
+    logger.info(`Scheduled ride ${requestId} cancelled by user ${req.userId}`);
+
+    res.json({
+      success: true,
+      data: {
+        message: 'Scheduled ride cancelled successfully',
+        cancellation
+      }
+    });
+
+  } catch (error) {
+    logger.error('Cancel scheduled ride error:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      error: error.message || 'Failed to cancel scheduled ride'
+    });
+  }
+};
+
+/**
+ * Get current pricing for a route, with a binding quote for the solo price
  */
 exports.getPriceEstimate = async (req, res) => {
   try {
-    const { pickupLocation, dropoffLocation } = req.body;
+    const { pickupLocation, dropoffLocation, passengers = 1, luggage = 0, promoCode } = req.body;
+    const preferredVehicleType = req.body.preferredVehicleType ||
+      req.user.preferences?.preferredVehicleType || 'any';
+
+    const vehicleType = VehicleFleet.smallestFitting(
+      passengers,
+      luggage,
+      VehicleFleet.allowedTypes(preferredVehicleType)
+    );
+    if (!vehicleType) {
+      throw createError(
+        `No ${preferredVehicleType === 'any' ? 'vehicle' : preferredVehicleType} can carry ` +
+        `${passengers} passengers with ${luggage} bags`,
+        400
+      );
+    }
 
-    const distance = DistanceCalculator.calculateDistance(
+    const { distance, duration } = await DistanceCalculator.getRoadRoute(
       pickupLocation,
       dropoffLocation
     );
-    const duration = DistanceCalculator.estimateDuration(distance);
 
-    // Get current demand
-    const demandData = await PricingEngine.getCurrentDemand('airport', redisCache);
+    // Get current demand around the pickup
+    const demandData = await PricingEngine.getCurrentDemand(
+      config.DEMAND_REGION,
+      database.redisCache,
+      pickupLocation
+    );
 
     // Calculate price
-    const basePrice = PricingEngine.calculateBasePrice(distance, duration);
-    const timeMultiplier = PricingEngine.getTimeMultiplier();
-    const distanceDiscount = PricingEngine.getDistanceDiscount(distance);
-
-    const soloPrice = PricingEngine.calculateDynamicPrice({
-      basePrice,
-      demandMultiplier: demandData.surgeFactor,
-      timeMultiplier,
-      distanceDiscount,
-      poolingDiscount: 0
+    const factors = {
+      distance,
+      duration,
+      surgeFactor: demandData.surgeFactor,
+      vehicleType,
+      loyaltyTier: req.user.tier
+    };
+    const soloFare = PricingEngine.estimateFare(factors);
+    const pooledFare = PricingEngine.estimateFare({ ...factors, pooled: true });
+
+    // The rider pays at most the solo price if they book before the quote expires
+    const quote = issueQuote({
+      userId: req.userId,
+      pickupLocation,
+      dropoffLocation,
+      vehicleType,
+      priceCeiling: soloFare.total
     });
 
-    const pooledPrice = PricingEngine.calculateDynamicPrice({
-      basePrice,
-      demandMultiplier: demandData.surgeFactor,
-      timeMultiplier,
-      distanceDiscount,
-      poolingDiscount: 0.25 // Estimated 25% pool discount
-    });
+    // A promo code comes off after the quoted price, as it does when booking
+    const promo = promoCode ? await findApplicablePromo(promoCode, req.user) : null;
+    if (promo) {
+      PricingEngine.applyPromoDiscount(soloFare, promo.toFareTerms());
+      PricingEngine.applyPromoDiscount(pooledFare, promo.toFareTerms());
+    }
 
     res.json({
       success: true,
       data: {
-        soloPrice,
-        pooledPrice,
+        soloPrice: soloFare.total,
+        pooledPrice: pooledFare.total,
+        fareBreakdown: {
+          solo: soloFare,
+          pooled: pooledFare
+        },
         estimatedDistance: distance,
         estimatedDuration: duration,
         demandLevel: demandData.demandLevel,
-        surgeFactor: demandData.surgeFactor
+        surgeFactor: demandData.surgeFactor,
+        loyaltyTier: req.user.tier,
+        vehicleType,
+        quote,
+        promoCode: promo?.code
       }
     });
 
   } catch (error) {
     logger.error('Get price estimate error:', error);
-    res.status(500).json({
+    res.status(error.status || 500).json({
       success: false,
-      error: 'Failed to get price estimate'
+      error: error.message || 'Failed to get price estimate'
     });
   }
 };
@@ -315,9 +839,13 @@ exports.getPoolStats = async (req, res) => {
       }
     ]);
 
+    // Route cache counters, when the routing provider is cached
+    const routingProvider = DistanceCalculator.getRoutingProvider();
+    const routeCache = routingProvider.getStats ? routingProvider.getStats() : null;
+
     res.json({
       success: true,
-      data: { stats }
+      data: { stats, routeCache }
     });
 
   } catch (error) {
@@ -0,0 +1,81 @@
+const { walletBalance, listWalletTransactions } = require('../services/wallet');
+const { topUpWallet } = require('../services/payments');
+const config = require('../config/config');
+const logger = require('../utils/logger');
+
+/**
+ * Get the rider's wallet balance
+ */
+exports.getWallet = async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      data: {
+        balance: await walletBalance(req.userId),
+        currency: config.PAYMENT_CURRENCY
+      }
+    });
+
+  } catch (error) {
+    logger.error('Get wallet error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to get wallet'
+    });
+  }
+};
+
+/**
+ * Add stored credit to the rider's wallet from their card
+ */
+exports.topUpWallet = async (req, res) => {
+  try {
+    const transaction = await topUpWallet(req.userId, {
+      amount: req.body.amount,
+      idempotencyKey: req.get('Idempotency-Key')
+    });
+
+    logger.info(`Wallet of user ${req.userId} topped up by $${req.body.amount}`);
+
+    res.status(201).json({
+      success: true,
+      data: {
+        transaction,
+        balance: await walletBalance(req.userId)
+      }
+    });
+
+  } catch (error) {
+    logger.error('Wallet top-up error:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      error: error.message || 'Failed to top up wallet'
+    });
+  }
+};
+
+/**
+ * List the rider's wallet transactions, newest first
+ */
+exports.getWalletTransactions = async (req, res) => {
+  try {
+    const { limit = 20, cursor } = req.query;
+
+    const page = await listWalletTransactions(req.userId, {
+      limit: parseInt(limit),
+      cursor
+    });
+
+    res.json({
+      success: true,
+      data: page
+    });
+
+  } catch (error) {
+    logger.error('Get wallet transactions error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to get wallet transactions'
+    });
+  }
+};
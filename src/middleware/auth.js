@@ -61,6 +61,40 @@ const auth = async (req, res, next) => {
   }
 };
 
+/**
+ * Role authorization middleware
+ * Must run after auth; rejects users without one of the given roles
+ */
+const requireRole = (...roles) => (req, res, next) => {
+  if (!req.user || !roles.includes(req.user.role)) {
+    return res.status(403).json({
+      success: false,
+      error: 'Insufficient permissions'
+    });
+  }
+
+  next();
+};
+
+/**
+ * Organization admin middleware
+ * Must run after auth; allows admins of the organization in the route, and platform admins
+ */
+const requireOrganizationAdmin = (req, res, next) => {
+  const membership = req.user?.organization;
+  const isOrganizationAdmin = membership?.role === 'admin' &&
+    membership.organizationId?.toString() === req.params.organizationId;
+
+  if (!isOrganizationAdmin && req.user?.role !== 'admin') {
+    return res.status(403).json({
+      success: false,
+      error: 'Insufficient permissions'
+    });
+  }
+
+  next();
+};
+
 /**
  * Optional authentication middleware
  * Attaches user if token is valid, but doesn't block if missing
@@ -86,6 +120,22 @@ const optionalAuth = async (req, res, next) => {
   }
 };
 
+/**
+ * Verify a JWT token outside of an HTTP request (e.g. websocket handshake)
+ * @param {string} token - JWT token
+ * @returns {Promise<Object|null>} Active user, or null if the token is invalid
+ */
+const verifyToken = async (token) => {
+  try {
+    const decoded = jwt.verify(token, config.JWT_SECRET);
+    const user = await User.findById(decoded.userId);
+
+    return user && user.isActive ? user : null;
+  } catch (error) {
+    return null;
+  }
+};
+
 /**
  * Generate JWT token
  */
@@ -99,6 +149,9 @@ const generateToken = (userId) => {
 
 module.exports = {
   auth,
+  requireRole,
+  requireOrganizationAdmin,
   optionalAuth,
+  verifyToken,
   generateToken
 };
\ No newline at end of file
@@ -1,4 +1,4 @@
-const { validationResult } = require('express-validator');
+const { validationResult, header } = require('express-validator');
 
 /**
  * Validation middleware
@@ -20,4 +20,11 @@ const validate = (req, res, next) => {
   next();
 };
 
-module.exports = { validate };
\ No newline at end of file
+/**
+ * Requires an Idempotency-Key header, so calls that move money are safe to retry
+ */
+const idempotencyKey = header('Idempotency-Key')
+  .isLength({ min: 8, max: 255 })
+  .withMessage('An Idempotency-Key header of 8-255 characters is required');
+
+module.exports = { validate, idempotencyKey };
\ No newline at end of file
@@ -0,0 +1,94 @@
+const mongoose = require('mongoose');
+
+/**
+ * One side of a ledger transaction. Exactly one of debit and credit is set.
+ *
+ * Accounts are named by kind, with the owner's id where there is one:
+ *   cash                  Money held with the payment gateway (asset)
+ *   rider:<userId>        What a rider owes (asset; debit balance)
+ *   driver:<userId>       What is owed to a driver (liability; credit balance)
+ *   wallet:<userId>       A rider's stored credit (liability; credit balance)
+ *   organization:<id>     What an organization owes for its employees' rides (asset)
+ *   revenue:fares         Platform's share of fares
+ *   revenue:fees          Cancellation and no-show fees
+ *   expense:promotions    Promo code discounts the platform funds
+ *   expense:compensation  Credits to riders for late cancellations by others
+ *   expense:refunds       Money returned to riders
+ */
+const ledgerEntrySchema = new mongoose.Schema({
+  account: {
+    type: String,
+    required: true
+  },
+  debit: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  credit: {
+    type: Number,
+    default: 0,
+    min: 0
+  }
+}, { _id: false });
+
+/**
+ * A balanced double-entry transaction: its debits and credits add up to the
+ * same amount. Transactions are never changed once posted; mistakes are
+ * corrected by posting another one.
+ */
+const ledgerTransactionSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: [
+      'ride_charge',
+      'payment',
+      'cancellation_fee',
+      'refund',
+      'driver_payout',
+      'wallet_top_up',
+      'wallet_payment',
+      'wallet_refund'
+    ],
+    required: true
+  },
+  idempotencyKey: {
+    type: String,
+    required: true,
+    unique: true // Posting the same key twice returns the first transaction
+  },
+  description: String,
+  entries: {
+    type: [ledgerEntrySchema],
+    validate: {
+      validator: (entries) => entries.length >= 2,
+      message: 'A transaction needs at least two entries'
+    }
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  requestId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'RideRequest'
+  },
+  poolId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'RidePool'
+  },
+  paymentId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Payment'
+  },
+  postedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: true
+});
+
+ledgerTransactionSchema.index({ 'entries.account': 1, _id: -1 });
+
+module.exports = mongoose.model('LedgerTransaction', ledgerTransactionSchema);
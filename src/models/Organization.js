@@ -0,0 +1,104 @@
+const mongoose = require('mongoose');
+
+const inviteSchema = new mongoose.Schema({
+  email: {
+    type: String,
+    required: true,
+    lowercase: true,
+    trim: true
+  },
+  tokenHash: {
+    type: String,
+    required: true // SHA-256 of the token sent to the invitee; the token itself is not kept
+  },
+  invitedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  acceptedAt: Date,
+  acceptedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, { _id: false });
+
+const joinRequestSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  email: {
+    type: String,
+    lowercase: true,
+    trim: true
+  },
+  requestedAt: {
+    type: Date,
+    required: true
+  }
+}, { _id: false });
+
+/**
+ * A company whose employees' rides are billed to it. Employees join by
+ * invite, or by asking with an email address at one of its domains and
+ * being approved by an organization admin.
+ */
+const organizationSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  emailDomains: [{
+    type: String,
+    lowercase: true,
+    trim: true
+  }],
+  policy: {
+    maxFare: {
+      type: Number,
+      min: 0 // Highest estimated fare an employee may book; none if unset
+    },
+    allowedVehicleTypes: [{
+      type: String,
+      enum: ['sedan', 'suv', 'van'] // Empty allows every type
+    }],
+    poolingRequired: {
+      type: Boolean,
+      default: false // Employees must accept some detour to share their ride
+    }
+  },
+  invites: [inviteSchema],
+  joinRequests: [joinRequestSchema], // Waiting for an organization admin to approve
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+// A domain belongs to at most one organization
+organizationSchema.index(
+  { emailDomains: 1 },
+  { unique: true, partialFilterExpression: { 'emailDomains.0': { $exists: true } } }
+);
+organizationSchema.index({ 'invites.tokenHash': 1 });
+
+// Remove invite tokens from JSON
+organizationSchema.methods.toJSON = function() {
+  const obj = this.toObject();
+  obj.invites = (obj.invites || []).map(({ tokenHash, ...invite }) => invite);
+  return obj;
+};
+
+module.exports = mongoose.model('Organization', organizationSchema);
@@ -0,0 +1,76 @@
+const mongoose = require('mongoose');
+
+const refundSchema = new mongoose.Schema({
+  refundId: {
+    type: String,
+    required: true // Gateway refund id
+  },
+  idempotencyKey: String, // As given by the caller; a retry returns this refund
+  amount: {
+    type: Number,
+    required: true
+  },
+  reason: String,
+  at: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
+/**
+ * A rider's card payment for one ride in one pool: authorized when they join,
+ * then captured at settlement (or for a cancellation fee), or voided.
+ */
+const paymentSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  requestId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'RideRequest',
+    required: true
+  },
+  poolId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'RidePool',
+    required: true
+  },
+  gateway: {
+    type: String,
+    required: true
+  },
+  currency: {
+    type: String,
+    required: true
+  },
+  authorizationId: String,
+  authorizedAmount: {
+    type: Number,
+    default: 0
+  },
+  chargeId: String,
+  capturedAmount: {
+    type: Number,
+    default: 0
+  },
+  refundedAmount: {
+    type: Number,
+    default: 0
+  },
+  refunds: [refundSchema],
+  status: {
+    type: String,
+    enum: ['authorized', 'captured', 'partially_refunded', 'refunded', 'voided', 'failed'],
+    required: true
+  },
+  failureReason: String
+}, {
+  timestamps: true
+});
+
+paymentSchema.index({ requestId: 1, poolId: 1 }, { unique: true });
+
+module.exports = mongoose.model('Payment', paymentSchema);
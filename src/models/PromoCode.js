@@ -0,0 +1,91 @@
+const mongoose = require('mongoose');
+
+const promoCodeSchema = new mongoose.Schema({
+  code: {
+    type: String,
+    required: true,
+    unique: true,
+    uppercase: true,
+    trim: true
+  },
+  description: String,
+  discountType: {
+    type: String,
+    enum: ['percent', 'fixed'],
+    required: true
+  },
+  discountValue: {
+    type: Number,
+    required: true,
+    min: 0 // Percent off (0-100) or dollars off
+  },
+  maxDiscount: {
+    type: Number,
+    min: 0 // Largest discount a percent code gives on one ride
+  },
+  validFrom: {
+    type: Date,
+    default: Date.now
+  },
+  validUntil: Date,
+  maxRedemptions: {
+    type: Number,
+    min: 1 // Across all riders; unlimited if unset
+  },
+  maxRedemptionsPerUser: {
+    type: Number,
+    default: 1,
+    min: 1
+  },
+  redemptionCount: {
+    type: Number,
+    default: 0,
+    min: 0 // Redemptions not reversed
+  },
+  allowedTiers: [{
+    type: String,
+    enum: ['basic', 'premium', 'vip']
+  }], // Any tier if empty
+  airports: [String], // Any airport (DEMAND_REGION) if empty
+  firstRideOnly: {
+    type: Boolean,
+    default: false
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+// Methods
+promoCodeSchema.methods.isValidAt = function(date = new Date()) {
+  return this.isActive &&
+    (!this.validFrom || this.validFrom <= date) &&
+    (!this.validUntil || this.validUntil > date);
+};
+
+promoCodeSchema.methods.hasRedemptionsLeft = function() {
+  return !this.maxRedemptions || this.redemptionCount < this.maxRedemptions;
+};
+
+/**
+ * What a ride request keeps of the code, so its fares can be priced without
+ * looking the code up again
+ */
+promoCodeSchema.methods.toFareTerms = function() {
+  return {
+    promoCodeId: this._id,
+    code: this.code,
+    discountType: this.discountType,
+    discountValue: this.discountValue,
+    maxDiscount: this.maxDiscount
+  };
+};
+
+module.exports = mongoose.model('PromoCode', promoCodeSchema);
@@ -0,0 +1,55 @@
+const mongoose = require('mongoose');
+
+/**
+ * Audit record of a promo code used on a ride request. Reversed redemptions
+ * are kept, marked 'reversed', rather than deleted.
+ */
+const promoRedemptionSchema = new mongoose.Schema({
+  promoCodeId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'PromoCode',
+    required: true
+  },
+  code: {
+    type: String,
+    required: true
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  requestId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'RideRequest',
+    required: true,
+    index: true
+  },
+  slot: {
+    type: Number,
+    required: true, // Which of the rider's maxRedemptionsPerUser uses this is
+    min: 0
+  },
+  discount: {
+    type: Number,
+    required: true // Discount on the price quoted at request time
+  },
+  status: {
+    type: String,
+    enum: ['applied', 'reversed'],
+    default: 'applied'
+  },
+  reversedAt: Date,
+  reverseReason: String
+}, {
+  timestamps: true
+});
+
+promoRedemptionSchema.index({ promoCodeId: 1, userId: 1, status: 1 });
+// A rider holds each use of a code at most once; reversing frees the slot
+promoRedemptionSchema.index(
+  { promoCodeId: 1, userId: 1, slot: 1 },
+  { unique: true, partialFilterExpression: { status: 'applied' } }
+);
+
+module.exports = mongoose.model('PromoRedemption', promoRedemptionSchema);
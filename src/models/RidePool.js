@@ -1,4 +1,7 @@
 const mongoose = require('mongoose');
+const DistanceCalculator = require('../utils/distanceCalculator');
+const VehicleFleet = require('../utils/vehicleFleet');
+const fareBreakdownSchema = require('./schemas/fareBreakdown');
 
 const pointSchema = new mongoose.Schema({
   type: {
@@ -13,6 +16,25 @@ const pointSchema = new mongoose.Schema({
   }
 }, { _id: false });
 
+const priceChangeSchema = new mongoose.Schema({
+  from: Number,
+  to: Number,
+  reason: String,
+  at: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
+const settlementSchema = new mongoose.Schema({
+  agreedPrice: Number, // Price before settlement
+  finalPrice: Number,
+  adjustment: Number, // finalPrice - agreedPrice
+  distanceKm: Number, // Distance travelled along the route
+  durationMin: Number, // Pickup to dropoff
+  settledAt: Date
+}, { _id: false });
+
 const passengerSchema = new mongoose.Schema({
   userId: {
     type: mongoose.Schema.Types.ObjectId,
@@ -43,11 +65,37 @@ const passengerSchema = new mongoose.Schema({
     required: true,
     min: 0
   },
+  fareBreakdown: fareBreakdownSchema, // How price was reached
+  priceHistory: [priceChangeSchema], // Reductions as the pool was repriced, and the settled fare
+  compensation: {
+    type: Number,
+    default: 0 // Credited from fees paid by riders who left late
+  },
+  settlement: settlementSchema, // Final fare worked out when the ride completed
+  paymentStatus: {
+    type: String,
+    enum: ['pending', 'authorized', 'due', 'paid', 'waived', 'invoiced'],
+    default: 'pending' // Authorized on joining; paid once the settled fare is captured, due if it could not be, invoiced if billed to an organization
+  },
+  organizationId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Organization' // Set when the ride is billed to the rider's organization, which is then invoiced
+  },
   status: {
     type: String,
     enum: ['waiting', 'picked_up', 'dropped_off', 'cancelled'],
     default: 'waiting'
   },
+  detourTolerance: {
+    type: Number,
+    min: 0,
+    max: 1,
+    default: 0.3
+  },
+  detour: {
+    type: Number,
+    default: 0 // This passenger's ride distance over their direct distance, minus one
+  },
   passengerCount: {
     type: Number,
     required: true,
@@ -58,6 +106,11 @@ const passengerSchema = new mongoose.Schema({
     required: true,
     min: 0
   },
+  preferredVehicleType: {
+    type: String,
+    enum: ['sedan', 'suv', 'van', 'any'],
+    default: 'any'
+  },
   joinedAt: {
     type: Date,
     default: Date.now
@@ -85,6 +138,7 @@ const stopSchema = new mongoose.Schema({
     required: true
   },
   estimatedTime: Date,
+  arrivedAt: Date, // Driver reached the stop; starts the no-show grace period
   actualTime: Date,
   completed: {
     type: Boolean,
@@ -92,6 +146,28 @@ const stopSchema = new mongoose.Schema({
   }
 }, { _id: false });
 
+const statusChangeSchema = new mongoose.Schema({
+  entity: {
+    type: String,
+    enum: ['pool', 'passenger'],
+    required: true
+  },
+  passengerId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  from: String,
+  to: {
+    type: String,
+    required: true
+  },
+  reason: String,
+  at: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
 const ridePoolSchema = new mongoose.Schema({
   status: {
     type: String,
@@ -100,6 +176,7 @@ const ridePoolSchema = new mongoose.Schema({
     index: true
   },
   passengers: [passengerSchema],
+  statusHistory: [statusChangeSchema],
   route: {
     stops: [stopSchema],
     totalDistance: {
@@ -110,6 +187,10 @@ const ridePoolSchema = new mongoose.Schema({
       type: Number,
       default: 0
     },
+    optimizationSavings: {
+      type: Number,
+      default: 0 // km saved by the last re-optimization versus keeping the stop order
+    },
     optimizedAt: Date
   },
   vehicle: {
@@ -128,6 +209,9 @@ const ridePoolSchema = new mongoose.Schema({
       required: true,
       default: 6
     },
+    allowedTypes: [String], // Vehicle types every passenger accepts; the pool may only move between these
+    upgradedFrom: String,
+    upgradedAt: Date,
     driverId: {
       type: mongoose.Schema.Types.ObjectId,
       ref: 'User'
@@ -153,6 +237,7 @@ const ridePoolSchema = new mongoose.Schema({
       min: 1.0
     },
     totalPrice: Number,
+    settledAt: Date, // totalPrice is the sum of final fares from then on
     poolingDiscount: {
       type: Number,
       default: 0,
@@ -168,6 +253,10 @@ const ridePoolSchema = new mongoose.Schema({
     type: Date,
     default: Date.now
   },
+  targetPickupTime: {
+    type: Date,
+    index: true // When the riders want to leave; only riders leaving close to it can join
+  },
   matchedAt: Date,
   startedAt: Date,
   completedAt: Date,
@@ -175,6 +264,7 @@ const ridePoolSchema = new mongoose.Schema({
   cancelReason: String,
   metadata: {
     region: String,
+    bearingSectors: [Number], // Compass sectors of the passengers' trips, for direction-aware matching
     demandLevel: {
       type: String,
       enum: ['low', 'normal', 'high', 'surge'],
@@ -188,7 +278,7 @@ const ridePoolSchema = new mongoose.Schema({
 // Indexes
 // ridePoolSchema.index({ status: 1, createdAt: -1 });
 // ridePoolSchema.index({ 'passengers.userId': 1 });
-// ridePoolSchema.index({ 'route.stops.location': '2dsphere' });
+ridePoolSchema.index({ 'route.stops.location': '2dsphere' });
 // ridePoolSchema.index({ status: 1, 'currentOccupancy.seats': 1 });
 // ridePoolSchema.index({ createdAt: -1 });
 
@@ -228,6 +318,91 @@ ridePoolSchema.methods.removePassenger = function(userId) {
   return false;
 };
 
+ridePoolSchema.methods.refreshBearingSectors = function() {
+  this.metadata.bearingSectors = [...new Set(this.passengers.map(p =>
+    DistanceCalculator.tripSector(p.pickupLocation, p.dropoffLocation)
+  ))];
+};
+
+ridePoolSchema.methods.refreshTargetPickupTime = function() {
+  const pickupTimes = this.passengers
+    .filter(p => p.pickupTime)
+    .map(p => p.pickupTime.getTime());
+
+  if (pickupTimes.length > 0) {
+    this.targetPickupTime = new Date(Math.min(...pickupTimes));
+  }
+};
+
+ridePoolSchema.methods.refreshAllowedVehicleTypes = function() {
+  this.vehicle.allowedTypes = VehicleFleet.commonTypes(
+    this.passengers.map(p => p.preferredVehicleType)
+  );
+};
+
+/**
+ * Vehicle types this pool's riders accept. Pools saved before riders had
+ * vehicle preferences only accept their current vehicle.
+ */
+ridePoolSchema.methods.acceptedVehicleTypes = function() {
+  return this.vehicle.allowedTypes?.length > 0 ? [...this.vehicle.allowedTypes] : [this.vehicle.type];
+};
+
+/**
+ * Smallest larger vehicle that would carry the pool plus another party, if
+ * the pool is still forming without a driver and its riders accept it
+ * @param {number} passengers - Seats the party needs
+ * @param {number} luggage - Luggage the party brings
+ * @param {Array<string>} vehicleTypes - Vehicle types the party accepts
+ * @returns {string|null} Vehicle type to upgrade to
+ */
+ridePoolSchema.methods.findVehicleUpgrade = function(passengers, luggage, vehicleTypes) {
+  if (this.status !== 'forming' || this.vehicle.driverId) {
+    return null;
+  }
+
+  const candidates = this.acceptedVehicleTypes().filter(type => {
+    const vehicle = VehicleFleet.getVehicle(type);
+    return vehicleTypes.includes(type) &&
+      type !== this.vehicle.type &&
+      vehicle.seats >= this.vehicle.capacity &&
+      vehicle.luggage >= this.vehicle.luggageCapacity;
+  });
+
+  return VehicleFleet.smallestFitting(
+    this.currentOccupancy.seats + passengers,
+    this.currentOccupancy.luggage + luggage,
+    candidates
+  );
+};
+
+/**
+ * Move the pool to a larger vehicle type
+ */
+ridePoolSchema.methods.upgradeVehicle = function(type) {
+  const { capacity, luggageCapacity } = VehicleFleet.vehicleFields(type);
+
+  this.vehicle.upgradedFrom = this.vehicle.upgradedFrom || this.vehicle.type;
+  this.vehicle.upgradedAt = new Date();
+  this.vehicle.type = type;
+  this.vehicle.capacity = capacity;
+  this.vehicle.luggageCapacity = luggageCapacity;
+};
+
+/**
+ * Whether a driver's vehicle can take this pool: a type every rider accepts,
+ * at least as big as the vehicle the pool was formed for
+ */
+ridePoolSchema.methods.acceptsVehicle = function(type) {
+  if (!this.acceptedVehicleTypes().includes(type)) {
+    return false;
+  }
+
+  const vehicle = VehicleFleet.getVehicle(type);
+  return vehicle.seats >= this.vehicle.capacity &&
+    vehicle.luggage >= this.vehicle.luggageCapacity;
+};
+
 ridePoolSchema.methods.isFull = function() {
   return this.currentOccupancy.seats >= this.vehicle.capacity;
 };
@@ -237,25 +412,92 @@ ridePoolSchema.methods.isActive = function() {
 };
 
 // Static methods
-ridePoolSchema.statics.findAvailableNearby = function(location, radiusKm, requiredSeats, requiredLuggage) {
-  return this.find({
-    status: { $in: ['forming', 'matched'] },
-    'route.stops.location': {
-      $near: {
-        $geometry: {
+/**
+ * Open pools with room for the request and a stop within radiusKm of the
+ * location, nearest first. Each result carries proximityMeters, the distance
+ * from the location to the pool's nearest stop.
+ * options.sectors restricts results to pools with a trip heading in one of
+ * those compass sectors; pools without recorded sectors always match.
+ * options.pickupWindow ({ from, to }) restricts results to pools whose target
+ * pickup time falls inside it; pools without one always match.
+ * options.vehicleTypes lists the vehicle types the party accepts. A pool
+ * qualifies if its vehicle is one of them with room to spare, or if it is
+ * still forming without a driver and its riders accept one of them that is
+ * large enough for everyone.
+ */
+ridePoolSchema.statics.findAvailableNearby = function(location, radiusKm, requiredSeats, requiredLuggage, options = {}) {
+  const { limit = 20, sectors, pickupWindow, vehicleTypes = VehicleFleet.types() } = options;
+
+  const query = { status: { $in: ['forming', 'matched'] } };
+  const conditions = [];
+  if (sectors) {
+    conditions.push({
+      $or: [
+        { 'metadata.bearingSectors': { $in: sectors } },
+        { 'metadata.bearingSectors.0': { $exists: false } }
+      ]
+    });
+  }
+  if (pickupWindow) {
+    conditions.push({
+      $or: [
+        { targetPickupTime: { $gte: pickupWindow.from, $lte: pickupWindow.to } },
+        { targetPickupTime: { $exists: false } }
+      ]
+    });
+  }
+  if (conditions.length > 0) {
+    query.$and = conditions;
+  }
+
+  const fitsVehicle = (seats, luggage) => [
+    { $lte: [{ $add: ['$currentOccupancy.seats', requiredSeats] }, seats] },
+    { $lte: [{ $add: ['$currentOccupancy.luggage', requiredLuggage] }, luggage] }
+  ];
+
+  return this.aggregate([
+    {
+      $geoNear: {
+        near: {
           type: 'Point',
           coordinates: location.coordinates
         },
-        $maxDistance: radiusKm * 1000
+        key: 'route.stops.location',
+        distanceField: 'proximityMeters',
+        maxDistance: radiusKm * 1000,
+        spherical: true,
+        query
       }
     },
-    $expr: {
-      $and: [
-        { $lte: [{ $add: ['$currentOccupancy.seats', requiredSeats] }, '$vehicle.capacity'] },
-        { $lte: [{ $add: ['$currentOccupancy.luggage', requiredLuggage] }, '$vehicle.luggageCapacity'] }
-      ]
-    }
-  });
+    {
+      $match: {
+        $expr: {
+          $or: [
+            {
+              $and: [
+                { $in: ['$vehicle.type', vehicleTypes] },
+                ...fitsVehicle('$vehicle.capacity', '$vehicle.luggageCapacity')
+              ]
+            },
+            ...vehicleTypes.map(type => {
+              const { seats, luggage } = VehicleFleet.getVehicle(type);
+              return {
+                $and: [
+                  { $eq: ['$status', 'forming'] },
+                  { $eq: [{ $ifNull: ['$vehicle.driverId', null] }, null] },
+                  { $in: [type, { $ifNull: ['$vehicle.allowedTypes', []] }] },
+                  { $gte: [seats, '$vehicle.capacity'] },
+                  { $gte: [luggage, '$vehicle.luggageCapacity'] },
+                  ...fitsVehicle(seats, luggage)
+                ]
+              };
+            })
+          ]
+        }
+      }
+    },
+    { $limit: limit }
+  ]);
 };
 
 // Pre-save middleware for version control (optimistic locking)
@@ -263,6 +505,11 @@ ridePoolSchema.pre('save', function(next) {
   if (!this.isNew) {
     this.increment();
   }
+  if (this.isNew || this.isModified('passengers')) {
+    this.refreshBearingSectors();
+    this.refreshTargetPickupTime();
+    this.refreshAllowedVehicleTypes();
+  }
   next();
 });
 
@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const fareBreakdownSchema = require('./schemas/fareBreakdown');
 
 const pointSchema = new mongoose.Schema({
   type: {
@@ -64,15 +65,93 @@ const rideRequestSchema = new mongoose.Schema({
     max: 1,
     default: 0.3
   },
+  preferredVehicleType: {
+    type: String,
+    enum: ['sedan', 'suv', 'van', 'any'],
+    default: 'any'
+  },
+  loyaltyTier: {
+    type: String,
+    enum: ['basic', 'premium', 'vip'],
+    default: 'basic' // Rider's tier when they requested, used for every price in this ride
+  },
+  quote: {
+    id: String,
+    priceCeiling: Number, // The rider is never charged more than this
+    vehicleType: String, // The vehicle the ceiling was quoted for
+    expiresAt: Date
+  },
+  promo: {
+    promoCodeId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'PromoCode'
+    },
+    code: String,
+    discountType: {
+      type: String,
+      enum: ['percent', 'fixed']
+    },
+    discountValue: Number,
+    maxDiscount: Number
+  },
+  paymentMethod: {
+    type: String,
+    enum: ['card', 'wallet'], // 'wallet' spends stored credit first, then the card
+    default: 'card'
+  },
+  billing: {
+    profile: {
+      type: String,
+      enum: ['personal', 'organization'],
+      default: 'personal'
+    },
+    organizationId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Organization' // Billed to this organization under its travel policy
+    }
+  },
+  cancellation: {
+    kind: {
+      type: String,
+      enum: ['cancellation', 'no_show']
+    },
+    stage: String, // How far the pool had got when the rider left
+    fee: Number,
+    compensation: Number, // Part of the fee credited to the riders left in the pool
+    reason: String,
+    at: Date
+  },
   requestedTime: {
     type: Date,
     required: true,
     default: Date.now,
     index: true
   },
+  scheduledPickupTime: {
+    type: Date,
+    default: null // Null for on-demand rides
+  },
+  matchingWindowOpensAt: {
+    type: Date,
+    default: null,
+    index: true // Scheduled requests are released to matching from this time
+  },
+  flight: {
+    number: {
+      type: String,
+      index: true
+    },
+    status: {
+      type: String,
+      enum: ['scheduled', 'delayed', 'landed', 'cancelled']
+    },
+    scheduledArrival: Date,
+    estimatedArrival: Date, // Latest estimate the pickup time is based on
+    lastCheckedAt: Date
+  },
   status: {
     type: String,
-    enum: ['pending', 'matched', 'expired', 'cancelled'],
+    enum: ['scheduled', 'pending', 'matched', 'expired', 'cancelled'],
     default: 'pending',
     index: true
   },
@@ -89,7 +168,8 @@ const rideRequestSchema = new mongoose.Schema({
   metadata: {
     estimatedDistance: Number,
     estimatedDuration: Number,
-    estimatedPrice: Number
+    estimatedPrice: Number,
+    fareBreakdown: fareBreakdownSchema // Itemized estimatedPrice
   }
 }, {
   timestamps: true
@@ -108,6 +188,10 @@ rideRequestSchema.methods.isExpired = function() {
   return new Date() > this.expiresAt; 
 };
 
+rideRequestSchema.methods.isScheduled = function() {
+  return Boolean(this.scheduledPickupTime);
+};
+
 rideRequestSchema.methods.canMatch = function() {
   return this.status === 'pending' && !this.isExpired();
 };
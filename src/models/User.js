@@ -25,6 +25,21 @@ const userSchema = new mongoose.Schema({
     required: true,
     trim: true
   },
+  role: {
+    type: String,
+    enum: ['rider', 'driver', 'admin'],
+    default: 'rider'
+  },
+  driverProfile: {
+    vehicleType: {
+      type: String,
+      enum: ['sedan', 'suv', 'van']
+    },
+    licensePlate: {
+      type: String,
+      trim: true
+    }
+  },
   preferences: {
     detourTolerance: {
       type: Number,
@@ -41,8 +56,24 @@ const userSchema = new mongoose.Schema({
       type: String,
       enum: ['sedan', 'suv', 'van', 'any'],
       default: 'any'
+    },
+    billingProfile: {
+      type: String,
+      enum: ['personal', 'organization'],
+      default: 'personal' // Who pays for rides unless a request says otherwise
     }
   },
+  organization: {
+    organizationId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Organization'
+    },
+    role: {
+      type: String,
+      enum: ['member', 'admin'] // Admins manage invites and the travel policy
+    },
+    joinedAt: Date
+  },
   tier: {
     type: String,
     enum: ['basic', 'premium', 'vip'],
@@ -0,0 +1,35 @@
+const mongoose = require('mongoose');
+
+/**
+ * Itemized fare, as built by PricingEngine: the base fare followed by each
+ * multiplier or discount applied to it, in order. base.amount plus every
+ * line's amount equals total.
+ */
+const fareLineSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    required: true // e.g. 'surge', 'time_of_day', 'vehicle', 'pooling_discount'
+  },
+  description: String,
+  factor: Number,
+  amount: {
+    type: Number,
+    required: true // Negative for discounts
+  }
+}, { _id: false });
+
+const fareBreakdownSchema = new mongoose.Schema({
+  distanceKm: Number,
+  durationMin: Number,
+  base: {
+    distance: Number,
+    time: Number,
+    airportFee: Number,
+    minimumFareAdjustment: Number,
+    amount: Number
+  },
+  lines: [fareLineSchema],
+  total: Number
+}, { _id: false });
+
+module.exports = fareBreakdownSchema;
@@ -0,0 +1,129 @@
+const express = require('express');
+const router = express.Router();
+const { body, param } = require('express-validator');
+const adminController = require('../controllers/adminController');
+const { auth, requireRole } = require('../middleware/auth');
+const { validate, idempotencyKey } = require('../middleware/validate');
+
+// Every admin route requires an admin account
+router.use(auth, requireRole('admin'));
+
+/**
+ * @route   POST /api/admin/promo-codes
+ * @desc    Create a promo code
+ * @access  Admin
+ */
+router.post(
+  '/promo-codes',
+  [
+    body('code')
+      .trim()
+      .matches(/^[A-Za-z0-9_-]{3,32}$/)
+      .withMessage('Code must be 3-32 letters, digits, dashes or underscores'),
+    body('description').optional().isString().trim(),
+    body('discountType')
+      .isIn(['percent', 'fixed'])
+      .withMessage('Discount type must be percent or fixed'),
+    body('discountValue')
+      .isFloat({ gt: 0 })
+      .withMessage('Discount value must be greater than 0')
+      .toFloat(),
+    body('discountValue')
+      .if(body('discountType').equals('percent'))
+      .isFloat({ max: 100 })
+      .withMessage('A percent discount cannot exceed 100'),
+    body('maxDiscount').optional().isFloat({ gt: 0 }).toFloat(),
+    body('validFrom').optional().isISO8601(),
+    body('validUntil').optional().isISO8601(),
+    body('maxRedemptions').optional().isInt({ min: 1 }),
+    body('maxRedemptionsPerUser').optional().isInt({ min: 1 }),
+    body('allowedTiers').optional().isArray(),
+    body('allowedTiers.*')
+      .isIn(['basic', 'premium', 'vip'])
+      .withMessage('Tiers must be basic, premium or vip'),
+    body('airports').optional().isArray(),
+    body('airports.*').isString().trim().notEmpty(),
+    body('firstRideOnly').optional().isBoolean()
+  ],
+  validate,
+  adminController.createPromoCode
+);
+
+/**
+ * @route   POST /api/admin/payments/:paymentId/refunds
+ * @desc    Refund part or all of a payment
+ * @access  Admin
+ */
+router.post(
+  '/payments/:paymentId/refunds',
+  [
+    param('paymentId').isMongoId(),
+    idempotencyKey,
+    body('amount')
+      .isFloat({ gt: 0 })
+      .withMessage('Refund amount must be greater than 0')
+      .toFloat(),
+    body('reason').optional().isString().trim()
+  ],
+  validate,
+  adminController.refundPayment
+);
+
+/**
+ * @route   POST /api/admin/drivers/:driverId/payouts
+ * @desc    Record paying a driver their earnings
+ * @access  Admin
+ */
+router.post(
+  '/drivers/:driverId/payouts',
+  [
+    param('driverId').isMongoId(),
+    idempotencyKey,
+    body('amount').optional().isFloat({ gt: 0 }).toFloat()
+  ],
+  validate,
+  adminController.payOutDriver
+);
+
+/**
+ * @route   GET /api/admin/ledger/accounts/:account
+ * @desc    Get a ledger account's balance
+ * @access  Admin
+ */
+router.get(
+  '/ledger/accounts/:account',
+  [
+    param('account')
+      .matches(/^[a-z]+(:[A-Za-z0-9_-]+)?$/)
+      .withMessage('Account must look like cash, revenue:fares or rider:<userId>')
+  ],
+  validate,
+  adminController.getAccountBalance
+);
+
+/**
+ * @route   POST /api/admin/organizations
+ * @desc    Create an organization for business travel
+ * @access  Admin
+ */
+router.post(
+  '/organizations',
+  [
+    body('name').trim().notEmpty().withMessage('Name is required'),
+    body('emailDomains').optional().isArray(),
+    body('emailDomains.*')
+      .isFQDN()
+      .withMessage('Email domains must be domain names, e.g. example.com'),
+    body('policy.maxFare').optional().isFloat({ gt: 0 }).toFloat(),
+    body('policy.allowedVehicleTypes').optional().isArray(),
+    body('policy.allowedVehicleTypes.*')
+      .isIn(['sedan', 'suv', 'van'])
+      .withMessage('Vehicle types must be sedan, suv or van'),
+    body('policy.poolingRequired').optional().isBoolean(),
+    body('adminUserId').optional().isMongoId()
+  ],
+  validate,
+  adminController.createOrganization
+);
+
+module.exports = router;
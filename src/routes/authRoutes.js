@@ -7,7 +7,7 @@ const { validate } = require('../middleware/validate');
 
 /**
  * @route   POST /api/auth/register
- * @desc    Register a new user
+ * @desc    Register a new rider or driver
  * @access  Public
  */
 router.post(
@@ -16,7 +16,17 @@ router.post(
     body('email').isEmail().normalizeEmail(),
     body('phone').matches(/^\+?[1-9]\d{1,14}$/),
     body('password').isLength({ min: 6 }),
-    body('name').trim().notEmpty()
+    body('name').trim().notEmpty(),
+    body('role').optional().isIn(['rider', 'driver']),
+    body('vehicleType')
+      .if(body('role').equals('driver'))
+      .isIn(['sedan', 'suv', 'van'])
+      .withMessage('Drivers must provide a vehicle type'),
+    body('licensePlate')
+      .if(body('role').equals('driver'))
+      .trim()
+      .notEmpty()
+      .withMessage('Drivers must provide a license plate')
   ],
   validate,
   authController.register
@@ -44,6 +54,13 @@ router.post(
  */
 router.get('/profile', auth, authController.getProfile);
 
+/**
+ * @route   GET /api/auth/loyalty
+ * @desc    Get loyalty tier progress
+ * @access  Private
+ */
+router.get('/loyalty', auth, authController.getLoyaltyProgress);
+
 /**
  * @route   PUT /api/auth/preferences
  * @desc    Update user preferences
@@ -55,7 +72,8 @@ router.put(
   [
     body('detourTolerance').optional().isFloat({ min: 0, max: 1 }),
     body('maxWaitTime').optional().isInt({ min: 0 }),
-    body('preferredVehicleType').optional().isIn(['sedan', 'suv', 'van', 'any'])
+    body('preferredVehicleType').optional().isIn(['sedan', 'suv', 'van', 'any']),
+    body('billingProfile').optional().isIn(['personal', 'organization'])
   ],
   validate,
   authController.updatePreferences
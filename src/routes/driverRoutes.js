@@ -0,0 +1,124 @@
+const express = require('express');
+const router = express.Router();
+const { body, param } = require('express-validator');
+const driverController = require('../controllers/driverController');
+const { auth, requireRole } = require('../middleware/auth');
+const { validate } = require('../middleware/validate');
+
+// Every driver route requires a driver account
+router.use(auth, requireRole('driver'));
+
+/**
+ * @route   GET /api/drivers/pools/available
+ * @desc    Get pools waiting for a driver
+ * @access  Driver
+ */
+router.get('/pools/available', driverController.getAvailablePools);
+
+/**
+ * @route   PUT /api/drivers/availability
+ * @desc    Report the driver online at a location, or offline
+ * @access  Driver
+ */
+router.put(
+  '/availability',
+  [
+    body('online').isBoolean().withMessage('online must be true or false'),
+    body('location.coordinates')
+      .if(body('online').equals('true'))
+      .isArray({ min: 2, max: 2 })
+      .withMessage('Location coordinates are required when going online')
+  ],
+  validate,
+  driverController.updateAvailability
+);
+
+/**
+ * @route   GET /api/drivers/rides
+ * @desc    Get the driver's assigned rides
+ * @access  Driver
+ */
+router.get('/rides', driverController.getAssignedRides);
+
+/**
+ * @route   POST /api/drivers/pools/:poolId/accept
+ * @desc    Accept a pool
+ * @access  Driver
+ */
+router.post(
+  '/pools/:poolId/accept',
+  [param('poolId').isMongoId()],
+  validate,
+  driverController.acceptPool
+);
+
+/**
+ * @route   POST /api/drivers/pools/:poolId/start
+ * @desc    Start the ride
+ * @access  Driver
+ */
+router.post(
+  '/pools/:poolId/start',
+  [param('poolId').isMongoId()],
+  validate,
+  driverController.startRide
+);
+
+/**
+ * @route   POST /api/drivers/pools/:poolId/stops/:sequence/complete
+ * @desc    Mark a pickup or dropoff stop as completed
+ * @access  Driver
+ */
+router.post(
+  '/pools/:poolId/stops/:sequence/complete',
+  [
+    param('poolId').isMongoId(),
+    param('sequence').isInt({ min: 0 })
+  ],
+  validate,
+  driverController.completeStop
+);
+
+/**
+ * @route   POST /api/drivers/pools/:poolId/stops/:sequence/arrive
+ * @desc    Report arriving at a pickup stop
+ * @access  Driver
+ */
+router.post(
+  '/pools/:poolId/stops/:sequence/arrive',
+  [
+    param('poolId').isMongoId(),
+    param('sequence').isInt({ min: 0 })
+  ],
+  validate,
+  driverController.arriveAtStop
+);
+
+/**
+ * @route   POST /api/drivers/pools/:poolId/stops/:sequence/no-show
+ * @desc    Report that the rider at a pickup stop did not show up
+ * @access  Driver
+ */
+router.post(
+  '/pools/:poolId/stops/:sequence/no-show',
+  [
+    param('poolId').isMongoId(),
+    param('sequence').isInt({ min: 0 })
+  ],
+  validate,
+  driverController.reportNoShow
+);
+
+/**
+ * @route   POST /api/drivers/pools/:poolId/complete
+ * @desc    Complete the ride
+ * @access  Driver
+ */
+router.post(
+  '/pools/:poolId/complete',
+  [param('poolId').isMongoId()],
+  validate,
+  driverController.completeRide
+);
+
+module.exports = router;
@@ -0,0 +1,150 @@
+const express = require('express');
+const router = express.Router();
+const { body, param } = require('express-validator');
+const organizationController = require('../controllers/organizationController');
+const { auth, requireOrganizationAdmin } = require('../middleware/auth');
+const { validate } = require('../middleware/validate');
+
+/**
+ * @route   GET /api/organizations/mine
+ * @desc    Get the user's organization and travel policy
+ * @access  Private
+ */
+router.get('/mine', auth, organizationController.getMyOrganization);
+
+/**
+ * @route   POST /api/organizations/join
+ * @desc    Join an organization by invite, or ask to join by email domain
+ * @access  Private
+ */
+router.post(
+  '/join',
+  auth,
+  [
+    body('inviteToken')
+      .optional()
+      .isHexadecimal()
+      .withMessage('Invite token must be the token from an invite')
+  ],
+  validate,
+  organizationController.joinOrganization
+);
+
+/**
+ * @route   DELETE /api/organizations/mine
+ * @desc    Leave the user's organization
+ * @access  Private
+ */
+router.delete('/mine', auth, organizationController.leaveOrganization);
+
+/**
+ * @route   POST /api/organizations/:organizationId/invites
+ * @desc    Invite someone to the organization
+ * @access  Organization admin
+ */
+router.post(
+  '/:organizationId/invites',
+  auth,
+  [
+    param('organizationId').isMongoId(),
+    body('email').isEmail().normalizeEmail().withMessage('A valid email is required')
+  ],
+  validate,
+  requireOrganizationAdmin,
+  organizationController.createInvite
+);
+
+/**
+ * @route   GET /api/organizations/:organizationId/join-requests
+ * @desc    List requests to join the organization
+ * @access  Organization admin
+ */
+router.get(
+  '/:organizationId/join-requests',
+  auth,
+  [param('organizationId').isMongoId()],
+  validate,
+  requireOrganizationAdmin,
+  organizationController.getJoinRequests
+);
+
+/**
+ * @route   POST /api/organizations/:organizationId/join-requests/:userId/approve
+ * @desc    Approve a request to join the organization
+ * @access  Organization admin
+ */
+router.post(
+  '/:organizationId/join-requests/:userId/approve',
+  auth,
+  [
+    param('organizationId').isMongoId(),
+    param('userId').isMongoId()
+  ],
+  validate,
+  requireOrganizationAdmin,
+  organizationController.approveJoinRequest
+);
+
+/**
+ * @route   DELETE /api/organizations/:organizationId/join-requests/:userId
+ * @desc    Decline a request to join the organization
+ * @access  Organization admin
+ */
+router.delete(
+  '/:organizationId/join-requests/:userId',
+  auth,
+  [
+    param('organizationId').isMongoId(),
+    param('userId').isMongoId()
+  ],
+  validate,
+  requireOrganizationAdmin,
+  organizationController.declineJoinRequest
+);
+
+/**
+ * @route   PUT /api/organizations/:organizationId/policy
+ * @desc    Update the organization's travel policy
+ * @access  Organization admin
+ */
+router.put(
+  '/:organizationId/policy',
+  auth,
+  [
+    param('organizationId').isMongoId(),
+    body('maxFare')
+      .optional({ values: 'null' })
+      .isFloat({ gt: 0 })
+      .withMessage('Max fare must be greater than 0, or null for no limit')
+      .toFloat(),
+    body('allowedVehicleTypes').optional().isArray(),
+    body('allowedVehicleTypes.*')
+      .isIn(['sedan', 'suv', 'van'])
+      .withMessage('Vehicle types must be sedan, suv or van'),
+    body('poolingRequired').optional().isBoolean()
+  ],
+  validate,
+  requireOrganizationAdmin,
+  organizationController.updatePolicy
+);
+
+/**
+ * @route   GET /api/organizations/:organizationId/statements/:month
+ * @desc    Get the organization's statement for a month (YYYY-MM)
+ * @access  Organization admin
+ */
+router.get(
+  '/:organizationId/statements/:month',
+  auth,
+  [
+    param('organizationId').isMongoId(),
+    param('month')
+      .matches(/^\d{4}-(0[1-9]|1[0-2])$/)
+      .withMessage('Month must be YYYY-MM')
+  ],
+  validate,
+  requireOrganizationAdmin,
+  organizationController.getStatement
+);
+
+module.exports = router;
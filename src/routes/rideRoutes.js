@@ -4,6 +4,11 @@ const { body, param, query } = require('express-validator');
 const rideController = require('../controllers/rideController');
 const { auth } = require('../middleware/auth');
 const { validate } = require('../middleware/validate');
+const VehicleFleet = require('../utils/vehicleFleet');
+
+// The largest party and luggage the fleet carries; whether one vehicle
+// carries both is checked when the vehicle is chosen
+const { seats: MAX_PASSENGERS, luggage: MAX_LUGGAGE } = VehicleFleet.largestCapacity();
 
 /**
  * @route   POST /api/rides/request
@@ -28,14 +33,57 @@ router.post(
       .isFloat()
       .withMessage('Coordinates must be numbers'),
     body('dropoffAddress').trim().notEmpty(),
-    body('passengers').isInt({ min: 1, max: 4 }),
-    body('luggage').isInt({ min: 0, max: 6 }),
-    body('detourTolerance').optional().isFloat({ min: 0, max: 1 })
+    body('passengers').isInt({ min: 1, max: MAX_PASSENGERS }),
+    body('luggage').isInt({ min: 0, max: MAX_LUGGAGE }),
+    body('detourTolerance').optional().isFloat({ min: 0, max: 1 }),
+    body('scheduledPickupTime')
+      .optional()
+      .isISO8601()
+      .withMessage('Scheduled pickup time must be an ISO 8601 date'),
+    body('flightNumber')
+      .optional()
+      .matches(/^[A-Z0-9]{2}\s?\d{1,4}[A-Z]?$/i)
+      .withMessage('Flight number must look like UA837'),
+    body('preferredVehicleType')
+      .optional()
+      .isIn(['sedan', 'suv', 'van', 'any'])
+      .withMessage('Vehicle type must be sedan, suv, van or any'),
+    body('quoteToken')
+      .optional()
+      .isString()
+      .withMessage('Quote token must be the token from a price estimate'),
+    body('promoCode')
+      .optional()
+      .isString()
+      .trim()
+      .isLength({ min: 3, max: 32 })
+      .withMessage('Promo code must be 3-32 characters'),
+    body('paymentMethod')
+      .optional()
+      .isIn(['card', 'wallet'])
+      .withMessage('Payment method must be card or wallet'),
+    body('billingProfile')
+      .optional()
+      .isIn(['personal', 'organization'])
+      .withMessage('Billing profile must be personal or organization')
   ],
   validate,
   rideController.createRideRequest
 );
 
+/**
+ * @route   GET /api/rides/request/:requestId
+ * @desc    Get ride request status
+ * @access  Private
+ */
+router.get(
+  '/request/:requestId',
+  auth,
+  [param('requestId').isMongoId()],
+  validate,
+  rideController.getRideRequest
+);
+
 /**
  * @route   GET /api/rides/pool/:poolId
  * @desc    Get ride pool details
@@ -85,6 +133,52 @@ router.delete(
   rideController.cancelRide
 );
 
+/**
+ * @route   GET /api/rides/scheduled
+ * @desc    List upcoming scheduled rides
+ * @access  Private
+ */
+router.get('/scheduled', auth, rideController.getScheduledRides);
+
+/**
+ * @route   PATCH /api/rides/scheduled/:requestId
+ * @desc    Change a scheduled ride before matching starts
+ * @access  Private
+ */
+router.patch(
+  '/scheduled/:requestId',
+  auth,
+  [
+    param('requestId').isMongoId(),
+    body('scheduledPickupTime')
+      .optional()
+      .isISO8601()
+      .withMessage('Scheduled pickup time must be an ISO 8601 date'),
+    body('pickupAddress').optional().trim().notEmpty(),
+    body('dropoffAddress').optional().trim().notEmpty(),
+    body('passengers').optional().isInt({ min: 1, max: MAX_PASSENGERS }),
+    body('luggage').optional().isInt({ min: 0, max: MAX_LUGGAGE }),
+    body('detourTolerance').optional().isFloat({ min: 0, max: 1 }),
+    body('preferredVehicleType').optional().isIn(['sedan', 'suv', 'van', 'any']),
+    body('promoCode').optional().isString().trim().isLength({ min: 3, max: 32 })
+  ],
+  validate,
+  rideController.updateScheduledRide
+);
+
+/**
+ * @route   DELETE /api/rides/scheduled/:requestId
+ * @desc    Cancel a scheduled ride
+ * @access  Private
+ */
+router.delete(
+  '/scheduled/:requestId',
+  auth,
+  [param('requestId').isMongoId()],
+  validate,
+  rideController.cancelScheduledRide
+);
+
 /**
  * @route   POST /api/rides/price-estimate
  * @desc    Get price estimate for a route
@@ -97,7 +191,10 @@ router.post(
     body('pickupLocation.coordinates')
       .isArray({ min: 2, max: 2 }),
     body('dropoffLocation.coordinates')
-      .isArray({ min: 2, max: 2 })
+      .isArray({ min: 2, max: 2 }),
+    body('passengers').optional().isInt({ min: 1, max: MAX_PASSENGERS }),
+    body('luggage').optional().isInt({ min: 0, max: MAX_LUGGAGE }),
+    body('preferredVehicleType').optional().isIn(['sedan', 'suv', 'van', 'any'])
   ],
   validate,
   rideController.getPriceEstimate
@@ -0,0 +1,54 @@
+const express = require('express');
+const router = express.Router();
+const { body, query } = require('express-validator');
+const walletController = require('../controllers/walletController');
+const { auth } = require('../middleware/auth');
+const { validate, idempotencyKey } = require('../middleware/validate');
+const config = require('../config/config');
+
+/**
+ * @route   GET /api/wallet
+ * @desc    Get wallet balance
+ * @access  Private
+ */
+router.get('/', auth, walletController.getWallet);
+
+/**
+ * @route   POST /api/wallet/top-ups
+ * @desc    Add stored credit from the rider's card
+ * @access  Private
+ */
+router.post(
+  '/top-ups',
+  auth,
+  [
+    idempotencyKey,
+    body('amount')
+      .isFloat({ min: config.WALLET_MIN_TOP_UP, max: config.WALLET_MAX_TOP_UP })
+      .withMessage(`Top-up must be between $${config.WALLET_MIN_TOP_UP} and $${config.WALLET_MAX_TOP_UP}`)
+      .toFloat()
+  ],
+  validate,
+  walletController.topUpWallet
+);
+
+/**
+ * @route   GET /api/wallet/transactions
+ * @desc    List wallet transactions, newest first
+ * @access  Private
+ */
+router.get(
+  '/transactions',
+  auth,
+  [
+    query('limit').optional().isInt({ min: 1, max: 50 }),
+    query('cursor')
+      .optional()
+      .isMongoId()
+      .withMessage('Cursor must be the nextCursor of a previous page')
+  ],
+  validate,
+  walletController.getWalletTransactions
+);
+
+module.exports = router;
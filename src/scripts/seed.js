@@ -41,6 +41,13 @@ const sampleUsers = [
     password: 'password123',
     name: 'Charlie Brown',
     tier: 'basic'
+  },
+  {
+    email: 'admin@example.com',
+    phone: '+11234567899',
+    password: 'password123',
+    name: 'Ops Admin',
+    role: 'admin'
   }
 ];
 
@@ -1,3 +1,4 @@
+const http = require('http');
 const express = require('express');
 const helmet = require('helmet');
 const cors = require('cors');
@@ -5,12 +6,24 @@ const morgan = require('morgan');
 const compression = require('compression');
 const rateLimit = require('express-rate-limit');
 const config = require('./config/config');
-const { connectMongoDB } = require('./config/database');
+const database = require('./config/database');
+const MatchingEngine = require('./services/matchingEngine');
+const BatchMatcher = require('./services/batchMatcher');
+const FlightTracker = require('./services/flightTracker');
+const { startMatchingWorker } = require('./services/matchingQueue');
+const { initPoolSocket } = require('./sockets/poolSocket');
+const { createRoutingProvider } = require('./services/routingProviders');
+const TravelMatrixCache = require('./services/travelMatrixCache');
+const DistanceCalculator = require('./utils/distanceCalculator');
 const logger = require('./utils/logger');
 
 // Import routes
 const authRoutes = require('./routes/authRoutes');
 const rideRoutes = require('./routes/rideRoutes');
+const driverRoutes = require('./routes/driverRoutes');
+const adminRoutes = require('./routes/adminRoutes');
+const walletRoutes = require('./routes/walletRoutes');
+const organizationRoutes = require('./routes/organizationRoutes');
 
 // Create Express app
 const app = express();
@@ -66,6 +79,10 @@ app.get('/health', (req, res) => {
 // API routes
 app.use('/api/auth', authRoutes);
 app.use('/api/rides', rideRoutes);
+app.use('/api/drivers', driverRoutes);
+app.use('/api/admin', adminRoutes);
+app.use('/api/wallet', walletRoutes);
+app.use('/api/organizations', organizationRoutes);
 
 // 404 handler
 app.use((req, res) => {
@@ -96,15 +113,45 @@ app.use((err, req, res, next) => {
 const startServer = async () => {
   try {
     // Connect to MongoDB
-    await connectMongoDB();
+    await database.connectMongoDB();
     logger.info('Database connected successfully');
 
-    // Start listening
+    // Connect to Redis (locks, caching)
+    await database.connectRedis();
+
+    // Road routing for distances, durations and detours; legs from a real
+    // routing backend are cached in Redis, straight-line ones are cheaper to recompute
+    const routingProvider = createRoutingProvider(config.ROUTING_PROVIDER);
+    DistanceCalculator.setRoutingProvider(
+      config.ROUTING_PROVIDER === 'haversine'
+        ? routingProvider
+        : new TravelMatrixCache(routingProvider, database.redisCache)
+    );
+    logger.info(`Using ${config.ROUTING_PROVIDER} routing provider`);
+
+    // Start matching workers
+    const matchingEngine = new MatchingEngine(database.redisLock);
+    startMatchingWorker(matchingEngine);
+
+    if (config.MATCHING_MODE === 'batch') {
+      const batchMatcher = new BatchMatcher(matchingEngine);
+      batchMatcher.start();
+    }
+
+    // Follow arrival estimates of flights riders are booked on
+    const flightTracker = new FlightTracker(matchingEngine);
+    flightTracker.start();
+
+    // Start listening (REST and websocket share the HTTP server)
     const PORT = config.PORT;
-    app.listen(PORT, () => {
+    const server = http.createServer(app);
+    initPoolSocket(server);
+
+    server.listen(PORT, () => {
       logger.info(`Server running on port ${PORT} in ${config.NODE_ENV} mode`);
       logger.info(`Health check available at http://localhost:${PORT}/health`);
       logger.info(`API endpoints available at http://localhost:${PORT}/api`);
+      logger.info(`Pool updates available over Socket.IO at ws://localhost:${PORT}`);
     });
 
   } catch (error) {
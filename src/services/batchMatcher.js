@@ -0,0 +1,405 @@
+const RideRequest = require('../models/RideRequest');
+const MatchingEngine = require('./matchingEngine');
+const DistanceCalculator = require('../utils/distanceCalculator');
+const VehicleFleet = require('../utils/vehicleFleet');
+const { desiredPickupTime, isTimeCompatible } = require('./rideScheduler');
+const config = require('../config/config');
+const logger = require('../utils/logger');
+
+class BatchMatcher {
+  constructor(matchingEngine, options = {}) {
+    this.matchingEngine = matchingEngine;
+    this.windowMs = options.windowMs || config.POOL_FORMATION_TIME_MS;
+    this.maxBatchSize = options.maxBatchSize || config.BATCH_MAX_SIZE;
+    this.exactLimit = options.exactLimit || config.BATCH_EXACT_LIMIT;
+    this.maxGroupSize = options.maxGroupSize || config.BATCH_MAX_GROUP_SIZE;
+    this.neighbourLimit = options.neighbourLimit || config.BATCH_NEIGHBOURS;
+    this.lockTtlMs = options.lockTtlMs || config.BATCH_LOCK_TTL_MS;
+    this.vehicleCostKm = options.vehicleCostKm !== undefined
+      ? options.vehicleCostKm
+      : config.BATCH_VEHICLE_COST_KM;
+    this.matchingRadius = config.MATCHING_RADIUS_KM;
+    this.timer = null;
+    this.running = false;
+  }
+
+  /**
+   * Start collecting requests and matching them once per window
+   */
+  start() {
+    if (this.timer) return;
+
+    this.timer = setInterval(() => {
+      this.runBatch().catch(error => {
+        logger.error('Batch matching run failed:', error);
+      });
+    }, this.windowMs);
+
+    logger.info(`Batch matcher started with a ${this.windowMs}ms window`);
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  /**
+   * Match every pending request collected during the last window
+   * @returns {Promise<Object>} { requests, pools }
+   */
+  async runBatch() {
+    const lockKey = 'batch:matching';
+    let lockValue;
+
+    // A slow run must not overlap the next window's run on this instance
+    if (this.running) {
+      logger.debug('Skipping batch run, previous run still in progress');
+      return { requests: 0, pools: 0 };
+    }
+    this.running = true;
+
+    try {
+      lockValue = await this.matchingEngine.acquireLock(lockKey, this.lockTtlMs);
+    } catch (error) {
+      // Another instance is already running this window
+      this.running = false;
+      logger.debug('Skipping batch run, lock held elsewhere');
+      return { requests: 0, pools: 0 };
+    }
+
+    try {
+      const requests = await RideRequest.find({
+        status: 'pending',
+        expiresAt: { $gt: new Date() }
+      })
+      .sort({ requestedTime: 1 })
+      .limit(this.maxBatchSize);
+
+      if (requests.length === 0) {
+        return { requests: 0, pools: 0 };
+      }
+
+      const matrix = await DistanceCalculator.buildMatrix(
+        requests.flatMap(request => [request.pickupLocation, request.dropoffLocation])
+      );
+      const groups = this.optimize(requests, matrix);
+
+      for (const group of groups) {
+        await this.matchingEngine.createGroupPool(
+          group.members.map(idx => requests[idx]),
+          group.route,
+          matrix
+        );
+      }
+
+      logger.info(`Batch matched ${requests.length} requests into ${groups.length} pools`);
+
+      return { requests: requests.length, pools: groups.length };
+
+    } finally {
+      this.running = false;
+      await this.matchingEngine.releaseLock(lockKey, lockValue);
+    }
+  }
+
+  /**
+   * Assign a batch of requests to pools, minimizing total route distance plus
+   * a cost per vehicle, scaled by the fare multiplier of the vehicle type. Uses exact set partitioning for small batches
+   * and a savings heuristic otherwise.
+   * @param {Array} requests - Ride requests in the batch
+   * @param {TravelMatrix} matrix - Optional road distances between all pickups and dropoffs
+   * @returns {Array} Groups of { members, route, vehicleType, cost }
+   */
+  optimize(requests, matrix) {
+    const partners = this.candidatePartners(requests, matrix);
+
+    const selected = requests.length <= this.exactLimit
+      ? this.solveExact(requests.length, this.enumerateGroups(requests, matrix, partners))
+      : this.solveSavings(requests, matrix, partners);
+
+    return selected.map(group => ({
+      members: group.members,
+      route: group.route,
+      vehicleType: group.vehicleType,
+      cost: group.cost
+    }));
+  }
+
+  /**
+   * Riders each request may share a vehicle with: nearby, heading the same
+   * way at the same time, able to share a route within both their detour
+   * tolerances, and among the request's `neighbourLimit` closest such riders.
+   * Bounding partners keeps grouping work linear in the batch size.
+   * @returns {Array<Set<number>>} Partner indices per request; i lists j whenever j lists i
+   */
+  candidatePartners(requests, matrix) {
+    const n = requests.length;
+    const sectors = requests.map(request =>
+      DistanceCalculator.tripSector(request.pickupLocation, request.dropoffLocation)
+    );
+    const pickupTimes = requests.map(request => desiredPickupTime(request));
+    const partners = Array.from({ length: n }, () => new Set());
+
+    // Cheap checks first: riders heading in different directions or leaving
+    // at different times are never routed together
+    for (let i = 0; i < n; i++) {
+      const nearest = [];
+
+      for (let j = 0; j < n; j++) {
+        if (j === i) continue;
+        if (!DistanceCalculator.isWithinRadius(
+          requests[i].pickupLocation,
+          requests[j].pickupLocation,
+          this.matchingRadius
+        )) continue;
+        if (!DistanceCalculator.sectorsCompatible(sectors[i], sectors[j])) continue;
+        if (!isTimeCompatible(pickupTimes[i], pickupTimes[j])) continue;
+
+        nearest.push({
+          idx: j,
+          distance: DistanceCalculator.calculateDistance(requests[i].pickupLocation, requests[j].pickupLocation) +
+            DistanceCalculator.calculateDistance(requests[i].dropoffLocation, requests[j].dropoffLocation)
+        });
+      }
+
+      nearest
+        .sort((a, b) => a.distance - b.distance)
+        .slice(0, this.neighbourLimit)
+        .forEach(({ idx }) => {
+          partners[i].add(idx);
+          partners[idx].add(i);
+        });
+    }
+
+    // Then route each candidate pair once
+    for (let i = 0; i < n; i++) {
+      for (const j of partners[i]) {
+        if (j < i) continue;
+
+        if (this.insertMember(this.insertMember(null, requests[i], matrix), requests[j], matrix) === null) {
+          partners[i].delete(j);
+          partners[j].delete(i);
+        }
+      }
+    }
+
+    return partners;
+  }
+
+  /**
+   * A group of requests sharing one route, in the cheapest vehicle they fit
+   * and all accept
+   */
+  makeGroup(members, route, seats, luggage, vehicleTypes) {
+    const vehicleType = VehicleFleet.smallestFitting(seats, luggage, vehicleTypes);
+
+    return {
+      members,
+      route,
+      seats,
+      luggage,
+      vehicleTypes,
+      vehicleType,
+      cost: route.newDistance + this.vehicleCostKm * VehicleFleet.priceMultiplier(vehicleType)
+    };
+  }
+
+  /**
+   * A request riding alone
+   */
+  singleGroup(requests, idx, matrix) {
+    const request = requests[idx];
+
+    return this.makeGroup(
+      [idx],
+      this.insertMember(null, request, matrix),
+      request.passengers,
+      request.luggage,
+      VehicleFleet.allowedTypes(request.preferredVehicleType)
+    );
+  }
+
+  /**
+   * Add a request to a group if the group stays within one vehicle and
+   * every member's detour tolerance
+   * @returns {Object|null} The larger group, or null if the request does not fit
+   */
+  addMember(group, requests, idx, matrix) {
+    const request = requests[idx];
+    const seats = group.seats + request.passengers;
+    const luggage = group.luggage + request.luggage;
+    const vehicleTypes = group.vehicleTypes.filter(type =>
+      VehicleFleet.allowedTypes(request.preferredVehicleType).includes(type)
+    );
+    if (!VehicleFleet.smallestFitting(seats, luggage, vehicleTypes)) return null;
+
+    const route = this.insertMember(group.route, request, matrix);
+    if (!route) return null;
+
+    return this.makeGroup([...group.members, idx], route, seats, luggage, vehicleTypes);
+  }
+
+  /**
+   * Enumerate every feasible group of up to `maxGroupSize` partnered requests
+   * that fits in one vehicle all its members accept
+   */
+  enumerateGroups(requests, matrix, partners) {
+    const n = requests.length;
+    const groups = [];
+
+    // Each group's route extends its parent's route by one insertion
+    const extend = (group) => {
+      groups.push(group);
+      if (group.members.length >= this.maxGroupSize) return;
+
+      for (let next = group.members[group.members.length - 1] + 1; next < n; next++) {
+        if (!group.members.every(idx => partners[idx].has(next))) continue;
+
+        const larger = this.addMember(group, requests, next, matrix);
+        if (larger) extend(larger);
+      }
+    };
+
+    for (let i = 0; i < n; i++) {
+      extend(this.singleGroup(requests, i, matrix));
+    }
+
+    return groups;
+  }
+
+  /**
+   * Insert a request into a group's shared route at its cheapest position
+   * @param {Object|null} route - Current group route, or null for an empty vehicle
+   * @param {Object} request - Ride request joining the group
+   * @param {TravelMatrix} matrix - Optional precomputed road distances
+   * @returns {Object|null} { bestRoute, newDistance, detourPercentage, tolerances } or null
+   *   if any member's own detour would exceed their tolerance
+   */
+  insertMember(route, request, matrix) {
+    const result = DistanceCalculator.calculateDetour(
+      route ? route.bestRoute : [],
+      request.pickupLocation,
+      request.dropoffLocation,
+      request.userId,
+      matrix
+    );
+
+    const tolerances = new Map(route ? route.tolerances : []);
+    tolerances.set(request.userId.toString(), request.detourTolerance);
+
+    if (!MatchingEngine.checkPassengerDetours(result.bestRoute, tolerances, matrix).feasible) {
+      return null;
+    }
+
+    return {
+      bestRoute: result.bestRoute.map(stop => (
+        stop.address ? stop : {
+          ...stop,
+          address: stop.type === 'pickup' ? request.pickupAddress : request.dropoffAddress
+        }
+      )),
+      newDistance: result.newDistance,
+      detourPercentage: route
+        ? route.detourPercentage + result.detourPercentage * (1 + route.detourPercentage)
+        : 0,
+      tolerances
+    };
+  }
+
+  /**
+   * Exact set partitioning over request subsets: O(2^n * g)
+   */
+  solveExact(n, groups) {
+    const full = 2 ** n - 1;
+    const byLowest = Array.from({ length: n }, () => []);
+    groups.forEach(group => {
+      group.mask = group.members.reduce((mask, idx) => mask | (1 << idx), 0);
+      byLowest[group.members[0]].push(group);
+    });
+
+    const best = new Array(full + 1).fill(Infinity);
+    const choice = new Array(full + 1).fill(null);
+    best[0] = 0;
+
+    for (let mask = 1; mask <= full; mask++) {
+      let lowest = 0;
+      while (!(mask & (1 << lowest))) lowest++;
+
+      for (const group of byLowest[lowest]) {
+        if ((group.mask & mask) !== group.mask) continue;
+
+        const cost = group.cost + best[mask ^ group.mask];
+        if (cost < best[mask]) {
+          best[mask] = cost;
+          choice[mask] = group;
+        }
+      }
+    }
+
+    const selected = [];
+    for (let mask = full; mask > 0; mask ^= choice[mask].mask) {
+      selected.push(choice[mask]);
+    }
+
+    return selected;
+  }
+
+  /**
+   * Savings heuristic for batches too large to solve exactly. Every request
+   * starts in its own vehicle; pairs of partners are then taken in order of
+   * what sharing saves, and their groups merged by cheapest insertion when
+   * the merged group is allowed and costs less than the two apart.
+   * @returns {Array} Groups covering every request once
+   */
+  solveSavings(requests, matrix, partners) {
+    const singles = requests.map((_, idx) => this.singleGroup(requests, idx, matrix));
+    const owner = [...singles];
+
+    const ranked = [];
+    partners.forEach((set, i) => set.forEach(j => {
+      if (j < i) return;
+
+      const pair = this.mergeGroups(singles[i], singles[j], requests, matrix, partners);
+      const savings = pair ? singles[i].cost + singles[j].cost - pair.cost : 0;
+      if (savings > 0) ranked.push({ i, j, savings });
+    }));
+    ranked.sort((a, b) => b.savings - a.savings);
+
+    for (const { i, j } of ranked) {
+      const a = owner[i];
+      const b = owner[j];
+      if (a === b) continue;
+
+      const merged = this.mergeGroups(a, b, requests, matrix, partners);
+      if (!merged || merged.cost >= a.cost + b.cost) continue;
+
+      merged.members.forEach(idx => { owner[idx] = merged; });
+    }
+
+    return [...new Set(owner)];
+  }
+
+  /**
+   * Merge two groups by inserting the smaller group's riders into the larger
+   * group's route, one at a time
+   * @returns {Object|null} Merged group, or null if they cannot share a vehicle
+   */
+  mergeGroups(a, b, requests, matrix, partners) {
+    if (a.members.length + b.members.length > this.maxGroupSize) return null;
+    if (!a.members.every(i => b.members.every(j => partners[i].has(j)))) return null;
+
+    const [base, joining] = a.members.length >= b.members.length ? [a, b] : [b, a];
+    let merged = base;
+
+    for (const idx of joining.members) {
+      merged = this.addMember(merged, requests, idx, matrix);
+      if (!merged) return null;
+    }
+
+    return merged;
+  }
+}
+
+module.exports = BatchMatcher;
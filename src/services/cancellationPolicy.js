@@ -0,0 +1,108 @@
+const config = require('../config/config');
+
+/**
+ * What riders pay for leaving a pool late, and what the riders left behind get.
+ *
+ * Leaving within CANCELLATION_FREE_WINDOW_MS of being matched is free.
+ * After that the fee starts at the base fee for how far the ride has got
+ * (CANCELLATION_FEES) and grows by CANCELLATION_FEE_PER_MIN for each minute
+ * past the window, up to CANCELLATION_MAX_FARE_SHARE of the rider's fare.
+ * A rider who does not turn up once the driver has waited NO_SHOW_GRACE_MS
+ * at their pickup pays NO_SHOW_FEE instead. CANCELLATION_COMPENSATION_SHARE
+ * of any fee is credited to the riders still in the pool.
+ */
+
+const round = (amount) => Math.round(amount * 100) / 100;
+
+/**
+ * How far a pool has got, for choosing the base fee
+ * @param {Object} pool - RidePool document
+ * @returns {string} 'forming', 'matched', 'driver_assigned' or 'active'
+ */
+const cancellationStage = (pool) => {
+  if (pool.status === 'active') return 'active';
+  if (pool.vehicle?.driverId) return 'driver_assigned';
+  return pool.status;
+};
+
+/**
+ * Fee for a rider cancelling out of a pool
+ * @param {Object} pool - RidePool document
+ * @param {Object} passenger - Passenger subdocument of the pool
+ * @param {Date} now
+ * @returns {Object} { kind, stage, fee, reason }
+ */
+const cancellationFee = (pool, passenger, now = new Date()) => {
+  const stage = cancellationStage(pool);
+  const sinceMatch = now.getTime() - new Date(passenger.joinedAt).getTime();
+  const baseFee = config.CANCELLATION_FEES[stage] || 0;
+
+  if (sinceMatch <= config.CANCELLATION_FREE_WINDOW_MS || baseFee === 0) {
+    return { kind: 'cancellation', stage, fee: 0, reason: 'Free cancellation' };
+  }
+
+  const minutesLate = (sinceMatch - config.CANCELLATION_FREE_WINDOW_MS) / 60000;
+  const fee = Math.min(
+    baseFee + config.CANCELLATION_FEE_PER_MIN * Math.floor(minutesLate),
+    passenger.price * config.CANCELLATION_MAX_FARE_SHARE
+  );
+
+  return {
+    kind: 'cancellation',
+    stage,
+    fee: round(fee),
+    reason: `Cancelled ${Math.floor(sinceMatch / 60000)} min after matching (${stage.replace('_', ' ')})`
+  };
+};
+
+/**
+ * Fee for a rider the driver waited for in vain
+ * @param {Object} passenger - Passenger subdocument of the pool
+ * @returns {Object} { kind, stage, fee, reason }
+ */
+const noShowFee = (passenger) => ({
+  kind: 'no_show',
+  stage: 'active',
+  fee: round(Math.min(config.NO_SHOW_FEE, passenger.price)),
+  reason: 'Rider did not show up at pickup'
+});
+
+/**
+ * Whether the driver has waited long enough at a pickup to report a no-show
+ * @param {Object} stop - Pickup stop with arrivedAt
+ * @param {Date} now
+ * @returns {boolean}
+ */
+const graceExpired = (stop, now = new Date()) =>
+  Boolean(stop.arrivedAt) && now.getTime() - new Date(stop.arrivedAt).getTime() >= config.NO_SHOW_GRACE_MS;
+
+/**
+ * Split the compensation from a fee evenly between the riders still in the
+ * pool. Nobody is credited more than they pay.
+ * @param {number} fee - Fee charged to the rider who left
+ * @param {Array} passengers - Remaining passengers with { userId, price }
+ * @returns {Map} userId -> credit
+ */
+const splitCompensation = (fee, passengers) => {
+  const credits = new Map();
+  if (fee <= 0 || passengers.length === 0) return credits;
+
+  const share = fee * config.CANCELLATION_COMPENSATION_SHARE / passengers.length;
+
+  passengers.forEach(passenger => {
+    const credit = round(Math.min(share, passenger.price));
+    if (credit > 0) {
+      credits.set(passenger.userId.toString(), credit);
+    }
+  });
+
+  return credits;
+};
+
+module.exports = {
+  cancellationStage,
+  cancellationFee,
+  noShowFee,
+  graceExpired,
+  splitCompensation
+};
@@ -0,0 +1,194 @@
+const config = require('../config/config');
+const database = require('../config/database');
+const logger = require('../utils/logger');
+const DistanceCalculator = require('../utils/distanceCalculator');
+
+/**
+ * Live demand for surge pricing.
+ *
+ * Ride requests, matches and online drivers are kept in Redis sorted sets
+ * scored by the time they were seen: one set per region, and one per geohash
+ * cell within it. Only entries from the last DEMAND_WINDOW_MS are counted, so
+ * the counts slide forward with time. A driver stays counted while they keep
+ * reporting themselves online.
+ */
+
+const KEY_PREFIX = 'demand';
+
+/**
+ * Region and geohash cell scopes a location counts towards
+ * @param {Object} location - {coordinates: [lng, lat]}, or null for the region only
+ * @param {string} region
+ * @returns {Array<string>} e.g. ['airport', 'airport:te7ud']
+ */
+const demandScopes = (location, region = config.DEMAND_REGION) => (location
+  ? [region, `${region}:${DistanceCalculator.geohash(location)}`]
+  : [region]);
+
+const counterKey = (scope, kind) => `${KEY_PREFIX}:${scope}:${kind}`;
+
+/**
+ * Add a member to the kind's window in every scope, dropping entries that
+ * have slid out of it
+ */
+const recordEvent = async (redisClient, kind, member, location, at = Date.now()) => {
+  if (!redisClient) return;
+
+  try {
+    const pipeline = redisClient.multi();
+    demandScopes(location).forEach(scope => {
+      const key = counterKey(scope, kind);
+      pipeline
+        .zadd(key, at, member)
+        .zremrangebyscore(key, '-inf', at - config.DEMAND_WINDOW_MS)
+        .pexpire(key, config.DEMAND_WINDOW_MS);
+    });
+    await pipeline.exec();
+  } catch (error) {
+    logger.warn(`Demand tracking failed for ${kind}: ${error.message}`);
+  }
+};
+
+/**
+ * Count a ride request entering matching at its pickup
+ * @param {Object} rideRequest - RideRequest document
+ * @param {Object} redisClient - Redis client
+ */
+const recordRideRequested = (rideRequest, redisClient = database.redisCache) =>
+  recordEvent(redisClient, 'requests', rideRequest._id.toString(), rideRequest.pickupLocation);
+
+/**
+ * Count a ride request placed in a pool
+ * @param {Object} rideRequest - RideRequest document
+ * @param {Object} redisClient - Redis client
+ */
+const recordRideMatched = (rideRequest, redisClient = database.redisCache) =>
+  recordEvent(redisClient, 'matches', rideRequest._id.toString(), rideRequest.pickupLocation);
+
+/**
+ * Count a driver as available at a location. Drivers report this
+ * periodically; moving to another cell takes them out of the old one.
+ * @param {string} driverId
+ * @param {Object} location - {coordinates: [lng, lat]}
+ * @param {Object} redisClient - Redis client
+ */
+const recordDriverOnline = async (driverId, location, redisClient = database.redisCache) => {
+  if (!redisClient) return;
+
+  await recordDriverOffline(driverId, redisClient);
+  await recordEvent(redisClient, 'cabs', driverId.toString(), location);
+
+  try {
+    await redisClient.set(
+      `${KEY_PREFIX}:driver:${driverId}`,
+      JSON.stringify(location.coordinates),
+      'PX',
+      config.DEMAND_WINDOW_MS
+    );
+  } catch (error) {
+    logger.warn(`Demand tracking failed for driver ${driverId}: ${error.message}`);
+  }
+};
+
+/**
+ * Stop counting a driver as available, when they go offline or take a ride
+ * @param {string} driverId
+ * @param {Object} redisClient - Redis client
+ */
+const recordDriverOffline = async (driverId, redisClient = database.redisCache) => {
+  if (!redisClient) return;
+
+  try {
+    const driverKey = `${KEY_PREFIX}:driver:${driverId}`;
+    const lastSeen = await redisClient.get(driverKey);
+    if (!lastSeen) return;
+
+    const scopes = demandScopes({ coordinates: JSON.parse(lastSeen) });
+    const pipeline = redisClient.multi();
+    scopes.forEach(scope => pipeline.zrem(counterKey(scope, 'cabs'), driverId.toString()));
+    pipeline.del(driverKey);
+    await pipeline.exec();
+  } catch (error) {
+    logger.warn(`Demand tracking failed for driver ${driverId}: ${error.message}`);
+  }
+};
+
+/**
+ * Requests, matches and available drivers in a scope's current window
+ * @returns {Promise<Object>} { requests, matches, cabs }
+ */
+const countScope = async (redisClient, scope, now) => {
+  const pipeline = redisClient.multi();
+  ['requests', 'matches', 'cabs'].forEach(kind => {
+    pipeline.zcount(counterKey(scope, kind), now - config.DEMAND_WINDOW_MS, '+inf');
+  });
+  const results = await pipeline.exec();
+  const [requests, matches, cabs] = results.map(([error, count]) => {
+    if (error) throw error;
+    return parseInt(count) || 0;
+  });
+
+  return { requests, matches, cabs };
+};
+
+/**
+ * Current demand at a location: its geohash cell's counts when the cell has
+ * seen requests in the window, otherwise the whole region's
+ * @param {Object} redisClient - Redis client
+ * @param {string} region
+ * @param {Object} location - Optional {coordinates: [lng, lat]}
+ * @param {number} now - Timestamp in ms
+ * @returns {Promise<Object>} { scope, requests, matches, cabs }
+ */
+const getDemandCounts = async (redisClient, region, location = null, now = Date.now()) => {
+  const [regionScope, cellScope] = demandScopes(location, region);
+
+  if (cellScope) {
+    const cell = await countScope(redisClient, cellScope, now);
+    if (cell.requests > 0) {
+      return { scope: cellScope, ...cell };
+    }
+  }
+
+  return { scope: regionScope, ...(await countScope(redisClient, regionScope, now)) };
+};
+
+/**
+ * Move a scope's surge factor towards the latest demand reading, so it eases
+ * up and down instead of jumping between levels. The step grows with the
+ * time since the last reading (an exponential moving average with time
+ * constant SURGE_SMOOTHING_MS); a scope with no history starts from 1.0 one
+ * window ago.
+ * @param {Object} redisClient - Redis client
+ * @param {string} scope
+ * @param {number} rawSurge - Surge factor from the current counts
+ * @param {number} now - Timestamp in ms
+ * @returns {Promise<number>} Smoothed surge factor, to two decimals
+ */
+const smoothSurge = async (redisClient, scope, rawSurge, now = Date.now()) => {
+  const key = counterKey(scope, 'surge');
+  const stored = await redisClient.get(key);
+  const previous = stored
+    ? JSON.parse(stored)
+    : { surge: 1.0, at: now - config.DEMAND_WINDOW_MS };
+
+  const weight = 1 - Math.exp(-Math.max(now - previous.at, 0) / config.SURGE_SMOOTHING_MS);
+  const surge = Math.max(
+    Math.round((previous.surge + weight * (rawSurge - previous.surge)) * 100) / 100,
+    1.0
+  );
+
+  await redisClient.set(key, JSON.stringify({ surge, at: now }), 'PX', config.DEMAND_WINDOW_MS * 4);
+
+  return surge;
+};
+
+module.exports = {
+  demandScopes,
+  recordRideRequested,
+  recordRideMatched,
+  recordDriverOnline,
+  recordDriverOffline,
+  getDemandCounts,
+  smoothSurge
+};
@@ -0,0 +1,139 @@
+const RideRequest = require('../models/RideRequest');
+const DistanceCalculator = require('../utils/distanceCalculator');
+const PricingEngine = require('./pricingEngine');
+const logger = require('../utils/logger');
+
+/**
+ * Final fares for a completed pool.
+ *
+ * Prices agreed when riders join come from estimated routes. Once the ride
+ * is over, each rider's fare is worked out again from the trip they actually
+ * took: the distance along the driven route between their pickup and
+ * dropoff, and the time between them. The pool is priced as usual from
+ * there (fair shares, loyalty, quote ceiling, promo code, compensation), and
+ * the result is held to SETTLEMENT_MAX_INCREASE above the agreed price.
+ */
+
+const round = (amount, places = 2) => Math.round(amount * 10 ** places) / 10 ** places;
+
+/**
+ * Distance, duration and detour of each rider's trip along the driven route
+ * @param {Object} pool - RidePool document with completed stops
+ * @returns {Promise<Map>} userId -> { distanceKm, durationMin, detour }
+ */
+const actualTrips = async (pool) => {
+  const stops = [...pool.route.stops].sort((a, b) => a.sequence - b.sequence);
+  const matrix = await DistanceCalculator.buildMatrix(stops.map(stop => stop.location));
+  const detours = DistanceCalculator.calculatePassengerDetours(stops, matrix);
+  const trips = new Map();
+
+  pool.passengers.forEach(passenger => {
+    const key = passenger.userId.toString();
+    const route = detours.get(key);
+    if (!route) return;
+
+    const durationMin = passenger.actualPickupTime && passenger.actualDropoffTime
+      ? (passenger.actualDropoffTime - passenger.actualPickupTime) / 60000
+      : DistanceCalculator.estimateDuration(route.rideDistance);
+
+    trips.set(key, {
+      distanceKm: round(route.rideDistance),
+      durationMin: round(Math.max(durationMin, 0), 1),
+      detour: route.detour
+    });
+  });
+
+  return trips;
+};
+
+/**
+ * A ride request priced on the trip actually taken instead of its estimate
+ */
+const billedRequest = (rideRequest, trip) => ({
+  _id: rideRequest._id,
+  pickupLocation: rideRequest.pickupLocation,
+  dropoffLocation: rideRequest.dropoffLocation,
+  loyaltyTier: rideRequest.loyaltyTier,
+  quote: rideRequest.quote,
+  promo: rideRequest.promo,
+  metadata: { estimatedDistance: trip.distanceKm, estimatedDuration: trip.durationMin }
+});
+
+/**
+ * Settle every rider dropped off in a completed pool: replace their price
+ * and fare breakdown with the final fare, record the adjustment and mark
+ * the fare as due. Riders who left the pool are not charged here.
+ * @param {Object} pool - RidePool document, changed in place
+ * @param {Date} now
+ * @returns {Promise<Array>} Settlements as { userId, agreedPrice, finalPrice, adjustment }
+ */
+const settlePool = async (pool, now = new Date()) => {
+  // The cap is measured from the agreed price, so a pool is settled once
+  if (pool.pricing.settledAt) {
+    return [];
+  }
+
+  const riders = pool.passengers.filter(p => p.status === 'dropped_off');
+  const trips = await actualTrips(pool);
+  const requests = await RideRequest.find({ _id: { $in: riders.map(p => p.requestId) } });
+  const requestById = new Map(requests.map(r => [r._id.toString(), r]));
+
+  const billed = riders
+    .filter(p => trips.has(p.userId.toString()) && requestById.has(p.requestId.toString()))
+    .map(p => ({ passenger: p, trip: trips.get(p.userId.toString()) }));
+
+  const fares = PricingEngine.calculatePoolFares(
+    {
+      passengers: billed.map(({ passenger, trip }) => ({
+        userId: passenger.userId,
+        requestId: passenger.requestId,
+        status: passenger.status,
+        detour: trip.detour
+      })),
+      vehicle: pool.vehicle,
+      pricing: pool.pricing
+    },
+    billed.map(({ passenger, trip }) =>
+      billedRequest(requestById.get(passenger.requestId.toString()), trip))
+  );
+
+  const settlements = billed.map(({ passenger, trip }) => {
+    const agreedPrice = passenger.price;
+    const fare = fares.get(passenger.userId.toString());
+
+    PricingEngine.applyCompensation(fare, passenger.compensation);
+    PricingEngine.applySettlementCap(fare, agreedPrice);
+
+    const adjustment = round(fare.total - agreedPrice);
+
+    if (adjustment !== 0) {
+      passenger.priceHistory.push({ from: agreedPrice, to: fare.total, reason: 'Settled on the actual trip', at: now });
+    }
+
+    passenger.price = fare.total;
+    passenger.fareBreakdown = fare;
+    passenger.settlement = {
+      agreedPrice,
+      finalPrice: fare.total,
+      adjustment,
+      distanceKm: trip.distanceKm,
+      durationMin: trip.durationMin,
+      settledAt: now
+    };
+    passenger.paymentStatus = fare.total > 0 ? 'due' : 'waived';
+
+    return { userId: passenger.userId, agreedPrice, finalPrice: fare.total, adjustment };
+  });
+
+  pool.pricing.totalPrice = round(riders.reduce((sum, p) => sum + p.price, 0));
+  pool.pricing.settledAt = now;
+
+  logger.info(`Settled ${settlements.length} fares in pool ${pool._id}: total $${pool.pricing.totalPrice}`);
+
+  return settlements;
+};
+
+module.exports = {
+  actualTrips,
+  settlePool
+};
@@ -0,0 +1,87 @@
+const fs = require('fs');
+const config = require('../config/config');
+
+/**
+ * Flight status provider interface
+ *
+ * Implementations look up a flight's arrival estimate. Statuses are
+ * 'scheduled', 'delayed', 'landed' or 'cancelled'.
+ */
+class FlightStatusProvider {
+  /**
+   * @param {string} flightNumber - IATA flight number, e.g. 'UA837'
+   * @returns {Promise<Object|null>} { flightNumber, status, scheduledArrival, estimatedArrival },
+   *   or null if the flight is unknown
+   */
+  async getFlightStatus() {
+    throw new Error(`${this.constructor.name} does not implement getFlightStatus`);
+  }
+
+  /**
+   * 'ua 837' -> 'UA837'
+   */
+  static normalizeFlightNumber(flightNumber) {
+    return flightNumber.replace(/\s+/g, '').toUpperCase();
+  }
+}
+
+/**
+ * Flight statuses read from a JSON file, for local development and tests.
+ * The file is re-read on every lookup so it can be edited to simulate delays.
+ *
+ * File format:
+ *   { "UA837": { "status": "delayed",
+ *                "scheduledArrival": "2024-02-16T18:00:00Z",
+ *                "estimatedArrival": "2024-02-16T18:40:00Z" } }
+ */
+class FileFlightStatusProvider extends FlightStatusProvider {
+  constructor(options = {}) {
+    super();
+    this.filePath = options.filePath || config.FLIGHT_STATUS_FILE;
+  }
+
+  readFlights() {
+    if (!this.filePath || !fs.existsSync(this.filePath)) {
+      return {};
+    }
+    return JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+  }
+
+  async getFlightStatus(flightNumber) {
+    const normalized = FlightStatusProvider.normalizeFlightNumber(flightNumber);
+    const flight = this.readFlights()[normalized];
+
+    if (!flight) {
+      return null;
+    }
+
+    const scheduledArrival = new Date(flight.scheduledArrival);
+
+    return {
+      flightNumber: normalized,
+      status: flight.status || 'scheduled',
+      scheduledArrival,
+      estimatedArrival: flight.estimatedArrival ? new Date(flight.estimatedArrival) : scheduledArrival
+    };
+  }
+}
+
+/**
+ * Create the flight status provider selected in configuration
+ * @param {string} name - 'file'
+ * @returns {FlightStatusProvider}
+ */
+const createFlightStatusProvider = (name = config.FLIGHT_STATUS_PROVIDER) => {
+  switch (name) {
+    case 'file':
+      return new FileFlightStatusProvider();
+    default:
+      throw new Error(`Unknown flight status provider: ${name}`);
+  }
+};
+
+module.exports = {
+  FlightStatusProvider,
+  FileFlightStatusProvider,
+  createFlightStatusProvider
+};
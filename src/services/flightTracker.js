@@ -0,0 +1,226 @@
+const RideRequest = require('../models/RideRequest');
+const RidePool = require('../models/RidePool');
+const config = require('../config/config');
+const logger = require('../utils/logger');
+const { createFlightStatusProvider } = require('./flightStatusProviders');
+const { activateScheduledRequest, enqueueRideRequest } = require('./matchingQueue');
+const {
+  matchingWindowStart,
+  matchingExpiry,
+  isTimeCompatible
+} = require('./rideScheduler');
+const { POOL_EVENTS, publishPoolEvent } = require('./poolEvents');
+
+class FlightTracker {
+  /**
+   * Keeps pickup times of flight-linked ride requests in step with their
+   * flights' arrival estimates
+   * @param {Object} matchingEngine - MatchingEngine instance (locks, cancellation)
+   * @param {FlightStatusProvider} provider - Flight status source
+   * @param {Object} options - { intervalMs }
+   */
+  constructor(matchingEngine, provider = createFlightStatusProvider(), options = {}) {
+    this.matchingEngine = matchingEngine;
+    this.provider = provider;
+    this.intervalMs = options.intervalMs || config.FLIGHT_REFRESH_INTERVAL_MS;
+    this.timer = null;
+  }
+
+  start() {
+    if (this.timer) return;
+
+    this.timer = setInterval(() => {
+      this.refreshFlights().catch(error => {
+        logger.error('Flight status refresh failed:', error);
+      });
+    }, this.intervalMs);
+
+    logger.info(`Flight tracker started, refreshing every ${this.intervalMs}ms`);
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  /**
+   * Look up every tracked flight landing soon and apply arrival changes
+   * @returns {Promise<Object>} { flights, updated }
+   */
+  async refreshFlights() {
+    const lockKey = 'flights:refresh';
+    let lockValue;
+
+    try {
+      lockValue = await this.matchingEngine.acquireLock(lockKey, this.intervalMs);
+    } catch (error) {
+      logger.debug('Skipping flight refresh, lock held elsewhere');
+      return { flights: 0, updated: 0 };
+    }
+
+    try {
+      const requests = await RideRequest.find({
+        'flight.number': { $exists: true },
+        status: { $in: ['scheduled', 'pending', 'matched'] },
+        scheduledPickupTime: { $lte: new Date(Date.now() + config.FLIGHT_TRACKING_HORIZON_MS) }
+      });
+
+      const byFlight = new Map();
+      requests.forEach(request => {
+        const number = request.flight.number;
+        if (!byFlight.has(number)) byFlight.set(number, []);
+        byFlight.get(number).push(request);
+      });
+
+      let updated = 0;
+      for (const [number, flightRequests] of byFlight) {
+        let flightStatus;
+        try {
+          flightStatus = await this.provider.getFlightStatus(number);
+        } catch (error) {
+          logger.warn(`Flight status lookup failed for ${number}: ${error.message}`);
+          continue;
+        }
+
+        if (!flightStatus) continue;
+
+        for (const request of flightRequests) {
+          if (await this.applyFlightStatus(request, flightStatus)) {
+            updated++;
+          }
+        }
+      }
+
+      return { flights: byFlight.size, updated };
+
+    } finally {
+      await this.matchingEngine.releaseLock(lockKey, lockValue);
+    }
+  }
+
+  /**
+   * Record a flight's latest status on a request and shift its pickup time
+   * by the change in arrival estimate
+   * @param {Object} rideRequest - RideRequest document with flight details
+   * @param {Object} flightStatus - As returned by the provider
+   * @returns {Promise<boolean>} true if the pickup time moved
+   */
+  async applyFlightStatus(rideRequest, flightStatus) {
+    const previousArrival = rideRequest.flight.estimatedArrival;
+    const shiftMs = flightStatus.estimatedArrival.getTime() -
+      (previousArrival ? previousArrival.getTime() : flightStatus.estimatedArrival.getTime());
+
+    rideRequest.flight.status = flightStatus.status;
+    rideRequest.flight.estimatedArrival = flightStatus.estimatedArrival;
+    rideRequest.flight.lastCheckedAt = new Date();
+
+    if (Math.abs(shiftMs) < config.FLIGHT_CHANGE_THRESHOLD_MS) {
+      await rideRequest.save();
+      return false;
+    }
+
+    const pickupTime = new Date(Math.max(
+      rideRequest.scheduledPickupTime.getTime() + shiftMs,
+      Date.now()
+    ));
+
+    logger.info(
+      `Flight ${flightStatus.flightNumber} arrival moved ${Math.round(shiftMs / 60000)} min; ` +
+      `request ${rideRequest._id} pickup now ${pickupTime.toISOString()}`
+    );
+
+    if (rideRequest.status === 'matched') {
+      await rideRequest.save();
+      await this.reevaluatePool(rideRequest, pickupTime);
+      return true;
+    }
+
+    const opensAt = matchingWindowStart(pickupTime);
+    rideRequest.scheduledPickupTime = pickupTime;
+    rideRequest.matchingWindowOpensAt = opensAt;
+    if (rideRequest.status === 'scheduled') {
+      rideRequest.expiresAt = matchingExpiry(opensAt);
+    }
+    await rideRequest.save();
+
+    // An earlier arrival can open the matching window straight away
+    if (rideRequest.status === 'scheduled' && opensAt <= new Date()) {
+      await activateScheduledRequest(rideRequest._id);
+    }
+
+    return true;
+  }
+
+  /**
+   * Move a matched rider's pickup time. The rider stays in the pool if they
+   * still leave close enough to everyone else; otherwise they leave it and
+   * go back to matching for the new time.
+   * @param {Object} rideRequest - Matched RideRequest document
+   * @param {Date} pickupTime - New pickup time
+   */
+  async reevaluatePool(rideRequest, pickupTime) {
+    const poolId = rideRequest.matchedPoolId;
+    const lockKey = `pool:${poolId}`;
+    const lockValue = await this.matchingEngine.acquireLock(lockKey);
+    let stillFits;
+
+    try {
+      const pool = await RidePool.findById(poolId);
+      const passenger = pool?.passengers.find(
+        p => p.requestId.toString() === rideRequest._id.toString()
+      );
+
+      if (!passenger || !['forming', 'matched'].includes(pool.status) || passenger.status !== 'waiting') {
+        // Already on the way; the driver handles the timing
+        return;
+      }
+
+      stillFits = pool.passengers
+        .filter(p => p !== passenger && p.pickupTime)
+        .every(p => isTimeCompatible(p.pickupTime, pickupTime));
+
+      if (stillFits) {
+        passenger.pickupTime = pickupTime;
+        await pool.save();
+        await RideRequest.findByIdAndUpdate(rideRequest._id, {
+          scheduledPickupTime: pickupTime,
+          matchingWindowOpensAt: matchingWindowStart(pickupTime)
+        });
+
+        await publishPoolEvent(pool._id, POOL_EVENTS.SCHEDULE_UPDATED, {
+          userId: passenger.userId,
+          pickupTime,
+          targetPickupTime: pool.targetPickupTime
+        });
+        return;
+      }
+    } finally {
+      await this.matchingEngine.releaseLock(lockKey, lockValue);
+    }
+
+    // cancelRide takes the pool lock itself
+    const opensAt = matchingWindowStart(pickupTime);
+    const windowOpen = opensAt <= new Date();
+
+    await this.matchingEngine.cancelRide(rideRequest.userId, poolId, {
+      reason: 'Flight arrival changed',
+      requestUpdate: {
+        status: windowOpen ? 'pending' : 'scheduled',
+        matchedPoolId: null,
+        scheduledPickupTime: pickupTime,
+        matchingWindowOpensAt: opensAt,
+        expiresAt: matchingExpiry(windowOpen ? new Date() : opensAt)
+      }
+    });
+
+    if (windowOpen && config.MATCHING_MODE !== 'batch') {
+      await enqueueRideRequest(rideRequest);
+    }
+
+    logger.info(`Request ${rideRequest._id} left pool ${poolId} to be re-matched after a flight change`);
+  }
+}
+
+module.exports = FlightTracker;
@@ -0,0 +1,101 @@
+const LedgerTransaction = require('../models/LedgerTransaction');
+const logger = require('../utils/logger');
+const { createError } = require('../utils/errors');
+
+/**
+ * Double-entry ledger of money moving through rides.
+ *
+ * Every transaction debits and credits accounts (see LedgerTransaction) by
+ * the same total, so the ledger as a whole always balances. Transactions
+ * carry an idempotency key; posting a key again returns the transaction
+ * already posted, so retries never record money twice.
+ */
+
+const ACCOUNTS = {
+  CASH: 'cash',
+  FARE_REVENUE: 'revenue:fares',
+  FEE_REVENUE: 'revenue:fees',
+  PROMO_EXPENSE: 'expense:promotions',
+  COMPENSATION_EXPENSE: 'expense:compensation',
+  REFUND_EXPENSE: 'expense:refunds'
+};
+
+const riderAccount = (userId) => `rider:${userId}`;
+const driverAccount = (userId) => `driver:${userId}`;
+const walletAccount = (userId) => `wallet:${userId}`;
+const organizationAccount = (organizationId) => `organization:${organizationId}`;
+
+const cents = (amount) => Math.round((amount || 0) * 100);
+
+/**
+ * Post a balanced transaction, once per idempotency key
+ * @param {Object} transaction - { type, idempotencyKey, description, entries, userId, requestId, poolId, paymentId }
+ *   entries are { account, debit } or { account, credit }; zero entries are dropped
+ * @returns {Promise<Object>} The posted LedgerTransaction
+ * @throws {Error} 400 if the entries do not balance
+ */
+const postTransaction = async (transaction) => {
+  const existing = await LedgerTransaction.findOne({ idempotencyKey: transaction.idempotencyKey });
+  if (existing) {
+    return existing;
+  }
+
+  const entries = transaction.entries
+    .map(({ account, debit = 0, credit = 0 }) => ({ account, debit: cents(debit) / 100, credit: cents(credit) / 100 }))
+    .filter(entry => entry.debit > 0 || entry.credit > 0);
+  const debits = entries.reduce((sum, entry) => sum + cents(entry.debit), 0);
+  const credits = entries.reduce((sum, entry) => sum + cents(entry.credit), 0);
+
+  if (debits !== credits) {
+    throw createError(`Ledger transaction ${transaction.idempotencyKey} does not balance`, 400);
+  }
+
+  if (debits === 0) {
+    return null;
+  }
+
+  try {
+    const posted = await LedgerTransaction.create({ ...transaction, entries });
+    logger.info(`Posted ${posted.type} ${posted.idempotencyKey} for $${debits / 100}`);
+    return posted;
+  } catch (error) {
+    // Another process posted the same key first
+    if (error.code === 11000) {
+      return LedgerTransaction.findOne({ idempotencyKey: transaction.idempotencyKey });
+    }
+    throw error;
+  }
+};
+
+/**
+ * Balance of an account: debits minus credits
+ * @param {string} account
+ * @returns {Promise<number>} Positive for debit balances (assets, expenses),
+ *   negative for credit balances (liabilities, revenue)
+ */
+const accountBalance = async (account) => {
+  const [result] = await LedgerTransaction.aggregate([
+    { $match: { 'entries.account': account } },
+    { $unwind: '$entries' },
+    { $match: { 'entries.account': account } },
+    {
+      $group: {
+        _id: null,
+        debit: { $sum: '$entries.debit' },
+        credit: { $sum: '$entries.credit' }
+      }
+    }
+  ]);
+
+  return result ? Math.round((result.debit - result.credit) * 100) / 100 : 0;
+};
+
+module.exports = {
+  ACCOUNTS,
+  riderAccount,
+  driverAccount,
+  walletAccount,
+  organizationAccount,
+  postTransaction,
+  accountBalance
+};
@@ -0,0 +1,93 @@
+const User = require('../models/User');
+const config = require('../config/config');
+const logger = require('../utils/logger');
+
+/**
+ * Loyalty tiers earned by completed rides.
+ *
+ * A rider moves up to a tier once their totalRides reaches its minRides in
+ * LOYALTY_TIERS. Tiers are never lowered automatically, so a tier granted by
+ * hand is kept.
+ */
+
+/**
+ * Tier names, lowest first
+ * @returns {Array<string>}
+ */
+const tierOrder = () => Object.keys(config.LOYALTY_TIERS)
+  .sort((a, b) => config.LOYALTY_TIERS[a].minRides - config.LOYALTY_TIERS[b].minRides);
+
+/**
+ * Highest tier a number of completed rides earns
+ * @param {number} totalRides
+ * @returns {string}
+ */
+const tierForRides = (totalRides) => tierOrder()
+  .filter(tier => totalRides >= config.LOYALTY_TIERS[tier].minRides)
+  .pop();
+
+/**
+ * Whether tier a ranks above tier b
+ */
+const isHigherTier = (a, b) => tierOrder().indexOf(a) > tierOrder().indexOf(b);
+
+/**
+ * A rider's tier, discount and distance to the next tier
+ * @param {Object} user - User with tier and totalRides
+ * @returns {Object} { tier, totalRides, discount, nextTier, nextTierRides, ridesToNextTier }
+ */
+const tierProgress = (user) => {
+  const tier = user.tier || 'basic';
+  const totalRides = user.totalRides || 0;
+  const order = tierOrder();
+  const nextTier = order[order.indexOf(tier) + 1] || null;
+  const nextTierRides = nextTier ? config.LOYALTY_TIERS[nextTier].minRides : null;
+
+  return {
+    tier,
+    totalRides,
+    discount: Math.round((1 - config.LOYALTY_TIERS[tier].priceFactor) * 100) / 100,
+    nextTier,
+    nextTierRides,
+    ridesToNextTier: nextTier ? Math.max(nextTierRides - totalRides, 0) : null
+  };
+};
+
+/**
+ * Count a completed ride for each rider and promote those reaching a new tier
+ * @param {Array} userIds - Riders who completed the ride
+ * @returns {Promise<Array>} Promotions as { userId, from, to }
+ */
+const recordCompletedRides = async (userIds) => {
+  const promotions = [];
+
+  for (const userId of userIds) {
+    const user = await User.findByIdAndUpdate(
+      userId,
+      { $inc: { totalRides: 1 } },
+      { new: true }
+    );
+
+    if (!user) continue;
+
+    const earned = tierForRides(user.totalRides);
+    if (!isHigherTier(earned, user.tier)) continue;
+
+    // Guard on the old tier so concurrent completions promote only once
+    const result = await User.updateOne({ _id: userId, tier: user.tier }, { tier: earned });
+
+    if (result.modifiedCount > 0) {
+      logger.info(`User ${userId} promoted from ${user.tier} to ${earned} after ${user.totalRides} rides`);
+      promotions.push({ userId, from: user.tier, to: earned });
+    }
+  }
+
+  return promotions;
+};
+
+module.exports = {
+  tierOrder,
+  tierForRides,
+  tierProgress,
+  recordCompletedRides
+};
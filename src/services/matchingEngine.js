@@ -1,8 +1,28 @@
 const RidePool = require('../models/RidePool');
 const RideRequest = require('../models/RideRequest');
 const DistanceCalculator = require('../utils/distanceCalculator');
+const VehicleFleet = require('../utils/vehicleFleet');
 const config = require('../config/config');
+const database = require('../config/database');
 const logger = require('../utils/logger');
+const { createError } = require('../utils/errors');
+const {
+  transitionPool,
+  transitionPassenger,
+  assertCanCancelPassenger
+} = require('./poolStateMachine');
+const {
+  POOL_EVENTS,
+  publishPoolEvent,
+  publishStatusChange,
+  routeSnapshot,
+  priceSnapshot
+} = require('./poolEvents');
+const { desiredPickupTime } = require('./rideScheduler');
+const { recordRideMatched } = require('./demandTracker');
+const { reversePromoRedemption } = require('./promoCodes');
+const { cancellationFee, noShowFee, splitCompensation } = require('./cancellationPolicy');
+const { authorizeRide, chargeCancellation } = require('./payments');
 const { v4: uuidv4 } = require('uuid');
 
 class MatchingEngine {
@@ -15,18 +35,14 @@ class MatchingEngine {
   /**
    * Process a ride request - find matching pool or create new one
    * @param {Object} rideRequest - RideRequest document
-   * @returns {Object} { poolId, isNewPool, estimatedPrice }
+   * @returns {Object} { poolId, isNewPool, estimatedPrice, detour, passengerDetours, routeSavings }
    */
   async processRideRequest(rideRequest) {
     logger.info(`Processing ride request ${rideRequest._id} for user ${rideRequest.userId}`);
 
     try {
       // Step 1: Find nearby available pools
-      const nearbyPools = await this.findNearbyPools(
-        rideRequest.pickupLocation,
-        rideRequest.passengers,
-        rideRequest.luggage
-      );
+      const nearbyPools = await this.findNearbyPools(rideRequest);
 
       logger.debug(`Found ${nearbyPools.length} nearby pools for request ${rideRequest._id}`);
 
@@ -47,7 +63,9 @@ class MatchingEngine {
                 poolId: matchedPool._id,
                 isNewPool: false,
                 estimatedPrice: result.price,
-                detour: result.detour
+                detour: result.detour,
+                passengerDetours: result.passengerDetours,
+                routeSavings: result.routeSavings
               };
             }
           } finally {
@@ -64,7 +82,9 @@ class MatchingEngine {
         poolId: newPool._id,
         isNewPool: true,
         estimatedPrice: newPool.passengers[0].price,
-        detour: 0
+        detour: 0,
+        passengerDetours: this.summarizePassengerDetours(newPool),
+        routeSavings: 0
       };
 
     } catch (error) {
@@ -74,69 +94,139 @@ class MatchingEngine {
   }
 
   /**
-   * Find nearby available pools
+   * Find open pools with a stop near the pickup, using the 2dsphere index on
+   * route stops. Only pools leaving close to the request's pickup time, with
+   * a trip heading in the request's compass sector or a neighbouring one,
+   * in a vehicle the rider accepts (or can be upgraded to one), are fetched;
+   * those are ranked by proximity and by how closely their riders' headings
+   * match the request's.
+   * @param {Object} rideRequest - Ride request with pickup, dropoff, passengers and luggage
+   * @returns {Promise<Array>} Best-ranked pools, each with proximityMeters and matchScore
    */
-  async findNearbyPools(pickupLocation, requiredSeats, requiredLuggage) {
+  async findNearbyPools(rideRequest) {
     try {
-      const pools = await RidePool.find({
-        status: { $in: ['forming', 'matched'] },
-        $expr: {
-          $and: [
-            { $lte: [{ $add: ['$currentOccupancy.seats', requiredSeats] }, '$vehicle.capacity'] },
-            { $lte: [{ $add: ['$currentOccupancy.luggage', requiredLuggage] }, '$vehicle.luggageCapacity'] }
-          ]
-        }
-      })
-      .limit(20)
-      .lean();
+      const pickupTime = desiredPickupTime(rideRequest).getTime();
 
-      // Filter by distance (MongoDB geospatial query might not work on all stops)
-      const nearbyPools = pools.filter(pool => {
-        if (pool.route.stops.length === 0) return false;
-        
-        // Check if pickup is within radius of any stop
-        return pool.route.stops.some(stop => 
-          DistanceCalculator.isWithinRadius(
-            pickupLocation,
-            stop.location,
-            this.matchingRadius
-          )
-        );
-      });
+      const pools = await RidePool.findAvailableNearby(
+        rideRequest.pickupLocation,
+        this.matchingRadius,
+        rideRequest.passengers,
+        rideRequest.luggage,
+        {
+          limit: config.MATCHING_NEARBY_LIMIT,
+          sectors: DistanceCalculator.neighbouringSectors(
+            DistanceCalculator.tripSector(rideRequest.pickupLocation, rideRequest.dropoffLocation)
+          ),
+          pickupWindow: {
+            from: new Date(pickupTime - config.SCHEDULED_POOL_WINDOW_MS),
+            to: new Date(pickupTime + config.SCHEDULED_POOL_WINDOW_MS)
+          },
+          vehicleTypes: VehicleFleet.allowedTypes(rideRequest.preferredVehicleType)
+        }
+      );
 
-      return nearbyPools.map(pool => ({ ...pool, _id: pool._id.toString() }));
+      return this.rankCandidates(rideRequest, pools)
+        .slice(0, config.MATCHING_CANDIDATE_LIMIT)
+        .map(pool => ({ ...pool, _id: pool._id.toString() }));
     } catch (error) {
       logger.error('Error finding nearby pools:', error);
       return [];
     }
   }
 
+  /**
+   * Order candidate pools by a combined score, lowest first: distance to the
+   * pool's nearest stop as a fraction of the matching radius, plus the
+   * smallest angle between a pooled rider's pickup-to-dropoff heading and the
+   * request's, as a fraction of 180 degrees
+   * @param {Object} rideRequest - Ride request with pickupLocation and dropoffLocation
+   * @param {Array} pools - Pools with passengers and proximityMeters
+   * @returns {Array} Pools with matchScore, best first
+   */
+  rankCandidates(rideRequest, pools) {
+    const requestBearing = DistanceCalculator.calculateBearing(
+      rideRequest.pickupLocation,
+      rideRequest.dropoffLocation
+    );
+
+    return pools
+      .map(pool => {
+        const headingOffset = Math.min(...pool.passengers.map(passenger =>
+          DistanceCalculator.bearingDifference(
+            requestBearing,
+            DistanceCalculator.calculateBearing(passenger.pickupLocation, passenger.dropoffLocation)
+          )
+        ));
+        const matchScore =
+          (pool.proximityMeters / 1000) / this.matchingRadius +
+          config.MATCHING_DIRECTION_WEIGHT * (headingOffset / 180);
+
+        return { ...pool, matchScore };
+      })
+      .sort((a, b) => a.matchScore - b.matchScore);
+  }
+
   /**
    * Find the best matching pool based on detour and other factors
    */
   async findBestMatch(rideRequest, pools) {
     let bestPool = null;
     let minCost = Infinity;
+    const vehicleTypes = VehicleFleet.allowedTypes(rideRequest.preferredVehicleType);
+
+    // One road-distance lookup covers every candidate pool
+    const matrix = await DistanceCalculator.buildMatrix([
+      rideRequest.pickupLocation,
+      rideRequest.dropoffLocation,
+      ...pools.flatMap(pool => pool.route.stops.map(stop => stop.location))
+    ]);
 
     for (const pool of pools) {
       // Calculate detour if this request is added
       const detourResult = DistanceCalculator.calculateDetour(
         pool.route.stops,
         rideRequest.pickupLocation,
-        rideRequest.dropoffLocation
+        rideRequest.dropoffLocation,
+        rideRequest.userId,
+        matrix
       );
 
-      // Check detour tolerance
-      if (detourResult.detourPercentage > rideRequest.detourTolerance) {
+      // Check every passenger's own detour, riders already in the pool included
+      const tolerances = new Map(pool.passengers.map(p => [p.userId.toString(), p.detourTolerance]));
+      tolerances.set(rideRequest.userId.toString(), rideRequest.detourTolerance);
+
+      const { feasible, detours } = MatchingEngine.checkPassengerDetours(
+        detourResult.bestRoute,
+        tolerances,
+        matrix
+      );
+
+      if (!feasible) {
         continue;
       }
 
+      detourResult.passengerDetours = detours;
+      detourResult.newDuration = DistanceCalculator.calculateRouteDuration(detourResult.bestRoute, matrix);
+
+      // Joining may need a bigger vehicle, which costs the rider more
+      const needsUpgrade = !vehicleTypes.includes(pool.vehicle.type) ||
+        pool.currentOccupancy.seats + rideRequest.passengers > pool.vehicle.capacity ||
+        pool.currentOccupancy.luggage + rideRequest.luggage > pool.vehicle.luggageCapacity;
+      const upgradeType = needsUpgrade
+        ? VehicleFleet.smallestFitting(
+          pool.currentOccupancy.seats + rideRequest.passengers,
+          pool.currentOccupancy.luggage + rideRequest.luggage,
+          vehicleTypes.filter(type => (pool.vehicle.allowedTypes || [pool.vehicle.type]).includes(type))
+        )
+        : pool.vehicle.type;
+
       // Calculate cost metric (lower is better)
-      // Cost = detour * 100 + distance_penalty + time_penalty
+      // Cost = detour * 100 + distance_penalty + time_penalty + upgrade_penalty
       const cost = 
         detourResult.detourPercentage * 100 +
         (pool.route.stops.length * 10) + // Prefer pools with fewer stops
-        (pool.currentOccupancy.seats * 5); // Prefer less crowded pools
+        (pool.currentOccupancy.seats * 5) + // Prefer less crowded pools
+        (VehicleFleet.priceMultiplier(upgradeType) - VehicleFleet.priceMultiplier(pool.vehicle.type)) * 100;
 
       if (cost < minCost) {
         minCost = cost;
@@ -151,31 +241,52 @@ class MatchingEngine {
   }
 
   /**
-   * Add passenger to existing pool
+   * Add passenger to existing pool. Only a failure before the pool is saved
+   * is reported as { success: false }; once saved, the rider is in the pool
+   * and must not be placed in another.
    */
   async addToExistingPool(poolData, rideRequest) {
+    let pool;
+    let previousVehicle;
+    let previousStatus;
+    let upgradedTo = null;
+
     try {
-      const pool = await RidePool.findById(poolData._id);
+      pool = await RidePool.findById(poolData._id);
       
       if (!pool) {
         return { success: false, error: 'Pool not found' };
       }
 
-      // Double-check capacity
-      if (!pool.canAccommodate(rideRequest.passengers, rideRequest.luggage)) {
-        return { success: false, error: 'Pool is full' };
+      // Double-check capacity, moving a forming pool to a bigger vehicle if
+      // that lets this party join
+      const vehicleTypes = VehicleFleet.allowedTypes(rideRequest.preferredVehicleType);
+      previousVehicle = pool.vehicle.type;
+
+      if (!vehicleTypes.includes(pool.vehicle.type) ||
+          !pool.canAccommodate(rideRequest.passengers, rideRequest.luggage)) {
+        upgradedTo = pool.findVehicleUpgrade(rideRequest.passengers, rideRequest.luggage, vehicleTypes);
+
+        if (!upgradedTo) {
+          return { success: false, error: 'Pool is full' };
+        }
+
+        pool.upgradeVehicle(upgradedTo);
       }
 
       // Use pre-calculated detour
-      const { detourPercentage, bestRoute } = poolData.calculatedDetour;
+      const { bestRoute } = poolData.calculatedDetour;
 
-      // Calculate price for this passenger
+      // Calculate price for this passenger, in the pool's vehicle at the
+      // surge in force now
       const PricingEngine = require('./pricingEngine');
-      const price = PricingEngine.calculatePassengerPrice(
+      await this.applyCurrentDemand(pool, rideRequest.pickupLocation);
+      const fareBreakdown = PricingEngine.calculatePassengerFare(
         rideRequest,
         pool,
-        detourPercentage
+        poolData.calculatedDetour.detourPercentage
       );
+      const price = fareBreakdown.total;
 
       // Add passenger to pool
       const passengerData = {
@@ -185,73 +296,134 @@ class MatchingEngine {
         pickupAddress: rideRequest.pickupAddress,
         dropoffLocation: rideRequest.dropoffLocation,
         dropoffAddress: rideRequest.dropoffAddress,
+        pickupTime: desiredPickupTime(rideRequest),
         price: price,
+        fareBreakdown,
+        detourTolerance: rideRequest.detourTolerance,
         passengerCount: rideRequest.passengers,
         luggageCount: rideRequest.luggage,
+        preferredVehicleType: rideRequest.preferredVehicleType,
+        organizationId: rideRequest.billing?.organizationId,
         status: 'waiting'
       };
 
       pool.addPassenger(passengerData);
 
-      // Update route with best route
+      // Update route with the re-optimized stop order
       pool.route.stops = bestRoute.map((stop, idx) => ({
         ...stop,
-        passengerId: stop.type === 'pickup' 
-          ? (stop.passengerId || rideRequest.userId)
-          : (stop.passengerId || rideRequest.userId),
         sequence: idx,
-        address: stop.type === 'pickup' ? rideRequest.pickupAddress : rideRequest.dropoffAddress
+        address: stop.address ||
+          (stop.type === 'pickup' ? rideRequest.pickupAddress : rideRequest.dropoffAddress)
       }));
 
       pool.route.totalDistance = poolData.calculatedDetour.newDistance;
-      pool.route.totalDuration = DistanceCalculator.estimateDuration(pool.route.totalDistance);
+      pool.route.totalDuration = poolData.calculatedDetour.newDuration;
+      pool.route.optimizationSavings = poolData.calculatedDetour.distanceSaved;
       pool.route.optimizedAt = new Date();
+      this.applyPassengerDetours(pool, poolData.calculatedDetour.passengerDetours);
+
+      // A bigger pool is cheaper for everyone in it
+      await this.repricePool(pool, [rideRequest], 'Passenger joined');
 
       // Update status if pool is ready
+      previousStatus = pool.status;
       if (pool.passengers.length >= 2 && pool.status === 'forming') {
-        pool.status = 'matched';
-        pool.matchedAt = new Date();
+        transitionPool(pool, 'matched', 'Second passenger joined');
       }
 
       await pool.save();
 
-      // Update request status
-      await RideRequest.findByIdAndUpdate(rideRequest._id, {
-        status: 'matched',
-        matchedPoolId: pool._id
-      });
-
-      return {
-        success: true,
-        price: price,
-        detour: detourPercentage
-      };
-
     } catch (error) {
       logger.error('Error adding to existing pool:', error);
       return { success: false, error: error.message };
     }
+
+    await this.recordMatch(rideRequest, pool);
+
+    // Notify riders already in the pool
+    await publishPoolEvent(pool._id, POOL_EVENTS.PASSENGER_JOINED, {
+      userId: rideRequest.userId,
+      passengerCount: rideRequest.passengers,
+      currentOccupancy: pool.currentOccupancy
+    });
+    if (upgradedTo) {
+      logger.info(`Pool ${pool._id} upgraded from ${previousVehicle} to ${upgradedTo}`);
+      await publishPoolEvent(pool._id, POOL_EVENTS.VEHICLE_UPGRADED, {
+        from: previousVehicle,
+        to: upgradedTo,
+        capacity: pool.vehicle.capacity,
+        luggageCapacity: pool.vehicle.luggageCapacity
+      });
+    }
+    await publishPoolEvent(pool._id, POOL_EVENTS.ROUTE_UPDATED, routeSnapshot(pool));
+    await publishPoolEvent(pool._id, POOL_EVENTS.PRICE_UPDATED, priceSnapshot(pool));
+    await publishStatusChange(pool, previousStatus);
+
+    const joined = pool.passengers.find(p => p.requestId.toString() === rideRequest._id.toString());
+
+    return {
+      success: true,
+      price: joined.price,
+      detour: poolData.calculatedDetour.detourPercentage,
+      passengerDetours: this.summarizePassengerDetours(pool),
+      routeSavings: poolData.calculatedDetour.distanceSaved
+    };
   }
 
   /**
-   * Create a new ride pool
+   * Record a request's place in a pool that has been saved: mark the request
+   * matched, count the match and authorize payment. The rider is in the pool
+   * whatever happens here, so a failing step is logged instead of thrown,
+   * which would send the request back to matching and into a second pool.
+   * @param {Object} rideRequest - RideRequest document
+   * @param {Object} pool - Saved RidePool document
+   */
+  async recordMatch(rideRequest, pool) {
+    const steps = [
+      ['mark request matched', () => RideRequest.findByIdAndUpdate(rideRequest._id, {
+        status: 'matched',
+        matchedPoolId: pool._id
+      })],
+      ['count match', () => recordRideMatched(rideRequest)],
+      ['authorize payment', () => authorizeRide(rideRequest, pool)]
+    ];
+
+    for (const [step, run] of steps) {
+      try {
+        await run();
+      } catch (error) {
+        logger.error(`Failed to ${step} for request ${rideRequest._id} in pool ${pool._id}:`, error);
+      }
+    }
+  }
+
+  /**
+   * Create a new ride pool in the smallest vehicle the rider accepts that
+   * carries their party
    */
   async createNewPool(rideRequest) {
     const PricingEngine = require('./pricingEngine');
     
-    // Calculate initial price
-    const directDistance = DistanceCalculator.calculateDistance(
-      rideRequest.pickupLocation,
-      rideRequest.dropoffLocation
-    );
-    
-    const basePrice = PricingEngine.calculateBasePrice(
-      directDistance,
-      DistanceCalculator.estimateDuration(directDistance)
+    const vehicleType = MatchingEngine.chooseVehicle([rideRequest]);
+
+    // Calculate initial price from the road route estimated at request time
+    const { distance: directDistance, duration: directDuration } =
+      PricingEngine.getDirectRoute(rideRequest);
+
+    const demand = await PricingEngine.getCurrentDemand(
+      config.DEMAND_REGION,
+      database.redisCache,
+      rideRequest.pickupLocation
     );
+    const fareBreakdown = PricingEngine.calculateSoloFare(rideRequest, vehicleType, demand.surgeFactor);
+    const basePrice = fareBreakdown.base.amount;
+    const price = fareBreakdown.total;
+    const pickupTime = desiredPickupTime(rideRequest);
 
     const pool = new RidePool({
       status: 'forming',
+      targetPickupTime: pickupTime,
       passengers: [{
         userId: rideRequest.userId,
         requestId: rideRequest._id,
@@ -259,9 +431,14 @@ class MatchingEngine {
         pickupAddress: rideRequest.pickupAddress,
         dropoffLocation: rideRequest.dropoffLocation,
         dropoffAddress: rideRequest.dropoffAddress,
-        price: basePrice,
+        pickupTime,
+        price,
+        fareBreakdown,
+        detourTolerance: rideRequest.detourTolerance,
         passengerCount: rideRequest.passengers,
         luggageCount: rideRequest.luggage,
+        preferredVehicleType: rideRequest.preferredVehicleType,
+        organizationId: rideRequest.billing?.organizationId,
         status: 'waiting'
       }],
       route: {
@@ -282,41 +459,148 @@ class MatchingEngine {
           }
         ],
         totalDistance: directDistance,
-        totalDuration: DistanceCalculator.estimateDuration(directDistance),
+        totalDuration: directDuration,
         optimizedAt: new Date()
       },
-      vehicle: {
-        type: 'sedan',
-        capacity: config.MAX_POOL_SIZE,
-        luggageCapacity: config.MAX_LUGGAGE_PER_CAB
-      },
+      vehicle: VehicleFleet.vehicleFields(vehicleType),
       currentOccupancy: {
         seats: rideRequest.passengers,
         luggage: rideRequest.luggage
       },
       pricing: {
         basePrice: basePrice,
-        surgeFactor: 1.0,
-        totalPrice: basePrice,
+        surgeFactor: demand.surgeFactor,
+        totalPrice: price,
         poolingDiscount: 0
+      },
+      metadata: {
+        region: config.DEMAND_REGION,
+        demandLevel: demand.demandLevel
       }
     });
 
     await pool.save();
+    await this.recordMatch(rideRequest, pool);
+
+    return pool;
+  }
+
+  /**
+   * Create a pool for a group of requests assigned together by the batch matcher
+   * @param {Array} rideRequests - RideRequest documents in the group
+   * @param {Object} groupRoute - { bestRoute, newDistance, detourPercentage }
+   * @param {TravelMatrix} matrix - Optional road distances the group was routed with
+   * @returns {Object} Saved RidePool document
+   */
+  async createGroupPool(rideRequests, groupRoute, matrix) {
+    if (rideRequests.length === 1) {
+      return this.createNewPool(rideRequests[0]);
+    }
+
+    const PricingEngine = require('./pricingEngine');
+
+    const vehicleType = MatchingEngine.chooseVehicle(rideRequests);
+
+    const demand = await PricingEngine.getCurrentDemand(
+      config.DEMAND_REGION,
+      database.redisCache,
+      rideRequests[0].pickupLocation
+    );
+
+    const passengers = rideRequests.map(rideRequest => ({
+      userId: rideRequest.userId,
+      requestId: rideRequest._id,
+      pickupLocation: rideRequest.pickupLocation,
+      pickupAddress: rideRequest.pickupAddress,
+      dropoffLocation: rideRequest.dropoffLocation,
+      dropoffAddress: rideRequest.dropoffAddress,
+      pickupTime: desiredPickupTime(rideRequest),
+      detourTolerance: rideRequest.detourTolerance,
+      passengerCount: rideRequest.passengers,
+      luggageCount: rideRequest.luggage,
+      preferredVehicleType: rideRequest.preferredVehicleType,
+      organizationId: rideRequest.billing?.organizationId,
+      status: 'waiting'
+    }));
+
+    const pool = new RidePool({
+      status: 'forming',
+      passengers,
+      route: {
+        stops: groupRoute.bestRoute.map((stop, idx) => ({
+          type: stop.type,
+          location: stop.location,
+          address: stop.address,
+          passengerId: stop.passengerId,
+          sequence: idx
+        })),
+        totalDistance: groupRoute.newDistance,
+        totalDuration: DistanceCalculator.calculateRouteDuration(groupRoute.bestRoute, matrix),
+        optimizedAt: new Date()
+      },
+      vehicle: VehicleFleet.vehicleFields(vehicleType),
+      currentOccupancy: {
+        seats: passengers.reduce((sum, p) => sum + p.passengerCount, 0),
+        luggage: passengers.reduce((sum, p) => sum + p.luggageCount, 0)
+      },
+      pricing: {
+        surgeFactor: demand.surgeFactor,
+        poolingDiscount: 0
+      },
+      metadata: {
+        region: config.DEMAND_REGION,
+        demandLevel: demand.demandLevel
+      }
+    });
 
-    // Update request
-    await RideRequest.findByIdAndUpdate(rideRequest._id, {
-      status: 'matched',
-      matchedPoolId: pool._id
+    this.applyPassengerDetours(
+      pool,
+      DistanceCalculator.calculatePassengerDetours(groupRoute.bestRoute, matrix)
+    );
+
+    // Priced as the same riders joining one by one would be: each rider's
+    // own detour, and the total split in proportion to distance
+    const fares = PricingEngine.calculatePoolFares(pool, rideRequests);
+    pool.passengers.forEach(passenger => {
+      const fare = fares.get(passenger.userId.toString());
+      passenger.price = fare.total;
+      passenger.fareBreakdown = fare;
     });
+    // Base fare of the rider who opens the pool, as in createNewPool
+    pool.pricing.basePrice = pool.passengers[0].fareBreakdown.base.amount;
+    pool.pricing.totalPrice = Math.round(
+      pool.passengers.reduce((sum, p) => sum + p.price, 0) * 100
+    ) / 100;
+
+    transitionPool(pool, 'matched', 'Batch matched');
+    await pool.save();
+
+    for (const rideRequest of rideRequests) {
+      await this.recordMatch(rideRequest, pool);
+    }
+
+    logger.info(`Created batch pool ${pool._id} for ${rideRequests.length} requests`);
 
     return pool;
   }
 
   /**
    * Handle ride cancellation
+   * @param {string} userId - Passenger leaving the pool
+   * @param {string} poolId - Pool to leave
+   * @param {Object} options - { reason, requestUpdate, charge }: requestUpdate replaces the
+   *   default cancellation of the ride request, e.g. to send it back for re-matching.
+   *   charge is 'cancellation', 'no_show' or null for no fee; riders who cancel
+   *   are charged under the cancellation policy by default.
+   * @returns {Object} { success, pool, cancellation }
    */
-  async cancelRide(userId, poolId) {
+  async cancelRide(userId, poolId, options = {}) {
+    const {
+      reason = 'Cancelled by rider',
+      requestUpdate = { status: 'cancelled' },
+      charge = requestUpdate.status === 'cancelled' ? 'cancellation' : null
+    } = options;
+
     const lockKey = `pool:${poolId}`;
     const lockValue = await this.acquireLock(lockKey);
 
@@ -324,51 +608,94 @@ class MatchingEngine {
       const pool = await RidePool.findById(poolId);
 
       if (!pool) {
-        throw new Error('Pool not found');
+        throw createError('Pool not found', 404);
       }
 
-      const removed = pool.removePassenger(userId);
+      const passenger = pool.passengers.find(p => p.userId.toString() === userId.toString());
 
-      if (!removed) {
-        throw new Error('Passenger not found in pool');
+      if (!passenger) {
+        throw createError('Passenger not found in pool', 404);
       }
 
+      assertCanCancelPassenger(pool, passenger);
+
+      const previousStatus = pool.status;
+      const requestId = passenger.requestId;
+      const now = new Date();
+      const cancellation = charge === 'no_show'
+        ? noShowFee(passenger)
+        : charge
+          ? cancellationFee(pool, passenger, now)
+          : null;
+
+      transitionPassenger(pool, passenger, 'cancelled', reason, now);
+      pool.removePassenger(userId);
+
       // If pool is empty, cancel it
       if (pool.passengers.length === 0) {
-        pool.status = 'cancelled';
-        pool.cancelledAt = new Date();
-        pool.cancelReason = 'All passengers cancelled';
+        transitionPool(pool, 'cancelled', 'All passengers cancelled');
       } else {
-        // Recompute route without this passenger
-        const newStops = pool.route.stops.filter(
-          stop => stop.passengerId.toString() !== userId.toString()
+        // Re-optimize the route without this passenger
+        const remainingStops = pool.route.stops
+          .filter(stop => stop.passengerId.toString() !== userId.toString())
+          .map(stop => stop.toObject());
+        const matrix = await DistanceCalculator.buildMatrix(remainingStops.map(stop => stop.location));
+        const optimized = DistanceCalculator.optimizeRoute(remainingStops, matrix);
+
+        pool.route.stops = optimized.stops;
+        pool.route.totalDistance = optimized.distance;
+        pool.route.totalDuration = DistanceCalculator.calculateRouteDuration(optimized.stops, matrix);
+        pool.route.optimizationSavings = optimized.distanceSaved;
+        pool.route.optimizedAt = new Date();
+        this.applyPassengerDetours(
+          pool,
+          DistanceCalculator.calculatePassengerDetours(optimized.stops, matrix)
         );
+      }
 
-        pool.route.stops = newStops.map((stop, idx) => ({
-          ...stop,
-          sequence: idx
-        }));
+      const priceChanges = pool.passengers.length > 0
+        ? await this.repricePool(pool, [], 'Passenger left')
+        : [];
 
-        pool.route.totalDistance = DistanceCalculator.calculateRouteDistance(newStops);
-        pool.route.totalDuration = DistanceCalculator.estimateDuration(pool.route.totalDistance);
-        pool.route.optimizedAt = new Date();
+      if (cancellation?.fee > 0) {
+        cancellation.compensation = this.compensatePassengers(pool, cancellation.fee, priceChanges);
       }
 
       await pool.save();
 
       // Update request status
-      const passenger = pool.passengers.find(p => p.userId.toString() === userId.toString());
-      if (passenger) {
-        await RideRequest.findByIdAndUpdate(passenger.requestId, {
-          status: 'cancelled'
-        });
+      await RideRequest.findByIdAndUpdate(requestId, cancellation
+        ? { ...requestUpdate, cancellation: { ...cancellation, at: now } }
+        : requestUpdate);
+
+      // A cancelled ride gives its promo code back; one sent back to
+      // matching keeps it
+      if (requestUpdate.status === 'cancelled') {
+        await reversePromoRedemption(requestId, reason);
       }
 
-      logger.info(`User ${userId} cancelled from pool ${poolId}`);
+      // Take any fee from the rider's authorization, or release it
+      await chargeCancellation(pool._id, passenger, cancellation);
+
+      logger.info(`User ${userId} cancelled from pool ${poolId}` +
+        (cancellation?.fee > 0 ? ` with a ${cancellation.kind.replace('_', '-')} fee of $${cancellation.fee}` : ''));
+
+      await publishPoolEvent(pool._id, POOL_EVENTS.PASSENGER_LEFT, {
+        userId,
+        currentOccupancy: pool.currentOccupancy
+      });
+      if (pool.passengers.length > 0) {
+        await publishPoolEvent(pool._id, POOL_EVENTS.ROUTE_UPDATED, routeSnapshot(pool));
+      }
+      if (priceChanges.length > 0) {
+        await publishPoolEvent(pool._id, POOL_EVENTS.PRICE_UPDATED, priceSnapshot(pool));
+      }
+      await publishStatusChange(pool, previousStatus);
 
       return {
         success: true,
-        pool: pool
+        pool: pool,
+        cancellation
       };
 
     } finally {
@@ -376,6 +703,171 @@ class MatchingEngine {
     }
   }
 
+  /**
+   * Credit part of a cancellation fee to the riders left in a pool, lowering
+   * their prices. The credit is kept on the passenger so repricing keeps it.
+   * @param {Object} pool - RidePool document, changed in place
+   * @param {number} fee - Fee charged to the rider who left
+   * @param {Array} priceChanges - Changes so far, as { userId, from, to }; credits are added
+   * @returns {number} Total credited
+   */
+  compensatePassengers(pool, fee, priceChanges) {
+    const PricingEngine = require('./pricingEngine');
+    const remaining = pool.passengers.filter(p => ['waiting', 'picked_up'].includes(p.status));
+    const credits = splitCompensation(fee, remaining);
+    let total = 0;
+
+    remaining.forEach(passenger => {
+      const credit = credits.get(passenger.userId.toString());
+      if (!credit) return;
+
+      const to = Math.round((passenger.price - credit) * 100) / 100;
+      const fare = passenger.fareBreakdown?.toObject ? passenger.fareBreakdown.toObject() : passenger.fareBreakdown;
+
+      priceChanges.push({ userId: passenger.userId, from: passenger.price, to });
+      passenger.priceHistory.push({ from: passenger.price, to, reason: 'Compensation for a late cancellation' });
+      passenger.compensation = Math.round(((passenger.compensation || 0) + credit) * 100) / 100;
+      passenger.price = to;
+      if (fare) {
+        passenger.fareBreakdown = PricingEngine.applyCompensation(fare, credit);
+      }
+      total += credit;
+    });
+
+    pool.pricing.totalPrice = Math.round(
+      pool.passengers.reduce((sum, p) => sum + p.price, 0) * 100
+    ) / 100;
+
+    return Math.round(total * 100) / 100;
+  }
+
+  /**
+   * Store the current demand at a pickup on the pool. Riders joining are
+   * priced with this surge factor.
+   * @param {Object} pool - RidePool document, changed in place
+   * @param {Object} location - Pickup {coordinates: [lng, lat]}
+   * @returns {Promise<Object>} Demand data from PricingEngine.getCurrentDemand
+   */
+  async applyCurrentDemand(pool, location) {
+    const PricingEngine = require('./pricingEngine');
+    const demand = await PricingEngine.getCurrentDemand(config.DEMAND_REGION, database.redisCache, location);
+
+    pool.pricing.surgeFactor = demand.surgeFactor;
+    pool.metadata.region = config.DEMAND_REGION;
+    pool.metadata.demandLevel = demand.demandLevel;
+
+    return demand;
+  }
+
+  /**
+   * Recompute every passenger's fare for the pool as it now stands and lower
+   * any that came out cheaper. Prices never go up, so a rider keeps the best
+   * price they have been offered. Each reduction is added to the passenger's
+   * priceHistory.
+   * @param {Object} pool - RidePool document, changed in place
+   * @param {Array} rideRequests - Ride requests already loaded; others are fetched
+   * @param {string} reason - Why the pool is being repriced
+   * @returns {Promise<Array>} Changes as { userId, from, to }
+   */
+  async repricePool(pool, rideRequests, reason) {
+    const PricingEngine = require('./pricingEngine');
+
+    const loaded = new Set(rideRequests.map(r => r._id.toString()));
+    const missing = pool.passengers
+      .map(p => p.requestId)
+      .filter(id => !loaded.has(id.toString()));
+    const requests = missing.length > 0
+      ? [...rideRequests, ...await RideRequest.find({ _id: { $in: missing } })]
+      : rideRequests;
+
+    const fares = PricingEngine.calculatePoolFares(pool, requests);
+    const changes = [];
+
+    pool.passengers.forEach(passenger => {
+      const fare = fares.get(passenger.userId.toString());
+      if (!fare) return;
+
+      // Credits from riders who left late stay with the passenger
+      PricingEngine.applyCompensation(fare, passenger.compensation);
+      if (fare.total >= passenger.price) return;
+
+      changes.push({ userId: passenger.userId, from: passenger.price, to: fare.total });
+      passenger.priceHistory.push({ from: passenger.price, to: fare.total, reason });
+      passenger.price = fare.total;
+      passenger.fareBreakdown = fare;
+    });
+
+    pool.pricing.totalPrice = Math.round(
+      pool.passengers.reduce((sum, p) => sum + p.price, 0) * 100
+    ) / 100;
+
+    if (changes.length > 0) {
+      logger.info(`Repriced ${changes.length} passengers in pool ${pool._id}: ${reason}`);
+    }
+
+    return changes;
+  }
+
+  /**
+   * Smallest vehicle every rider in a group accepts that carries them all
+   * @param {Array} rideRequests - Ride requests sharing the vehicle
+   * @returns {string} Vehicle type
+   * @throws {Error} If no accepted vehicle is big enough
+   */
+  static chooseVehicle(rideRequests) {
+    const vehicleType = VehicleFleet.smallestFitting(
+      rideRequests.reduce((sum, r) => sum + r.passengers, 0),
+      rideRequests.reduce((sum, r) => sum + r.luggage, 0),
+      VehicleFleet.commonTypes(rideRequests.map(r => r.preferredVehicleType))
+    );
+
+    if (!vehicleType) {
+      throw new Error(`No accepted vehicle type can carry requests ${rideRequests.map(r => r._id).join(', ')}`);
+    }
+
+    return vehicleType;
+  }
+
+  /**
+   * Check every passenger's own detour on a candidate route against their tolerance
+   * @param {Array} stops - Candidate route stops
+   * @param {Map} tolerances - passengerId -> detour tolerance
+   * @param {TravelMatrix} matrix - Optional precomputed road distances
+   * @returns {Object} { feasible, detours } - detours as returned by calculatePassengerDetours
+   */
+  static checkPassengerDetours(stops, tolerances, matrix) {
+    const detours = DistanceCalculator.calculatePassengerDetours(stops, matrix);
+
+    const feasible = [...detours].every(([passengerId, { detour }]) =>
+      detour <= (tolerances.get(passengerId) ?? config.DEFAULT_DETOUR_TOLERANCE)
+    );
+
+    return { feasible, detours };
+  }
+
+  /**
+   * Store each passenger's current detour on the pool
+   */
+  applyPassengerDetours(pool, detours) {
+    pool.passengers.forEach(passenger => {
+      const result = detours.get(passenger.userId.toString());
+      if (result) {
+        passenger.detour = Math.round(result.detour * 1000) / 1000;
+      }
+    });
+  }
+
+  /**
+   * Per-passenger detours for matching responses
+   */
+  summarizePassengerDetours(pool) {
+    return pool.passengers.map(p => ({
+      userId: p.userId,
+      detour: p.detour,
+      detourTolerance: p.detourTolerance
+    }));
+  }
+
   /**
    * Acquire distributed lock
    */
@@ -0,0 +1,229 @@
+const Queue = require('bull');
+const RideRequest = require('../models/RideRequest');
+const config = require('../config/config');
+const logger = require('../utils/logger');
+const { matchingExpiry } = require('./rideScheduler');
+const { recordRideRequested } = require('./demandTracker');
+
+let matchingQueue;
+let deadLetterQueue;
+
+const redisOptions = () => ({
+  host: config.REDIS_HOST,
+  port: config.REDIS_PORT,
+  password: config.REDIS_PASSWORD
+});
+
+/**
+ * Queue holding ride requests waiting to be matched
+ */
+const getMatchingQueue = () => {
+  if (!matchingQueue) {
+    matchingQueue = new Queue('ride-matching', {
+      redis: redisOptions(),
+      defaultJobOptions: {
+        attempts: config.MATCHING_QUEUE_ATTEMPTS,
+        backoff: {
+          type: 'exponential',
+          delay: config.MATCHING_QUEUE_BACKOFF_MS
+        },
+        removeOnComplete: true,
+        removeOnFail: true
+      }
+    });
+  }
+  return matchingQueue;
+};
+
+/**
+ * Queue holding requests that exhausted their retries, kept for inspection
+ */
+const getDeadLetterQueue = () => {
+  if (!deadLetterQueue) {
+    deadLetterQueue = new Queue('ride-matching-dead-letter', {
+      redis: redisOptions()
+    });
+  }
+  return deadLetterQueue;
+};
+
+/**
+ * Add a ride request to the matching queue
+ * @param {Object} rideRequest - RideRequest document
+ * @returns {Promise<Object>} Bull job
+ */
+const enqueueRideRequest = (rideRequest) => {
+  const requestId = rideRequest._id.toString();
+
+  // Job ID doubles as a guard against enqueuing the same request twice
+  return getMatchingQueue().add('match', { requestId }, { jobId: requestId });
+};
+
+/**
+ * Mark a pending request as expired
+ */
+const expireRequest = async (requestId, reason) => {
+  const result = await RideRequest.updateOne(
+    { _id: requestId, status: 'pending' },
+    { status: 'expired' }
+  );
+
+  if (result.modifiedCount > 0) {
+    logger.info(`Ride request ${requestId} expired: ${reason}`);
+  }
+};
+
+/**
+ * Match a single queued request
+ * @param {Object} job - Bull job with { requestId }
+ * @param {Object} matchingEngine - MatchingEngine instance
+ */
+const processMatchingJob = async (job, matchingEngine) => {
+  const { requestId } = job.data;
+  const rideRequest = await RideRequest.findById(requestId);
+
+  if (!rideRequest || rideRequest.status !== 'pending') {
+    // Cancelled or already handled
+    return { skipped: true };
+  }
+
+  if (rideRequest.isExpired()) {
+    await expireRequest(requestId, 'matching timeout reached before processing');
+    return { expired: true };
+  }
+
+  // Errors (lock conflicts, database timeouts) propagate so Bull retries the job
+  return matchingEngine.processRideRequest(rideRequest);
+};
+
+/**
+ * Expire every pending request whose matching timeout has passed
+ */
+const expireStaleRequests = async () => {
+  const result = await RideRequest.updateMany(
+    { status: 'pending', expiresAt: { $lte: new Date() } },
+    { status: 'expired' }
+  );
+
+  if (result.modifiedCount > 0) {
+    logger.info(`Expired ${result.modifiedCount} stale ride requests`);
+  }
+
+  return { expired: result.modifiedCount };
+};
+
+/**
+ * Release a scheduled request to matching: it becomes pending with a fresh
+ * matching deadline and, outside batch mode, is queued for a worker
+ * @param {string} requestId - Scheduled RideRequest ID
+ * @returns {Promise<boolean>} false if the request was no longer scheduled
+ */
+const activateScheduledRequest = async (requestId) => {
+  const rideRequest = await RideRequest.findOneAndUpdate(
+    { _id: requestId, status: 'scheduled' },
+    { status: 'pending', expiresAt: matchingExpiry() },
+    { new: true }
+  );
+
+  if (!rideRequest) {
+    // Cancelled, or released by another worker
+    return false;
+  }
+
+  await recordRideRequested(rideRequest);
+  if (config.MATCHING_MODE !== 'batch') {
+    await enqueueRideRequest(rideRequest);
+  }
+
+  logger.info(`Scheduled ride request ${requestId} released for matching`);
+  return true;
+};
+
+/**
+ * Release every scheduled request whose matching window has opened
+ */
+const activateScheduledRequests = async () => {
+  const due = await RideRequest.find({
+    status: 'scheduled',
+    matchingWindowOpensAt: { $lte: new Date() }
+  })
+  .select('_id')
+  .sort({ matchingWindowOpensAt: 1 })
+  .lean();
+
+  let activated = 0;
+  for (const { _id } of due) {
+    if (await activateScheduledRequest(_id)) {
+      activated++;
+    }
+  }
+
+  return { activated };
+};
+
+/**
+ * Move a job that exhausted its retries to the dead-letter queue
+ */
+const handleFailedJob = async (job, error) => {
+  if (job.name !== 'match') return;
+
+  if (job.attemptsMade < job.opts.attempts) {
+    logger.warn(`Matching attempt ${job.attemptsMade} failed for request ${job.data.requestId}: ${error.message}`);
+    return;
+  }
+
+  logger.error(`Matching failed permanently for request ${job.data.requestId}:`, error);
+
+  await getDeadLetterQueue().add({
+    ...job.data,
+    error: error.message,
+    attemptsMade: job.attemptsMade,
+    failedAt: new Date().toISOString()
+  });
+
+  await expireRequest(job.data.requestId, `matching failed after ${job.attemptsMade} attempts`);
+};
+
+/**
+ * Start processing the matching queue in this process
+ * @param {Object} matchingEngine - MatchingEngine instance
+ */
+const startMatchingWorker = (matchingEngine) => {
+  const queue = getMatchingQueue();
+
+  queue.process('match', config.MATCHING_QUEUE_CONCURRENCY, job =>
+    processMatchingJob(job, matchingEngine)
+  );
+  queue.process('expire-stale', () => expireStaleRequests());
+  queue.process('activate-scheduled', () => activateScheduledRequests());
+
+  queue.add('expire-stale', {}, {
+    repeat: { every: config.MATCHING_TIMEOUT_MS },
+    jobId: 'expire-stale'
+  });
+  queue.add('activate-scheduled', {}, {
+    repeat: { every: config.SCHEDULER_INTERVAL_MS },
+    jobId: 'activate-scheduled'
+  });
+
+  queue.on('failed', (job, error) => {
+    handleFailedJob(job, error).catch(err => {
+      logger.error('Error handling failed matching job:', err);
+    });
+  });
+
+  logger.info(`Matching worker started with concurrency ${config.MATCHING_QUEUE_CONCURRENCY}`);
+
+  return queue;
+};
+
+module.exports = {
+  getMatchingQueue,
+  getDeadLetterQueue,
+  enqueueRideRequest,
+  processMatchingJob,
+  expireStaleRequests,
+  activateScheduledRequest,
+  activateScheduledRequests,
+  startMatchingWorker
+};
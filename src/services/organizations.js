@@ -0,0 +1,373 @@
+const crypto = require('crypto');
+const Organization = require('../models/Organization');
+const User = require('../models/User');
+const LedgerTransaction = require('../models/LedgerTransaction');
+const VehicleFleet = require('../utils/vehicleFleet');
+const config = require('../config/config');
+const logger = require('../utils/logger');
+const { createError } = require('../utils/errors');
+const { organizationAccount } = require('./ledger');
+
+/**
+ * Organization accounts for business travel.
+ *
+ * Employees join their company's organization with an invite, or ask to
+ * join with an email address at one of its domains. Email addresses are not
+ * verified, so an organization admin approves those requests. Rides they book on the organization
+ * billing profile are checked against its travel policy when requested,
+ * billed to the organization's ledger account instead of their own card, and
+ * listed on its monthly statement.
+ */
+
+const round = (amount) => Math.round(amount * 100) / 100;
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+const emailDomain = (email) => String(email).split('@').pop().trim().toLowerCase();
+
+/**
+ * Make a user a member of an organization, unless they already belong to one
+ * @param {string} userId
+ * @param {string} organizationId
+ * @param {string} role - 'member' or 'admin'
+ * @param {Date} now
+ * @returns {Promise<Object>} Updated User document
+ * @throws {Error} 409 if the user belongs to an organization
+ */
+const addMember = async (userId, organizationId, role, now = new Date()) => {
+  const user = await User.findOneAndUpdate(
+    { _id: userId, 'organization.organizationId': { $exists: false } },
+    { $set: { organization: { organizationId, role, joinedAt: now } } },
+    { new: true }
+  );
+
+  if (!user) {
+    throw createError('User already belongs to an organization', 409);
+  }
+
+  logger.info(`User ${userId} joined organization ${organizationId} as ${role}`);
+
+  return user;
+};
+
+/**
+ * Create an organization, optionally with its first admin
+ * @param {Object} fields - { name, emailDomains, policy, createdBy }
+ * @param {string} adminUserId - User who will manage it, if any
+ * @returns {Promise<Object>} Organization document
+ * @throws {Error} 409 if a domain is taken or the admin belongs to another organization
+ */
+const createOrganization = async (fields, adminUserId) => {
+  const emailDomains = (fields.emailDomains || []).map(emailDomain);
+  const taken = await Organization.findOne({ emailDomains: { $in: emailDomains } });
+
+  if (taken) {
+    throw createError(`Email domain ${emailDomains.find(d => taken.emailDomains.includes(d))} belongs to another organization`, 409);
+  }
+  if (adminUserId && await User.exists({ _id: adminUserId, 'organization.organizationId': { $exists: true } })) {
+    throw createError('User already belongs to an organization', 409);
+  }
+
+  const organization = await Organization.create({ ...fields, emailDomains });
+
+  if (adminUserId) {
+    await addMember(adminUserId, organization._id, 'admin');
+  }
+
+  return organization;
+};
+
+/**
+ * Invite someone to join an organization
+ * @param {Object} organization - Organization document
+ * @param {string} email - Invitee's email address
+ * @param {string} invitedBy - Inviting user
+ * @param {Date} now
+ * @returns {Promise<Object>} { invite, token }; the token is only ever returned here
+ */
+const createInvite = async (organization, email, invitedBy, now = new Date()) => {
+  const token = crypto.randomBytes(24).toString('hex');
+  const invite = {
+    email: String(email).trim().toLowerCase(),
+    tokenHash: hashToken(token),
+    invitedBy,
+    expiresAt: new Date(now.getTime() + config.ORGANIZATION_INVITE_TTL_MS)
+  };
+
+  organization.invites.push(invite);
+  await organization.save();
+
+  logger.info(`User ${invitedBy} invited ${invite.email} to organization ${organization._id}`);
+
+  return { invite: { email: invite.email, expiresAt: invite.expiresAt }, token };
+};
+
+/**
+ * Join an organization with an invite, or else ask to join the organization
+ * that owns the user's email domain. Anyone can sign up with any address, so
+ * a domain alone does not make the user a member: the request waits for an
+ * organization admin (approveJoinRequest).
+ * @param {Object} user - User document
+ * @param {string} inviteToken - Token from an invite, if any
+ * @param {Date} now
+ * @returns {Promise<Object>} { organization, user } once joined, or { organization, pending: true }
+ * @throws {Error} 400 if there is nothing to join, 409 if the user already belongs to an organization
+ */
+const joinOrganization = async (user, inviteToken, now = new Date()) => {
+  if (user.organization?.organizationId) {
+    throw createError('You already belong to an organization; leave it first', 409);
+  }
+
+  if (!inviteToken) {
+    const organization = await Organization.findOne({ emailDomains: emailDomain(user.email), isActive: true });
+
+    if (!organization) {
+      throw createError(`No organization uses the email domain ${emailDomain(user.email)}; ask for an invite`, 400);
+    }
+
+    // Asking again leaves the first request in place
+    await Organization.updateOne(
+      { _id: organization._id, 'joinRequests.userId': { $ne: user._id } },
+      { $push: { joinRequests: { userId: user._id, email: user.email, requestedAt: now } } }
+    );
+
+    logger.info(`User ${user._id} asked to join organization ${organization._id}`);
+
+    return { organization, pending: true };
+  }
+
+  // Each invite is used once, by the address it was sent to
+  const organization = await Organization.findOneAndUpdate(
+    {
+      isActive: true,
+      invites: {
+        $elemMatch: {
+          tokenHash: hashToken(inviteToken),
+          email: user.email,
+          acceptedAt: { $exists: false },
+          expiresAt: { $gt: now }
+        }
+      }
+    },
+    { $set: { 'invites.$.acceptedAt': now, 'invites.$.acceptedBy': user._id } },
+    { new: true }
+  );
+
+  if (!organization) {
+    throw createError('Invite is invalid, expired, already used or for another email address', 400);
+  }
+
+  return { organization, user: await addMember(user._id, organization._id, 'member', now) };
+};
+
+/**
+ * Take a user's request to join off an organization's list
+ * @throws {Error} 404 if the user has not asked to join
+ */
+const removeJoinRequest = async (organization, userId) => {
+  const result = await Organization.updateOne(
+    { _id: organization._id, 'joinRequests.userId': userId },
+    { $pull: { joinRequests: { userId } } }
+  );
+
+  if (result.modifiedCount === 0) {
+    throw createError('Join request not found', 404);
+  }
+};
+
+/**
+ * Approve a request to join an organization; the user becomes a member
+ * @param {Object} organization - Organization document
+ * @param {string} userId - User who asked to join
+ * @param {Date} now
+ * @returns {Promise<Object>} Updated User document
+ * @throws {Error} 404 if the user has not asked to join, 409 if they joined another organization since
+ */
+const approveJoinRequest = async (organization, userId, now = new Date()) => {
+  await removeJoinRequest(organization, userId);
+
+  return addMember(userId, organization._id, 'member', now);
+};
+
+/**
+ * Decline a request to join an organization
+ * @param {Object} organization - Organization document
+ * @param {string} userId - User who asked to join
+ * @throws {Error} 404 if the user has not asked to join
+ */
+const declineJoinRequest = async (organization, userId) => {
+  await removeJoinRequest(organization, userId);
+
+  logger.info(`Request from user ${userId} to join organization ${organization._id} declined`);
+};
+
+/**
+ * Leave the user's organization; their rides are billed personally again
+ * @param {string} userId
+ * @returns {Promise<Object>} Updated User document
+ */
+const leaveOrganization = async (userId) => User.findByIdAndUpdate(
+  userId,
+  {
+    $unset: { organization: 1 },
+    $set: { 'preferences.billingProfile': 'personal' }
+  },
+  { new: true }
+);
+
+/**
+ * Organization a ride is billed to
+ * @param {Object} user - User document
+ * @param {string} profile - 'personal' or 'organization'; defaults to the rider's saved profile
+ * @returns {Promise<Object|null>} Organization, or null when the rider pays
+ * @throws {Error} 400 if the rider cannot bill an organization
+ */
+const findBillingOrganization = async (user, profile = user.preferences?.billingProfile) => {
+  if (profile !== 'organization') return null;
+
+  const organizationId = user.organization?.organizationId;
+  if (!organizationId) {
+    throw createError('You are not a member of an organization; book with the personal billing profile', 400);
+  }
+
+  const organization = await Organization.findById(organizationId);
+  if (!organization?.isActive) {
+    throw createError('Your organization account is not active; book with the personal billing profile', 400);
+  }
+
+  return organization;
+};
+
+/**
+ * Vehicle types an employee may ride in: the types they accept that their
+ * organization's travel policy allows
+ * @param {Object} organization - Organization document
+ * @param {string} preference - Rider's preferred vehicle type, or 'any'
+ * @returns {Array<string>} Smallest first
+ * @throws {Error} 400 if the policy allows none of them
+ */
+const travelPolicyVehicleTypes = (organization, preference) => {
+  const allowed = organization.policy?.allowedVehicleTypes || [];
+  const types = VehicleFleet.allowedTypes(preference)
+    .filter(type => allowed.length === 0 || allowed.includes(type));
+
+  if (types.length === 0) {
+    throw createError(
+      `Your organization's travel policy does not allow ${preference} rides (allowed: ${allowed.join(', ')})`,
+      400
+    );
+  }
+
+  return types;
+};
+
+/**
+ * Check a ride billed to an organization against its travel policy
+ * @param {Object} organization - Organization document
+ * @param {Object} ride - { estimatedPrice, detourTolerance, paymentMethod }
+ * @throws {Error} 400 naming the rule the ride breaks
+ */
+const assertWithinTravelPolicy = (organization, { estimatedPrice, detourTolerance, paymentMethod }) => {
+  const { maxFare, poolingRequired } = organization.policy || {};
+
+  if (paymentMethod === 'wallet') {
+    throw createError('Rides billed to your organization cannot be paid from your wallet', 400);
+  }
+  if (poolingRequired && !(detourTolerance > 0)) {
+    throw createError(
+      "Your organization's travel policy requires shared rides; choose a detour tolerance above 0",
+      400
+    );
+  }
+  if (maxFare != null && estimatedPrice > maxFare) {
+    throw createError(
+      `Estimated fare $${estimatedPrice.toFixed(2)} is over your organization's limit of $${maxFare.toFixed(2)} per ride`,
+      400
+    );
+  }
+};
+
+/**
+ * Check changes to a booked business ride against the travel policy
+ * @param {Object} organization - Organization document
+ * @param {Object} updates - { preferredVehicleType, detourTolerance }
+ * @throws {Error} 400 naming the rule the change breaks
+ */
+const assertTravelPolicyUpdate = (organization, { preferredVehicleType, detourTolerance }) => {
+  const allowed = organization.policy?.allowedVehicleTypes || [];
+
+  if (preferredVehicleType && allowed.length > 0 && !allowed.includes(preferredVehicleType)) {
+    throw createError(`Your organization's travel policy only allows ${allowed.join(', ')} rides`, 400);
+  }
+  if (detourTolerance !== undefined) {
+    assertWithinTravelPolicy(organization, { detourTolerance });
+  }
+};
+
+/**
+ * An organization's statement for a calendar month (UTC): every charge
+ * billed to it, and the total per employee
+ * @param {Object} organization - Organization document
+ * @param {string} month - 'YYYY-MM'
+ * @returns {Promise<Object>} { organization, month, from, to, lines, employees, total }
+ */
+const monthlyStatement = async (organization, month) => {
+  const from = new Date(`${month}-01T00:00:00.000Z`);
+  const to = new Date(Date.UTC(from.getUTCFullYear(), from.getUTCMonth() + 1, 1));
+  const account = organizationAccount(organization._id);
+
+  const transactions = await LedgerTransaction.find({
+    'entries.account': account,
+    postedAt: { $gte: from, $lt: to }
+  })
+  .sort({ postedAt: 1 })
+  .lean();
+
+  const lines = transactions.map(transaction => ({
+    postedAt: transaction.postedAt,
+    type: transaction.type,
+    description: transaction.description,
+    userId: transaction.userId,
+    requestId: transaction.requestId,
+    amount: round(transaction.entries
+      .filter(entry => entry.account === account)
+      .reduce((sum, entry) => sum + entry.debit - entry.credit, 0))
+  }));
+
+  const totals = new Map();
+  lines.forEach(line => {
+    const key = line.userId.toString();
+    const employee = totals.get(key) || { userId: line.userId, rides: 0, total: 0 };
+    employee.rides += line.type === 'ride_charge' ? 1 : 0;
+    employee.total = round(employee.total + line.amount);
+    totals.set(key, employee);
+  });
+
+  const users = await User.find({ _id: { $in: [...totals.values()].map(e => e.userId) } }, 'name email').lean();
+  const employees = [...totals.values()].map(employee => {
+    const user = users.find(u => u._id.toString() === employee.userId.toString());
+    return { ...employee, name: user?.name, email: user?.email };
+  });
+
+  return {
+    organization: { _id: organization._id, name: organization.name },
+    month,
+    from,
+    to,
+    lines,
+    employees,
+    total: round(lines.reduce((sum, line) => sum + line.amount, 0))
+  };
+};
+
+module.exports = {
+  createOrganization,
+  createInvite,
+  joinOrganization,
+  approveJoinRequest,
+  declineJoinRequest,
+  leaveOrganization,
+  findBillingOrganization,
+  travelPolicyVehicleTypes,
+  assertWithinTravelPolicy,
+  assertTravelPolicyUpdate,
+  monthlyStatement
+};
@@ -0,0 +1,214 @@
+const crypto = require('crypto');
+const config = require('../config/config');
+const { createError } = require('../utils/errors');
+
+/**
+ * Payment gateway interface
+ *
+ * A rider's card is authorized for the most a ride can cost, then captured
+ * for the final amount, and later refunded if needed. Every call takes an
+ * idempotency key: repeating a call with the same key and parameters returns
+ * the first result instead of moving money again. Declines are errors with
+ * status 402; calls that do not fit the payment's state have status 409.
+ * Amounts are in the currency's major unit (e.g. dollars).
+ */
+class PaymentGateway {
+  /**
+   * Hold an amount on the customer's card
+   * @param {Object} request - { amount, currency, customerId, description, idempotencyKey }
+   * @returns {Promise<Object>} { id, status: 'authorized', amount, currency }
+   */
+  async authorize() {
+    throw new Error(`${this.constructor.name} does not implement authorize`);
+  }
+
+  /**
+   * Collect up to the authorized amount; the rest of the hold is released
+   * @param {string} authorizationId
+   * @param {Object} request - { amount, idempotencyKey }
+   * @returns {Promise<Object>} { id, authorizationId, status: 'captured', amount }
+   */
+  async capture() {
+    throw new Error(`${this.constructor.name} does not implement capture`);
+  }
+
+  /**
+   * Return part or all of a captured charge
+   * @param {string} chargeId
+   * @param {Object} request - { amount, reason, idempotencyKey }
+   * @returns {Promise<Object>} { id, chargeId, status: 'refunded', amount }
+   */
+  async refund() {
+    throw new Error(`${this.constructor.name} does not implement refund`);
+  }
+
+  /**
+   * Release an authorization without collecting anything
+   * @param {string} authorizationId
+   * @param {Object} request - { idempotencyKey }
+   * @returns {Promise<Object>} { id, status: 'voided' }
+   */
+  async void() {
+    throw new Error(`${this.constructor.name} does not implement void`);
+  }
+}
+
+const cents = (amount) => Math.round(amount * 100);
+
+/**
+ * In-memory gateway for local development and tests. Ids are derived from
+ * idempotency keys, so the same calls always produce the same ids.
+ * Authorizations above declineAbove are declined.
+ */
+class FakePaymentGateway extends PaymentGateway {
+  constructor(options = {}) {
+    super();
+    this.declineAbove = options.declineAbove ?? 10000;
+    this.authorizations = new Map();
+    this.charges = new Map();
+    this.responses = new Map(); // idempotencyKey -> { fingerprint, response }
+  }
+
+  static id(prefix, idempotencyKey) {
+    return `${prefix}_${crypto.createHash('sha256').update(idempotencyKey).digest('hex').slice(0, 16)}`;
+  }
+
+  /**
+   * Run a call once per idempotency key; a key reused with different
+   * parameters is refused
+   */
+  idempotent(operation, request, execute) {
+    const { idempotencyKey, ...params } = request;
+
+    if (!idempotencyKey) {
+      throw createError('An idempotency key is required', 400);
+    }
+
+    const fingerprint = JSON.stringify({ operation, ...params });
+    const previous = this.responses.get(idempotencyKey);
+
+    if (previous) {
+      if (previous.fingerprint !== fingerprint) {
+        throw createError(`Idempotency key ${idempotencyKey} was used for a different request`, 409);
+      }
+      return { ...previous.response };
+    }
+
+    // Failed calls are not stored, so they can be retried
+    const response = execute();
+    this.responses.set(idempotencyKey, { fingerprint, response });
+
+    return { ...response };
+  }
+
+  async authorize(request) {
+    return this.idempotent('authorize', request, () => {
+      const { amount, currency = config.PAYMENT_CURRENCY, customerId } = request;
+
+      if (!(amount > 0)) {
+        throw createError('Authorization amount must be positive', 400);
+      }
+      if (amount > this.declineAbove) {
+        throw createError('Card declined', 402);
+      }
+
+      const authorization = {
+        id: FakePaymentGateway.id('auth', request.idempotencyKey),
+        status: 'authorized',
+        amount,
+        currency,
+        customerId
+      };
+      this.authorizations.set(authorization.id, authorization);
+
+      return { id: authorization.id, status: 'authorized', amount, currency };
+    });
+  }
+
+  async capture(authorizationId, request) {
+    return this.idempotent('capture', { authorizationId, ...request }, () => {
+      const authorization = this.authorizations.get(authorizationId);
+
+      if (!authorization) {
+        throw createError('Authorization not found', 404);
+      }
+      if (authorization.status !== 'authorized') {
+        throw createError(`Authorization is already ${authorization.status}`, 409);
+      }
+      if (!(request.amount > 0) || cents(request.amount) > cents(authorization.amount)) {
+        throw createError('Capture amount must be positive and within the authorization', 409);
+      }
+
+      authorization.status = 'captured';
+      const charge = {
+        id: FakePaymentGateway.id('ch', request.idempotencyKey),
+        authorizationId,
+        status: 'captured',
+        amount: request.amount,
+        refunded: 0
+      };
+      this.charges.set(charge.id, charge);
+
+      return { id: charge.id, authorizationId, status: 'captured', amount: charge.amount };
+    });
+  }
+
+  async refund(chargeId, request) {
+    return this.idempotent('refund', { chargeId, ...request }, () => {
+      const charge = this.charges.get(chargeId);
+
+      if (!charge) {
+        throw createError('Charge not found', 404);
+      }
+      if (!(request.amount > 0) || cents(charge.refunded + request.amount) > cents(charge.amount)) {
+        throw createError('Refund amount must be positive and within what was captured', 409);
+      }
+
+      charge.refunded = Math.round((charge.refunded + request.amount) * 100) / 100;
+
+      return {
+        id: FakePaymentGateway.id('re', request.idempotencyKey),
+        chargeId,
+        status: 'refunded',
+        amount: request.amount
+      };
+    });
+  }
+
+  async void(authorizationId, request) {
+    return this.idempotent('void', { authorizationId, ...request }, () => {
+      const authorization = this.authorizations.get(authorizationId);
+
+      if (!authorization) {
+        throw createError('Authorization not found', 404);
+      }
+      if (authorization.status !== 'authorized') {
+        throw createError(`Authorization is already ${authorization.status}`, 409);
+      }
+
+      authorization.status = 'voided';
+
+      return { id: authorizationId, status: 'voided' };
+    });
+  }
+}
+
+/**
+ * Create the payment gateway selected in configuration
+ * @param {string} name - 'fake'
+ * @returns {PaymentGateway}
+ */
+const createPaymentGateway = (name = config.PAYMENT_GATEWAY) => {
+  switch (name) {
+    case 'fake':
+      return new FakePaymentGateway();
+    default:
+      throw new Error(`Unknown payment gateway: ${name}`);
+  }
+};
+
+module.exports = {
+  PaymentGateway,
+  FakePaymentGateway,
+  createPaymentGateway
+};
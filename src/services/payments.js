@@ -0,0 +1,493 @@
+const Payment = require('../models/Payment');
+const RidePool = require('../models/RidePool');
+const LedgerTransaction = require('../models/LedgerTransaction');
+const config = require('../config/config');
+const logger = require('../utils/logger');
+const { createError } = require('../utils/errors');
+const { createPaymentGateway } = require('./paymentGateways');
+const { payFromWallet, settleWallet } = require('./wallet');
+const {
+  ACCOUNTS,
+  riderAccount,
+  driverAccount,
+  walletAccount,
+  organizationAccount,
+  postTransaction,
+  accountBalance
+} = require('./ledger');
+
+/**
+ * Card payments for rides.
+ *
+ * A rider's card is authorized when they join a pool, for the most the ride
+ * can come to at settlement. When the ride completes the settled fare is
+ * posted to the ledger and captured; a rider who leaves is charged their
+ * cancellation fee from the same authorization, or has it released. A rider
+ * paying wallet-first spends their stored credit on joining and the card only
+ * covers the rest. Rides billed to an organization never touch the rider's
+ * card or wallet; they are owed on the organization's account and invoiced.
+ * Every gateway call and ledger transaction is keyed on the ride request and
+ * pool, so retrying any step never charges twice.
+ */
+
+const round = (amount) => Math.round(amount * 100) / 100;
+
+let gateway;
+
+/**
+ * Payment gateway selected by PAYMENT_GATEWAY, created on first use
+ * @returns {PaymentGateway}
+ */
+const getPaymentGateway = () => {
+  if (!gateway) {
+    gateway = createPaymentGateway();
+  }
+  return gateway;
+};
+
+/**
+ * Replace the payment gateway, e.g. with a fresh fake in tests
+ * @param {PaymentGateway} paymentGateway
+ */
+const setPaymentGateway = (paymentGateway) => {
+  gateway = paymentGateway;
+};
+
+/**
+ * Most a rider can be charged for a ride: their price plus the settlement
+ * allowance, but never above a quoted ceiling
+ * @param {number} price - Price when joining
+ * @param {number} priceCeiling - Quoted maximum, if any
+ * @returns {number}
+ */
+const authorizationAmount = (price, priceCeiling) => {
+  const amount = round(price * (1 + config.SETTLEMENT_MAX_INCREASE));
+  return priceCeiling ? Math.min(amount, priceCeiling) : amount;
+};
+
+const setPassengerPaymentStatus = (poolId, requestId, paymentStatus) => RidePool.updateOne(
+  { _id: poolId, 'passengers.requestId': requestId },
+  { $set: { 'passengers.$.paymentStatus': paymentStatus } }
+);
+
+/**
+ * Authorize a rider's card for a ride in a pool, unless it already is
+ * @param {string} poolId
+ * @param {Object} passenger - { userId, requestId }
+ * @param {number} amount - Amount to hold
+ * @param {string} attempt - Distinguishes a fresh attempt after a failed one
+ * @returns {Promise<Object>} Payment
+ */
+const authorize = async (poolId, passenger, amount, attempt = 'join') => {
+  const { userId, requestId } = passenger;
+  const existing = await Payment.findOne({ requestId, poolId });
+
+  if (existing && existing.status !== 'failed') {
+    return existing;
+  }
+
+  try {
+    const authorization = await getPaymentGateway().authorize({
+      amount,
+      currency: config.PAYMENT_CURRENCY,
+      customerId: userId.toString(),
+      description: `Ride ${requestId}`,
+      idempotencyKey: `authorize:${requestId}:${poolId}:${attempt}`
+    });
+
+    return await Payment.findOneAndUpdate(
+      { requestId, poolId },
+      {
+        userId,
+        gateway: config.PAYMENT_GATEWAY,
+        currency: authorization.currency,
+        authorizationId: authorization.id,
+        authorizedAmount: authorization.amount,
+        status: 'authorized',
+        $unset: { failureReason: 1 }
+      },
+      { upsert: true, new: true }
+    );
+  } catch (error) {
+    if (error.status) {
+      await Payment.findOneAndUpdate(
+        { requestId, poolId },
+        {
+          userId,
+          gateway: config.PAYMENT_GATEWAY,
+          currency: config.PAYMENT_CURRENCY,
+          status: 'failed',
+          failureReason: error.message
+        },
+        { upsert: true }
+      );
+    }
+    throw error;
+  }
+};
+
+/**
+ * Authorize a rider who has just joined a pool, after spending their stored
+ * credit if they pay wallet-first. A failed authorization does not undo the
+ * match; the fare is authorized again at settlement.
+ * @param {Object} rideRequest - RideRequest document
+ * @param {Object} pool - RidePool document the rider joined
+ * @returns {Promise<Object|null>} Payment, or null if the wallet covers the
+ *   ride or authorization failed
+ */
+const authorizeRide = async (rideRequest, pool) => {
+  const passenger = pool.passengers.find(p => p.requestId.toString() === rideRequest._id.toString());
+  if (!passenger || passenger.organizationId) return null;
+
+  try {
+    const fromWallet = rideRequest.paymentMethod === 'wallet'
+      ? await payFromWallet(pool._id, passenger, passenger.price)
+      : 0;
+    const amount = round(authorizationAmount(passenger.price, rideRequest.quote?.priceCeiling) - fromWallet);
+    const payment = amount > 0 ? await authorize(pool._id, passenger, amount) : null;
+    await setPassengerPaymentStatus(pool._id, rideRequest._id, 'authorized');
+    passenger.paymentStatus = 'authorized';
+
+    return payment;
+  } catch (error) {
+    logger.warn(`Payment authorization failed for request ${rideRequest._id}: ${error.message}`);
+    return null;
+  }
+};
+
+/**
+ * Capture an amount from an authorized payment and post it to the ledger
+ * @param {Object} payment - Payment document
+ * @param {number} amount
+ * @returns {Promise<Object>} The payment
+ */
+const collect = async (payment, amount) => {
+  if (payment.status === 'authorized') {
+    const charge = await getPaymentGateway().capture(payment.authorizationId, {
+      amount,
+      idempotencyKey: `capture:${payment._id}`
+    });
+
+    payment.chargeId = charge.id;
+    payment.capturedAmount = charge.amount;
+    payment.status = 'captured';
+    await payment.save();
+  }
+
+  await postTransaction({
+    type: 'payment',
+    idempotencyKey: `payment:${payment.chargeId}`,
+    description: `Card payment ${payment.chargeId}`,
+    entries: [
+      { account: ACCOUNTS.CASH, debit: payment.capturedAmount },
+      { account: riderAccount(payment.userId), credit: payment.capturedAmount }
+    ],
+    userId: payment.userId,
+    requestId: payment.requestId,
+    poolId: payment.poolId,
+    paymentId: payment._id
+  });
+
+  return payment;
+};
+
+/**
+ * Release a payment's authorization without charging anything
+ * @param {Object} payment - Payment document, or null
+ */
+const release = async (payment) => {
+  if (payment?.status !== 'authorized') return;
+
+  await getPaymentGateway().void(payment.authorizationId, { idempotencyKey: `void:${payment._id}` });
+  payment.status = 'voided';
+  await payment.save();
+};
+
+/**
+ * Split a settled fare into what the rider pays and what the platform funds
+ * @param {Object} fare - Fare breakdown
+ * @param {number} price - What the rider pays
+ * @returns {Object} { gross, promo, compensation }
+ */
+const fareFunding = (fare, price) => {
+  const funded = (type) => -round((fare?.lines || [])
+    .filter(line => line.type === type)
+    .reduce((sum, line) => sum + line.amount, 0));
+  const promo = funded('promo_discount');
+  const compensation = funded('compensation');
+
+  return { gross: round(price + promo + compensation), promo, compensation };
+};
+
+/**
+ * Post a rider's settled fare to the ledger and collect it: the rider owes
+ * the fare, the platform funds their promo discount and compensation, and
+ * the driver earns DRIVER_PAYOUT_SHARE of the fare before those. What the
+ * rider paid from their wallet counts first; any excess is credited back.
+ * A ride billed to an organization is owed by the organization instead.
+ * @param {Object} pool - Completed RidePool document
+ * @param {Object} passenger - Settled passenger subdocument
+ * @returns {Promise<string>} Payment status for the passenger: 'paid', 'invoiced' or 'waived'
+ */
+const captureRide = async (pool, passenger) => {
+  const { userId, requestId, organizationId } = passenger;
+  const { gross, promo, compensation } = fareFunding(passenger.fareBreakdown, passenger.price);
+  const driverShare = pool.vehicle.driverId ? round(gross * config.DRIVER_PAYOUT_SHARE) : 0;
+
+  await postTransaction({
+    type: 'ride_charge',
+    idempotencyKey: `ride_charge:${requestId}:${pool._id}`,
+    description: `Fare for ride ${requestId}`,
+    entries: [
+      { account: organizationId ? organizationAccount(organizationId) : riderAccount(userId), debit: passenger.price },
+      { account: ACCOUNTS.PROMO_EXPENSE, debit: promo },
+      { account: ACCOUNTS.COMPENSATION_EXPENSE, debit: compensation },
+      { account: driverAccount(pool.vehicle.driverId), credit: driverShare },
+      { account: ACCOUNTS.FARE_REVENUE, credit: round(gross - driverShare) }
+    ],
+    userId,
+    requestId,
+    poolId: pool._id
+  });
+
+  if (organizationId) {
+    return passenger.price > 0 ? 'invoiced' : 'waived';
+  }
+
+  const due = await settleWallet(pool._id, passenger, Math.max(passenger.price, 0));
+  let payment = await Payment.findOne({ requestId, poolId: pool._id });
+
+  if (due <= 0) {
+    await release(payment);
+    return passenger.price > 0 ? 'paid' : 'waived';
+  }
+
+  if (!payment || payment.status === 'failed') {
+    payment = await authorize(pool._id, passenger, due, 'settlement');
+  }
+
+  if (payment.status === 'authorized' && payment.authorizedAmount < due) {
+    throw createError(`Authorized $${payment.authorizedAmount} does not cover the fare`, 409);
+  }
+
+  await collect(payment, due);
+
+  return 'paid';
+};
+
+/**
+ * Collect every settled fare in a completed pool. A fare that cannot be
+ * collected stays 'due' on the passenger and owed on the rider's account.
+ * @param {Object} pool - RidePool document, changed in place
+ * @returns {Promise<Array>} Results as { userId, paymentStatus, error }
+ */
+const capturePoolPayments = async (pool) => {
+  const results = [];
+
+  for (const passenger of pool.passengers.filter(p => p.settlement)) {
+    try {
+      passenger.paymentStatus = await captureRide(pool, passenger);
+      results.push({ userId: passenger.userId, paymentStatus: passenger.paymentStatus });
+    } catch (error) {
+      logger.error(`Failed to collect fare for request ${passenger.requestId}: ${error.message}`);
+      passenger.paymentStatus = 'due';
+      results.push({ userId: passenger.userId, paymentStatus: 'due', error: error.message });
+    }
+  }
+
+  return results;
+};
+
+/**
+ * Charge a rider who left a pool their cancellation fee, from what they paid
+ * from their wallet and then their authorization. Anything left of either is
+ * credited back or released. A fee on a ride billed to an organization is
+ * owed by the organization.
+ * @param {string} poolId
+ * @param {Object} passenger - { userId, requestId } of the rider who left
+ * @param {Object} cancellation - From the cancellation policy, or null
+ */
+const chargeCancellation = async (poolId, passenger, cancellation) => {
+  const { userId, requestId, organizationId } = passenger;
+
+  try {
+    const payment = await Payment.findOne({ requestId, poolId });
+    const fee = cancellation?.fee > 0 ? cancellation.fee : 0;
+
+    if (fee > 0) {
+      await postTransaction({
+        type: 'cancellation_fee',
+        idempotencyKey: `cancellation_fee:${requestId}:${poolId}`,
+        description: `${cancellation.kind === 'no_show' ? 'No-show' : 'Cancellation'} fee for ride ${requestId}`,
+        entries: [
+          { account: organizationId ? organizationAccount(organizationId) : riderAccount(userId), debit: cancellation.fee },
+          { account: ACCOUNTS.FEE_REVENUE, credit: cancellation.fee }
+        ],
+        userId,
+        requestId,
+        poolId
+      });
+    }
+
+    if (organizationId) return;
+
+    const due = await settleWallet(poolId, passenger, fee);
+
+    if (due > 0 && payment?.status === 'authorized') {
+      await collect(payment, Math.min(due, payment.authorizedAmount));
+    } else {
+      await release(payment);
+    }
+  } catch (error) {
+    logger.error(`Failed to charge cancellation for request ${requestId}: ${error.message}`);
+  }
+};
+
+/**
+ * Refund part or all of a captured payment
+ * @param {string} paymentId
+ * @param {Object} refund - { amount, reason, idempotencyKey }
+ * @returns {Promise<Object>} The payment
+ * @throws {Error} 404/409 for unknown payments or amounts beyond what is left
+ */
+const refundPayment = async (paymentId, { amount, reason, idempotencyKey }) => {
+  const payment = await Payment.findById(paymentId);
+
+  if (!payment) {
+    throw createError('Payment not found', 404);
+  }
+
+  // A retried refund returns the payment as it was refunded
+  const replayed = payment.refunds.find(r => r.idempotencyKey === idempotencyKey);
+  if (replayed) {
+    if (Math.round(replayed.amount * 100) !== Math.round(amount * 100)) {
+      throw createError('Idempotency-Key was already used for a different refund', 409);
+    }
+    return payment;
+  }
+
+  if (!['captured', 'partially_refunded'].includes(payment.status)) {
+    throw createError(`Cannot refund a ${payment.status} payment`, 409);
+  }
+
+  if (Math.round(amount * 100) > Math.round((payment.capturedAmount - payment.refundedAmount) * 100)) {
+    throw createError(`At most $${round(payment.capturedAmount - payment.refundedAmount)} can be refunded`, 409);
+  }
+
+  const refund = await getPaymentGateway().refund(payment.chargeId, {
+    amount,
+    reason,
+    idempotencyKey: `refund:${payment._id}:${idempotencyKey}`
+  });
+
+  await postTransaction({
+    type: 'refund',
+    idempotencyKey: `refund:${refund.id}`,
+    description: reason || `Refund of ${payment.chargeId}`,
+    entries: [
+      { account: ACCOUNTS.REFUND_EXPENSE, debit: amount },
+      { account: ACCOUNTS.CASH, credit: amount }
+    ],
+    userId: payment.userId,
+    requestId: payment.requestId,
+    poolId: payment.poolId,
+    paymentId: payment._id
+  });
+
+  payment.refunds.push({ refundId: refund.id, idempotencyKey, amount, reason });
+  payment.refundedAmount = round(payment.refundedAmount + amount);
+  payment.status = payment.refundedAmount >= payment.capturedAmount ? 'refunded' : 'partially_refunded';
+  await payment.save();
+
+  logger.info(`Refunded $${amount} of payment ${payment._id}`);
+
+  return payment;
+};
+
+/**
+ * Record paying a driver what they have earned
+ * @param {string} driverId
+ * @param {Object} payout - { amount, idempotencyKey }; amount defaults to everything owed
+ * @returns {Promise<Object>} The driver_payout LedgerTransaction
+ * @throws {Error} 409 if nothing, or less than amount, is owed
+ */
+const payOutDriver = async (driverId, { amount, idempotencyKey }) => {
+  const key = `driver_payout:${driverId}:${idempotencyKey}`;
+  const existing = await LedgerTransaction.findOne({ idempotencyKey: key });
+  if (existing) {
+    return existing;
+  }
+
+  const owed = -(await accountBalance(driverAccount(driverId)));
+  const payout = amount ?? owed;
+
+  if (!(payout > 0) || Math.round(payout * 100) > Math.round(owed * 100)) {
+    throw createError(`Driver is owed $${Math.max(owed, 0)}`, 409);
+  }
+
+  return postTransaction({
+    type: 'driver_payout',
+    idempotencyKey: key,
+    description: `Payout to driver ${driverId}`,
+    entries: [
+      { account: driverAccount(driverId), debit: payout },
+      { account: ACCOUNTS.CASH, credit: payout }
+    ],
+    userId: driverId
+  });
+};
+
+/**
+ * Add stored credit to a rider's wallet, charged to their card
+ * @param {string} userId
+ * @param {Object} topUp - { amount, idempotencyKey }
+ * @returns {Promise<Object>} The wallet_top_up LedgerTransaction
+ * @throws {Error} 402 if the card is declined, 409 if the key was used for another amount
+ */
+const topUpWallet = async (userId, { amount, idempotencyKey }) => {
+  const key = `wallet_top_up:${userId}:${idempotencyKey}`;
+  const existing = await LedgerTransaction.findOne({ idempotencyKey: key });
+
+  if (existing) {
+    if (!existing.entries.some(entry => Math.round(entry.debit * 100) === Math.round(amount * 100))) {
+      throw createError('Idempotency-Key was already used for a different top-up', 409);
+    }
+    return existing;
+  }
+
+  const authorization = await getPaymentGateway().authorize({
+    amount,
+    currency: config.PAYMENT_CURRENCY,
+    customerId: userId.toString(),
+    description: 'Wallet top-up',
+    idempotencyKey: `authorize:${key}`
+  });
+  const charge = await getPaymentGateway().capture(authorization.id, {
+    amount,
+    idempotencyKey: `capture:${key}`
+  });
+
+  return postTransaction({
+    type: 'wallet_top_up',
+    idempotencyKey: key,
+    description: `Wallet top-up ${charge.id}`,
+    entries: [
+      { account: ACCOUNTS.CASH, debit: charge.amount },
+      { account: walletAccount(userId), credit: charge.amount }
+    ],
+    userId
+  });
+};
+
+module.exports = {
+  getPaymentGateway,
+  setPaymentGateway,
+  authorizationAmount,
+  authorizeRide,
+  captureRide,
+  capturePoolPayments,
+  chargeCancellation,
+  refundPayment,
+  payOutDriver,
+  topUpWallet
+};
@@ -0,0 +1,115 @@
+const EventEmitter = require('events');
+const database = require('../config/database');
+const logger = require('../utils/logger');
+
+const CHANNEL = 'pool-events';
+
+const POOL_EVENTS = {
+  PASSENGER_JOINED: 'pool:passenger_joined',
+  PASSENGER_LEFT: 'pool:passenger_left',
+  ROUTE_UPDATED: 'pool:route_updated',
+  PRICE_UPDATED: 'pool:price_updated',
+  STATUS_CHANGED: 'pool:status_changed',
+  SCHEDULE_UPDATED: 'pool:schedule_updated',
+  VEHICLE_UPGRADED: 'pool:vehicle_upgraded'
+};
+
+// Used when Redis is not connected (single process, tests)
+const localEvents = new EventEmitter();
+
+/**
+ * Publish a pool event to every server instance
+ * Publishing never fails the caller; a missed notification is not worth a failed ride update.
+ * @param {string} poolId - Pool the event belongs to
+ * @param {string} event - One of POOL_EVENTS
+ * @param {Object} data - Event payload
+ */
+const publishPoolEvent = async (poolId, event, data = {}) => {
+  const message = {
+    poolId: poolId.toString(),
+    event,
+    data,
+    timestamp: new Date().toISOString()
+  };
+
+  try {
+    if (database.redisCache) {
+      await database.redisCache.publish(CHANNEL, JSON.stringify(message));
+    } else {
+      localEvents.emit('message', message);
+    }
+  } catch (error) {
+    logger.error(`Failed to publish ${event} for pool ${poolId}:`, error);
+  }
+};
+
+/**
+ * Receive pool events published by any server instance
+ * @param {Function} handler - Called with { poolId, event, data, timestamp }
+ */
+const subscribePoolEvents = async (handler) => {
+  localEvents.on('message', handler);
+
+  if (database.redisPubSub) {
+    await database.redisPubSub.subscribe(CHANNEL);
+    database.redisPubSub.on('message', (channel, raw) => {
+      if (channel !== CHANNEL) return;
+
+      try {
+        handler(JSON.parse(raw));
+      } catch (error) {
+        logger.error('Failed to handle pool event:', error);
+      }
+    });
+  }
+};
+
+/**
+ * Publish a status change if the pool status moved
+ * @param {Object} pool - RidePool document after the update
+ * @param {string} previousStatus - Status before the update
+ */
+const publishStatusChange = async (pool, previousStatus) => {
+  if (pool.status === previousStatus) return;
+
+  await publishPoolEvent(pool._id, POOL_EVENTS.STATUS_CHANGED, {
+    from: previousStatus,
+    to: pool.status
+  });
+};
+
+/**
+ * Route fields sent to subscribers
+ */
+const routeSnapshot = (pool) => ({
+  stops: pool.route.stops.map(stop => ({
+    type: stop.type,
+    location: stop.location,
+    address: stop.address,
+    sequence: stop.sequence,
+    arrivedAt: stop.arrivedAt,
+    completed: stop.completed
+  })),
+  totalDistance: pool.route.totalDistance,
+  totalDuration: pool.route.totalDuration
+});
+
+/**
+ * Price fields sent to subscribers
+ */
+const priceSnapshot = (pool) => ({
+  totalPrice: pool.pricing.totalPrice,
+  passengers: pool.passengers.map(p => ({
+    userId: p.userId,
+    price: p.price
+  }))
+});
+
+module.exports = {
+  POOL_EVENTS,
+  publishPoolEvent,
+  publishStatusChange,
+  subscribePoolEvents,
+  routeSnapshot,
+  priceSnapshot
+};
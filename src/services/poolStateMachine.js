@@ -0,0 +1,115 @@
+const { createError } = require('../utils/errors');
+
+// Allowed status transitions; every change is recorded in RidePool.statusHistory
+const POOL_TRANSITIONS = {
+  forming: ['matched', 'cancelled'],
+  matched: ['active', 'cancelled'],
+  active: ['completed', 'cancelled'],
+  completed: [],
+  cancelled: []
+};
+
+const PASSENGER_TRANSITIONS = {
+  waiting: ['picked_up', 'cancelled'],
+  picked_up: ['dropped_off'],
+  dropped_off: [],
+  cancelled: []
+};
+
+// Timestamp fields stamped when a status is entered
+const POOL_TIMESTAMPS = {
+  matched: 'matchedAt',
+  active: 'startedAt',
+  completed: 'completedAt',
+  cancelled: 'cancelledAt'
+};
+
+const PASSENGER_TIMESTAMPS = {
+  picked_up: 'actualPickupTime',
+  dropped_off: 'actualDropoffTime'
+};
+
+const canTransitionPool = (from, to) => (POOL_TRANSITIONS[from] || []).includes(to);
+
+const canTransitionPassenger = (from, to) => (PASSENGER_TRANSITIONS[from] || []).includes(to);
+
+/**
+ * Move a pool to a new status
+ * @param {Object} pool - RidePool document
+ * @param {string} to - Target status
+ * @param {string} reason - Why the transition happened
+ * @param {Date} at - Transition time
+ * @throws {Error} 409 if the transition is not allowed
+ */
+const transitionPool = (pool, to, reason, at = new Date()) => {
+  const from = pool.status;
+
+  if (!canTransitionPool(from, to)) {
+    throw createError(`Cannot move ride from ${from} to ${to}`, 409);
+  }
+
+  pool.status = to;
+  pool[POOL_TIMESTAMPS[to]] = at;
+
+  if (to === 'cancelled') {
+    pool.cancelReason = reason;
+  }
+
+  pool.statusHistory.push({ entity: 'pool', from, to, reason, at });
+};
+
+/**
+ * Move a passenger in a pool to a new status
+ * @param {Object} pool - RidePool document
+ * @param {Object} passenger - Passenger subdocument of the pool
+ * @param {string} to - Target status
+ * @param {string} reason - Why the transition happened
+ * @param {Date} at - Transition time
+ * @throws {Error} 409 if the transition is not allowed
+ */
+const transitionPassenger = (pool, passenger, to, reason, at = new Date()) => {
+  const from = passenger.status;
+
+  if (!canTransitionPassenger(from, to)) {
+    throw createError(`Cannot move passenger from ${from} to ${to}`, 409);
+  }
+
+  passenger.status = to;
+  if (PASSENGER_TIMESTAMPS[to]) {
+    passenger[PASSENGER_TIMESTAMPS[to]] = at;
+  }
+
+  pool.statusHistory.push({
+    entity: 'passenger',
+    passengerId: passenger.userId,
+    from,
+    to,
+    reason,
+    at
+  });
+};
+
+/**
+ * Guard for rider cancellation: only passengers still waiting for pickup,
+ * in a pool that has not finished, may cancel
+ * @throws {Error} 409 if the passenger can no longer cancel
+ */
+const assertCanCancelPassenger = (pool, passenger) => {
+  if (!['forming', 'matched', 'active'].includes(pool.status)) {
+    throw createError(`Cannot cancel a ${pool.status} ride`, 409);
+  }
+
+  if (passenger.status !== 'waiting') {
+    throw createError('Cannot cancel after pickup', 409);
+  }
+};
+
+module.exports = {
+  POOL_TRANSITIONS,
+  PASSENGER_TRANSITIONS,
+  canTransitionPool,
+  canTransitionPassenger,
+  transitionPool,
+  transitionPassenger,
+  assertCanCancelPassenger
+};
@@ -0,0 +1,124 @@
+const crypto = require('crypto');
+const { v4: uuidv4 } = require('uuid');
+const config = require('../config/config');
+const { createError } = require('../utils/errors');
+
+/**
+ * Binding price quotes.
+ *
+ * A quote locks the most a rider can be charged for a trip for QUOTE_TTL_MS.
+ * It is handed to the rider as a token: the quote as base64url JSON, a dot,
+ * and an HMAC-SHA256 signature of that JSON. The token is verified and then
+ * redeemed (once) when the rider books with it; a booking that fails after
+ * redeeming it releases it again.
+ */
+
+const secret = () => config.QUOTE_SECRET || config.JWT_SECRET;
+
+const sign = (payload) =>
+  crypto.createHmac('sha256', secret()).update(payload).digest('base64url');
+
+// Locations match if they agree to about a metre
+const sameLocation = (a, b) =>
+  a.coordinates.every((value, idx) => Math.abs(value - b.coordinates[idx]) < 1e-5);
+
+/**
+ * Issue a signed quote
+ * @param {Object} quote - { userId, pickupLocation, dropoffLocation, vehicleType, priceCeiling }
+ * @param {Date} now
+ * @returns {Object} { quoteId, token, priceCeiling, expiresAt }
+ */
+const issueQuote = (quote, now = new Date()) => {
+  const payload = {
+    id: uuidv4(),
+    userId: quote.userId.toString(),
+    pickup: quote.pickupLocation.coordinates,
+    dropoff: quote.dropoffLocation.coordinates,
+    vehicleType: quote.vehicleType,
+    priceCeiling: quote.priceCeiling,
+    expiresAt: now.getTime() + config.QUOTE_TTL_MS
+  };
+  const encoded = Buffer.from(JSON.stringify(payload)).toString('base64url');
+
+  return {
+    quoteId: payload.id,
+    token: `${encoded}.${sign(encoded)}`,
+    priceCeiling: payload.priceCeiling,
+    expiresAt: new Date(payload.expiresAt)
+  };
+};
+
+/**
+ * Check a quote token is genuine, unexpired and for this ride
+ * @param {string} token - Token from issueQuote
+ * @param {Object} ride - { userId, pickupLocation, dropoffLocation, vehicleType }
+ * @param {Date} now
+ * @returns {Object} { id, priceCeiling, vehicleType, expiresAt }
+ * @throws {Error} 400 for tampered, expired or mismatched quotes
+ */
+const verifyQuote = (token, ride, now = new Date()) => {
+  const [encoded, signature] = String(token).split('.');
+  const given = Buffer.from(signature || '');
+  const expected = Buffer.from(encoded ? sign(encoded) : '');
+
+  // timingSafeEqual throws unless both buffers have the same byte length
+  if (given.length === 0 || given.length !== expected.length ||
+      !crypto.timingSafeEqual(given, expected)) {
+    throw createError('Invalid price quote', 400);
+  }
+
+  const payload = JSON.parse(Buffer.from(encoded, 'base64url').toString('utf8'));
+
+  if (payload.expiresAt <= now.getTime()) {
+    throw createError('Price quote has expired; request a new estimate', 400);
+  }
+
+  if (payload.userId !== ride.userId.toString() ||
+      !sameLocation({ coordinates: payload.pickup }, ride.pickupLocation) ||
+      !sameLocation({ coordinates: payload.dropoff }, ride.dropoffLocation)) {
+    throw createError('Price quote is for a different trip', 400);
+  }
+
+  if (payload.vehicleType !== ride.vehicleType) {
+    throw createError(`Price quote is for a ${payload.vehicleType}, not a ${ride.vehicleType}`, 400);
+  }
+
+  return {
+    id: payload.id,
+    priceCeiling: payload.priceCeiling,
+    vehicleType: payload.vehicleType,
+    expiresAt: new Date(payload.expiresAt)
+  };
+};
+
+/**
+ * Mark a verified quote as used so it cannot be booked twice
+ * @param {Object} quote - As returned by verifyQuote
+ * @param {Object} redisClient - Redis client
+ * @throws {Error} 409 if the quote was already used
+ */
+const redeemQuote = async (quote, redisClient) => {
+  const ttl = Math.max(quote.expiresAt.getTime() - Date.now(), 1);
+  const result = await redisClient.set(`quote:used:${quote.id}`, '1', 'PX', ttl, 'NX');
+
+  if (!result) {
+    throw createError('Price quote has already been used', 409);
+  }
+};
+
+/**
+ * Make a redeemed quote usable again, for a booking that failed after
+ * redeeming it
+ * @param {Object} quote - As returned by verifyQuote
+ * @param {Object} redisClient - Redis client
+ */
+const releaseQuote = async (quote, redisClient) => {
+  await redisClient.del(`quote:used:${quote.id}`);
+};
+
+module.exports = {
+  issueQuote,
+  verifyQuote,
+  redeemQuote,
+  releaseQuote
+};
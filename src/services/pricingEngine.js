@@ -1,5 +1,15 @@
 const config = require('../config/config');
 const logger = require('../utils/logger');
+const VehicleFleet = require('../utils/vehicleFleet');
+
+// Demand assumed when live counts are unavailable
+const NORMAL_DEMAND = {
+  demandLevel: 'normal',
+  surgeFactor: 1.0,
+  activeRequests: 0,
+  matchedRequests: 0,
+  availableCabs: 0
+};
 
 class PricingEngine {
   /**
@@ -81,74 +91,421 @@ class PricingEngine {
    * @returns {number} Discount factor
    */
   static getLoyaltyDiscount(userTier) {
-    const discounts = {
-      'basic': 1.0,
-      'premium': 0.95,  // 5% discount
-      'vip': 0.90       // 10% discount
-    };
-
-    return discounts[userTier] || 1.0;
+    return config.LOYALTY_TIERS[userTier]?.priceFactor || 1.0;
   }
 
   /**
-   * Calculate price for a passenger joining a pool
+   * Direct trip distance and duration for a request: the road route stored
+   * when the request was created, or a straight-line estimate for requests
+   * without one
    * @param {Object} rideRequest - Ride request data
-   * @param {Object} pool - Current pool data
-   * @param {number} detourPercentage - Detour caused by this passenger
-   * @param {Object} demandData - Optional demand data { activeRequests, availableCabs }
-   * @returns {number} Final price for this passenger
+   * @returns {Object} { distance, duration } in km and minutes
    */
-  static calculatePassengerPrice(rideRequest, pool, detourPercentage, demandData = null) {
-    const DistanceCalculator = require('../utils/distanceCalculator');
+  static getDirectRoute(rideRequest) {
+    const metadata = rideRequest.metadata || {};
+
+    if (metadata.estimatedDistance !== undefined && metadata.estimatedDuration !== undefined) {
+      return { distance: metadata.estimatedDistance, duration: metadata.estimatedDuration };
+    }
 
-    // Calculate direct distance for this passenger
-    const directDistance = DistanceCalculator.calculateDistance(
+    const DistanceCalculator = require('../utils/distanceCalculator');
+    const distance = DistanceCalculator.calculateDistance(
       rideRequest.pickupLocation,
       rideRequest.dropoffLocation
     );
 
-    const directDuration = DistanceCalculator.estimateDuration(directDistance);
+    return { distance, duration: DistanceCalculator.estimateDuration(distance) };
+  }
 
-    // Step 1: Base price
-    let price = this.calculateBasePrice(directDistance, directDuration);
-
-    logger.debug(`Base price for distance ${directDistance}km: $${price.toFixed(2)}`);
-
-    // Step 2: Apply surge pricing (if demand data available)
-    if (demandData) {
-      const demandMultiplier = this.calculateDemandMultiplier(
-        demandData.activeRequests,
-        demandData.availableCabs
-      );
-      price *= demandMultiplier;
-      logger.debug(`After demand multiplier ${demandMultiplier}: $${price.toFixed(2)}`);
-    } else {
-      // Use stored surge factor from pool
-      price *= pool.pricing.surgeFactor || 1.0;
+  /**
+   * Start an itemized fare from a trip's distance and duration
+   * @param {number} distanceKm - Distance in kilometers
+   * @param {number} durationMin - Duration in minutes
+   * @returns {Object} { distanceKm, durationMin, base, lines, total } with no adjustments yet
+   */
+  static createFare(distanceKm, durationMin) {
+    const round = (amount) => Math.round(amount * 100) / 100;
+    const distance = round(distanceKm * config.BASE_RATE_PER_KM);
+    const time = round(durationMin * config.BASE_RATE_PER_MIN);
+    const airportFee = round(config.AIRPORT_FEE);
+    const amount = round(this.calculateBasePrice(distanceKm, durationMin));
+
+    return {
+      distanceKm: Math.round(distanceKm * 100) / 100,
+      durationMin,
+      base: {
+        distance,
+        time,
+        airportFee,
+        minimumFareAdjustment: round(Math.max(amount - (distance + time + airportFee), 0)),
+        amount
+      },
+      lines: [],
+      total: amount
+    };
+  }
+
+  /**
+   * Apply a multiplier to a fare, recording it as a line with the amount it
+   * added (or took off). Multipliers of 1 leave no line.
+   * Line amounts are taken between rounded running totals, so the base
+   * amount plus every line always adds up to the total.
+   * @param {Object} fare - Fare from createFare
+   * @param {string} type - Line type, e.g. 'surge' or 'pooling_discount'
+   * @param {number} factor - Multiplier applied to the running total
+   * @param {string} description - Explanation shown to the rider
+   * @returns {Object} The fare
+   */
+  static applyFareLine(fare, type, factor, description) {
+    if (factor === 1) {
+      return fare;
+    }
+
+    const total = Math.round(fare.total * factor * 100) / 100;
+
+    fare.lines.push({
+      type,
+      description,
+      factor: Math.round(factor * 10000) / 10000,
+      amount: Math.round((total - fare.total) * 100) / 100
+    });
+    fare.total = total;
+
+    return fare;
+  }
+
+  /**
+   * Apply a percentage discount as a fare line
+   * @param {number} discount - Fraction taken off (0-1)
+   */
+  static applyFareDiscount(fare, type, discount, label) {
+    return this.applyFareLine(fare, type, 1 - discount, `${label} ${Math.round(discount * 100)}%`);
+  }
+
+  /**
+   * Apply the rider's loyalty tier discount as a fare line
+   */
+  static applyLoyaltyDiscount(fare, userTier) {
+    const tier = userTier || 'basic';
+    return this.applyFareDiscount(
+      fare,
+      'loyalty_discount',
+      1 - this.getLoyaltyDiscount(tier),
+      `${tier.charAt(0).toUpperCase()}${tier.slice(1)} loyalty discount`
+    );
+  }
+
+  /**
+   * Apply the fare multiplier of a vehicle type as a fare line
+   */
+  static applyVehicleMultiplier(fare, vehicleType) {
+    return this.applyFareLine(
+      fare,
+      'vehicle',
+      VehicleFleet.priceMultiplier(vehicleType),
+      `Vehicle: ${vehicleType} ×${VehicleFleet.priceMultiplier(vehicleType)}`
+    );
+  }
+
+  /**
+   * Hold a fare to a quoted price ceiling, recording any reduction as a line
+   * @param {Object} fare - Fare breakdown
+   * @param {number} priceCeiling - Quoted maximum, or undefined for none
+   * @returns {Object} The fare
+   */
+  static applyPriceCeiling(fare, priceCeiling) {
+    if (priceCeiling === undefined || priceCeiling === null || fare.total <= priceCeiling) {
+      return fare;
+    }
+
+    fare.lines.push({
+      type: 'quote_cap',
+      description: `Capped at quoted price $${priceCeiling.toFixed(2)}`,
+      amount: Math.round((priceCeiling - fare.total) * 100) / 100
+    });
+    fare.total = priceCeiling;
+
+    return fare;
+  }
+
+  /**
+   * Take a promo code's discount off the fare, never below zero
+   * @param {Object} fare - Fare breakdown
+   * @param {Object} promo - { code, discountType, discountValue, maxDiscount }
+   * @returns {Object} The fare
+   */
+  static applyPromoDiscount(fare, promo) {
+    if (!promo?.code) {
+      return fare;
+    }
+
+    const isPercent = promo.discountType === 'percent';
+    const discount = isPercent
+      ? Math.min(fare.total * promo.discountValue / 100, promo.maxDiscount ?? Infinity)
+      : promo.discountValue;
+    const amount = Math.round(Math.min(discount, fare.total) * 100) / 100;
+
+    if (amount <= 0) {
+      return fare;
+    }
+
+    fare.lines.push({
+      type: 'promo_discount',
+      description: isPercent
+        ? `Promo ${promo.code} ${promo.discountValue}% off`
+        : `Promo ${promo.code} $${promo.discountValue.toFixed(2)} off`,
+      factor: isPercent ? 1 - promo.discountValue / 100 : undefined,
+      amount: -amount
+    });
+    fare.total = Math.round((fare.total - amount) * 100) / 100;
+
+    return fare;
+  }
+
+  /**
+   * Credit compensation from riders who left the pool late, never below zero
+   * @param {Object} fare - Fare breakdown
+   * @param {number} compensation - Amount credited to this rider
+   * @returns {Object} The fare
+   */
+  static applyCompensation(fare, compensation) {
+    const amount = Math.round(Math.min(compensation || 0, fare.total) * 100) / 100;
+
+    if (amount <= 0) {
+      return fare;
+    }
+
+    fare.lines.push({
+      type: 'compensation',
+      description: `Compensation for a late cancellation $${amount.toFixed(2)}`,
+      amount: -amount
+    });
+    fare.total = Math.round((fare.total - amount) * 100) / 100;
+
+    return fare;
+  }
+
+  /**
+   * Hold a settled fare to SETTLEMENT_MAX_INCREASE above the price the rider
+   * agreed to, recording any reduction as a line
+   * @param {Object} fare - Fare breakdown from the actual trip
+   * @param {number} agreedPrice - Price before settlement
+   * @returns {Object} The fare
+   */
+  static applySettlementCap(fare, agreedPrice) {
+    const cap = Math.round(agreedPrice * (1 + config.SETTLEMENT_MAX_INCREASE) * 100) / 100;
+
+    if (fare.total <= cap) {
+      return fare;
     }
 
+    fare.lines.push({
+      type: 'settlement_cap',
+      description: `Capped at ${Math.round(config.SETTLEMENT_MAX_INCREASE * 100)}% over the agreed price`,
+      amount: Math.round((cap - fare.total) * 100) / 100
+    });
+    fare.total = cap;
+
+    return fare;
+  }
+
+  /**
+   * Itemized fare for a rider alone in a vehicle, as quoted at request time
+   * and charged to the first rider of a new pool. The same steps as a pooled
+   * fare without the pooling discount, so sharing never costs more.
+   * @param {Object} rideRequest - Ride request data
+   * @param {string} vehicleType - Vehicle the rider travels in
+   * @param {number} surgeFactor - Current surge factor
+   * @returns {Object} Fare breakdown
+   */
+  static calculateSoloFare(rideRequest, vehicleType, surgeFactor = 1.0) {
+    const fare = this.calculateTripFare(rideRequest, vehicleType, surgeFactor, 0);
+
+    return this.applyRiderAdjustments(fare, rideRequest);
+  }
+
+  /**
+   * Steps 1-5 of every fare, solo or pooled: the rider's part of the cost of
+   * the trip, before anything personal to the rider
+   * @param {Object} rideRequest - Ride request data
+   * @param {string} vehicleType - Vehicle the rider travels in
+   * @param {number} surgeFactor - Surge factor to apply
+   * @param {number} poolingDiscount - Fraction taken off for sharing (0 alone)
+   * @returns {Object} Fare breakdown
+   */
+  static calculateTripFare(rideRequest, vehicleType, surgeFactor, poolingDiscount) {
+    // Direct road distance for this passenger
+    const { distance: directDistance, duration: directDuration } = this.getDirectRoute(rideRequest);
+
+    // Step 1: Base price
+    const fare = this.createFare(directDistance, directDuration);
+
+    // Step 2: Apply surge pricing
+    this.applyFareLine(fare, 'surge', surgeFactor, `Demand surge ×${surgeFactor}`);
+
     // Step 3: Apply time-of-day multiplier
     const timeMultiplier = this.getTimeMultiplier();
-    price *= timeMultiplier;
-    logger.debug(`After time multiplier ${timeMultiplier}: $${price.toFixed(2)}`);
+    this.applyFareLine(fare, 'time_of_day', timeMultiplier, `Busy hours ×${timeMultiplier}`);
+
+    // Step 3b: Apply the vehicle type's fare multiplier
+    this.applyVehicleMultiplier(fare, vehicleType);
 
     // Step 4: Apply pooling discount
-    const currentPassengers = pool.passengers.length + 1; // Including this new passenger
-    const poolingDiscount = this.calculatePoolingDiscount(currentPassengers, detourPercentage);
-    price *= (1 - poolingDiscount);
-    logger.debug(`After pooling discount ${(poolingDiscount * 100).toFixed(0)}%: $${price.toFixed(2)}`);
+    if (poolingDiscount > 0) {
+      this.applyFareDiscount(fare, 'pooling_discount', poolingDiscount, 'Pooling discount');
+    }
 
     // Step 5: Apply distance discount
-    const distanceDiscount = this.getDistanceDiscount(directDistance);
-    price *= distanceDiscount;
-    logger.debug(`After distance discount: $${price.toFixed(2)}`);
+    this.applyFareDiscount(
+      fare,
+      'distance_discount',
+      1 - this.getDistanceDiscount(directDistance),
+      'Long trip discount'
+    );
+
+    return fare;
+  }
+
+  /**
+   * Itemized fare for a passenger joining a pool
+   * @param {Object} rideRequest - Ride request data
+   * @param {Object} pool - Current pool data
+   * @param {number} detourPercentage - Detour caused by this passenger
+   * @param {Object} demandData - Optional demand data { activeRequests, availableCabs }
+   * @returns {Object} Fare breakdown: { distanceKm, durationMin, base, lines, total }
+   */
+  static calculatePassengerFare(rideRequest, pool, detourPercentage, demandData = null) {
+    const fare = this.calculateSharedFare(rideRequest, pool, detourPercentage, demandData);
+
+    this.applyRiderAdjustments(fare, rideRequest);
 
-    // Step 6: Apply loyalty discount (if user tier available)
-    // This would require user data to be passed in
-    // For now, we'll skip this step
+    logger.debug(`Fare for ${fare.distanceKm}km: base $${fare.base.amount}, ` +
+      `${fare.lines.map(line => `${line.type} ${line.amount}`).join(', ')} = $${fare.total}`);
 
-    // Round to 2 decimal places
-    return Math.round(price * 100) / 100;
+    return fare;
+  }
+
+  /**
+   * Steps 1-5 of a pooled fare, for a rider sharing a pool
+   * @returns {Object} Fare breakdown
+   */
+  static calculateSharedFare(rideRequest, pool, detourPercentage, demandData = null) {
+    // Surge from demand data if available, else the pool's stored surge factor
+    const surgeFactor = demandData
+      ? this.calculateDemandMultiplier(demandData.activeRequests, demandData.availableCabs)
+      : pool.pricing.surgeFactor || 1.0;
+    const currentPassengers = pool.passengers.length + 1; // Including this new passenger
+
+    return this.calculateTripFare(
+      rideRequest,
+      pool.vehicle?.type,
+      surgeFactor,
+      this.calculatePoolingDiscount(currentPassengers, detourPercentage)
+    );
+  }
+
+  /**
+   * Steps 6-8 of every fare, which depend on the rider rather than the trip
+   */
+  static applyRiderAdjustments(fare, rideRequest) {
+    // Step 6: Apply loyalty discount for the rider's tier when they requested the ride
+    this.applyLoyaltyDiscount(fare, rideRequest.loyaltyTier);
+
+    // Step 7: Never charge more than a price the rider was quoted
+    this.applyPriceCeiling(fare, rideRequest.quote?.priceCeiling);
+
+    // Step 8: Apply the rider's promo code
+    this.applyPromoDiscount(fare, rideRequest.promo);
+
+    return fare;
+  }
+
+  /**
+   * Fares for everyone in a pool at its current size. The riders' shared
+   * fares are added up and split in proportion to each rider's direct
+   * distance (ensureFairPricing), then each rider's own discounts and promo
+   * code apply. A rider alone in the pool pays the solo fare.
+   * @param {Object} pool - Pool with passengers, vehicle and pricing
+   * @param {Array} rideRequests - The passengers' ride requests
+   * @returns {Map} userId -> fare breakdown, for passengers with a request
+   */
+  static calculatePoolFares(pool, rideRequests) {
+    const requests = new Map(rideRequests.map(r => [r._id.toString(), r]));
+    const riders = pool.passengers.filter(p =>
+      p.status !== 'cancelled' && requests.has(p.requestId.toString())
+    );
+    const requestFor = (passenger) => requests.get(passenger.requestId.toString());
+
+    if (riders.length === 1) {
+      return new Map([[
+        riders[0].userId.toString(),
+        this.calculateSoloFare(requestFor(riders[0]), pool.vehicle.type, pool.pricing.surgeFactor || 1.0)
+      ]]);
+    }
+
+    // Everyone is priced as a member of the pool at its current size
+    const pricingContext = {
+      passengers: riders.slice(1),
+      vehicle: pool.vehicle,
+      pricing: pool.pricing
+    };
+    const fares = riders.map(p =>
+      this.calculateSharedFare(requestFor(p), pricingContext, p.detour || 0)
+    );
+
+    const shares = this.ensureFairPricing(
+      riders.map((p, i) => ({
+        passengerId: p.userId,
+        directDistance: fares[i].distanceKm,
+        individualPrice: fares[i].total
+      })),
+      fares.reduce((sum, fare) => sum + fare.total, 0)
+    );
+
+    return new Map(riders.map((p, i) => {
+      const fare = fares[i];
+      const share = shares[i].price;
+
+      if (share !== fare.total) {
+        fare.lines.push({
+          type: 'fair_share',
+          description: 'Fair share of pool cost by distance',
+          amount: Math.round((share - fare.total) * 100) / 100
+        });
+        fare.total = share;
+      }
+
+      return [p.userId.toString(), this.applyRiderAdjustments(fare, requestFor(p))];
+    }));
+  }
+
+  /**
+   * Calculate price for a passenger joining a pool
+   * @returns {number} Final price for this passenger, the total of calculatePassengerFare
+   */
+  static calculatePassengerPrice(rideRequest, pool, detourPercentage, demandData = null) {
+    return this.calculatePassengerFare(rideRequest, pool, detourPercentage, demandData).total;
+  }
+
+  /**
+   * Itemized price estimate before booking, priced as the booked ride would
+   * be: alone, or sharing with one other rider without a detour
+   * @param {Object} factors - { distance, duration, surgeFactor, vehicleType, loyaltyTier, pooled }
+   * @returns {Object} Fare breakdown
+   */
+  static estimateFare(factors) {
+    const { distance, duration, surgeFactor = 1.0, vehicleType, loyaltyTier, pooled = false } = factors;
+    const rideRequest = {
+      metadata: { estimatedDistance: distance, estimatedDuration: duration },
+      loyaltyTier
+    };
+
+    if (!pooled) {
+      return this.calculateSoloFare(rideRequest, vehicleType, surgeFactor);
+    }
+
+    const pool = { passengers: [{}], vehicle: { type: vehicleType }, pricing: { surgeFactor } };
+    return this.applyRiderAdjustments(this.calculateSharedFare(rideRequest, pool, 0), rideRequest);
   }
 
   /**
@@ -179,13 +536,15 @@ class PricingEngine {
   }
 
   /**
-   * Ensure fair pricing - individual rides shouldn't cost more than pooled
-   * @param {Array} passengers - Array of passenger price data
+   * Ensure fair pricing - split the pool price in proportion to each
+   * passenger's direct distance, without anyone paying more than their own
+   * pooled price
+   * @param {Array} passengers - { passengerId, directDistance, individualPrice }
    * @param {number} totalPoolPrice - Total price for the pool
    * @returns {Array} Adjusted passenger prices
    */
   static ensureFairPricing(passengers, totalPoolPrice) {
-    // Calculate individual prices (what each would pay alone)
+    // Calculate individual prices (what each would pay in the pool on their own terms)
     const individualPrices = passengers.map(p => p.individualPrice);
     const totalIndividualPrice = individualPrices.reduce((a, b) => a + b, 0);
 
@@ -195,53 +554,66 @@ class PricingEngine {
       adjustedTotal = totalIndividualPrice * 0.85; // Apply 15% pool discount
     }
 
-    // Distribute proportionally based on individual prices
-    return passengers.map((p, i) => ({
-      passengerId: p.passengerId,
-      price: Math.round((individualPrices[i] / totalIndividualPrice) * adjustedTotal * 100) / 100
-    }));
+    // Distribute proportionally based on direct distance
+    const totalDistance = passengers.reduce((sum, p) => sum + p.directDistance, 0);
+
+    return passengers.map((p, i) => {
+      const share = totalDistance > 0
+        ? (p.directDistance / totalDistance) * adjustedTotal
+        : adjustedTotal / passengers.length;
+
+      return {
+        passengerId: p.passengerId,
+        price: Math.round(Math.min(share, individualPrices[i]) * 100) / 100
+      };
+    });
   }
 
   /**
-   * Get current demand level for a region
+   * Demand level for a surge factor
+   * @param {number} surgeFactor
+   * @returns {string} 'low', 'normal', 'high' or 'surge'
+   */
+  static getDemandLevel(surgeFactor) {
+    if (surgeFactor >= 2.0) return 'surge';
+    if (surgeFactor >= 1.5) return 'high';
+    if (surgeFactor < 1.2) return 'low';
+    return 'normal';
+  }
+
+  /**
+   * Get current demand level for a region, or for the geohash cell around a
+   * location when it has enough activity of its own (see demandTracker).
+   * The surge factor is smoothed over time.
    * @param {string} region - Region identifier
    * @param {Object} redisClient - Redis client for querying demand
-   * @returns {Promise<Object>} { demandLevel, surgeFactor, activeRequests, availableCabs }
+   * @param {Object} location - Optional {coordinates: [lng, lat]}
+   * @returns {Promise<Object>} { demandLevel, surgeFactor, activeRequests, matchedRequests, availableCabs }
    */
-  static async getCurrentDemand(region, redisClient) {
+  static async getCurrentDemand(region, redisClient, location = null) {
+    const { getDemandCounts, smoothSurge } = require('./demandTracker');
+
+    if (!redisClient) {
+      return { ...NORMAL_DEMAND };
+    }
+
     try {
-      const key = `demand:${region}:${new Date().toISOString().slice(0, 13)}`; // Hourly bucket
-      
-      const [activeRequests, availableCabs] = await Promise.all([
-        redisClient.get(`${key}:requests`) || 0,
-        redisClient.get(`${key}:cabs`) || 1
-      ]);
-
-      const demandMultiplier = this.calculateDemandMultiplier(
-        parseInt(activeRequests),
-        parseInt(availableCabs)
-      );
-
-      let demandLevel = 'normal';
-      if (demandMultiplier >= 2.0) demandLevel = 'surge';
-      else if (demandMultiplier >= 1.5) demandLevel = 'high';
-      else if (demandMultiplier < 1.2) demandLevel = 'low';
+      const counts = await getDemandCounts(redisClient, region, location);
+
+      const demandMultiplier = this.calculateDemandMultiplier(counts.requests, counts.cabs);
+      const surgeFactor = await smoothSurge(redisClient, counts.scope, demandMultiplier);
 
       return {
-        demandLevel,
-        surgeFactor: demandMultiplier,
-        activeRequests: parseInt(activeRequests),
-        availableCabs: parseInt(availableCabs)
+        demandLevel: this.getDemandLevel(surgeFactor),
+        surgeFactor,
+        activeRequests: counts.requests,
+        matchedRequests: counts.matches,
+        availableCabs: counts.cabs
       };
 
     } catch (error) {
       logger.error('Error getting current demand:', error);
-      return {
-        demandLevel: 'normal',
-        surgeFactor: 1.0,
-        activeRequests: 0,
-        availableCabs: 0
-      };
+      return { ...NORMAL_DEMAND };
     }
   }
 }
@@ -0,0 +1,161 @@
+const PromoCode = require('../models/PromoCode');
+const PromoRedemption = require('../models/PromoRedemption');
+const RideRequest = require('../models/RideRequest');
+const config = require('../config/config');
+const logger = require('../utils/logger');
+const { createError } = require('../utils/errors');
+
+/**
+ * Promo codes for campaign discounts.
+ *
+ * A code is checked against its validity window, restrictions and limits
+ * when a rider prices or books a ride. Booking redeems it: a PromoRedemption
+ * is written and the global count goes up, both guarded so that concurrent
+ * bookings cannot exceed either limit. Cancelling the ride reverses the
+ * redemption, which frees the code for another ride.
+ */
+
+/**
+ * Find a code and check the rider may use it now
+ * @param {string} code - Code as entered by the rider
+ * @param {Object} user - User document
+ * @param {Date} now
+ * @param {string} requestId - Booked ride the code is being added to, if any;
+ *   it does not count as an earlier ride
+ * @returns {Promise<Object>} PromoCode document
+ * @throws {Error} 400 explaining why the code cannot be used
+ */
+const findApplicablePromo = async (code, user, now = new Date(), requestId = null) => {
+  const normalized = String(code).trim().toUpperCase();
+  const promo = await PromoCode.findOne({ code: normalized });
+
+  if (!promo || !promo.isActive) {
+    throw createError(`Promo code ${normalized} does not exist`, 400);
+  }
+  if (!promo.isValidAt(now)) {
+    throw createError(
+      promo.validFrom > now
+        ? `Promo code ${promo.code} is not valid until ${promo.validFrom.toISOString()}`
+        : `Promo code ${promo.code} has expired`,
+      400
+    );
+  }
+  if (promo.allowedTiers.length > 0 && !promo.allowedTiers.includes(user.tier)) {
+    throw createError(`Promo code ${promo.code} is only for ${promo.allowedTiers.join('/')} riders`, 400);
+  }
+  if (promo.airports.length > 0 && !promo.airports.includes(config.DEMAND_REGION)) {
+    throw createError(`Promo code ${promo.code} is not valid at this airport`, 400);
+  }
+  if (!promo.hasRedemptionsLeft()) {
+    throw createError(`Promo code ${promo.code} has been fully redeemed`, 400);
+  }
+
+  if (promo.firstRideOnly) {
+    const hasRidden = (user.totalRides || 0) > 0 || await RideRequest.exists({
+      userId: user._id,
+      status: { $in: ['scheduled', 'pending', 'matched'] },
+      ...(requestId && { _id: { $ne: requestId } })
+    });
+    if (hasRidden) {
+      throw createError(`Promo code ${promo.code} is only for a rider's first ride`, 400);
+    }
+  }
+
+  const used = await PromoRedemption.countDocuments({
+    promoCodeId: promo._id,
+    userId: user._id,
+    status: 'applied'
+  });
+  if (used >= promo.maxRedemptionsPerUser) {
+    throw createError(`You have already used promo code ${promo.code}`, 400);
+  }
+
+  return promo;
+};
+
+/**
+ * Redeem a checked code for a ride request and record the redemption
+ * @param {Object} promo - PromoCode document from findApplicablePromo
+ * @param {Object} rideRequest - RideRequest being booked
+ * @param {number} discount - Discount on the quoted price
+ * @returns {Promise<Object>} PromoRedemption document
+ * @throws {Error} 409 if the rider's or the code's last redemption was taken in the meantime
+ */
+const redeemPromo = async (promo, rideRequest, discount) => {
+  // Each of a rider's uses takes one of maxRedemptionsPerUser slots, and the
+  // unique index on applied slots stops two bookings taking the same one
+  let redemption;
+  for (let slot = 0; !redemption && slot < promo.maxRedemptionsPerUser; slot++) {
+    try {
+      redemption = await PromoRedemption.create({
+        promoCodeId: promo._id,
+        code: promo.code,
+        userId: rideRequest.userId,
+        requestId: rideRequest._id,
+        slot,
+        discount
+      });
+    } catch (error) {
+      if (error.code !== 11000) throw error;
+    }
+  }
+
+  if (!redemption) {
+    throw createError(`You have already used promo code ${promo.code}`, 409);
+  }
+
+  // Guard on the count so concurrent bookings cannot exceed the limit
+  const updated = await PromoCode.findOneAndUpdate(
+    {
+      _id: promo._id,
+      $or: [
+        { maxRedemptions: { $exists: false } },
+        { maxRedemptions: null },
+        { $expr: { $lt: ['$redemptionCount', '$maxRedemptions'] } }
+      ]
+    },
+    { $inc: { redemptionCount: 1 } },
+    { new: true }
+  );
+
+  if (!updated) {
+    // Never used, so there is nothing to audit
+    await PromoRedemption.deleteOne({ _id: redemption._id });
+    throw createError(`Promo code ${promo.code} has been fully redeemed`, 409);
+  }
+
+  logger.info(`Promo code ${promo.code} redeemed by ${rideRequest.userId} on request ${rideRequest._id}`);
+
+  return redemption;
+};
+
+/**
+ * Give back the code used on a cancelled ride request, if any
+ * @param {string} requestId - Cancelled RideRequest ID
+ * @param {string} reason - Why the ride was cancelled
+ * @returns {Promise<boolean>} true if a redemption was reversed
+ */
+const reversePromoRedemption = async (requestId, reason) => {
+  const redemption = await PromoRedemption.findOneAndUpdate(
+    { requestId, status: 'applied' },
+    { status: 'reversed', reversedAt: new Date(), reverseReason: reason },
+    { new: true }
+  );
+
+  if (!redemption) return false;
+
+  await PromoCode.updateOne(
+    { _id: redemption.promoCodeId, redemptionCount: { $gt: 0 } },
+    { $inc: { redemptionCount: -1 } }
+  );
+
+  logger.info(`Promo code ${redemption.code} redemption on request ${requestId} reversed: ${reason}`);
+
+  return true;
+};
+
+module.exports = {
+  findApplicablePromo,
+  redeemPromo,
+  reversePromoRedemption
+};
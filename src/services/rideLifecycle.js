@@ -0,0 +1,298 @@
+const RidePool = require('../models/RidePool');
+const logger = require('../utils/logger');
+const VehicleFleet = require('../utils/vehicleFleet');
+const { createError } = require('../utils/errors');
+const { transitionPool, transitionPassenger } = require('./poolStateMachine');
+const {
+  POOL_EVENTS,
+  publishPoolEvent,
+  publishStatusChange,
+  routeSnapshot,
+  priceSnapshot
+} = require('./poolEvents');
+const { recordCompletedRides } = require('./loyaltyProgram');
+const { recordDriverOffline } = require('./demandTracker');
+const { graceExpired } = require('./cancellationPolicy');
+const { settlePool } = require('./fareSettlement');
+const { capturePoolPayments } = require('./payments');
+
+
+class RideLifecycle {
+  /**
+   * @param {Object} lockManager - Provides acquireLock/releaseLock and cancelRide (MatchingEngine)
+   */
+  constructor(lockManager) {
+    this.lockManager = lockManager;
+  }
+
+  /**
+   * Run an update on a pool while holding its lock
+   */
+  async withPoolLock(poolId, update) {
+    const lockKey = `pool:${poolId}`;
+    const lockValue = await this.lockManager.acquireLock(lockKey);
+
+    try {
+      const pool = await RidePool.findById(poolId);
+
+      if (!pool) {
+        throw createError('Ride pool not found', 404);
+      }
+
+      return await update(pool);
+    } finally {
+      await this.lockManager.releaseLock(lockKey, lockValue);
+    }
+  }
+
+  /**
+   * Ensure the pool is assigned to this driver
+   */
+  assertDriver(pool, driverId) {
+    if (pool.vehicle.driverId?.toString() !== driverId.toString()) {
+      throw createError('This ride is not assigned to you', 403);
+    }
+  }
+
+  /**
+   * The stop the driver is due at next in an active pool
+   * @param {Object} pool - RidePool document
+   * @param {number} sequence - Stop sequence number
+   * @returns {Object} Stop subdocument
+   * @throws {Error} 404/409 if the stop is unknown, done or not yet due
+   */
+  nextStop(pool, sequence) {
+    if (pool.status !== 'active') {
+      throw createError('Ride has not started', 409);
+    }
+
+    const stop = pool.route.stops.find(s => s.sequence === sequence);
+
+    if (!stop) {
+      throw createError('Stop not found', 404);
+    }
+
+    if (stop.completed) {
+      throw createError('Stop already completed', 409);
+    }
+
+    const pendingEarlier = pool.route.stops.some(s => s.sequence < sequence && !s.completed);
+    if (pendingEarlier) {
+      throw createError('Earlier stops must be completed first', 409);
+    }
+
+    return stop;
+  }
+
+  /**
+   * Driver accepts a pool that has no driver yet
+   * @param {Object} driver - Driver user document
+   * @param {string} poolId - Pool ID
+   */
+  async acceptPool(driver, poolId) {
+    return this.withPoolLock(poolId, async (pool) => {
+      if (!['forming', 'matched'].includes(pool.status)) {
+        throw createError(`Cannot accept a ${pool.status} ride`, 409);
+      }
+
+      if (pool.vehicle.driverId) {
+        throw createError('Ride already has a driver', 409);
+      }
+
+      // A larger vehicle than the pool was formed for is fine, as long as
+      // every rider accepts it
+      const vehicleType = driver.driverProfile?.vehicleType;
+      if (!vehicleType || !pool.acceptsVehicle(vehicleType)) {
+        throw createError(
+          `Ride requires a ${pool.vehicle.type} or a larger ${pool.acceptedVehicleTypes().join('/')}`,
+          409
+        );
+      }
+
+      const previousStatus = pool.status;
+      const { capacity, luggageCapacity } = VehicleFleet.vehicleFields(vehicleType);
+      pool.vehicle.type = vehicleType;
+      pool.vehicle.capacity = capacity;
+      pool.vehicle.luggageCapacity = luggageCapacity;
+      pool.vehicle.driverId = driver._id;
+
+      if (pool.status === 'forming') {
+        transitionPool(pool, 'matched', 'Driver accepted');
+      }
+
+      await pool.save();
+
+      logger.info(`Driver ${driver._id} accepted pool ${pool._id}`);
+      await publishStatusChange(pool, previousStatus);
+
+      // Busy drivers are no longer available cabs
+      await recordDriverOffline(driver._id);
+
+      return pool;
+    });
+  }
+
+  /**
+   * Driver starts the ride, heading to the first pickup
+   */
+  async startRide(driverId, poolId) {
+    return this.withPoolLock(poolId, async (pool) => {
+      this.assertDriver(pool, driverId);
+
+      transitionPool(pool, 'active', 'Driver started ride');
+
+      await pool.save();
+
+      logger.info(`Driver ${driverId} started pool ${pool._id}`);
+      await publishStatusChange(pool, 'matched');
+
+      return pool;
+    });
+  }
+
+  /**
+   * Driver marks a stop as completed, picking up or dropping off its passenger
+   * Stops must be completed in route order.
+   * @param {string} driverId - Driver user ID
+   * @param {string} poolId - Pool ID
+   * @param {number} sequence - Stop sequence number
+   */
+  async completeStop(driverId, poolId, sequence) {
+    return this.withPoolLock(poolId, async (pool) => {
+      this.assertDriver(pool, driverId);
+
+      const stop = this.nextStop(pool, sequence);
+      const now = new Date();
+      stop.completed = true;
+      stop.actualTime = now;
+
+      const passenger = pool.passengers.find(
+        p => p.userId.toString() === stop.passengerId.toString()
+      );
+
+      if (passenger) {
+        if (stop.type === 'pickup') {
+          transitionPassenger(pool, passenger, 'picked_up', 'Driver completed pickup', now);
+        } else {
+          transitionPassenger(pool, passenger, 'dropped_off', 'Driver completed dropoff', now);
+        }
+      }
+
+      await pool.save();
+
+      logger.info(`Driver ${driverId} completed ${stop.type} stop ${sequence} in pool ${pool._id}`);
+      await publishPoolEvent(pool._id, POOL_EVENTS.ROUTE_UPDATED, routeSnapshot(pool));
+
+      return pool;
+    });
+  }
+
+  /**
+   * Driver reports arriving at a pickup, starting the rider's no-show grace period
+   * @param {string} driverId - Driver user ID
+   * @param {string} poolId - Pool ID
+   * @param {number} sequence - Stop sequence number
+   */
+  async arriveAtStop(driverId, poolId, sequence) {
+    return this.withPoolLock(poolId, async (pool) => {
+      this.assertDriver(pool, driverId);
+
+      const stop = this.nextStop(pool, sequence);
+
+      if (stop.type !== 'pickup') {
+        throw createError('Arrival is only reported at pickups', 409);
+      }
+
+      if (!stop.arrivedAt) {
+        stop.arrivedAt = new Date();
+        await pool.save();
+
+        logger.info(`Driver ${driverId} arrived at stop ${sequence} in pool ${pool._id}`);
+        await publishPoolEvent(pool._id, POOL_EVENTS.ROUTE_UPDATED, routeSnapshot(pool));
+      }
+
+      return pool;
+    });
+  }
+
+  /**
+   * Driver reports that the rider at a pickup did not turn up. Allowed once
+   * the driver has waited NO_SHOW_GRACE_MS since arriving; the rider is
+   * charged the no-show fee and taken out of the pool.
+   * @param {string} driverId - Driver user ID
+   * @param {string} poolId - Pool ID
+   * @param {number} sequence - Stop sequence number
+   * @returns {Promise<Object>} { pool, cancellation } as returned by cancelRide
+   */
+  async reportNoShow(driverId, poolId, sequence) {
+    const passengerId = await this.withPoolLock(poolId, async (pool) => {
+      this.assertDriver(pool, driverId);
+
+      const stop = this.nextStop(pool, sequence);
+
+      if (stop.type !== 'pickup') {
+        throw createError('No-shows are only reported at pickups', 409);
+      }
+
+      if (!stop.arrivedAt) {
+        throw createError('Report arriving at the pickup first', 409);
+      }
+
+      if (!graceExpired(stop)) {
+        throw createError('The rider still has time to reach the pickup', 409);
+      }
+
+      return stop.passengerId;
+    });
+
+    // cancelRide takes the pool lock itself
+    const result = await this.lockManager.cancelRide(passengerId, poolId, {
+      reason: 'Rider did not show up',
+      charge: 'no_show'
+    });
+
+    logger.info(`Driver ${driverId} reported rider ${passengerId} as a no-show in pool ${poolId}`);
+
+    return result;
+  }
+
+  /**
+   * Driver completes the ride once every stop is done. Every rider's fare
+   * is settled on the trip they actually took and captured from their card.
+   */
+  async completeRide(driverId, poolId) {
+    return this.withPoolLock(poolId, async (pool) => {
+      this.assertDriver(pool, driverId);
+
+      if (pool.route.stops.some(s => !s.completed)) {
+        throw createError('All stops must be completed first', 409);
+      }
+
+      const now = new Date();
+      transitionPool(pool, 'completed', 'Driver completed ride', now);
+      const settlements = await settlePool(pool, now);
+      await capturePoolPayments(pool);
+
+      await pool.save();
+
+      logger.info(`Driver ${driverId} completed pool ${pool._id}`);
+      await publishStatusChange(pool, 'active');
+      if (settlements.some(s => s.adjustment !== 0)) {
+        await publishPoolEvent(pool._id, POOL_EVENTS.PRICE_UPDATED, priceSnapshot(pool));
+      }
+
+      // Ride counts drive loyalty tiers; the ride itself is already complete
+      try {
+        await recordCompletedRides(
+          pool.passengers.filter(p => p.status === 'dropped_off').map(p => p.userId)
+        );
+      } catch (error) {
+        logger.error(`Failed to record completed rides for pool ${pool._id}:`, error);
+      }
+
+      return pool;
+    });
+  }
+}
+
+module.exports = RideLifecycle;
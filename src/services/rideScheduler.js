@@ -0,0 +1,124 @@
+const config = require('../config/config');
+const { createError } = require('../utils/errors');
+
+/**
+ * Time rules for scheduled (future) bookings.
+ *
+ * A scheduled request waits in 'scheduled' status until its matching window
+ * opens SCHEDULED_MATCHING_LEAD_MS before the pickup time. From then on it is
+ * matched like an on-demand request, against pools whose target pickup time
+ * is within SCHEDULED_POOL_WINDOW_MS of its own.
+ */
+
+/**
+ * When the rider wants to be picked up: the scheduled time, or the time the
+ * request was made for on-demand rides
+ * @param {Object} rideRequest - Ride request data
+ * @returns {Date}
+ */
+const desiredPickupTime = (rideRequest) =>
+  new Date(rideRequest.scheduledPickupTime || rideRequest.requestedTime || Date.now());
+
+/**
+ * Pickup time for a rider arriving on a flight: once they have left the
+ * plane, and never in the past
+ * @param {Date} estimatedArrival - Flight arrival estimate
+ * @param {Date} now
+ * @returns {Date}
+ */
+const flightPickupTime = (estimatedArrival, now = new Date()) => new Date(Math.max(
+  new Date(estimatedArrival).getTime() + config.FLIGHT_DEPLANING_BUFFER_MS,
+  now.getTime()
+));
+
+/**
+ * @param {Date} pickupTime - Scheduled pickup time
+ * @returns {Date} When matching starts for the booking
+ */
+const matchingWindowStart = (pickupTime) =>
+  new Date(new Date(pickupTime).getTime() - config.SCHEDULED_MATCHING_LEAD_MS);
+
+/**
+ * Matching deadline for a request entering matching at the given time.
+ * In batch mode the request must outlive the window it is collected in.
+ * @param {Date} from - When matching starts
+ * @returns {Date}
+ */
+const matchingExpiry = (from = new Date()) => {
+  const timeout = config.MATCHING_MODE === 'batch'
+    ? config.POOL_FORMATION_TIME_MS + config.MATCHING_TIMEOUT_MS
+    : config.MATCHING_TIMEOUT_MS;
+
+  return new Date(new Date(from).getTime() + timeout);
+};
+
+/**
+ * Whether two riders want to leave close enough together to share a cab
+ * @param {Date} time1
+ * @param {Date} time2
+ * @returns {boolean}
+ */
+const isTimeCompatible = (time1, time2) =>
+  Math.abs(new Date(time1).getTime() - new Date(time2).getTime()) <= config.SCHEDULED_POOL_WINDOW_MS;
+
+/**
+ * Status and timing fields for a new request
+ * @param {Date|null} scheduledPickupTime - Requested pickup time, or null for now
+ * @param {Date} now
+ * @returns {Object} { status, scheduledPickupTime, matchingWindowOpensAt, expiresAt }
+ */
+const scheduleFields = (scheduledPickupTime, now = new Date()) => {
+  if (!scheduledPickupTime) {
+    return {
+      status: 'pending',
+      scheduledPickupTime: null,
+      matchingWindowOpensAt: null,
+      expiresAt: matchingExpiry(now)
+    };
+  }
+
+  const opensAt = matchingWindowStart(scheduledPickupTime);
+  const windowOpen = opensAt <= now;
+
+  return {
+    status: windowOpen ? 'pending' : 'scheduled',
+    scheduledPickupTime,
+    matchingWindowOpensAt: opensAt,
+    expiresAt: matchingExpiry(windowOpen ? now : opensAt)
+  };
+};
+
+/**
+ * Check a requested pickup time is in the future and not too far ahead
+ * @param {Date} pickupTime
+ * @param {Date} now
+ * @throws {Error} 400 with a message for the rider
+ */
+const assertValidPickupTime = (pickupTime, now = new Date()) => {
+  const time = new Date(pickupTime);
+
+  if (Number.isNaN(time.getTime())) {
+    throw createError('Scheduled pickup time is not a valid date', 400);
+  }
+  if (time <= now) {
+    throw createError('Scheduled pickup time must be in the future', 400);
+  }
+
+  const maxAdvanceMs = config.SCHEDULED_MAX_ADVANCE_DAYS * 24 * 60 * 60 * 1000;
+  if (time.getTime() - now.getTime() > maxAdvanceMs) {
+    throw createError(
+      `Rides can be scheduled at most ${config.SCHEDULED_MAX_ADVANCE_DAYS} days ahead`,
+      400
+    );
+  }
+};
+
+module.exports = {
+  desiredPickupTime,
+  flightPickupTime,
+  matchingWindowStart,
+  matchingExpiry,
+  isTimeCompatible,
+  scheduleFields,
+  assertValidPickupTime
+};
@@ -0,0 +1,281 @@
+const fs = require('fs');
+const axios = require('axios');
+const geolib = require('geolib');
+const config = require('../config/config');
+
+const greatCircleKm = (a, b) => geolib.getDistance(
+  { latitude: a.coordinates[1], longitude: a.coordinates[0] },
+  { latitude: b.coordinates[1], longitude: b.coordinates[0] }
+) / 1000;
+
+// Google Distance Matrix API limits per request
+const GOOGLE_MAX_ORIGINS = 25;
+const GOOGLE_MAX_DESTINATIONS = 25;
+const GOOGLE_MAX_ELEMENTS = 100;
+
+/**
+ * Routing provider interface
+ *
+ * Implementations return road distances (km) and durations (minutes) between
+ * every pair of the given locations. Locations are {coordinates: [lng, lat]}.
+ */
+class RoutingProvider {
+  /**
+   * @param {Array} locations - Locations to route between
+   * @returns {Promise<Object>} { distances, durations } as n x n arrays
+   */
+  async getMatrix() {
+    throw new Error(`${this.constructor.name} does not implement getMatrix`);
+  }
+
+  /**
+   * @returns {Promise<Object>} { distanceKm, durationMin }
+   */
+  async getRoute(from, to) {
+    const { distances, durations } = await this.getMatrix([from, to]);
+    return { distanceKm: distances[0][1], durationMin: durations[0][1] };
+  }
+}
+
+/**
+ * Straight-line distances at a flat average speed (no road network)
+ */
+class HaversineProvider extends RoutingProvider {
+  constructor(options = {}) {
+    super();
+    this.avgSpeedKmh = options.avgSpeedKmh || config.ROUTING_AVG_SPEED_KMH;
+  }
+
+  async getMatrix(locations) {
+    const distances = locations.map(a => locations.map(b => greatCircleKm(a, b)));
+    const durations = distances.map(row => row.map(km => (km / this.avgSpeedKmh) * 60));
+    return { distances, durations };
+  }
+}
+
+/**
+ * Road routing through an OSRM server or the Google Distance Matrix API
+ */
+class HttpRoutingProvider extends RoutingProvider {
+  /**
+   * @param {Object} options - { style: 'osrm'|'google', baseUrl, apiKey, timeoutMs, httpClient }
+   */
+  constructor(options = {}) {
+    super();
+    this.style = options.style || 'osrm';
+    this.baseUrl = options.baseUrl || config.ROUTING_URL;
+    this.apiKey = options.apiKey || config.GOOGLE_MAPS_API_KEY;
+    this.timeoutMs = options.timeoutMs || config.ROUTING_TIMEOUT_MS;
+    this.httpClient = options.httpClient || axios;
+  }
+
+  async getMatrix(locations) {
+    return this.style === 'google'
+      ? this.getGoogleMatrix(locations)
+      : this.getOsrmMatrix(locations);
+  }
+
+  async getOsrmMatrix(locations) {
+    const coordinates = locations.map(loc => loc.coordinates.join(',')).join(';');
+
+    const response = await this.httpClient.get(
+      `${this.baseUrl}/table/v1/driving/${coordinates}`,
+      {
+        params: { annotations: 'distance,duration' },
+        timeout: this.timeoutMs
+      }
+    );
+
+    if (response.data.code !== 'Ok') {
+      throw new Error(`OSRM table request failed: ${response.data.code}`);
+    }
+
+    return {
+      distances: response.data.distances.map(row => row.map(m => m / 1000)),
+      durations: response.data.durations.map(row => row.map(s => s / 60))
+    };
+  }
+
+  async getGoogleMatrix(locations) {
+    const baseUrl = this.baseUrl || 'https://maps.googleapis.com/maps/api';
+    const toParam = locs => locs.map(loc => `${loc.coordinates[1]},${loc.coordinates[0]}`).join('|');
+
+    // Each request covers a block of the matrix within the API's limits
+    const columnsPerRequest = Math.min(locations.length, GOOGLE_MAX_DESTINATIONS);
+    const rowsPerRequest = Math.min(
+      GOOGLE_MAX_ORIGINS,
+      Math.max(Math.floor(GOOGLE_MAX_ELEMENTS / columnsPerRequest), 1)
+    );
+    const distances = locations.map(() => new Array(locations.length));
+    const durations = locations.map(() => new Array(locations.length));
+
+    for (let row = 0; row < locations.length; row += rowsPerRequest) {
+      const origins = locations.slice(row, row + rowsPerRequest);
+
+      for (let column = 0; column < locations.length; column += columnsPerRequest) {
+        const destinations = locations.slice(column, column + columnsPerRequest);
+
+        const response = await this.httpClient.get(`${baseUrl}/distancematrix/json`, {
+          params: {
+            origins: toParam(origins),
+            destinations: toParam(destinations),
+            key: this.apiKey
+          },
+          timeout: this.timeoutMs
+        });
+
+        if (response.data.status !== 'OK') {
+          throw new Error(`Google distance matrix request failed: ${response.data.status}`);
+        }
+
+        response.data.rows.forEach((result, i) => {
+          result.elements.forEach((el, j) => {
+            // Pairs Google cannot route are measured as a straight line, like the haversine provider
+            const distanceKm = el.status === 'OK'
+              ? el.distance.value / 1000
+              : greatCircleKm(origins[i], destinations[j]);
+            distances[row + i][column + j] = distanceKm;
+            durations[row + i][column + j] = el.status === 'OK'
+              ? el.duration.value / 60
+              : (distanceKm / config.ROUTING_AVG_SPEED_KMH) * 60;
+          });
+        });
+      }
+    }
+
+    return { distances, durations };
+  }
+}
+
+/**
+ * Shortest paths over a road graph loaded from a JSON file, for tests and
+ * local development without a routing server.
+ *
+ * File format:
+ *   { "nodes": [{ "id": "a", "coordinates": [lng, lat] }],
+ *     "edges": [{ "from": "a", "to": "b", "distanceKm": 1.2, "durationMin": 3, "oneway": false }] }
+ *
+ * Locations are snapped to the nearest node; the snapping leg is added as a
+ * straight line at the average speed.
+ */
+class LocalGraphProvider extends RoutingProvider {
+  constructor(options = {}) {
+    super();
+    this.avgSpeedKmh = options.avgSpeedKmh || config.ROUTING_AVG_SPEED_KMH;
+
+    const graph = options.graph ||
+      JSON.parse(fs.readFileSync(options.graphFile || config.ROUTING_GRAPH_FILE, 'utf8'));
+
+    this.nodes = graph.nodes;
+    this.nodeIndex = new Map(graph.nodes.map((node, idx) => [node.id, idx]));
+    this.adjacency = graph.nodes.map(() => []);
+
+    graph.edges.forEach(edge => {
+      const from = this.nodeIndex.get(edge.from);
+      const to = this.nodeIndex.get(edge.to);
+      const durationMin = edge.durationMin ?? (edge.distanceKm / this.avgSpeedKmh) * 60;
+
+      this.adjacency[from].push({ to, distanceKm: edge.distanceKm, durationMin });
+      if (!edge.oneway) {
+        this.adjacency[to].push({ to: from, distanceKm: edge.distanceKm, durationMin });
+      }
+    });
+  }
+
+  nearestNode(location) {
+    let best = 0;
+    let bestDistance = Infinity;
+
+    this.nodes.forEach((node, idx) => {
+      const distance = greatCircleKm(location, node);
+      if (distance < bestDistance) {
+        bestDistance = distance;
+        best = idx;
+      }
+    });
+
+    return { node: best, snapKm: bestDistance };
+  }
+
+  /**
+   * Dijkstra by distance from one node; durations follow the shortest-distance path
+   */
+  shortestPaths(source) {
+    const distances = new Array(this.nodes.length).fill(Infinity);
+    const durations = new Array(this.nodes.length).fill(Infinity);
+    const visited = new Array(this.nodes.length).fill(false);
+    distances[source] = 0;
+    durations[source] = 0;
+
+    for (let round = 0; round < this.nodes.length; round++) {
+      let current = -1;
+      for (let i = 0; i < this.nodes.length; i++) {
+        if (!visited[i] && (current === -1 || distances[i] < distances[current])) current = i;
+      }
+      if (current === -1 || distances[current] === Infinity) break;
+      visited[current] = true;
+
+      for (const edge of this.adjacency[current]) {
+        const candidate = distances[current] + edge.distanceKm;
+        if (candidate < distances[edge.to]) {
+          distances[edge.to] = candidate;
+          durations[edge.to] = durations[current] + edge.durationMin;
+        }
+      }
+    }
+
+    return { distances, durations };
+  }
+
+  async getMatrix(locations) {
+    const snapped = locations.map(loc => this.nearestNode(loc));
+    const paths = new Map();
+    snapped.forEach(({ node }) => {
+      if (!paths.has(node)) paths.set(node, this.shortestPaths(node));
+    });
+
+    const snapMinutes = km => (km / this.avgSpeedKmh) * 60;
+    const distances = [];
+    const durations = [];
+
+    snapped.forEach((from, i) => {
+      const tree = paths.get(from.node);
+      distances.push(snapped.map((to, j) => (
+        i === j ? 0 : from.snapKm + tree.distances[to.node] + to.snapKm
+      )));
+      durations.push(snapped.map((to, j) => (
+        i === j ? 0 : snapMinutes(from.snapKm) + tree.durations[to.node] + snapMinutes(to.snapKm)
+      )));
+    });
+
+    return { distances, durations };
+  }
+}
+
+/**
+ * Create the routing provider selected in configuration
+ * @param {string} name - 'haversine', 'osrm', 'google' or 'local'
+ * @returns {RoutingProvider}
+ */
+const createRoutingProvider = (name = config.ROUTING_PROVIDER) => {
+  switch (name) {
+    case 'osrm':
+      return new HttpRoutingProvider({ style: 'osrm' });
+    case 'google':
+      return new HttpRoutingProvider({ style: 'google' });
+    case 'local':
+      return new LocalGraphProvider();
+    case 'haversine':
+      return new HaversineProvider();
+    default:
+      throw new Error(`Unknown routing provider: ${name}`);
+  }
+};
+
+module.exports = {
+  RoutingProvider,
+  HaversineProvider,
+  HttpRoutingProvider,
+  LocalGraphProvider,
+  createRoutingProvider
+};
@@ -0,0 +1,138 @@
+const config = require('../config/config');
+const logger = require('../utils/logger');
+const { RoutingProvider } = require('./routingProviders');
+
+const KEY_PREFIX = 'route';
+const COORDINATE_PRECISION = 4; // ~11 m, well inside a pickup spot
+
+/**
+ * Routing provider that caches leg distances and durations in Redis.
+ *
+ * Each directed leg is stored under its rounded endpoints. A matrix request
+ * reads every leg in one round trip and asks the wrapped provider for the
+ * missing ones in a single bulk call.
+ */
+class TravelMatrixCache extends RoutingProvider {
+  /**
+   * @param {RoutingProvider} provider - Provider to fill cache misses from
+   * @param {Object} redis - ioredis client
+   * @param {Object} options - { ttlSeconds, precision }
+   */
+  constructor(provider, redis, options = {}) {
+    super();
+    this.provider = provider;
+    this.redis = redis;
+    this.ttlSeconds = options.ttlSeconds || config.CACHE_TTL_SECONDS.ROUTE_CACHE;
+    this.precision = options.precision || COORDINATE_PRECISION;
+    this.resetStats();
+  }
+
+  pointKey(location) {
+    return location.coordinates.map(c => Number(c).toFixed(this.precision)).join(',');
+  }
+
+  legKey(from, to) {
+    return `${KEY_PREFIX}:${this.pointKey(from)}:${this.pointKey(to)}`;
+  }
+
+  async getMatrix(locations) {
+    const n = locations.length;
+    const distances = Array.from({ length: n }, () => new Array(n).fill(0));
+    const durations = Array.from({ length: n }, () => new Array(n).fill(0));
+
+    const legs = [];
+    for (let i = 0; i < n; i++) {
+      for (let j = 0; j < n; j++) {
+        if (i !== j) legs.push({ i, j, key: this.legKey(locations[i], locations[j]) });
+      }
+    }
+
+    if (legs.length === 0) {
+      return { distances, durations };
+    }
+
+    const cached = await this.readLegs(legs.map(leg => leg.key));
+    const missing = [];
+
+    legs.forEach((leg, idx) => {
+      if (cached[idx]) {
+        const [distance, duration] = cached[idx].split(',').map(Number);
+        distances[leg.i][leg.j] = distance;
+        durations[leg.i][leg.j] = duration;
+      } else {
+        missing.push(leg);
+      }
+    });
+
+    this.hits += legs.length - missing.length;
+    this.misses += missing.length;
+
+    if (missing.length > 0) {
+      await this.fillMissing(locations, missing, distances, durations);
+    }
+
+    return { distances, durations };
+  }
+
+  /**
+   * Compute missing legs with one provider call over the locations they touch
+   */
+  async fillMissing(locations, missing, distances, durations) {
+    const involved = [...new Set(missing.flatMap(leg => [leg.i, leg.j]))];
+    const position = new Map(involved.map((locIdx, idx) => [locIdx, idx]));
+
+    const result = await this.provider.getMatrix(involved.map(idx => locations[idx]));
+
+    const entries = missing.map(leg => {
+      const distance = result.distances[position.get(leg.i)][position.get(leg.j)];
+      const duration = result.durations[position.get(leg.i)][position.get(leg.j)];
+      distances[leg.i][leg.j] = distance;
+      durations[leg.i][leg.j] = duration;
+      return { key: leg.key, distance, duration };
+    });
+
+    await this.writeLegs(entries.filter(e => Number.isFinite(e.distance) && Number.isFinite(e.duration)));
+  }
+
+  async readLegs(keys) {
+    try {
+      return await this.redis.mget(keys);
+    } catch (error) {
+      logger.warn(`Route cache read failed: ${error.message}`);
+      return new Array(keys.length).fill(null);
+    }
+  }
+
+  async writeLegs(entries) {
+    if (entries.length === 0) return;
+
+    try {
+      const pipeline = this.redis.pipeline();
+      entries.forEach(({ key, distance, duration }) => {
+        pipeline.set(key, `${distance},${duration}`, 'EX', this.ttlSeconds);
+      });
+      await pipeline.exec();
+    } catch (error) {
+      logger.warn(`Route cache write failed: ${error.message}`);
+    }
+  }
+
+  /**
+   * @returns {Object} { hits, misses, hitRate }
+   */
+  getStats() {
+    const total = this.hits + this.misses;
+    return {
+      hits: this.hits,
+      misses: this.misses,
+      hitRate: total > 0 ? Math.round((this.hits / total) * 1000) / 1000 : 0
+    };
+  }
+
+  resetStats() {
+    this.hits = 0;
+    this.misses = 0;
+  }
+}
+
+module.exports = TravelMatrixCache;
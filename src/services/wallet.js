@@ -0,0 +1,169 @@
+const LedgerTransaction = require('../models/LedgerTransaction');
+const logger = require('../utils/logger');
+const {
+  riderAccount,
+  walletAccount,
+  postTransaction,
+  accountBalance
+} = require('./ledger');
+
+/**
+ * Riders' stored credit.
+ *
+ * A wallet is a ledger account, so its balance is whatever the ledger says.
+ * A rider paying wallet-first spends their credit when they join a pool.
+ * When the ride is settled or cancelled, anything they paid beyond what they
+ * owe (their fare came down as the pool grew, or they left) is credited back.
+ */
+
+const round = (amount) => Math.round(amount * 100) / 100;
+
+/**
+ * Credit a rider can spend
+ * @param {string} userId
+ * @returns {Promise<number>}
+ */
+const walletBalance = async (userId) => -(await accountBalance(walletAccount(userId))) || 0;
+
+/**
+ * What a rider has paid for a ride from their wallet, net of credits back
+ * @param {Object} passenger - { userId, requestId }
+ * @param {string} poolId
+ * @returns {Promise<number>}
+ */
+const walletPaid = async ({ userId, requestId }, poolId) => {
+  const account = walletAccount(userId);
+  const transactions = await LedgerTransaction.find({ requestId, poolId, 'entries.account': account });
+
+  return round(transactions
+    .flatMap(transaction => transaction.entries)
+    .filter(entry => entry.account === account)
+    .reduce((sum, entry) => sum + entry.debit - entry.credit, 0));
+};
+
+/**
+ * Pay as much of a ride as the rider's credit covers, once per ride and pool
+ * @param {string} poolId
+ * @param {Object} passenger - { userId, requestId }
+ * @param {number} amount - Most to spend
+ * @returns {Promise<number>} Amount paid from the wallet
+ */
+const payFromWallet = async (poolId, passenger, amount) => {
+  const { userId, requestId } = passenger;
+  const idempotencyKey = `wallet_payment:${requestId}:${poolId}`;
+
+  if (!(await LedgerTransaction.findOne({ idempotencyKey }))) {
+    const spend = round(Math.min(await walletBalance(userId), amount));
+
+    if (spend > 0) {
+      await postTransaction({
+        type: 'wallet_payment',
+        idempotencyKey,
+        description: `Wallet payment for ride ${requestId}`,
+        entries: [
+          { account: walletAccount(userId), debit: spend },
+          { account: riderAccount(userId), credit: spend }
+        ],
+        userId,
+        requestId,
+        poolId
+      });
+
+      // Two rides spending the same credit at once can overdraw the wallet
+      const overdraft = -(await walletBalance(userId));
+      if (overdraft > 0) {
+        await postTransaction({
+          type: 'wallet_refund',
+          idempotencyKey: `wallet_overdraft:${requestId}:${poolId}`,
+          description: `Wallet overdraft returned for ride ${requestId}`,
+          entries: [
+            { account: riderAccount(userId), debit: Math.min(overdraft, spend) },
+            { account: walletAccount(userId), credit: Math.min(overdraft, spend) }
+          ],
+          userId,
+          requestId,
+          poolId
+        });
+      }
+    }
+  }
+
+  return walletPaid(passenger, poolId);
+};
+
+/**
+ * Settle what a rider owes for a ride against what they paid from their
+ * wallet, crediting back anything paid beyond it
+ * @param {string} poolId
+ * @param {Object} passenger - { userId, requestId }
+ * @param {number} owed - Final fare, or fee for leaving
+ * @returns {Promise<number>} What is left to collect by card
+ */
+const settleWallet = async (poolId, passenger, owed) => {
+  const { userId, requestId } = passenger;
+  const paid = await walletPaid(passenger, poolId);
+  const excess = round(paid - owed);
+
+  if (excess > 0) {
+    await postTransaction({
+      type: 'wallet_refund',
+      idempotencyKey: `wallet_refund:${requestId}:${poolId}`,
+      description: `Credit for ride ${requestId}`,
+      entries: [
+        { account: riderAccount(userId), debit: excess },
+        { account: walletAccount(userId), credit: excess }
+      ],
+      userId,
+      requestId,
+      poolId
+    });
+    logger.info(`Credited $${excess} to the wallet of user ${userId} for request ${requestId}`);
+  }
+
+  return round(Math.max(owed - paid, 0));
+};
+
+/**
+ * A page of a rider's wallet transactions, newest first
+ * @param {string} userId
+ * @param {Object} page - { limit, cursor }; cursor is the nextCursor of the previous page
+ * @returns {Promise<Object>} { transactions, nextCursor }; nextCursor is null on the last page
+ */
+const listWalletTransactions = async (userId, { limit = 20, cursor } = {}) => {
+  const account = walletAccount(userId);
+  const query = { 'entries.account': account };
+  if (cursor) {
+    query._id = { $lt: cursor };
+  }
+
+  // One extra tells whether there is another page
+  const found = await LedgerTransaction.find(query)
+    .sort({ _id: -1 })
+    .limit(limit + 1)
+    .lean();
+  const page = found.slice(0, limit);
+
+  return {
+    transactions: page.map(transaction => ({
+      _id: transaction._id,
+      type: transaction.type,
+      description: transaction.description,
+      // Credit adds to the wallet, debit spends from it
+      amount: round(transaction.entries
+        .filter(entry => entry.account === account)
+        .reduce((sum, entry) => sum + entry.credit - entry.debit, 0)),
+      requestId: transaction.requestId,
+      poolId: transaction.poolId,
+      postedAt: transaction.postedAt
+    })),
+    nextCursor: found.length > limit ? page[page.length - 1]._id : null
+  };
+};
+
+module.exports = {
+  walletBalance,
+  walletPaid,
+  payFromWallet,
+  settleWallet,
+  listWalletTransactions
+};
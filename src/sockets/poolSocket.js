@@ -0,0 +1,125 @@
+const { Server } = require('socket.io');
+const mongoose = require('mongoose');
+const RidePool = require('../models/RidePool');
+const { verifyToken } = require('../middleware/auth');
+const { POOL_EVENTS, subscribePoolEvents } = require('../services/poolEvents');
+const logger = require('../utils/logger');
+
+const poolRoom = (poolId) => `pool:${poolId}`;
+const userRoom = (userId) => `user:${userId}`;
+
+// Acknowledge an event if the client asked for a reply
+const reply = (ack, response) => {
+  if (typeof ack === 'function') ack(response);
+};
+
+/**
+ * Check whether a user may follow a pool's updates
+ */
+const canSubscribe = async (poolId, userId) => {
+  const pool = await RidePool.findById(poolId)
+    .select('passengers.userId vehicle.driverId status')
+    .lean();
+
+  if (!pool) return null;
+
+  const isMember = pool.passengers.some(p => p.userId.toString() === userId.toString()) ||
+    pool.vehicle?.driverId?.toString() === userId.toString();
+
+  return isMember ? pool : null;
+};
+
+/**
+ * Attach the pool websocket channel to an HTTP server
+ *
+ * Clients authenticate with their JWT (handshake `auth.token` or an
+ * Authorization header), then emit `pool:subscribe` with { poolId } to
+ * receive that pool's events.
+ * @param {Object} httpServer - Node HTTP server
+ * @returns {Object} Socket.IO server
+ */
+const initPoolSocket = (httpServer) => {
+  const io = new Server(httpServer, {
+    cors: {
+      origin: process.env.ALLOWED_ORIGINS?.split(',') || '*',
+      credentials: true
+    }
+  });
+
+  // Authenticate every connection
+  io.use(async (socket, next) => {
+    const token = socket.handshake.auth?.token ||
+      socket.handshake.headers.authorization?.replace('Bearer ', '');
+
+    if (!token) {
+      return next(new Error('No authentication token provided'));
+    }
+
+    const user = await verifyToken(token);
+
+    if (!user) {
+      return next(new Error('Invalid authentication token'));
+    }
+
+    socket.user = user;
+    next();
+  });
+
+  io.on('connection', (socket) => {
+    logger.debug(`Socket connected for user ${socket.user._id}`);
+
+    // Lets the server find a user's sockets when they leave a pool
+    socket.join(userRoom(socket.user._id));
+
+    // Payloads come from the client as-is, so anything may arrive here
+    socket.on('pool:subscribe', async (payload, ack) => {
+      const poolId = payload?.poolId;
+
+      try {
+        if (!mongoose.isValidObjectId(poolId)) {
+          return reply(ack, { success: false, error: 'Invalid pool ID' });
+        }
+
+        const pool = await canSubscribe(poolId, socket.user._id);
+
+        if (!pool) {
+          return reply(ack, { success: false, error: 'You are not part of this ride pool' });
+        }
+
+        socket.join(poolRoom(poolId));
+        reply(ack, { success: true, data: { poolId, status: pool.status } });
+
+      } catch (error) {
+        logger.error('Pool subscribe error:', error);
+        reply(ack, { success: false, error: 'Failed to subscribe to pool' });
+      }
+    });
+
+    socket.on('pool:unsubscribe', (payload, ack) => {
+      const poolId = payload?.poolId;
+
+      if (!mongoose.isValidObjectId(poolId)) {
+        return reply(ack, { success: false, error: 'Invalid pool ID' });
+      }
+
+      socket.leave(poolRoom(poolId));
+      reply(ack, { success: true });
+    });
+  });
+
+  // Forward pool events from every server instance to subscribed clients
+  subscribePoolEvents(({ poolId, event, data, timestamp }) => {
+    io.to(poolRoom(poolId)).emit(event, { poolId, ...data, timestamp });
+
+    // A rider who left the pool is told so, then hears nothing more from it
+    if (event === POOL_EVENTS.PASSENGER_LEFT && data?.userId) {
+      io.in(userRoom(data.userId)).socketsLeave(poolRoom(poolId));
+    }
+  }).catch(error => {
+    logger.error('Failed to subscribe to pool events:', error);
+  });
+
+  return io;
+};
+
+module.exports = { initPoolSocket };
@@ -1,6 +1,80 @@
 const geolib = require('geolib');
+const RouteOptimizer = require('./routeOptimizer');
+const TravelMatrix = require('./travelMatrix');
+const logger = require('./logger');
+const config = require('../config/config');
+const { HaversineProvider, createRoutingProvider } = require('../services/routingProviders');
+
+let routingProvider = null;
+
+const GEOHASH_ALPHABET = '0123456789bcdefghjkmnpqrstuvwxyz';
 
 class DistanceCalculator {
+  /**
+   * Replace the routing provider used for road distances
+   * @param {RoutingProvider} provider
+   */
+  static setRoutingProvider(provider) {
+    routingProvider = provider;
+  }
+
+  /**
+   * Routing provider selected by ROUTING_PROVIDER, created on first use
+   * @returns {RoutingProvider}
+   */
+  static getRoutingProvider() {
+    if (!routingProvider) {
+      routingProvider = createRoutingProvider();
+    }
+    return routingProvider;
+  }
+
+  /**
+   * Fetch road distances and durations between all pairs of locations.
+   * Falls back to straight-line distances if the provider fails.
+   * @param {Array} locations - Array of {coordinates: [lng, lat]}, duplicates allowed
+   * @returns {Promise<TravelMatrix>}
+   */
+  static async buildMatrix(locations) {
+    const unique = [...new Map(locations.map(loc => [TravelMatrix.key(loc), loc])).values()];
+
+    let result;
+    try {
+      result = await this.getRoutingProvider().getMatrix(unique);
+    } catch (error) {
+      logger.warn(`Routing provider failed, using straight-line distances: ${error.message}`);
+      result = await new HaversineProvider().getMatrix(unique);
+    }
+
+    return new TravelMatrix(unique, result.distances, result.durations);
+  }
+
+  /**
+   * Road distance and duration between two points
+   * @param {Object} from - {coordinates: [lng, lat]}
+   * @param {Object} to - {coordinates: [lng, lat]}
+   * @returns {Promise<Object>} { distance, duration } in km and whole minutes
+   */
+  static async getRoadRoute(from, to) {
+    const matrix = await this.buildMatrix([from, to]);
+    return {
+      distance: matrix.distance(from, to),
+      duration: Math.ceil(matrix.duration(from, to))
+    };
+  }
+
+  /**
+   * Distance for one leg: from the matrix when it covers both points,
+   * straight-line otherwise
+   * @param {Object} point1 - {coordinates: [lng, lat]}
+   * @param {Object} point2 - {coordinates: [lng, lat]}
+   * @param {TravelMatrix} matrix - Optional precomputed road distances
+   * @returns {number} Distance in kilometers
+   */
+  static legDistance(point1, point2, matrix) {
+    const distance = matrix ? matrix.distance(point1, point2) : undefined;
+    return distance === undefined ? this.calculateDistance(point1, point2) : distance;
+  }
   /**
    * Calculate distance between two points using Haversine formula
    * @param {Object} point1 - {coordinates: [lng, lat]}
@@ -22,58 +96,90 @@ class DistanceCalculator {
   /**
    * Calculate total route distance
    * @param {Array} stops - Array of stop locations
+   * @param {TravelMatrix} matrix - Optional precomputed road distances
    * @returns {number} Total distance in kilometers
    */
-  static calculateRouteDistance(stops) {
+  static calculateRouteDistance(stops, matrix) {
     let totalDistance = 0;
 
     for (let i = 0; i < stops.length - 1; i++) {
-      totalDistance += this.calculateDistance(
+      totalDistance += this.legDistance(
         stops[i].location,
-        stops[i + 1].location
+        stops[i + 1].location,
+        matrix
       );
     }
 
     return totalDistance;
   }
 
+  /**
+   * Calculate total route duration, from road durations where the matrix
+   * has them and the average-speed estimate otherwise
+   * @param {Array} stops - Array of stop locations
+   * @param {TravelMatrix} matrix - Optional precomputed road durations
+   * @returns {number} Duration in minutes
+   */
+  static calculateRouteDuration(stops, matrix) {
+    let totalMinutes = 0;
+
+    for (let i = 0; i < stops.length - 1; i++) {
+      const from = stops[i].location;
+      const to = stops[i + 1].location;
+      const duration = matrix ? matrix.duration(from, to) : undefined;
+
+      totalMinutes += duration === undefined
+        ? (this.calculateDistance(from, to) / config.ROUTING_AVG_SPEED_KMH) * 60
+        : duration;
+    }
+
+    return Math.ceil(totalMinutes);
+  }
+
   /**
    * Estimate duration based on distance (simple model)
    * @param {number} distanceKm - Distance in kilometers
    * @returns {number} Duration in minutes
    */
   static estimateDuration(distanceKm) {
-    const avgSpeedKmh = 40; // Average city speed
-    const durationHours = distanceKm / avgSpeedKmh;
+    const durationHours = distanceKm / config.ROUTING_AVG_SPEED_KMH; // Average city speed
     return Math.ceil(durationHours * 60); // Convert to minutes
   }
 
   /**
    * Calculate detour percentage for a new point insertion
+   * The cheapest insertion is found first, then the whole stop sequence is
+   * re-optimized so earlier insertions can be re-ordered too.
    * @param {Array} originalRoute - Original stops
    * @param {Object} newPickup - New pickup location
    * @param {Object} newDropoff - New dropoff location
-   * @returns {Object} { detourPercentage, bestRoute }
+   * @param {string} passengerId - Optional ID of the joining passenger, set on the new stops
+   * @param {TravelMatrix} matrix - Optional precomputed road distances
+   * @returns {Object} { detourPercentage, bestRoute, newDistance, insertionDistance, distanceSaved }
    */
-  static calculateDetour(originalRoute, newPickup, newDropoff) {
+  static calculateDetour(originalRoute, newPickup, newDropoff, passengerId, matrix) {
     if (originalRoute.length === 0) {
+      const newDistance = this.legDistance(newPickup, newDropoff, matrix);
       return {
         detourPercentage: 0,
         bestRoute: [
-          { type: 'pickup', location: newPickup, sequence: 0 },
-          { type: 'dropoff', location: newDropoff, sequence: 1 }
+          { type: 'pickup', location: newPickup, passengerId, sequence: 0 },
+          { type: 'dropoff', location: newDropoff, passengerId, sequence: 1 }
         ],
-        newDistance: this.calculateDistance(newPickup, newDropoff)
+        newDistance,
+        insertionDistance: newDistance,
+        distanceSaved: 0
       };
     }
 
-    const originalDistance = this.calculateRouteDistance(originalRoute);
-    let minDetour = Infinity;
-    let bestRoute = null;
-    let bestDistance = 0;
+    const originalDistance = this.calculateRouteDistance(originalRoute, matrix);
+    let insertionRoute = null;
+    let insertionDistance = Infinity;
 
-    // Try all possible insertion positions
-    for (let pickupPos = 0; pickupPos <= originalRoute.length; pickupPos++) {
+    // Try all possible insertion positions, after any stops already completed
+    const firstOpen = originalRoute.filter(stop => stop.completed).length;
+
+    for (let pickupPos = firstOpen; pickupPos <= originalRoute.length; pickupPos++) {
       for (let dropoffPos = pickupPos; dropoffPos <= originalRoute.length; dropoffPos++) {
         const newRoute = [...originalRoute];
         
@@ -81,35 +187,102 @@ class DistanceCalculator {
         newRoute.splice(dropoffPos, 0, {
           type: 'dropoff',
           location: newDropoff,
-          sequence: dropoffPos
+          passengerId
         });
         
         newRoute.splice(pickupPos, 0, {
           type: 'pickup',
           location: newPickup,
-          sequence: pickupPos
-        });
-
-        // Update sequences
-        newRoute.forEach((stop, idx) => {
-          stop.sequence = idx;
+          passengerId
         });
 
-        const newDistance = this.calculateRouteDistance(newRoute);
-        const detour = (newDistance - originalDistance) / originalDistance;
+        const newDistance = this.calculateRouteDistance(newRoute, matrix);
 
-        if (detour < minDetour) {
-          minDetour = detour;
-          bestRoute = newRoute;
-          bestDistance = newDistance;
+        if (newDistance < insertionDistance) {
+          insertionDistance = newDistance;
+          insertionRoute = newRoute;
         }
       }
     }
 
+    // Re-sequence the whole route, earlier passengers included
+    const optimized = RouteOptimizer.optimize(
+      insertionRoute,
+      (a, b) => this.legDistance(a, b, matrix)
+    );
+    const useOptimized = optimized.distance < insertionDistance;
+    const newDistance = useOptimized ? optimized.distance : insertionDistance;
+
+    return {
+      detourPercentage: originalDistance > 0
+        ? (newDistance - originalDistance) / originalDistance
+        : 0,
+      bestRoute: useOptimized ? optimized.stops : RouteOptimizer.resequence(insertionRoute),
+      newDistance,
+      insertionDistance,
+      distanceSaved: insertionDistance - newDistance
+    };
+  }
+
+  /**
+   * Calculate each passenger's own detour along a route: the distance ridden
+   * between their pickup and dropoff versus the direct distance
+   * @param {Array} stops - Route stops in order, with passengerId
+   * @param {TravelMatrix} matrix - Optional precomputed road distances
+   * @returns {Map} passengerId -> { rideDistance, directDistance, detour }
+   */
+  static calculatePassengerDetours(stops, matrix) {
+    const pickups = new Map();
+    const detours = new Map();
+    let travelled = 0;
+
+    stops.forEach((stop, idx) => {
+      if (idx > 0) {
+        travelled += this.legDistance(stops[idx - 1].location, stop.location, matrix);
+      }
+
+      const key = stop.passengerId?.toString();
+
+      if (stop.type === 'pickup') {
+        pickups.set(key, { location: stop.location, travelled });
+      } else if (pickups.has(key)) {
+        const pickup = pickups.get(key);
+        const rideDistance = travelled - pickup.travelled;
+        const directDistance = this.legDistance(pickup.location, stop.location, matrix);
+
+        detours.set(key, {
+          rideDistance,
+          directDistance,
+          detour: directDistance > 0 ? Math.max(rideDistance / directDistance - 1, 0) : 0
+        });
+      }
+    });
+
+    return detours;
+  }
+
+  /**
+   * Re-optimize an existing route, e.g. after a passenger leaves
+   * @param {Array} stops - Current stops, in their current order
+   * @param {TravelMatrix} matrix - Optional precomputed road distances
+   * @returns {Object} { stops, distance, distanceSaved } - distanceSaved versus the given order
+   */
+  static optimizeRoute(stops, matrix) {
+    const currentDistance = this.calculateRouteDistance(stops, matrix);
+    const optimized = RouteOptimizer.optimize(stops, (a, b) => this.legDistance(a, b, matrix));
+
+    if (optimized.distance >= currentDistance) {
+      return {
+        stops: RouteOptimizer.resequence(stops),
+        distance: currentDistance,
+        distanceSaved: 0
+      };
+    }
+
     return {
-      detourPercentage: minDetour,
-      bestRoute: bestRoute,
-      newDistance: bestDistance
+      stops: optimized.stops,
+      distance: optimized.distance,
+      distanceSaved: currentDistance - optimized.distance
     };
   }
 
@@ -125,6 +298,120 @@ class DistanceCalculator {
     return distance <= radiusKm;
   }
 
+  /**
+   * Initial compass bearing from one point to another
+   * @param {Object} point1 - {coordinates: [lng, lat]}
+   * @param {Object} point2 - {coordinates: [lng, lat]}
+   * @returns {number} Bearing in degrees, 0-360 clockwise from north
+   */
+  static calculateBearing(point1, point2) {
+    return geolib.getGreatCircleBearing(
+      { latitude: point1.coordinates[1], longitude: point1.coordinates[0] },
+      { latitude: point2.coordinates[1], longitude: point2.coordinates[0] }
+    );
+  }
+
+  /**
+   * Smallest angle between two bearings
+   * @param {number} bearing1 - Degrees
+   * @param {number} bearing2 - Degrees
+   * @returns {number} Angle in degrees, 0-180
+   */
+  static bearingDifference(bearing1, bearing2) {
+    const diff = Math.abs(bearing1 - bearing2) % 360;
+    return diff > 180 ? 360 - diff : diff;
+  }
+
+  /**
+   * Compass sector a bearing falls in
+   * @param {number} bearing - Degrees
+   * @param {number} sectorCount - Number of equal sectors around the compass
+   * @returns {number} Sector index, 0 starting at north and going clockwise
+   */
+  static bearingSector(bearing, sectorCount = config.DIRECTION_SECTORS) {
+    const normalized = ((bearing % 360) + 360) % 360;
+    return Math.floor(normalized / (360 / sectorCount)) % sectorCount;
+  }
+
+  /**
+   * Compass sector of a trip's heading from pickup to dropoff
+   * @param {Object} pickup - {coordinates: [lng, lat]}
+   * @param {Object} dropoff - {coordinates: [lng, lat]}
+   * @returns {number} Sector index
+   */
+  static tripSector(pickup, dropoff) {
+    return this.bearingSector(this.calculateBearing(pickup, dropoff));
+  }
+
+  /**
+   * A sector and its neighbours on either side, wrapping around north
+   * @param {number} sector - Sector index
+   * @param {number} spread - Neighbours to include on each side
+   * @param {number} sectorCount - Number of sectors
+   * @returns {Array} Distinct sector indexes
+   */
+  static neighbouringSectors(
+    sector,
+    spread = config.DIRECTION_SECTOR_SPREAD,
+    sectorCount = config.DIRECTION_SECTORS
+  ) {
+    const sectors = new Set();
+    for (let offset = -spread; offset <= spread; offset++) {
+      sectors.add((((sector + offset) % sectorCount) + sectorCount) % sectorCount);
+    }
+    return [...sectors];
+  }
+
+  /**
+   * Whether two sectors are within spread of each other around the compass
+   */
+  static sectorsCompatible(
+    sector1,
+    sector2,
+    spread = config.DIRECTION_SECTOR_SPREAD,
+    sectorCount = config.DIRECTION_SECTORS
+  ) {
+    const diff = Math.abs(sector1 - sector2) % sectorCount;
+    return Math.min(diff, sectorCount - diff) <= spread;
+  }
+
+  /**
+   * Geohash of a location: the cell of a grid it falls in, as a base-32
+   * string. Each extra character narrows the cell about 32 times.
+   * @param {Object} location - {coordinates: [lng, lat]}
+   * @param {number} precision - Characters in the hash
+   * @returns {string}
+   */
+  static geohash(location, precision = config.DEMAND_GEOHASH_PRECISION) {
+    const [lng, lat] = location.coordinates;
+    const ranges = [[-180, 180], [-90, 90]]; // Bits alternate longitude, latitude
+    let hash = '';
+    let bits = 0;
+    let value = 0;
+
+    for (let bit = 0; hash.length < precision; bit++) {
+      const range = ranges[bit % 2];
+      const coordinate = bit % 2 === 0 ? lng : lat;
+      const mid = (range[0] + range[1]) / 2;
+
+      value <<= 1;
+      if (coordinate >= mid) {
+        value |= 1;
+        range[0] = mid;
+      } else {
+        range[1] = mid;
+      }
+
+      if (++bits === 5) {
+        hash += GEOHASH_ALPHABET[value];
+        bits = 0;
+        value = 0;
+      }
+    }
+
+    return hash;
+  }
+
   /**
    * Get center point of multiple locations
    * @param {Array} locations - Array of {coordinates: [lng, lat]}
@@ -0,0 +1,13 @@
+/**
+ * Create an error carrying the HTTP status controllers should respond with
+ * @param {string} message - Error message safe to show to the client
+ * @param {number} status - HTTP status code
+ * @returns {Error}
+ */
+const createError = (message, status) => {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+};
+
+module.exports = { createError };
@@ -0,0 +1,124 @@
+const MAX_EXACT_STOPS = 12; // 2^12 * 12 * 12 states, well under a millisecond budget per pool
+
+class RouteOptimizer {
+  /**
+   * Find the shortest stop order in which every passenger is picked up before
+   * being dropped off, using dynamic programming over subsets of stops.
+   * Completed stops stay fixed at the front of the route; the search starts
+   * from the last of them.
+   * @param {Array} stops - Stops with { type, location, passengerId, completed }
+   * @param {Function} distanceFn - (locationA, locationB) => distance in km
+   * @returns {Object} { stops, distance, optimal } - stops re-sequenced from 0;
+   *   optimal is false when the route was too long to solve exactly and was kept as given
+   */
+  static optimize(stops, distanceFn) {
+    const fixed = stops.filter(stop => stop.completed);
+    const free = stops.filter(stop => !stop.completed);
+
+    if (free.length > MAX_EXACT_STOPS) {
+      return {
+        stops: this.resequence(stops),
+        distance: this.routeDistance(stops, distanceFn),
+        optimal: false
+      };
+    }
+
+    const ordered = [...fixed, ...this.solve(free, fixed[fixed.length - 1], distanceFn)];
+
+    return {
+      stops: this.resequence(ordered),
+      distance: this.routeDistance(ordered, distanceFn),
+      optimal: true
+    };
+  }
+
+  /**
+   * Held-Karp style search with precedence constraints over the free stops
+   * @param {Array} free - Stops still to visit
+   * @param {Object} start - Stop the vehicle is at, or undefined for an open start
+   * @param {Function} distanceFn - Distance between two locations
+   * @returns {Array} Free stops in optimal order
+   */
+  static solve(free, start, distanceFn) {
+    const n = free.length;
+    if (n <= 1) return free;
+
+    // A dropoff depends on its pickup when that pickup is still to be visited
+    const pickupIndex = new Map();
+    free.forEach((stop, idx) => {
+      if (stop.type === 'pickup') pickupIndex.set(this.passengerKey(stop), idx);
+    });
+    const requires = free.map(stop => {
+      if (stop.type !== 'dropoff') return 0;
+      const idx = pickupIndex.get(this.passengerKey(stop));
+      return idx === undefined ? 0 : (1 << idx);
+    });
+
+    const dist = free.map(a => free.map(b => distanceFn(a.location, b.location)));
+    const fromStart = free.map(stop => (start ? distanceFn(start.location, stop.location) : 0));
+
+    const size = 1 << n;
+    const cost = Array.from({ length: size }, () => new Array(n).fill(Infinity));
+    const parent = Array.from({ length: size }, () => new Array(n).fill(-1));
+
+    for (let i = 0; i < n; i++) {
+      if (requires[i] === 0) cost[1 << i][i] = fromStart[i];
+    }
+
+    for (let mask = 1; mask < size; mask++) {
+      for (let last = 0; last < n; last++) {
+        const current = cost[mask][last];
+        if (current === Infinity) continue;
+
+        for (let next = 0; next < n; next++) {
+          const bit = 1 << next;
+          if (mask & bit) continue;
+          if ((requires[next] & mask) !== requires[next]) continue;
+
+          const nextMask = mask | bit;
+          const candidate = current + dist[last][next];
+          if (candidate < cost[nextMask][next]) {
+            cost[nextMask][next] = candidate;
+            parent[nextMask][next] = last;
+          }
+        }
+      }
+    }
+
+    const full = size - 1;
+    let last = 0;
+    for (let i = 1; i < n; i++) {
+      if (cost[full][i] < cost[full][last]) last = i;
+    }
+
+    const order = [];
+    for (let mask = full; last !== -1;) {
+      order.push(free[last]);
+      const prev = parent[mask][last];
+      mask ^= 1 << last;
+      last = prev;
+    }
+
+    return order.reverse();
+  }
+
+  static passengerKey(stop) {
+    return stop.passengerId ? stop.passengerId.toString() : 'new';
+  }
+
+  static routeDistance(stops, distanceFn) {
+    let total = 0;
+    for (let i = 0; i < stops.length - 1; i++) {
+      total += distanceFn(stops[i].location, stops[i + 1].location);
+    }
+    return total;
+  }
+
+  static resequence(stops) {
+    return stops.map((stop, idx) => ({ ...stop, sequence: idx }));
+  }
+}
+
+RouteOptimizer.MAX_EXACT_STOPS = MAX_EXACT_STOPS;
+
+module.exports = RouteOptimizer;
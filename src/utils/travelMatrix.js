@@ -0,0 +1,43 @@
+class TravelMatrix {
+  /**
+   * Pairwise travel distances and durations between a set of locations
+   * @param {Array} locations - Array of {coordinates: [lng, lat]}
+   * @param {Array} distances - distances[i][j] in km from locations[i] to locations[j]
+   * @param {Array} durations - durations[i][j] in minutes
+   */
+  constructor(locations, distances, durations) {
+    this.index = new Map(locations.map((loc, idx) => [TravelMatrix.key(loc), idx]));
+    this.distances = distances;
+    this.durations = durations;
+  }
+
+  static key(location) {
+    return location.coordinates.join(',');
+  }
+
+  has(location) {
+    return this.index.has(TravelMatrix.key(location));
+  }
+
+  /**
+   * Distance in km, or undefined if either location is not in the matrix
+   */
+  distance(from, to) {
+    const i = this.index.get(TravelMatrix.key(from));
+    const j = this.index.get(TravelMatrix.key(to));
+    if (i === undefined || j === undefined) return undefined;
+    return this.distances[i][j];
+  }
+
+  /**
+   * Duration in minutes, or undefined if either location is not in the matrix
+   */
+  duration(from, to) {
+    const i = this.index.get(TravelMatrix.key(from));
+    const j = this.index.get(TravelMatrix.key(to));
+    if (i === undefined || j === undefined) return undefined;
+    return this.durations[i][j];
+  }
+}
+
+module.exports = TravelMatrix;
@@ -0,0 +1,99 @@
+const config = require('../config/config');
+
+class VehicleFleet {
+  /**
+   * Vehicle types in the catalogue, smallest first
+   * @returns {Array<string>}
+   */
+  static types() {
+    return Object.keys(config.VEHICLE_FLEET).sort((a, b) =>
+      config.VEHICLE_FLEET[a].seats - config.VEHICLE_FLEET[b].seats ||
+      config.VEHICLE_FLEET[a].luggage - config.VEHICLE_FLEET[b].luggage
+    );
+  }
+
+  /**
+   * Catalogue entry for a vehicle type
+   * @param {string} type - 'sedan', 'suv' or 'van'
+   * @returns {Object} { type, seats, luggage, priceMultiplier }
+   */
+  static getVehicle(type) {
+    const vehicle = config.VEHICLE_FLEET[type];
+
+    if (!vehicle) {
+      throw new Error(`Unknown vehicle type: ${type}`);
+    }
+
+    return { type, ...vehicle };
+  }
+
+  /**
+   * Pool vehicle fields for a vehicle type
+   * @param {string} type
+   * @returns {Object} { type, capacity, luggageCapacity }
+   */
+  static vehicleFields(type) {
+    const { seats, luggage } = this.getVehicle(type);
+    return { type, capacity: seats, luggageCapacity: luggage };
+  }
+
+  /**
+   * Vehicle types a rider accepts: their preferred type, or any type
+   * @param {string} preference - 'sedan', 'suv', 'van' or 'any'
+   * @returns {Array<string>} Smallest first
+   */
+  static allowedTypes(preference) {
+    const types = this.types();
+    return types.includes(preference) ? [preference] : types;
+  }
+
+  /**
+   * Vehicle types every one of the riders accepts
+   * @param {Array<string>} preferences - Each rider's preferred vehicle type
+   * @returns {Array<string>} Smallest first
+   */
+  static commonTypes(preferences) {
+    return preferences.reduce(
+      (types, preference) => types.filter(type => this.allowedTypes(preference).includes(type)),
+      this.types()
+    );
+  }
+
+  /**
+   * Smallest vehicle of the given types that carries the party
+   * @param {number} seats - Seats needed
+   * @param {number} luggage - Luggage items
+   * @param {Array<string>} types - Acceptable vehicle types
+   * @returns {string|null} Vehicle type, or null if none is big enough
+   */
+  static smallestFitting(seats, luggage, types = this.types()) {
+    return this.types().find(type => {
+      const vehicle = config.VEHICLE_FLEET[type];
+      return types.includes(type) && seats <= vehicle.seats && luggage <= vehicle.luggage;
+    }) || null;
+  }
+
+  /**
+   * Most seats and most luggage any vehicle in the catalogue has; a party
+   * within both may still need smallestFitting to find one that carries it
+   * @returns {Object} { seats, luggage }
+   */
+  static largestCapacity() {
+    const vehicles = Object.values(config.VEHICLE_FLEET);
+    return {
+      seats: Math.max(...vehicles.map(v => v.seats)),
+      luggage: Math.max(...vehicles.map(v => v.luggage))
+    };
+  }
+
+  /**
+   * Fare multiplier for riding in a vehicle type; unknown types price as standard
+   * @param {string} type
+   * @returns {number}
+   */
+  static priceMultiplier(type) {
+    return config.VEHICLE_FLEET[type]?.priceMultiplier || 1.0;
+  }
+}
+
+module.exports = VehicleFleet;
@@ -0,0 +1,174 @@
+const BatchMatcher = require('../src/services/batchMatcher');
+const RideRequest = require('../src/models/RideRequest');
+const DistanceCalculator = require('../src/utils/distanceCalculator');
+
+const AIRPORT = [-122.3789, 37.6213];
+
+const makeRequest = (id, dropoff, overrides = {}) => ({
+  _id: id,
+  userId: `user-${id}`,
+  pickupLocation: { type: 'Point', coordinates: AIRPORT },
+  pickupAddress: 'SFO Terminal 1',
+  dropoffLocation: { type: 'Point', coordinates: dropoff },
+  dropoffAddress: `Dropoff ${id}`,
+  passengers: 1,
+  luggage: 1,
+  detourTolerance: 0.3,
+  ...overrides
+});
+
+describe('BatchMatcher', () => {
+  const matcher = new BatchMatcher(null, { exactLimit: 12, vehicleCostKm: 10 });
+
+  describe('optimize', () => {
+    it('should pool riders heading to the same neighbourhood', () => {
+      const requests = [
+        makeRequest('a', [-122.4194, 37.7749]),
+        makeRequest('b', [-122.4150, 37.7790])
+      ];
+
+      const groups = matcher.optimize(requests);
+
+      expect(groups).toHaveLength(1);
+      expect(groups[0].members.sort()).toEqual([0, 1]);
+      expect(groups[0].route.bestRoute).toHaveLength(4);
+    });
+
+    it('should keep riders heading in opposite directions apart', () => {
+      const requests = [
+        makeRequest('north', [-122.4194, 37.7749]), // San Francisco
+        makeRequest('south', [-121.8863, 37.3382])  // San Jose
+      ];
+
+      const groups = matcher.optimize(requests);
+
+      expect(groups).toHaveLength(2);
+    });
+
+    it('should keep riders leaving at different times apart', () => {
+      const inAnHour = Date.now() + 60 * 60 * 1000;
+      const requests = [
+        makeRequest('early', [-122.4194, 37.7749], { scheduledPickupTime: new Date(inAnHour) }),
+        makeRequest('late', [-122.4150, 37.7790], { scheduledPickupTime: new Date(inAnHour + 2 * 60 * 60 * 1000) })
+      ];
+
+      const groups = matcher.optimize(requests);
+
+      expect(groups).toHaveLength(2);
+    });
+
+    it('should respect seat capacity', () => {
+      const requests = [
+        makeRequest('a', [-122.4194, 37.7749], { passengers: 3, preferredVehicleType: 'sedan' }),
+        makeRequest('b', [-122.4150, 37.7790], { passengers: 2, preferredVehicleType: 'sedan' })
+      ];
+
+      const groups = matcher.optimize(requests);
+
+      expect(groups).toHaveLength(2);
+    });
+
+    it('should share a bigger vehicle when both parties accept one', () => {
+      const requests = [
+        makeRequest('a', [-122.4194, 37.7749], { passengers: 3 }),
+        makeRequest('b', [-122.4150, 37.7790], { passengers: 2, preferredVehicleType: 'suv' })
+      ];
+
+      const groups = matcher.optimize(requests);
+
+      expect(groups).toHaveLength(1);
+      expect(groups[0].vehicleType).toBe('suv');
+    });
+
+    it('should find a better pairing than first-come greedy', () => {
+      // Greedy would pair a with b as they arrive; the optimum is {a, c} and {b, d}
+      const requests = [
+        makeRequest('a', [-122.4194, 37.7749]),
+        makeRequest('b', [-122.2711, 37.8044]),
+        makeRequest('c', [-122.4180, 37.7760]),
+        makeRequest('d', [-122.2720, 37.8050])
+      ];
+
+      const groups = matcher.optimize(requests);
+      const pairs = groups.map(g => g.members.sort().join(','));
+
+      expect(pairs).toContain('0,2');
+      expect(pairs).toContain('1,3');
+    });
+
+    it('should assign every request exactly once in large batches', () => {
+      const greedyMatcher = new BatchMatcher(null, { exactLimit: 4 });
+      const requests = Array.from({ length: 12 }, (_, i) =>
+        makeRequest(`r${i}`, [-122.42 + (i % 4) * 0.01, 37.77 + Math.floor(i / 4) * 0.01])
+      );
+
+      const groups = greedyMatcher.optimize(requests);
+      const assigned = groups.flatMap(g => g.members).sort((a, b) => a - b);
+
+      expect(assigned).toEqual(requests.map((_, i) => i));
+      expect(groups.length).toBeLessThan(requests.length);
+    });
+
+    it('should match a full batch quickly', () => {
+      const batchMatcher = new BatchMatcher(null, { maxBatchSize: 200 });
+      // Riders spread over a 10km square north of the airport
+      const requests = Array.from({ length: 200 }, (_, i) =>
+        makeRequest(`r${i}`, [-122.45 + ((i * 37) % 100) / 1000, 37.72 + ((i * 61) % 100) / 1000])
+      );
+
+      const startedAt = Date.now();
+      const groups = batchMatcher.optimize(requests);
+      const elapsed = Date.now() - startedAt;
+      const assigned = groups.flatMap(g => g.members).sort((a, b) => a - b);
+
+      // Enumerating every compatible subset took minutes at this size
+      expect(elapsed).toBeLessThan(10000);
+      expect(assigned).toEqual(requests.map((_, i) => i));
+      expect(groups.length).toBeLessThan(requests.length / 2);
+    }, 20000);
+
+    it('should cap how many requests share a vehicle', () => {
+      const requests = Array.from({ length: 6 }, (_, i) =>
+        makeRequest(`r${i}`, [-122.4194 + i * 0.001, 37.7749])
+      );
+
+      [new BatchMatcher(null, { maxGroupSize: 2 }), new BatchMatcher(null, { maxGroupSize: 2, exactLimit: 3 })]
+        .forEach(cappedMatcher => {
+          const groups = cappedMatcher.optimize(requests);
+
+          expect(groups).toHaveLength(3);
+          groups.forEach(group => expect(group.members).toHaveLength(2));
+        });
+    });
+  });
+
+  describe('runBatch', () => {
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    it('should not start a run while the previous one is still going', async () => {
+      let finishFind;
+      jest.spyOn(RideRequest, 'find').mockReturnValue({
+        sort: () => ({ limit: () => new Promise(resolve => { finishFind = resolve; }) })
+      });
+      jest.spyOn(DistanceCalculator, 'buildMatrix').mockResolvedValue(undefined);
+      const engine = {
+        acquireLock: jest.fn().mockResolvedValue('lock-value'),
+        releaseLock: jest.fn().mockResolvedValue(),
+        createGroupPool: jest.fn().mockResolvedValue()
+      };
+      const batchMatcher = new BatchMatcher(engine, { windowMs: 1000, lockTtlMs: 60000 });
+
+      const first = batchMatcher.runBatch();
+      await expect(batchMatcher.runBatch()).resolves.toEqual({ requests: 0, pools: 0 });
+
+      finishFind([makeRequest('a', [-122.4194, 37.7749]), makeRequest('b', [-122.4150, 37.7790])]);
+
+      await expect(first).resolves.toEqual({ requests: 2, pools: 1 });
+      expect(engine.acquireLock).toHaveBeenCalledTimes(1);
+      expect(engine.acquireLock).toHaveBeenCalledWith('batch:matching', 60000);
+      expect(engine.releaseLock).toHaveBeenCalledWith('batch:matching', 'lock-value');
+    });
+  });
+});
@@ -0,0 +1,258 @@
+const mongoose = require('mongoose');
+const MatchingEngine = require('../src/services/matchingEngine');
+const RideLifecycle = require('../src/services/rideLifecycle');
+const PricingEngine = require('../src/services/pricingEngine');
+const RidePool = require('../src/models/RidePool');
+const RideRequest = require('../src/models/RideRequest');
+const PromoRedemption = require('../src/models/PromoRedemption');
+const Payment = require('../src/models/Payment');
+const LedgerTransaction = require('../src/models/LedgerTransaction');
+const {
+  cancellationStage,
+  cancellationFee,
+  noShowFee,
+  graceExpired,
+  splitCompensation
+} = require('../src/services/cancellationPolicy');
+const config = require('../src/config/config');
+
+const point = (lng, lat = 0) => ({ type: 'Point', coordinates: [lng, lat] });
+const minutes = (n) => n * 60000;
+
+describe('cancellationPolicy', () => {
+  const now = new Date('2026-03-01T10:00:00Z');
+  const joined = (ago) => ({ joinedAt: new Date(now.getTime() - ago), price: 40 });
+
+  describe('cancellationFee', () => {
+    it('should be free inside the window after matching', () => {
+      const pool = { status: 'active', vehicle: { driverId: 'driver-1' } };
+
+      expect(cancellationFee(pool, joined(config.CANCELLATION_FREE_WINDOW_MS - 1000), now).fee).toBe(0);
+    });
+
+    it('should be free while the pool is still forming without a driver', () => {
+      expect(cancellationFee({ status: 'forming', vehicle: {} }, joined(minutes(30)), now).fee).toBe(0);
+    });
+
+    it('should charge more the further the ride has got', () => {
+      const passenger = joined(config.CANCELLATION_FREE_WINDOW_MS + 1000);
+      const fees = [
+        { status: 'matched', vehicle: {} },
+        { status: 'matched', vehicle: { driverId: 'driver-1' } },
+        { status: 'active', vehicle: { driverId: 'driver-1' } }
+      ].map(pool => cancellationFee(pool, passenger, now));
+
+      expect(fees.map(f => f.stage)).toEqual(['matched', 'driver_assigned', 'active']);
+      expect(fees.map(f => f.fee)).toEqual([
+        config.CANCELLATION_FEES.matched,
+        config.CANCELLATION_FEES.driver_assigned,
+        config.CANCELLATION_FEES.active
+      ]);
+    });
+
+    it('should grow with time since matching up to a share of the fare', () => {
+      const pool = { status: 'matched', vehicle: {} };
+      const later = cancellationFee(pool, joined(config.CANCELLATION_FREE_WINDOW_MS + minutes(4)), now);
+      const muchLater = cancellationFee(pool, joined(minutes(600)), now);
+
+      expect(later.fee).toBe(config.CANCELLATION_FEES.matched + 4 * config.CANCELLATION_FEE_PER_MIN);
+      expect(muchLater.fee).toBe(40 * config.CANCELLATION_MAX_FARE_SHARE);
+    });
+  });
+
+  it('should report the stage of a pool with a driver on the way', () => {
+    expect(cancellationStage({ status: 'forming', vehicle: { driverId: 'driver-1' } })).toBe('driver_assigned');
+  });
+
+  it('should never charge a no-show more than their fare', () => {
+    expect(noShowFee({ price: 100 }).fee).toBe(config.NO_SHOW_FEE);
+    expect(noShowFee({ price: 6 }).fee).toBe(6);
+  });
+
+  it('should only let the driver give up after the grace period', () => {
+    const stop = { arrivedAt: new Date(now.getTime() - config.NO_SHOW_GRACE_MS + 1000) };
+
+    expect(graceExpired({}, now)).toBe(false);
+    expect(graceExpired(stop, now)).toBe(false);
+    expect(graceExpired(stop, new Date(now.getTime() + 1000))).toBe(true);
+  });
+
+  it('should split compensation evenly without crediting more than a fare', () => {
+    const credits = splitCompensation(8, [{ userId: 'a', price: 30 }, { userId: 'b', price: 1 }]);
+    const share = 8 * config.CANCELLATION_COMPENSATION_SHARE / 2;
+
+    expect(credits.get('a')).toBe(share);
+    expect(credits.get('b')).toBe(1);
+  });
+});
+
+describe('cancelling from a pool', () => {
+  const engine = new MatchingEngine(null);
+  const leaver = new mongoose.Types.ObjectId();
+  const stayer = new mongoose.Types.ObjectId();
+  const driverId = new mongoose.Types.ObjectId();
+
+  const trip = (km) => ({
+    _id: new mongoose.Types.ObjectId(),
+    pickupLocation: point(0.00),
+    dropoffLocation: point(km / 111),
+    metadata: { estimatedDistance: km, estimatedDuration: km * 1.5 }
+  });
+
+  let requests;
+  let pool;
+
+  const makePool = ({ status, joinedAgo }) => {
+    const joinedAt = new Date(Date.now() - joinedAgo);
+    const riders = [leaver, stayer];
+    const made = new RidePool({
+      status,
+      passengers: riders.map((userId, i) => ({
+        userId,
+        requestId: requests[i]._id,
+        pickupLocation: requests[i].pickupLocation,
+        dropoffLocation: requests[i].dropoffLocation,
+        price: 20,
+        fareBreakdown: PricingEngine.calculateSoloFare(requests[i], 'sedan'),
+        passengerCount: 1,
+        luggageCount: 0,
+        joinedAt
+      })),
+      route: {
+        stops: riders.flatMap((userId, i) => [
+          { type: 'pickup', passengerId: userId, location: requests[i].pickupLocation, sequence: i },
+          { type: 'dropoff', passengerId: userId, location: requests[i].dropoffLocation, sequence: i + 2 }
+        ])
+      },
+      vehicle: { type: 'sedan', capacity: 4, luggageCapacity: 6, driverId },
+      pricing: { surgeFactor: 1.0, totalPrice: 40 }
+    });
+    made.passengers.forEach(p => { p.price = p.fareBreakdown.total; });
+    jest.spyOn(RidePool, 'findById').mockResolvedValue(made);
+    jest.spyOn(made, 'save').mockResolvedValue(made);
+    return made;
+  };
+
+  beforeEach(() => {
+    requests = [trip(20), trip(20)];
+    jest.spyOn(PricingEngine, 'getTimeMultiplier').mockReturnValue(1.0);
+    jest.spyOn(engine, 'acquireLock').mockResolvedValue('lock');
+    jest.spyOn(engine, 'releaseLock').mockResolvedValue();
+    jest.spyOn(RideRequest, 'find').mockResolvedValue(requests);
+    jest.spyOn(RideRequest, 'findByIdAndUpdate').mockResolvedValue(null);
+    jest.spyOn(PromoRedemption, 'findOneAndUpdate').mockResolvedValue(null);
+    jest.spyOn(Payment, 'findOne').mockResolvedValue(null);
+    jest.spyOn(LedgerTransaction, 'findOne').mockResolvedValue(null);
+    jest.spyOn(LedgerTransaction, 'find').mockResolvedValue([]);
+    jest.spyOn(LedgerTransaction, 'create').mockImplementation(async (doc) => doc);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('should let a rider leave free inside the window', async () => {
+    pool = makePool({ status: 'matched', joinedAgo: 1000 });
+    const price = pool.passengers[1].price;
+
+    const { cancellation } = await engine.cancelRide(leaver, pool._id);
+
+    expect(cancellation.fee).toBe(0);
+    expect(pool.passengers[0].compensation).toBe(0);
+    expect(pool.passengers[0].price).toBeLessThanOrEqual(price);
+  });
+
+  it('should charge a late rider and credit the rider left behind', async () => {
+    pool = makePool({ status: 'matched', joinedAgo: config.CANCELLATION_FREE_WINDOW_MS + minutes(2) });
+    const price = pool.passengers[1].price;
+
+    const { cancellation } = await engine.cancelRide(leaver, pool._id);
+
+    const fee = config.CANCELLATION_FEES.driver_assigned + 2 * config.CANCELLATION_FEE_PER_MIN;
+    expect(cancellation).toMatchObject({ kind: 'cancellation', stage: 'driver_assigned', fee });
+    expect(cancellation.compensation).toBe(fee * config.CANCELLATION_COMPENSATION_SHARE);
+
+    const [remaining] = pool.passengers;
+    expect(remaining.compensation).toBe(cancellation.compensation);
+    expect(remaining.price).toBe(Math.round((price - cancellation.compensation) * 100) / 100);
+    expect(remaining.fareBreakdown.lines.map(line => line.type)).toContain('compensation');
+    expect(remaining.priceHistory.pop().reason).toBe('Compensation for a late cancellation');
+    expect(pool.pricing.totalPrice).toBe(remaining.price);
+
+    expect(RideRequest.findByIdAndUpdate).toHaveBeenCalledWith(requests[0]._id, expect.objectContaining({
+      status: 'cancelled',
+      cancellation: expect.objectContaining({ fee, at: expect.any(Date) })
+    }));
+
+    // The fee is owed on the rider's account and earned as fee revenue
+    expect(LedgerTransaction.create).toHaveBeenCalledWith(expect.objectContaining({
+      type: 'cancellation_fee',
+      entries: [
+        { account: `rider:${leaver}`, debit: fee, credit: 0 },
+        { account: 'revenue:fees', debit: 0, credit: fee }
+      ]
+    }));
+  });
+
+  it('should not charge a rider sent back to matching', async () => {
+    pool = makePool({ status: 'matched', joinedAgo: minutes(60) });
+
+    const { cancellation } = await engine.cancelRide(leaver, pool._id, {
+      reason: 'Flight delayed',
+      requestUpdate: { status: 'pending', matchedPoolId: null }
+    });
+
+    expect(cancellation).toBeNull();
+    expect(RideRequest.findByIdAndUpdate).toHaveBeenCalledWith(
+      requests[0]._id,
+      { status: 'pending', matchedPoolId: null }
+    );
+  });
+
+  it('should keep compensation when the pool is repriced later', async () => {
+    pool = makePool({ status: 'matched', joinedAgo: minutes(30) });
+    await engine.cancelRide(leaver, pool._id);
+    const [remaining] = pool.passengers;
+    const price = remaining.price;
+
+    await engine.repricePool(pool, [requests[1]], 'Passenger joined');
+
+    expect(remaining.price).toBe(price);
+  });
+
+  describe('no-shows', () => {
+    const lifecycle = new RideLifecycle(engine);
+
+    const arrivedPool = (arrivedAgo) => {
+      pool = makePool({ status: 'active', joinedAgo: minutes(30) });
+      pool.route.stops[0].arrivedAt = new Date(Date.now() - arrivedAgo);
+      return pool;
+    };
+
+    it('should refuse a no-show before the grace period is up', async () => {
+      arrivedPool(config.NO_SHOW_GRACE_MS - minutes(1));
+
+      await expect(lifecycle.reportNoShow(driverId, pool._id, 0))
+        .rejects.toMatchObject({ status: 409 });
+      expect(pool.passengers).toHaveLength(2);
+    });
+
+    it('should refuse a no-show before the driver has arrived', async () => {
+      pool = makePool({ status: 'active', joinedAgo: minutes(30) });
+
+      await expect(lifecycle.reportNoShow(driverId, pool._id, 0))
+        .rejects.toThrow('Report arriving at the pickup first');
+    });
+
+    it('should charge the no-show fee and remove the rider after the grace period', async () => {
+      arrivedPool(config.NO_SHOW_GRACE_MS + 1000);
+
+      const { cancellation } = await lifecycle.reportNoShow(driverId, pool._id, 0);
+
+      expect(cancellation).toMatchObject({ kind: 'no_show', fee: config.NO_SHOW_FEE });
+      expect(pool.passengers.map(p => p.userId)).toEqual([stayer]);
+      expect(pool.route.stops.every(stop => stop.passengerId.equals(stayer))).toBe(true);
+      expect(pool.passengers[0].compensation).toBe(config.NO_SHOW_FEE * config.CANCELLATION_COMPENSATION_SHARE);
+    });
+  });
+});
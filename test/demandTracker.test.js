@@ -0,0 +1,155 @@
+const PricingEngine = require('../src/services/pricingEngine');
+const {
+  demandScopes,
+  recordRideRequested,
+  recordRideMatched,
+  recordDriverOnline,
+  recordDriverOffline,
+  getDemandCounts,
+  smoothSurge
+} = require('../src/services/demandTracker');
+const config = require('../src/config/config');
+
+// In-memory stand-in for the Redis commands the tracker uses
+const createRedis = () => {
+  const sets = new Map();
+  const values = new Map();
+  const set = (key) => {
+    if (!sets.has(key)) sets.set(key, new Map());
+    return sets.get(key);
+  };
+  const bound = (value) => (value === '-inf' ? -Infinity : value === '+inf' ? Infinity : Number(value));
+
+  const commands = {
+    zadd: (key, score, member) => set(key).set(member, score),
+    zrem: (key, member) => set(key).delete(member),
+    zremrangebyscore: (key, min, max) => {
+      for (const [member, score] of set(key)) {
+        if (score >= bound(min) && score <= bound(max)) set(key).delete(member);
+      }
+    },
+    zcount: (key, min, max) =>
+      [...set(key).values()].filter(score => score >= bound(min) && score <= bound(max)).length,
+    pexpire: () => 1,
+    del: (key) => values.delete(key)
+  };
+
+  return {
+    multi() {
+      const queued = [];
+      const pipeline = {
+        exec: async () => queued.map(fn => [null, fn()])
+      };
+      Object.entries(commands).forEach(([name, fn]) => {
+        pipeline[name] = (...args) => {
+          queued.push(() => fn(...args));
+          return pipeline;
+        };
+      });
+      return pipeline;
+    },
+    get: async (key) => values.get(key) || null,
+    set: async (key, value) => {
+      values.set(key, value);
+      return 'OK';
+    }
+  };
+};
+
+const terminal = { type: 'Point', coordinates: [72.8656, 19.0896] };
+const downtown = { type: 'Point', coordinates: [72.8258, 18.9220] };
+const request = (id, pickupLocation = terminal) => ({ _id: id, pickupLocation });
+
+describe('demandTracker', () => {
+  const start = new Date('2026-03-01T10:00:00Z').getTime();
+  let now;
+  let redis;
+
+  beforeEach(() => {
+    now = start;
+    jest.spyOn(Date, 'now').mockImplementation(() => now);
+    redis = createRedis();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('should count a location towards its region and geohash cell', () => {
+    const [region, cell] = demandScopes(terminal);
+
+    expect(region).toBe(config.DEMAND_REGION);
+    expect(cell).toBe(`${config.DEMAND_REGION}:te7ud`);
+    expect(demandScopes(downtown)[1]).not.toBe(cell);
+  });
+
+  it('should only count requests inside the sliding window', async () => {
+    await recordRideRequested(request('r1'), redis);
+    now += config.DEMAND_WINDOW_MS / 2;
+    await recordRideRequested(request('r2'), redis);
+    await recordRideMatched(request('r2'), redis);
+
+    expect(await getDemandCounts(redis, config.DEMAND_REGION, terminal, now))
+      .toMatchObject({ requests: 2, matches: 1 });
+
+    now += config.DEMAND_WINDOW_MS / 2 + 1;
+    expect(await getDemandCounts(redis, config.DEMAND_REGION, terminal, now))
+      .toMatchObject({ requests: 1, matches: 1 });
+  });
+
+  it('should fall back to the region when the cell has no requests', async () => {
+    await recordRideRequested(request('r1', downtown), redis);
+
+    const counts = await getDemandCounts(redis, config.DEMAND_REGION, terminal, now);
+
+    expect(counts).toMatchObject({ scope: config.DEMAND_REGION, requests: 1 });
+  });
+
+  it('should count each driver once and drop them when they go offline', async () => {
+    await recordDriverOnline('d1', downtown, redis);
+    await recordDriverOnline('d1', terminal, redis);
+    await recordDriverOnline('d2', terminal, redis);
+    await recordRideRequested(request('r1'), redis);
+
+    expect(await getDemandCounts(redis, config.DEMAND_REGION, terminal, now))
+      .toMatchObject({ scope: demandScopes(terminal)[1], cabs: 2 });
+
+    await recordDriverOffline('d1', redis);
+    expect(await getDemandCounts(redis, config.DEMAND_REGION, terminal, now))
+      .toMatchObject({ cabs: 1 });
+  });
+
+  it('should ease the surge factor towards demand instead of jumping', async () => {
+    const first = await smoothSurge(redis, 'airport', 2.5, now);
+    now += 1000;
+    const second = await smoothSurge(redis, 'airport', 2.5, now);
+    now += config.SURGE_SMOOTHING_MS * 10;
+    const settled = await smoothSurge(redis, 'airport', 2.5, now);
+
+    expect(first).toBeGreaterThan(1.0);
+    expect(first).toBeLessThan(2.5);
+    expect(second - first).toBeLessThan(0.05);
+    expect(settled).toBe(2.5);
+  });
+
+  it('should give pricing a smoothed surge and demand level from live counts', async () => {
+    for (let i = 0; i < 6; i++) {
+      await recordRideRequested(request(`r${i}`), redis);
+    }
+    await recordDriverOnline('d1', terminal, redis);
+
+    const demand = await PricingEngine.getCurrentDemand(config.DEMAND_REGION, redis, terminal);
+
+    expect(demand.activeRequests).toBe(6);
+    expect(demand.availableCabs).toBe(1);
+    expect(demand.surgeFactor).toBeGreaterThan(1.0);
+    expect(demand.surgeFactor).toBeLessThan(PricingEngine.calculateDemandMultiplier(6, 1));
+    expect(demand.demandLevel).toBe(PricingEngine.getDemandLevel(demand.surgeFactor));
+  });
+
+  it('should price at normal demand without Redis', async () => {
+    const demand = await PricingEngine.getCurrentDemand(config.DEMAND_REGION, null, terminal);
+
+    expect(demand).toMatchObject({ demandLevel: 'normal', surgeFactor: 1.0 });
+  });
+});
@@ -0,0 +1,166 @@
+const mongoose = require('mongoose');
+const RideLifecycle = require('../src/services/rideLifecycle');
+const PricingEngine = require('../src/services/pricingEngine');
+const RidePool = require('../src/models/RidePool');
+const RideRequest = require('../src/models/RideRequest');
+const User = require('../src/models/User');
+const Payment = require('../src/models/Payment');
+const LedgerTransaction = require('../src/models/LedgerTransaction');
+const { actualTrips, settlePool } = require('../src/services/fareSettlement');
+const config = require('../src/config/config');
+
+const point = (lng, lat = 0) => ({ type: 'Point', coordinates: [lng, lat] });
+const KM = 1 / 111; // Degrees of longitude per km at the equator
+
+describe('fareSettlement', () => {
+  const riderA = new mongoose.Types.ObjectId();
+  const riderB = new mongoose.Types.ObjectId();
+  const start = new Date('2026-03-01T10:00:00Z');
+  const at = (min) => new Date(start.getTime() + min * 60000);
+
+  let requests;
+
+  // Rider A rides 0-20 km, rider B 5-15 km, on a straight road
+  const makePool = ({ prices = [40, 20], minutes = [[0, 30], [8, 22]], quote } = {}) => {
+    requests = [
+      { _id: new mongoose.Types.ObjectId(), pickupLocation: point(0), dropoffLocation: point(20 * KM), quote },
+      { _id: new mongoose.Types.ObjectId(), pickupLocation: point(5 * KM), dropoffLocation: point(15 * KM) }
+    ];
+    const riders = [riderA, riderB];
+
+    return new RidePool({
+      status: 'completed',
+      passengers: riders.map((userId, i) => ({
+        userId,
+        requestId: requests[i]._id,
+        pickupLocation: requests[i].pickupLocation,
+        dropoffLocation: requests[i].dropoffLocation,
+        price: prices[i],
+        status: 'dropped_off',
+        actualPickupTime: at(minutes[i][0]),
+        actualDropoffTime: at(minutes[i][1]),
+        passengerCount: 1,
+        luggageCount: 0
+      })),
+      route: {
+        stops: [
+          { type: 'pickup', passengerId: riderA, location: point(0), sequence: 0, completed: true },
+          { type: 'pickup', passengerId: riderB, location: point(5 * KM), sequence: 1, completed: true },
+          { type: 'dropoff', passengerId: riderB, location: point(15 * KM), sequence: 2, completed: true },
+          { type: 'dropoff', passengerId: riderA, location: point(20 * KM), sequence: 3, completed: true }
+        ]
+      },
+      vehicle: { type: 'sedan', capacity: 4, luggageCapacity: 6 },
+      pricing: { surgeFactor: 1.0, totalPrice: prices[0] + prices[1] }
+    });
+  };
+
+  beforeEach(() => {
+    jest.spyOn(PricingEngine, 'getTimeMultiplier').mockReturnValue(1.0);
+    jest.spyOn(RideRequest, 'find').mockImplementation(async () => requests);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('should measure each trip along the driven route and by the clock', async () => {
+    const trips = await actualTrips(makePool());
+
+    const a = trips.get(riderA.toString());
+    const b = trips.get(riderB.toString());
+
+    expect(a.distanceKm).toBeCloseTo(20, 0);
+    expect(b.distanceKm).toBeCloseTo(10, 0);
+    expect([a.durationMin, b.durationMin]).toEqual([30, 14]);
+    expect(a.detour).toBeCloseTo(0, 5);
+  });
+
+  it('should settle each rider on their actual trip and record the adjustment', async () => {
+    const pool = makePool({ prices: [100, 100] });
+
+    const settlements = await settlePool(pool, at(31));
+
+    settlements.forEach((settlement, i) => {
+      const passenger = pool.passengers[i];
+      expect(settlement.finalPrice).toBeLessThan(100);
+      expect(passenger.price).toBe(settlement.finalPrice);
+      expect(passenger.settlement).toMatchObject({ agreedPrice: 100, adjustment: settlement.adjustment });
+      expect(passenger.priceHistory.pop()).toMatchObject({ from: 100, reason: 'Settled on the actual trip' });
+      expect(passenger.paymentStatus).toBe('due');
+
+      const { base, lines, total } = passenger.fareBreakdown;
+      expect(Math.round((base.amount + lines.reduce((sum, l) => sum + l.amount, 0)) * 100) / 100)
+        .toBe(total);
+    });
+
+    // The shorter trip pays less
+    expect(pool.passengers[1].price).toBeLessThan(pool.passengers[0].price);
+    expect(pool.pricing.totalPrice).toBe(
+      Math.round((pool.passengers[0].price + pool.passengers[1].price) * 100) / 100
+    );
+    expect(pool.pricing.settledAt).toEqual(at(31));
+  });
+
+  it('should hold a longer, slower trip to the most a fare may rise', async () => {
+    const pool = makePool({ prices: [10, 10], minutes: [[0, 90], [8, 70]] });
+
+    await settlePool(pool, at(91));
+
+    const cap = Math.round(10 * (1 + config.SETTLEMENT_MAX_INCREASE) * 100) / 100;
+    pool.passengers.forEach(passenger => {
+      expect(passenger.price).toBe(cap);
+      expect(passenger.fareBreakdown.lines.map(line => line.type)).toContain('settlement_cap');
+    });
+  });
+
+  it('should never charge more than the rider was quoted', async () => {
+    const pool = makePool({ prices: [10, 10], minutes: [[0, 90], [8, 70]], quote: { priceCeiling: 10.5 } });
+
+    await settlePool(pool, at(91));
+
+    expect(pool.passengers[0].price).toBe(10.5);
+    expect(pool.passengers[0].fareBreakdown.lines.map(line => line.type)).toContain('quote_cap');
+  });
+
+  it('should settle a pool only once', async () => {
+    const pool = makePool({ prices: [100, 100] });
+    await settlePool(pool, at(31));
+    const prices = pool.passengers.map(p => p.price);
+
+    expect(await settlePool(pool, at(40))).toEqual([]);
+    expect(pool.passengers.map(p => p.price)).toEqual(prices);
+  });
+
+  it('should settle and collect fares when the driver completes the ride', async () => {
+    const driverId = new mongoose.Types.ObjectId();
+    const pool = makePool({ prices: [100, 100] });
+    pool.status = 'active';
+    pool.vehicle.driverId = driverId;
+    jest.spyOn(RidePool, 'findById').mockResolvedValue(pool);
+    jest.spyOn(pool, 'save').mockResolvedValue(pool);
+    jest.spyOn(User, 'findByIdAndUpdate').mockResolvedValue(null);
+    jest.spyOn(Payment, 'findOne').mockResolvedValue(null);
+    jest.spyOn(Payment, 'findOneAndUpdate').mockImplementation(async (query, { $unset, ...fields }) => {
+      const payment = new Payment({ ...query, ...fields });
+      jest.spyOn(payment, 'save').mockResolvedValue(payment);
+      return payment;
+    });
+    jest.spyOn(LedgerTransaction, 'findOne').mockResolvedValue(null);
+    jest.spyOn(LedgerTransaction, 'find').mockResolvedValue([]);
+    jest.spyOn(LedgerTransaction, 'create').mockImplementation(async (doc) => doc);
+
+    const lifecycle = new RideLifecycle({
+      acquireLock: async () => 'lock',
+      releaseLock: async () => {}
+    });
+    await lifecycle.completeRide(driverId, pool._id);
+
+    expect(pool.status).toBe('completed');
+    expect(pool.pricing.settledAt).toEqual(pool.completedAt);
+    expect(pool.passengers.every(p => p.paymentStatus === 'paid')).toBe(true);
+    expect(LedgerTransaction.create.mock.calls.map(([doc]) => doc.type))
+      .toEqual(['ride_charge', 'payment', 'ride_charge', 'payment']);
+    expect(pool.save).toHaveBeenCalledTimes(1);
+  });
+});
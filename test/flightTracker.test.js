@@ -0,0 +1,166 @@
+const path = require('path');
+
+jest.mock('../src/services/matchingQueue');
+
+const FlightTracker = require('../src/services/flightTracker');
+const { FileFlightStatusProvider } = require('../src/services/flightStatusProviders');
+const { activateScheduledRequest } = require('../src/services/matchingQueue');
+const RidePool = require('../src/models/RidePool');
+const RideRequest = require('../src/models/RideRequest');
+const config = require('../src/config/config');
+
+const minutes = (n) => n * 60 * 1000;
+const fromNow = (ms) => new Date(Date.now() + ms);
+
+const makeEngine = () => ({
+  acquireLock: jest.fn().mockResolvedValue('lock'),
+  releaseLock: jest.fn().mockResolvedValue(),
+  cancelRide: jest.fn().mockResolvedValue({ success: true })
+});
+
+const makeRequest = (overrides = {}) => ({
+  _id: 'request-1',
+  userId: 'rider-1',
+  status: 'scheduled',
+  scheduledPickupTime: fromNow(minutes(180)),
+  flight: { number: 'UA837', estimatedArrival: fromNow(minutes(160)) },
+  save: jest.fn().mockResolvedValue(),
+  ...overrides
+});
+
+const delayedBy = (request, ms) => ({
+  flightNumber: 'UA837',
+  status: 'delayed',
+  estimatedArrival: new Date(request.flight.estimatedArrival.getTime() + ms)
+});
+
+describe('FileFlightStatusProvider', () => {
+  const provider = new FileFlightStatusProvider({
+    filePath: path.join(__dirname, 'fixtures', 'flights.json')
+  });
+
+  it('should read a flight\'s arrival estimate', async () => {
+    const flight = await provider.getFlightStatus('ua 837');
+
+    expect(flight.flightNumber).toBe('UA837');
+    expect(flight.status).toBe('delayed');
+    expect(flight.estimatedArrival).toEqual(new Date('2026-03-01T18:45:00Z'));
+  });
+
+  it('should fall back to the scheduled arrival when there is no estimate', async () => {
+    const flight = await provider.getFlightStatus('BA287');
+
+    expect(flight.status).toBe('scheduled');
+    expect(flight.estimatedArrival).toEqual(flight.scheduledArrival);
+  });
+
+  it('should return null for unknown flights', async () => {
+    expect(await provider.getFlightStatus('XX1')).toBeNull();
+  });
+});
+
+describe('FlightTracker', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+    jest.clearAllMocks();
+  });
+
+  describe('applyFlightStatus', () => {
+    it('should shift a scheduled booking and its matching window with the delay', async () => {
+      const tracker = new FlightTracker(makeEngine(), null);
+      const request = makeRequest();
+      const originalPickup = request.scheduledPickupTime.getTime();
+
+      const moved = await tracker.applyFlightStatus(request, delayedBy(request, minutes(60)));
+
+      expect(moved).toBe(true);
+      expect(request.scheduledPickupTime.getTime()).toBe(originalPickup + minutes(60));
+      expect(request.matchingWindowOpensAt.getTime()).toBe(
+        originalPickup + minutes(60) - config.SCHEDULED_MATCHING_LEAD_MS
+      );
+      expect(request.flight.status).toBe('delayed');
+      expect(activateScheduledRequest).not.toHaveBeenCalled();
+    });
+
+    it('should ignore small changes to the estimate', async () => {
+      const tracker = new FlightTracker(makeEngine(), null);
+      const request = makeRequest();
+      const originalPickup = request.scheduledPickupTime;
+
+      const moved = await tracker.applyFlightStatus(request, delayedBy(request, minutes(2)));
+
+      expect(moved).toBe(false);
+      expect(request.scheduledPickupTime).toBe(originalPickup);
+      expect(request.save).toHaveBeenCalled();
+    });
+
+    it('should start matching when an earlier arrival opens the window', async () => {
+      const tracker = new FlightTracker(makeEngine(), null);
+      const request = makeRequest({ scheduledPickupTime: fromNow(minutes(60)) });
+
+      await tracker.applyFlightStatus(request, delayedBy(request, -minutes(40)));
+
+      expect(activateScheduledRequest).toHaveBeenCalledWith('request-1');
+    });
+  });
+
+  describe('reevaluatePool', () => {
+    const makePool = (request) => {
+      const rider = {
+        userId: request.userId,
+        requestId: request._id,
+        status: 'waiting',
+        pickupTime: request.scheduledPickupTime
+      };
+      const other = {
+        userId: 'rider-2',
+        requestId: 'request-2',
+        status: 'waiting',
+        pickupTime: request.scheduledPickupTime
+      };
+      return {
+        _id: 'pool-1',
+        status: 'matched',
+        passengers: [rider, other],
+        save: jest.fn().mockResolvedValue()
+      };
+    };
+
+    it('should keep the rider in the pool when they still leave close to the others', async () => {
+      const engine = makeEngine();
+      const tracker = new FlightTracker(engine, null);
+      const request = makeRequest({ status: 'matched', matchedPoolId: 'pool-1' });
+      const pool = makePool(request);
+      jest.spyOn(RidePool, 'findById').mockResolvedValue(pool);
+      jest.spyOn(RideRequest, 'findByIdAndUpdate').mockResolvedValue();
+
+      const pickupTime = new Date(request.scheduledPickupTime.getTime() + minutes(10));
+      await tracker.reevaluatePool(request, pickupTime);
+
+      expect(pool.passengers[0].pickupTime).toEqual(pickupTime);
+      expect(pool.save).toHaveBeenCalled();
+      expect(engine.cancelRide).not.toHaveBeenCalled();
+      expect(engine.releaseLock).toHaveBeenCalledWith('pool:pool-1', 'lock');
+    });
+
+    it('should send the rider back to matching when the delay splits them from the pool', async () => {
+      const engine = makeEngine();
+      const tracker = new FlightTracker(engine, null);
+      const request = makeRequest({ status: 'matched', matchedPoolId: 'pool-1' });
+      const pool = makePool(request);
+      jest.spyOn(RidePool, 'findById').mockResolvedValue(pool);
+
+      const pickupTime = new Date(request.scheduledPickupTime.getTime() + minutes(90));
+      await tracker.reevaluatePool(request, pickupTime);
+
+      expect(pool.save).not.toHaveBeenCalled();
+      expect(engine.cancelRide).toHaveBeenCalledWith('rider-1', 'pool-1', expect.objectContaining({
+        requestUpdate: expect.objectContaining({
+          status: 'scheduled',
+          matchedPoolId: null,
+          scheduledPickupTime: pickupTime
+        })
+      }));
+    });
+  });
+});
@@ -0,0 +1,88 @@
+const User = require('../src/models/User');
+const PricingEngine = require('../src/services/pricingEngine');
+const {
+  tierForRides,
+  tierProgress,
+  recordCompletedRides
+} = require('../src/services/loyaltyProgram');
+const config = require('../src/config/config');
+
+const { premium, vip } = config.LOYALTY_TIERS;
+
+describe('loyaltyProgram', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('tierForRides', () => {
+    it('should earn each tier at its configured threshold', () => {
+      expect(tierForRides(0)).toBe('basic');
+      expect(tierForRides(premium.minRides - 1)).toBe('basic');
+      expect(tierForRides(premium.minRides)).toBe('premium');
+      expect(tierForRides(vip.minRides)).toBe('vip');
+    });
+  });
+
+  describe('tierProgress', () => {
+    it('should report rides left until the next tier', () => {
+      expect(tierProgress({ tier: 'basic', totalRides: 4 })).toEqual({
+        tier: 'basic',
+        totalRides: 4,
+        discount: 0,
+        nextTier: 'premium',
+        nextTierRides: premium.minRides,
+        ridesToNextTier: premium.minRides - 4
+      });
+    });
+
+    it('should have no next tier at the top', () => {
+      const progress = tierProgress({ tier: 'vip', totalRides: 80 });
+
+      expect(progress.discount).toBe(0.1);
+      expect(progress.nextTier).toBeNull();
+      expect(progress.ridesToNextTier).toBeNull();
+    });
+  });
+
+  describe('recordCompletedRides', () => {
+    it('should count the ride and promote a rider reaching the threshold', async () => {
+      jest.spyOn(User, 'findByIdAndUpdate').mockImplementation(async (userId) => (
+        userId === 'regular'
+          ? { _id: userId, tier: 'basic', totalRides: premium.minRides }
+          : { _id: userId, tier: 'basic', totalRides: 2 }
+      ));
+      const updateOne = jest.spyOn(User, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+
+      const promotions = await recordCompletedRides(['regular', 'newcomer']);
+
+      expect(User.findByIdAndUpdate).toHaveBeenCalledWith('newcomer', { $inc: { totalRides: 1 } }, { new: true });
+      expect(updateOne).toHaveBeenCalledTimes(1);
+      expect(updateOne).toHaveBeenCalledWith({ _id: 'regular', tier: 'basic' }, { tier: 'premium' });
+      expect(promotions).toEqual([{ userId: 'regular', from: 'basic', to: 'premium' }]);
+    });
+
+    it('should never lower a tier granted by hand', async () => {
+      jest.spyOn(User, 'findByIdAndUpdate').mockResolvedValue({ _id: 'guest', tier: 'vip', totalRides: 3 });
+      const updateOne = jest.spyOn(User, 'updateOne');
+
+      expect(await recordCompletedRides(['guest'])).toEqual([]);
+      expect(updateOne).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('pricing', () => {
+    it('should apply the tier a rider had when they requested the ride', () => {
+      jest.spyOn(PricingEngine, 'getTimeMultiplier').mockReturnValue(1.0);
+      const request = {
+        pickupLocation: { type: 'Point', coordinates: [0, 0] },
+        dropoffLocation: { type: 'Point', coordinates: [0.1, 0] }
+      };
+      const pool = { passengers: [{}], pricing: { surgeFactor: 1.0 } };
+
+      const basic = PricingEngine.calculatePassengerPrice(request, pool, 0);
+      const vipPrice = PricingEngine.calculatePassengerPrice({ ...request, loyaltyTier: 'vip' }, pool, 0);
+
+      expect(vipPrice).toBeCloseTo(basic * vip.priceFactor, 1);
+    });
+  });
+});
@@ -0,0 +1,781 @@
+const mongoose = require('mongoose');
+const MatchingEngine = require('../src/services/matchingEngine');
+const PricingEngine = require('../src/services/pricingEngine');
+const RidePool = require('../src/models/RidePool');
+const RideRequest = require('../src/models/RideRequest');
+const Payment = require('../src/models/Payment');
+const { POOL_EVENTS, subscribePoolEvents } = require('../src/services/poolEvents');
+const DistanceCalculator = require('../src/utils/distanceCalculator');
+const VehicleFleet = require('../src/utils/vehicleFleet');
+const config = require('../src/config/config');
+
+const point = (lng, lat = 0) => ({ type: 'Point', coordinates: [lng, lat] });
+
+const makePool = (existingTolerance) => ({
+  _id: 'pool-1',
+  passengers: [{ userId: 'rider-a', detourTolerance: existingTolerance }],
+  route: {
+    stops: [
+      { type: 'pickup', passengerId: 'rider-a', location: point(0.00), sequence: 0 },
+      { type: 'dropoff', passengerId: 'rider-a', location: point(0.10), sequence: 1 }
+    ]
+  },
+  vehicle: { type: 'sedan', capacity: 4, luggageCapacity: 6, allowedTypes: ['sedan', 'suv', 'van'] },
+  currentOccupancy: { seats: 1, luggage: 1 }
+});
+
+// Joining rider whose trip runs parallel but offset from rider A's
+const joiner = {
+  _id: 'request-b',
+  userId: 'rider-b',
+  pickupLocation: point(0.02, 0.02),
+  dropoffLocation: point(0.08, 0.02),
+  detourTolerance: 1
+};
+
+describe('MatchingEngine', () => {
+  const engine = new MatchingEngine(null);
+
+  describe('findBestMatch', () => {
+    it('should reject a pool when a rider already on board would exceed their tolerance', async () => {
+      const match = await engine.findBestMatch(joiner, [makePool(0.05)]);
+
+      expect(match).toBeNull();
+    });
+
+    it('should accept the pool when every passenger stays within tolerance', async () => {
+      const match = await engine.findBestMatch(joiner, [makePool(1)]);
+
+      expect(match).not.toBeNull();
+      const detours = match.calculatedDetour.passengerDetours;
+      expect(detours.get('rider-a').detour).toBeGreaterThan(0.05);
+      expect(detours.get('rider-b').detour).toBeLessThanOrEqual(1);
+    });
+
+    it('should enforce the joining rider\'s own tolerance', async () => {
+      const match = await engine.findBestMatch(
+        { ...joiner, pickupLocation: point(0.00), dropoffLocation: point(0.10, 0.01), detourTolerance: 0 },
+        [makePool(1)]
+      );
+
+      expect(match).toBeNull();
+    });
+  });
+
+  describe('addToExistingPool', () => {
+    const riderA = new mongoose.Types.ObjectId();
+    const riderB = new mongoose.Types.ObjectId();
+
+    const makeSedanPool = (preferredVehicleType) => {
+      const pool = new RidePool({
+        status: 'forming',
+        passengers: [{
+          userId: riderA,
+          requestId: new mongoose.Types.ObjectId(),
+          pickupLocation: point(0.00),
+          dropoffLocation: point(0.10),
+          price: 20,
+          passengerCount: 3,
+          luggageCount: 3,
+          preferredVehicleType
+        }],
+        route: {
+          stops: [
+            { type: 'pickup', passengerId: riderA, location: point(0.00), sequence: 0 },
+            { type: 'dropoff', passengerId: riderA, location: point(0.10), sequence: 1 }
+          ]
+        },
+        vehicle: { type: 'sedan', capacity: 4, luggageCapacity: 6 },
+        currentOccupancy: { seats: 3, luggage: 3 },
+        pricing: { surgeFactor: 1.0 }
+      });
+      pool.refreshAllowedVehicleTypes();
+      return pool;
+    };
+
+    const party = {
+      _id: new mongoose.Types.ObjectId(),
+      userId: riderB,
+      pickupLocation: point(0.01),
+      dropoffLocation: point(0.09),
+      passengers: 2,
+      luggage: 2,
+      detourTolerance: 0.3,
+      preferredVehicleType: 'any'
+    };
+
+    const poolData = (pool) => ({
+      _id: pool._id,
+      calculatedDetour: {
+        detourPercentage: 0,
+        bestRoute: [
+          { type: 'pickup', passengerId: riderA, location: point(0.00) },
+          { type: 'pickup', passengerId: riderB, location: point(0.01) },
+          { type: 'dropoff', passengerId: riderB, location: point(0.09) },
+          { type: 'dropoff', passengerId: riderA, location: point(0.10) }
+        ],
+        newDistance: 11.1,
+        newDuration: 17,
+        distanceSaved: 0,
+        passengerDetours: new Map()
+      }
+    });
+
+    beforeEach(() => {
+      jest.spyOn(RideRequest, 'findByIdAndUpdate').mockResolvedValue(null);
+      jest.spyOn(PricingEngine, 'getTimeMultiplier').mockReturnValue(1.0);
+      jest.spyOn(Payment, 'findOne').mockResolvedValue(null);
+      jest.spyOn(Payment, 'findOneAndUpdate').mockResolvedValue(null);
+      jest.spyOn(RidePool, 'updateOne').mockResolvedValue(null);
+    });
+
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    it('should move a forming sedan to an SUV so another party can join', async () => {
+      const pool = makeSedanPool('any');
+      jest.spyOn(RidePool, 'findById').mockResolvedValue(pool);
+      jest.spyOn(pool, 'save').mockResolvedValue(pool);
+      jest.spyOn(RideRequest, 'find').mockResolvedValue([{
+        _id: pool.passengers[0].requestId,
+        pickupLocation: point(0.00),
+        dropoffLocation: point(0.10)
+      }]);
+      const events = [];
+      await subscribePoolEvents(message => events.push(message));
+
+      const sedanPrice = PricingEngine.calculatePassengerPrice(
+        party,
+        { passengers: pool.passengers, vehicle: { type: 'sedan' }, pricing: { surgeFactor: 1.0 } },
+        0
+      );
+      const result = await engine.addToExistingPool(poolData(pool), party);
+
+      expect(result.success).toBe(true);
+      expect(pool.vehicle.type).toBe('suv');
+      expect(pool.vehicle.capacity).toBe(config.VEHICLE_FLEET.suv.seats);
+      expect(pool.vehicle.upgradedFrom).toBe('sedan');
+      expect(pool.currentOccupancy.seats).toBe(5);
+
+      // The joining party pays for the bigger vehicle; the first rider's price never goes up
+      const joined = pool.passengers[1];
+      expect(joined.fareBreakdown.lines.find(line => line.type === 'vehicle').factor)
+        .toBe(config.VEHICLE_FLEET.suv.priceMultiplier);
+      expect(result.price).toBe(joined.price);
+      expect(result.price).toBeLessThanOrEqual(
+        Math.round(sedanPrice * config.VEHICLE_FLEET.suv.priceMultiplier * 100) / 100
+      );
+      expect(pool.passengers[0].price).toBe(20);
+      expect(pool.passengers[0].priceHistory).toHaveLength(0);
+      expect(joined.paymentStatus).toBe('authorized');
+
+      const upgrade = events.find(e => e.event === POOL_EVENTS.VEHICLE_UPGRADED);
+      expect(upgrade.data).toMatchObject({ from: 'sedan', to: 'suv' });
+    });
+
+    it('should not upgrade a pool whose rider wants a sedan', async () => {
+      const pool = makeSedanPool('sedan');
+      jest.spyOn(RidePool, 'findById').mockResolvedValue(pool);
+      const save = jest.spyOn(pool, 'save').mockResolvedValue(pool);
+
+      const result = await engine.addToExistingPool(poolData(pool), party);
+
+      expect(result.success).toBe(false);
+      expect(pool.vehicle.type).toBe('sedan');
+      expect(save).not.toHaveBeenCalled();
+    });
+
+    it('should keep the rider in the pool when a step after saving it fails', async () => {
+      const pool = makeSedanPool('any');
+      jest.spyOn(RidePool, 'findById').mockResolvedValue(pool);
+      jest.spyOn(pool, 'save').mockResolvedValue(pool);
+      jest.spyOn(RideRequest, 'find').mockResolvedValue([]);
+      RideRequest.findByIdAndUpdate.mockRejectedValue(new Error('connection reset'));
+
+      const result = await engine.addToExistingPool(poolData(pool), party);
+
+      expect(result.success).toBe(true);
+      expect(pool.passengers).toHaveLength(2);
+      // Later steps still run
+      expect(pool.passengers[1].paymentStatus).toBe('authorized');
+    });
+
+    it('should not start a second pool for a rider already saved into one', async () => {
+      const pool = makeSedanPool('any');
+      jest.spyOn(RidePool, 'findById').mockResolvedValue(pool);
+      jest.spyOn(pool, 'save').mockResolvedValue(pool);
+      jest.spyOn(RideRequest, 'find').mockResolvedValue([]);
+      RideRequest.findByIdAndUpdate.mockRejectedValue(new Error('connection reset'));
+      jest.spyOn(engine, 'findNearbyPools').mockResolvedValue([pool]);
+      jest.spyOn(engine, 'findBestMatch').mockResolvedValue(poolData(pool));
+      jest.spyOn(engine, 'acquireLock').mockResolvedValue('lock-value');
+      jest.spyOn(engine, 'releaseLock').mockResolvedValue();
+      const createNewPool = jest.spyOn(engine, 'createNewPool');
+
+      const result = await engine.processRideRequest(party);
+
+      expect(result).toMatchObject({ poolId: pool._id, isNewPool: false });
+      expect(createNewPool).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('repricePool', () => {
+    const trip = (id, km) => ({
+      _id: id,
+      pickupLocation: point(0.00),
+      dropoffLocation: point(km / 111),
+      metadata: { estimatedDistance: km, estimatedDuration: km * 1.5 }
+    });
+
+    const makePool = (prices, requests) => new RidePool({
+      status: 'matched',
+      passengers: requests.map((request, i) => ({
+        userId: new mongoose.Types.ObjectId(),
+        requestId: request._id,
+        pickupLocation: request.pickupLocation,
+        dropoffLocation: request.dropoffLocation,
+        price: prices[i],
+        passengerCount: 1,
+        luggageCount: 0
+      })),
+      vehicle: { type: 'sedan', capacity: 4, luggageCapacity: 6 },
+      pricing: { surgeFactor: 1.0 }
+    });
+
+    beforeEach(() => {
+      jest.spyOn(PricingEngine, 'getTimeMultiplier').mockReturnValue(1.0);
+    });
+
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    it('should lower earlier riders to their share of the bigger pool and record it', async () => {
+      const requests = [trip(new mongoose.Types.ObjectId(), 20), trip(new mongoose.Types.ObjectId(), 10)];
+      const pool = makePool([100, 100], requests);
+
+      const changes = await engine.repricePool(pool, requests, 'Passenger joined');
+
+      expect(changes).toHaveLength(2);
+      pool.passengers.forEach(passenger => {
+        expect(passenger.price).toBeLessThan(100);
+        expect(passenger.priceHistory).toEqual([
+          expect.objectContaining({ from: 100, to: passenger.price, reason: 'Passenger joined' })
+        ]);
+        const { base, lines, total } = passenger.fareBreakdown;
+        expect(Math.round((base.amount + lines.reduce((sum, l) => sum + l.amount, 0)) * 100) / 100)
+          .toBe(total);
+      });
+
+      // The shorter trip pays less than it would on its own terms in the pool
+      const shortTrip = pool.passengers[1];
+      expect(shortTrip.fareBreakdown.lines.map(line => line.type)).toContain('fair_share');
+      expect(pool.pricing.totalPrice).toBe(
+        Math.round((pool.passengers[0].price + shortTrip.price) * 100) / 100
+      );
+    });
+
+    it('should never raise a price when the pool shrinks', async () => {
+      const request = trip(new mongoose.Types.ObjectId(), 20);
+      const pool = makePool([10], [request]);
+      jest.spyOn(RideRequest, 'find').mockResolvedValue([request]);
+
+      const changes = await engine.repricePool(pool, [], 'Passenger left');
+
+      expect(changes).toEqual([]);
+      expect(pool.passengers[0].price).toBe(10);
+      expect(pool.passengers[0].priceHistory).toHaveLength(0);
+      expect(RideRequest.find).toHaveBeenCalled();
+    });
+  });
+
+  describe('createGroupPool', () => {
+    const riderA = new mongoose.Types.ObjectId();
+    const riderB = new mongoose.Types.ObjectId();
+
+    const request = (userId, pickup, dropoff) => ({
+      _id: new mongoose.Types.ObjectId(),
+      userId,
+      pickupLocation: point(pickup),
+      dropoffLocation: point(dropoff),
+      metadata: { estimatedDistance: (dropoff - pickup) * 111, estimatedDuration: (dropoff - pickup) * 166 },
+      passengers: 1,
+      luggage: 0,
+      detourTolerance: 0.5,
+      preferredVehicleType: 'any'
+    });
+
+    // Rider A's trip is long and direct; rider B's short one takes a detour
+    const long = request(riderA, 0.00, 0.20);
+    const short = request(riderB, 0.05, 0.10);
+    const groupRoute = {
+      bestRoute: [
+        { type: 'pickup', passengerId: riderA, location: point(0.00) },
+        { type: 'pickup', passengerId: riderB, location: point(0.05) },
+        { type: 'dropoff', passengerId: riderB, location: point(0.10) },
+        { type: 'dropoff', passengerId: riderA, location: point(0.20) }
+      ],
+      newDistance: 22.3,
+      detourPercentage: 0.01
+    };
+
+    beforeEach(() => {
+      jest.spyOn(PricingEngine, 'getTimeMultiplier').mockReturnValue(1.0);
+      jest.spyOn(PricingEngine, 'getCurrentDemand')
+        .mockResolvedValue({ surgeFactor: 1.0, demandLevel: 'normal' });
+      jest.spyOn(RidePool.prototype, 'save').mockImplementation(async function () { return this; });
+      jest.spyOn(engine, 'recordMatch').mockResolvedValue();
+    });
+
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    it('should split the pool fare by distance, as riders joining one by one would pay', async () => {
+      const pool = await engine.createGroupPool([long, short], groupRoute);
+
+      const [first, second] = pool.passengers;
+      expect(second.fareBreakdown.lines.map(line => line.type)).toContain('fair_share');
+      expect(first.price).toBeGreaterThan(second.price);
+      expect(pool.pricing.totalPrice).toBe(Math.round((first.price + second.price) * 100) / 100);
+      expect(pool.pricing.basePrice).toBe(PricingEngine.calculateSoloFare(long, 'sedan').base.amount);
+
+      // Repricing the pool online finds nothing cheaper
+      expect(await engine.repricePool(pool, [long, short], 'Passenger joined')).toEqual([]);
+    });
+
+    it('should price each rider by their own detour rather than the group\'s', async () => {
+      // Rider A is taken off their line to collect rider B, who rides direct
+      const offLine = { ...short, pickupLocation: point(0.05, 0.02), dropoffLocation: point(0.10, 0.02) };
+      const route = {
+        ...groupRoute,
+        bestRoute: [
+          groupRoute.bestRoute[0],
+          { type: 'pickup', passengerId: riderB, location: offLine.pickupLocation },
+          { type: 'dropoff', passengerId: riderB, location: offLine.dropoffLocation },
+          groupRoute.bestRoute[3]
+        ],
+        detourPercentage: 0.3
+      };
+
+      const pool = await engine.createGroupPool([long, offLine], route);
+
+      const [first, second] = pool.passengers;
+      expect(first.detour).toBeGreaterThan(0);
+      expect(second.detour).toBe(0);
+      const poolingFactor = (passenger) => passenger.fareBreakdown.lines
+        .find(line => line.type === 'pooling_discount').factor;
+      expect(poolingFactor(first)).toBeGreaterThan(poolingFactor(second));
+      expect(poolingFactor(second)).toBe(0.85);
+    });
+  });
+
+  describe('checkPassengerDetours', () => {
+    it('should measure each passenger against their own direct distance', () => {
+      const stops = [
+        { type: 'pickup', passengerId: 'a', location: point(0.00) },
+        { type: 'pickup', passengerId: 'b', location: point(0.05) },
+        { type: 'dropoff', passengerId: 'b', location: point(0.06) },
+        { type: 'dropoff', passengerId: 'a', location: point(0.10) }
+      ];
+
+      const { feasible, detours } = MatchingEngine.checkPassengerDetours(
+        stops,
+        new Map([['a', 0.3], ['b', 0.3]])
+      );
+
+      expect(feasible).toBe(true);
+      expect(detours.get('a').detour).toBeCloseTo(0, 5);
+      expect(detours.get('b').detour).toBeCloseTo(0, 5);
+    });
+  });
+  describe('direction sectors', () => {
+    it('should treat sectors either side of north as neighbours', () => {
+      expect(DistanceCalculator.bearingSector(350)).toBe(7);
+      expect(DistanceCalculator.bearingSector(10)).toBe(0);
+      expect(DistanceCalculator.neighbouringSectors(0).sort()).toEqual([0, 1, 7]);
+      expect(DistanceCalculator.sectorsCompatible(7, 0)).toBe(true);
+      expect(DistanceCalculator.sectorsCompatible(0, 4)).toBe(false);
+    });
+  });
+
+  describe('findNearbyPools', () => {
+    // Runs an aggregation pipeline over in-memory documents with MongoDB's
+    // semantics for the stages and operators findAvailableNearby uses:
+    // $geoNear (query filter, nearest point of the key, maxDistance, sorted
+    // by distance), $match with $expr and $limit
+
+    // Values at a dotted path; arrays are traversed unless the key is an index
+    const valuesAt = (doc, path) => path.split('.').reduce((values, key) => values.flatMap(value => {
+      if (Array.isArray(value) && !/^\d+$/.test(key)) {
+        return value.map(item => item?.[key]).filter(item => item !== undefined);
+      }
+      return value?.[key] === undefined ? [] : [value[key]];
+    }), [doc]);
+
+    const same = (a, b) => (a instanceof Date && b instanceof Date ? a.getTime() === b.getTime() : a === b);
+
+    // A field condition holds if the value, or any element of an array value, satisfies it
+    const matchesCondition = (values, condition) => {
+      const isOperators = condition !== null && typeof condition === 'object' && !(condition instanceof Date) &&
+        Object.keys(condition).every(key => key.startsWith('$'));
+      const candidates = values.flatMap(value => (Array.isArray(value) ? [value, ...value] : [value]));
+
+      return Object.entries(isOperators ? condition : { $eq: condition }).every(([op, arg]) => {
+        switch (op) {
+          case '$exists': return (values.length > 0) === arg;
+          case '$eq': return candidates.some(value => same(value, arg));
+          case '$in': return candidates.some(value => arg.some(item => same(value, item)));
+          case '$gte': return candidates.some(value => value >= arg);
+          case '$lte': return candidates.some(value => value <= arg);
+          default: throw new Error(`Unsupported query operator ${op}`);
+        }
+      });
+    };
+
+    const matchesQuery = (doc, query) => Object.entries(query).every(([key, condition]) => {
+      if (key === '$and') return condition.every(part => matchesQuery(doc, part));
+      if (key === '$or') return condition.some(part => matchesQuery(doc, part));
+      return matchesCondition(valuesAt(doc, key), condition);
+    });
+
+    const evaluate = (expr, doc) => {
+      if (typeof expr === 'string' && expr.startsWith('$')) {
+        return valuesAt(doc, expr.slice(1))[0];
+      }
+      if (Array.isArray(expr)) return expr.map(item => evaluate(item, doc));
+      if (expr === null || typeof expr !== 'object') return expr;
+
+      const [op, args] = Object.entries(expr)[0];
+      const values = () => args.map(arg => evaluate(arg, doc));
+      switch (op) {
+        case '$and': return args.every(arg => evaluate(arg, doc));
+        case '$or': return args.some(arg => evaluate(arg, doc));
+        case '$in': { const [value, list] = values(); return list.includes(value); }
+        case '$eq': { const [a, b] = values(); return a === b; }
+        case '$lte': { const [a, b] = values(); return a <= b; }
+        case '$gte': { const [a, b] = values(); return a >= b; }
+        case '$add': return values().reduce((a, b) => a + b, 0);
+        case '$ifNull': { const [value, fallback] = values(); return value ?? fallback; }
+        default: throw new Error(`Unsupported expression operator ${op}`);
+      }
+    };
+
+    const stages = {
+      $geoNear: (docs, { near, key, distanceField, maxDistance, query = {} }) => docs
+        .filter(doc => matchesQuery(doc, query))
+        .map(doc => ({
+          ...doc,
+          [distanceField]: Math.min(...valuesAt(doc, key).map(location =>
+            DistanceCalculator.calculateDistance(near, location) * 1000
+          ))
+        }))
+        .filter(doc => doc[distanceField] <= maxDistance)
+        .sort((a, b) => a[distanceField] - b[distanceField]),
+      $match: (docs, { $expr, ...query }) => docs
+        .filter(doc => matchesQuery(doc, query) && ($expr === undefined || evaluate($expr, doc))),
+      $limit: (docs, limit) => docs.slice(0, limit)
+    };
+
+    const runPipeline = async (docs, pipeline) => pipeline.reduce((result, stage) => {
+      const [name, spec] = Object.entries(stage)[0];
+      if (!stages[name]) throw new Error(`Unsupported stage ${name}`);
+      return stages[name](result, spec);
+    }, docs);
+
+    const makePool = (id, start, end, overrides = {}) => ({
+      _id: id,
+      status: 'forming',
+      passengers: [{
+        userId: `rider-${id}`,
+        pickupLocation: point(...start),
+        dropoffLocation: point(...end),
+        detourTolerance: 0.3
+      }],
+      route: {
+        stops: [
+          { type: 'pickup', passengerId: `rider-${id}`, location: point(...start), sequence: 0 },
+          { type: 'dropoff', passengerId: `rider-${id}`, location: point(...end), sequence: 1 }
+        ]
+      },
+      vehicle: { type: 'sedan', capacity: 4, luggageCapacity: 6, allowedTypes: ['sedan'] },
+      currentOccupancy: { seats: 1, luggage: 1 },
+      metadata: { bearingSectors: [DistanceCalculator.tripSector(point(...start), point(...end))] },
+      ...overrides
+    });
+
+    // 600 pools around an airport at the origin: rings every ~0.55 km, 24 headings each
+    const makePools = () => {
+      const pools = [];
+      for (let ring = 1; ring <= 25; ring++) {
+        for (let spoke = 0; spoke < 24; spoke++) {
+          const angle = (spoke / 24) * 2 * Math.PI;
+          const radius = ring * 0.005;
+          const start = [Math.cos(angle) * radius, Math.sin(angle) * radius];
+          const end = [start[0] + Math.cos(angle) * 0.1, start[1] + Math.sin(angle) * 0.1];
+          const idx = pools.length;
+
+          pools.push(makePool(`pool-${idx}`, start, end, {
+            status: idx % 7 === 0 ? 'active' : 'forming',
+            currentOccupancy: { seats: idx % 5 === 0 ? 4 : 1, luggage: 1 }
+          }));
+        }
+      }
+      return pools;
+    };
+
+    describe('with hundreds of pools', () => {
+      const rider = {
+        pickupLocation: point(0, 0),
+        dropoffLocation: point(0.1, 0), // Heading east
+        passengers: 1,
+        luggage: 1
+      };
+
+      let pools;
+      beforeEach(() => {
+        pools = makePools();
+        jest.spyOn(RidePool, 'aggregate').mockImplementation(pipeline => runPipeline(pools, pipeline));
+      });
+
+      afterEach(() => {
+        jest.restoreAllMocks();
+      });
+
+      it('should return only open pools with room and a stop inside the radius', async () => {
+        const candidates = await engine.findNearbyPools(rider);
+
+        expect(candidates.length).toBe(config.MATCHING_CANDIDATE_LIMIT);
+        candidates.forEach(pool => {
+          expect(pool.status).toBe('forming');
+          expect(pool.currentOccupancy.seats).toBeLessThan(4);
+          expect(pool.proximityMeters).toBeLessThanOrEqual(config.MATCHING_RADIUS_KM * 1000);
+        });
+      });
+
+      it('should find a well-placed pool created after hundreds of others', async () => {
+        pools.push(makePool('late-pool', [0.0005, 0], [0.1, 0.001]));
+
+        const candidates = await engine.findNearbyPools(rider);
+
+        expect(candidates[0]._id).toBe('late-pool');
+      });
+
+      it('should not consider pools heading the opposite way, however close', async () => {
+        pools.push(makePool('westbound', [0.0001, 0], [-0.1, 0]));
+
+        const candidates = await engine.findNearbyPools(rider);
+
+        expect(candidates.map(pool => pool._id)).not.toContain('westbound');
+      });
+
+      it('should not consider pools leaving much later than the rider', async () => {
+        pools.push(makePool('later', [0.0001, 0], [0.1, 0], {
+          targetPickupTime: new Date(Date.now() + 2 * 60 * 60 * 1000)
+        }));
+        pools.push(makePool('soon', [0.0002, 0], [0.1, 0], {
+          targetPickupTime: new Date(Date.now() + 5 * 60 * 1000)
+        }));
+
+        const ids = (await engine.findNearbyPools(rider)).map(pool => pool._id);
+
+        expect(ids).not.toContain('later');
+        expect(ids).toContain('soon');
+      });
+
+      it('should still consider pools with no recorded heading', async () => {
+        pools.push(makePool('legacy', [0.0001, 0], [0.1, 0], { metadata: {} }));
+
+        const candidates = await engine.findNearbyPools(rider);
+
+        expect(candidates.map(pool => pool._id)).toContain('legacy');
+      });
+
+      it('should consider a full forming sedan whose riders accept a bigger vehicle', async () => {
+        const full = { seats: 4, luggage: 2 };
+        pools.push(makePool('upgradable', [0.0001, 0], [0.1, 0], {
+          currentOccupancy: full,
+          vehicle: { type: 'sedan', capacity: 4, luggageCapacity: 6, allowedTypes: ['sedan', 'suv', 'van'] }
+        }));
+        pools.push(makePool('sedan-only', [0.0001, 0], [0.1, 0], { currentOccupancy: full }));
+        pools.push(makePool('has-driver', [0.0001, 0], [0.1, 0], {
+          currentOccupancy: full,
+          vehicle: { type: 'sedan', capacity: 4, luggageCapacity: 6, allowedTypes: ['sedan', 'suv'], driverId: 'driver-1' }
+        }));
+
+        const ids = (await engine.findNearbyPools(rider)).map(pool => pool._id);
+
+        expect(ids).toContain('upgradable');
+        expect(ids).not.toContain('sedan-only');
+        expect(ids).not.toContain('has-driver');
+      });
+
+      it('should only consider pools in the rider\'s preferred vehicle type', async () => {
+        pools.push(makePool('suv', [0.0001, 0], [0.1, 0], {
+          vehicle: { type: 'suv', capacity: 6, luggageCapacity: 8, allowedTypes: ['suv'] }
+        }));
+
+        const suvCandidates = await engine.findNearbyPools({ ...rider, preferredVehicleType: 'suv' });
+        const sedanCandidates = await engine.findNearbyPools({ ...rider, preferredVehicleType: 'sedan' });
+
+        expect(suvCandidates.map(pool => pool._id)).toEqual(['suv']);
+        expect(sedanCandidates.map(pool => pool._id)).not.toContain('suv');
+      });
+
+      it('should rank pools heading the same way above closer ones heading away', async () => {
+        const candidates = await engine.findNearbyPools(rider);
+        const headings = candidates.map(pool => DistanceCalculator.bearingDifference(
+          90,
+          DistanceCalculator.calculateBearing(pool.route.stops[0].location, pool.route.stops[1].location)
+        ));
+
+        // Only pools within a neighbouring 45 degree sector are fetched at all
+        expect(headings[0]).toBeLessThan(16);
+        expect(Math.max(...headings)).toBeLessThan(91);
+        for (let i = 1; i < candidates.length; i++) {
+          expect(candidates[i].matchScore).toBeGreaterThanOrEqual(candidates[i - 1].matchScore);
+        }
+      });
+    });
+
+    describe('query', () => {
+      const request = {
+        pickupLocation: point(0, 0),
+        dropoffLocation: point(0.1, 0), // Heading east
+        passengers: 2,
+        luggage: 3
+      };
+
+      // The aggregation pipeline RidePool.findAvailableNearby sends to MongoDB
+      const pipelineFor = async (rideRequest) => {
+        const aggregate = jest.spyOn(RidePool, 'aggregate').mockResolvedValue([]);
+        await engine.findNearbyPools(rideRequest);
+        return aggregate.mock.calls[0][0];
+      };
+
+      const fits = (seats, luggage) => [
+        { $lte: [{ $add: ['$currentOccupancy.seats', request.passengers] }, seats] },
+        { $lte: [{ $add: ['$currentOccupancy.luggage', request.luggage] }, luggage] }
+      ];
+
+      const candidate = (id, start, end, proximityMeters) => ({
+        _id: new mongoose.Types.ObjectId(),
+        name: id,
+        passengers: [{ pickupLocation: point(...start), dropoffLocation: point(...end) }],
+        proximityMeters
+      });
+
+      afterEach(() => {
+        jest.restoreAllMocks();
+      });
+
+      it('should search pool stops through their 2dsphere index', async () => {
+        const [{ $geoNear: geoNear }] = await pipelineFor(request);
+
+        expect(RidePool.schema.indexes()).toContainEqual([{ 'route.stops.location': '2dsphere' }, expect.anything()]);
+        expect(geoNear).toMatchObject({
+          near: { type: 'Point', coordinates: [0, 0] },
+          key: 'route.stops.location',
+          distanceField: 'proximityMeters',
+          maxDistance: config.MATCHING_RADIUS_KM * 1000,
+          spherical: true
+        });
+        expect(geoNear.query.status).toEqual({ $in: ['forming', 'matched'] });
+      });
+
+      it('should only fetch pools heading the rider\'s way or with no recorded heading', async () => {
+        const [{ $geoNear: { query } }] = await pipelineFor(request);
+        const sectors = DistanceCalculator.neighbouringSectors(
+          DistanceCalculator.tripSector(request.pickupLocation, request.dropoffLocation)
+        );
+
+        expect(query.$and[0]).toEqual({
+          $or: [
+            { 'metadata.bearingSectors': { $in: sectors } },
+            { 'metadata.bearingSectors.0': { $exists: false } }
+          ]
+        });
+      });
+
+      it('should only fetch pools leaving close to the rider\'s pickup time', async () => {
+        const before = Date.now();
+        const [{ $geoNear: { query } }] = await pipelineFor(request);
+        const { $or: [{ targetPickupTime: window }, untimed] } = query.$and[1];
+
+        expect(window.$gte.getTime()).toBeGreaterThanOrEqual(before - config.SCHEDULED_POOL_WINDOW_MS);
+        expect(window.$lte.getTime() - window.$gte.getTime()).toBe(2 * config.SCHEDULED_POOL_WINDOW_MS);
+        expect(untimed).toEqual({ targetPickupTime: { $exists: false } });
+      });
+
+      it('should require room for the party in a vehicle the rider accepts', async () => {
+        const [, { $match: { $expr: { $or: [current] } } }] = await pipelineFor({ ...request, preferredVehicleType: 'suv' });
+
+        expect(current).toEqual({
+          $and: [
+            { $in: ['$vehicle.type', ['suv']] },
+            ...fits('$vehicle.capacity', '$vehicle.luggageCapacity')
+          ]
+        });
+      });
+
+      it('should also fetch forming pools without a driver that could move to a bigger vehicle', async () => {
+        const [, { $match: { $expr: { $or: [, ...upgrades] } } }] = await pipelineFor(request);
+
+        expect(upgrades).toEqual(VehicleFleet.types().map(type => {
+          const { seats, luggage } = VehicleFleet.getVehicle(type);
+          return {
+            $and: [
+              { $eq: ['$status', 'forming'] },
+              { $eq: [{ $ifNull: ['$vehicle.driverId', null] }, null] },
+              { $in: [type, { $ifNull: ['$vehicle.allowedTypes', []] }] },
+              { $gte: [seats, '$vehicle.capacity'] },
+              { $gte: [luggage, '$vehicle.luggageCapacity'] },
+              ...fits(seats, luggage)
+            ]
+          };
+        }));
+      });
+
+      it('should cap how many pools are fetched', async () => {
+        const pipeline = await pipelineFor(request);
+
+        expect(pipeline[pipeline.length - 1]).toEqual({ $limit: config.MATCHING_NEARBY_LIMIT });
+      });
+
+      it('should rank pools heading the same way above closer ones heading away', async () => {
+        jest.spyOn(RidePool, 'aggregate').mockResolvedValue([
+          candidate('north-east', [0.0005, 0], [0.07, 0.07], 100),
+          candidate('east', [0.009, 0], [0.1, 0], 1000),
+          candidate('east-far', [0.02, 0], [0.1, 0], 2200)
+        ]);
+
+        const candidates = await engine.findNearbyPools(request);
+
+        expect(candidates.map(pool => pool.name)).toEqual(['east', 'north-east', 'east-far']);
+        expect(typeof candidates[0]._id).toBe('string');
+        for (let i = 1; i < candidates.length; i++) {
+          expect(candidates[i].matchScore).toBeGreaterThanOrEqual(candidates[i - 1].matchScore);
+        }
+      });
+
+      it('should keep only the best-ranked candidates', async () => {
+        jest.spyOn(RidePool, 'aggregate').mockResolvedValue(
+          Array.from({ length: config.MATCHING_CANDIDATE_LIMIT + 5 }, (_, i) =>
+            candidate(`pool-${i}`, [0.001 * i, 0], [0.1, 0], 100 * i))
+        );
+
+        const candidates = await engine.findNearbyPools(request);
+
+        expect(candidates).toHaveLength(config.MATCHING_CANDIDATE_LIMIT);
+        expect(candidates[0].name).toBe('pool-0');
+      });
+
+      it('should find no candidates if the query fails', async () => {
+        jest.spyOn(RidePool, 'aggregate').mockRejectedValue(new Error('database timeout'));
+
+        expect(await engine.findNearbyPools(request)).toEqual([]);
+      });
+    });
+  });
+});
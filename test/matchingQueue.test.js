@@ -0,0 +1,217 @@
+jest.mock('bull', () => {
+  // In-memory stand-in for a Bull queue: jobs are kept by ID so a repeated
+  // job ID is a no-op, as it is in Redis
+  class FakeQueue {
+    constructor(name, opts = {}) {
+      this.name = name;
+      this.opts = opts;
+      this.jobs = new Map();
+      this.handlers = {};
+      this.listeners = {};
+      this.add = jest.fn(async (...args) => {
+        const [jobName, data, opts] = typeof args[0] === 'string' ? args : ['__default__', ...args];
+        const jobOpts = { ...this.opts.defaultJobOptions, ...opts };
+        const id = jobOpts.jobId || `${this.jobs.size + 1}`;
+        if (!this.jobs.has(id)) {
+          this.jobs.set(id, { id, name: jobName, data, opts: jobOpts, attemptsMade: 0 });
+        }
+        return this.jobs.get(id);
+      });
+      this.process = jest.fn((jobName, concurrency, handler) => {
+        this.handlers[jobName] = handler || concurrency;
+      });
+      this.on = jest.fn((event, listener) => {
+        this.listeners[event] = listener;
+      });
+    }
+  }
+  return FakeQueue;
+});
+jest.mock('../src/services/demandTracker');
+
+const mongoose = require('mongoose');
+const RideRequest = require('../src/models/RideRequest');
+const config = require('../src/config/config');
+const {
+  getMatchingQueue,
+  getDeadLetterQueue,
+  enqueueRideRequest,
+  startMatchingWorker
+} = require('../src/services/matchingQueue');
+
+const flush = () => new Promise(resolve => setImmediate(resolve));
+
+// Run a job the way a Bull worker does: on failure the attempt is counted,
+// 'failed' is emitted and the job is retried until its attempts run out
+const runJob = async (queue, job) => {
+  while (job.attemptsMade < job.opts.attempts) {
+    try {
+      return await queue.handlers[job.name](job);
+    } catch (error) {
+      job.attemptsMade++;
+      queue.listeners.failed(job, error);
+      await flush();
+    }
+  }
+  return undefined;
+};
+
+describe('matchingQueue', () => {
+  const engine = { processRideRequest: jest.fn() };
+  let queue;
+  let deadLetters;
+
+  const pendingRequest = (overrides = {}) => ({
+    _id: new mongoose.Types.ObjectId(),
+    status: 'pending',
+    isExpired: () => false,
+    ...overrides
+  });
+
+  beforeEach(() => {
+    queue = getMatchingQueue();
+    deadLetters = getDeadLetterQueue();
+    queue.jobs.clear();
+    deadLetters.jobs.clear();
+    deadLetters.add.mockClear();
+    startMatchingWorker(engine);
+
+    jest.spyOn(RideRequest, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    engine.processRideRequest.mockReset();
+  });
+
+  describe('match jobs', () => {
+    it('should retry failed matching with exponential backoff', () => {
+      expect(queue.opts.defaultJobOptions).toMatchObject({
+        attempts: config.MATCHING_QUEUE_ATTEMPTS,
+        backoff: { type: 'exponential', delay: config.MATCHING_QUEUE_BACKOFF_MS }
+      });
+    });
+
+    it('should match a request on a later attempt without dead-lettering it', async () => {
+      const request = pendingRequest();
+      jest.spyOn(RideRequest, 'findById').mockResolvedValue(request);
+      engine.processRideRequest
+        .mockResolvedValue({ poolId: 'pool-1' })
+        .mockRejectedValueOnce(new Error('Could not acquire lock'));
+
+      const job = await enqueueRideRequest(request);
+      const result = await runJob(queue, job);
+
+      expect(result).toEqual({ poolId: 'pool-1' });
+      expect(job.attemptsMade).toBe(1);
+      expect(deadLetters.add).not.toHaveBeenCalled();
+      expect(RideRequest.updateOne).not.toHaveBeenCalled();
+    });
+
+    it('should dead-letter and expire a request after its final attempt', async () => {
+      const request = pendingRequest();
+      jest.spyOn(RideRequest, 'findById').mockResolvedValue(request);
+      engine.processRideRequest.mockRejectedValue(new Error('database timeout'));
+
+      const job = await enqueueRideRequest(request);
+      await runJob(queue, job);
+
+      expect(engine.processRideRequest).toHaveBeenCalledTimes(config.MATCHING_QUEUE_ATTEMPTS);
+      expect(deadLetters.add).toHaveBeenCalledTimes(1);
+      expect(deadLetters.add.mock.calls[0][0]).toMatchObject({
+        requestId: request._id.toString(),
+        error: 'database timeout',
+        attemptsMade: config.MATCHING_QUEUE_ATTEMPTS
+      });
+      expect(RideRequest.updateOne).toHaveBeenCalledTimes(1);
+      expect(RideRequest.updateOne).toHaveBeenCalledWith(
+        { _id: request._id.toString(), status: 'pending' },
+        { status: 'expired' }
+      );
+    });
+
+    it('should expire a request whose timeout passed while it was queued', async () => {
+      const request = pendingRequest({ isExpired: () => true });
+      jest.spyOn(RideRequest, 'findById').mockResolvedValue(request);
+
+      const result = await runJob(queue, await enqueueRideRequest(request));
+
+      expect(result).toEqual({ expired: true });
+      expect(engine.processRideRequest).not.toHaveBeenCalled();
+      expect(RideRequest.updateOne.mock.calls[0][1]).toEqual({ status: 'expired' });
+    });
+
+    it('should skip a request cancelled while it was queued', async () => {
+      const request = pendingRequest({ status: 'cancelled' });
+      jest.spyOn(RideRequest, 'findById').mockResolvedValue(request);
+
+      const result = await runJob(queue, await enqueueRideRequest(request));
+
+      expect(result).toEqual({ skipped: true });
+      expect(engine.processRideRequest).not.toHaveBeenCalled();
+    });
+
+    it('should queue a request only once', async () => {
+      const request = pendingRequest();
+
+      const first = await enqueueRideRequest(request);
+      const second = await enqueueRideRequest(request);
+
+      expect(queue.add).toHaveBeenLastCalledWith('match', { requestId: request._id.toString() }, { jobId: request._id.toString() });
+      expect(second).toBe(first);
+      expect([...queue.jobs.values()].filter(job => job.name === 'match')).toHaveLength(1);
+    });
+  });
+
+  describe('repeatable jobs', () => {
+    it('should schedule housekeeping once however many workers start', () => {
+      startMatchingWorker(engine);
+
+      expect(queue.add).toHaveBeenCalledWith('expire-stale', {}, {
+        repeat: { every: config.MATCHING_TIMEOUT_MS },
+        jobId: 'expire-stale'
+      });
+      expect(queue.add).toHaveBeenCalledWith('activate-scheduled', {}, {
+        repeat: { every: config.SCHEDULER_INTERVAL_MS },
+        jobId: 'activate-scheduled'
+      });
+      expect([...queue.jobs.keys()].sort()).toEqual(['activate-scheduled', 'expire-stale']);
+    });
+
+    it('should expire overdue pending requests', async () => {
+      jest.spyOn(RideRequest, 'updateMany').mockResolvedValue({ modifiedCount: 4 });
+
+      const result = await runJob(queue, queue.jobs.get('expire-stale'));
+
+      expect(result).toEqual({ expired: 4 });
+      expect(RideRequest.updateMany).toHaveBeenCalledWith(
+        { status: 'pending', expiresAt: { $lte: expect.any(Date) } },
+        { status: 'expired' }
+      );
+    });
+
+    it('should release scheduled requests whose matching window opened', async () => {
+      const due = pendingRequest();
+      jest.spyOn(RideRequest, 'find').mockReturnValue({
+        select: () => ({ sort: () => ({ lean: async () => [{ _id: due._id }] }) })
+      });
+      const release = jest.spyOn(RideRequest, 'findOneAndUpdate').mockResolvedValue(due);
+
+      const result = await runJob(queue, queue.jobs.get('activate-scheduled'));
+
+      expect(result).toEqual({ activated: 1 });
+      expect(release.mock.calls[0][0]).toEqual({ _id: due._id, status: 'scheduled' });
+      expect(queue.jobs.get(due._id.toString())).toMatchObject({ name: 'match' });
+    });
+
+    it('should not dead-letter failed housekeeping runs', async () => {
+      const job = queue.jobs.get('expire-stale');
+
+      queue.listeners.failed({ ...job, attemptsMade: 1, opts: { attempts: 1 } }, new Error('database timeout'));
+      await flush();
+
+      expect(deadLetters.add).not.toHaveBeenCalled();
+      expect(RideRequest.updateOne).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,306 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const Organization = require('../src/models/Organization');
+const User = require('../src/models/User');
+const RidePool = require('../src/models/RidePool');
+const Payment = require('../src/models/Payment');
+const LedgerTransaction = require('../src/models/LedgerTransaction');
+const {
+  createInvite,
+  joinOrganization,
+  approveJoinRequest,
+  declineJoinRequest,
+  findBillingOrganization,
+  travelPolicyVehicleTypes,
+  assertWithinTravelPolicy,
+  assertTravelPolicyUpdate,
+  monthlyStatement
+} = require('../src/services/organizations');
+const { FakePaymentGateway } = require('../src/services/paymentGateways');
+const { setPaymentGateway, authorizeRide, captureRide, chargeCancellation } = require('../src/services/payments');
+const config = require('../src/config/config');
+
+const now = new Date('2026-03-01T10:00:00Z');
+
+const makeOrganization = (policy = {}) => new Organization({
+  name: 'Acme Corp',
+  emailDomains: ['acme.com'],
+  policy
+});
+
+const employee = (overrides = {}) => ({
+  _id: new mongoose.Types.ObjectId(),
+  email: 'jo@acme.com',
+  preferences: { billingProfile: 'personal' },
+  ...overrides
+});
+
+describe('organizations', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('travel policy', () => {
+    it('should limit vehicles to the types the policy allows', () => {
+      const organization = makeOrganization({ allowedVehicleTypes: ['sedan', 'suv'] });
+
+      expect(travelPolicyVehicleTypes(organization, 'any')).toEqual(['sedan', 'suv']);
+      expect(travelPolicyVehicleTypes(makeOrganization(), 'any')).toEqual(['sedan', 'suv', 'van']);
+      expect(() => travelPolicyVehicleTypes(organization, 'van'))
+        .toThrow("Your organization's travel policy does not allow van rides (allowed: sedan, suv)");
+    });
+
+    it('should explain which rule a ride breaks', () => {
+      const organization = makeOrganization({ maxFare: 60, poolingRequired: true });
+      const ride = { estimatedPrice: 45, detourTolerance: 0.3, paymentMethod: 'card' };
+      const cases = [
+        [{ estimatedPrice: 72.5 }, "Estimated fare $72.50 is over your organization's limit of $60.00 per ride"],
+        [{ detourTolerance: 0 }, "Your organization's travel policy requires shared rides"],
+        [{ paymentMethod: 'wallet' }, 'cannot be paid from your wallet']
+      ];
+
+      expect(() => assertWithinTravelPolicy(organization, ride)).not.toThrow();
+      cases.forEach(([change, message]) => {
+        expect(() => assertWithinTravelPolicy(organization, { ...ride, ...change }))
+          .toThrow(expect.objectContaining({ status: 400, message: expect.stringContaining(message) }));
+      });
+    });
+
+    it('should keep changes to a booked ride within the policy', () => {
+      const organization = makeOrganization({ allowedVehicleTypes: ['sedan'], poolingRequired: true });
+
+      expect(() => assertTravelPolicyUpdate(organization, { preferredVehicleType: 'sedan' })).not.toThrow();
+      expect(() => assertTravelPolicyUpdate(organization, { preferredVehicleType: 'any' }))
+        .toThrow("Your organization's travel policy only allows sedan rides");
+      expect(() => assertTravelPolicyUpdate(organization, { detourTolerance: 0 }))
+        .toThrow('requires shared rides');
+    });
+  });
+
+  describe('findBillingOrganization', () => {
+    it('should bill the rider personally unless they choose the organization', async () => {
+      await expect(findBillingOrganization(employee())).resolves.toBeNull();
+      await expect(findBillingOrganization(employee(), 'personal')).resolves.toBeNull();
+    });
+
+    it('should only bill an active organization the rider belongs to', async () => {
+      const organization = makeOrganization();
+      const member = employee({ organization: { organizationId: organization._id, role: 'member' } });
+      jest.spyOn(Organization, 'findById').mockResolvedValue(organization);
+
+      await expect(findBillingOrganization(member, 'organization')).resolves.toBe(organization);
+      await expect(findBillingOrganization(employee(), 'organization'))
+        .rejects.toMatchObject({ status: 400, message: expect.stringContaining('not a member of an organization') });
+
+      organization.isActive = false;
+      await expect(findBillingOrganization(member, 'organization'))
+        .rejects.toThrow('Your organization account is not active');
+    });
+
+    it("should use the rider's saved billing profile by default", async () => {
+      const organization = makeOrganization();
+      jest.spyOn(Organization, 'findById').mockResolvedValue(organization);
+
+      await expect(findBillingOrganization(employee({
+        preferences: { billingProfile: 'organization' },
+        organization: { organizationId: organization._id, role: 'member' }
+      }))).resolves.toBe(organization);
+    });
+  });
+
+  describe('joinOrganization', () => {
+    beforeEach(() => {
+      jest.spyOn(User, 'findOneAndUpdate').mockImplementation(async (query, { $set }) => ({ _id: query._id, ...$set }));
+    });
+
+    it('should only ask to join the organization that owns the email domain', async () => {
+      const organization = makeOrganization();
+      const rider = employee({ email: 'jo@ACME.com' });
+      jest.spyOn(Organization, 'findOne').mockResolvedValue(organization);
+      jest.spyOn(Organization, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+
+      const result = await joinOrganization(rider, undefined, now);
+
+      expect(Organization.findOne).toHaveBeenCalledWith({ emailDomains: 'acme.com', isActive: true });
+      expect(result).toEqual({ organization, pending: true });
+      // An unverified address does not make the rider a member
+      expect(User.findOneAndUpdate).not.toHaveBeenCalled();
+      expect(Organization.updateOne).toHaveBeenCalledWith(
+        { _id: organization._id, 'joinRequests.userId': { $ne: rider._id } },
+        { $push: { joinRequests: { userId: rider._id, email: 'jo@ACME.com', requestedAt: now } } }
+      );
+    });
+
+    it('should make the rider a member once an admin approves', async () => {
+      const organization = makeOrganization();
+      const rider = employee();
+      jest.spyOn(Organization, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+
+      const user = await approveJoinRequest(organization, rider._id, now);
+
+      expect(Organization.updateOne).toHaveBeenCalledWith(
+        { _id: organization._id, 'joinRequests.userId': rider._id },
+        { $pull: { joinRequests: { userId: rider._id } } }
+      );
+      expect(user.organization).toEqual({ organizationId: organization._id, role: 'member', joinedAt: now });
+    });
+
+    it('should only approve or decline riders who asked to join', async () => {
+      jest.spyOn(Organization, 'updateOne').mockResolvedValue({ modifiedCount: 0 });
+
+      await expect(approveJoinRequest(makeOrganization(), employee()._id, now))
+        .rejects.toMatchObject({ status: 404, message: 'Join request not found' });
+      await expect(declineJoinRequest(makeOrganization(), employee()._id))
+        .rejects.toMatchObject({ status: 404 });
+      expect(User.findOneAndUpdate).not.toHaveBeenCalled();
+    });
+
+    it('should ask for an invite when no organization has the domain', async () => {
+      jest.spyOn(Organization, 'findOne').mockResolvedValue(null);
+
+      await expect(joinOrganization(employee({ email: 'jo@gmail.com' }), undefined, now))
+        .rejects.toThrow('No organization uses the email domain gmail.com; ask for an invite');
+    });
+
+    it('should join by invite with the token sent to the invitee', async () => {
+      const organization = makeOrganization();
+      jest.spyOn(organization, 'save').mockResolvedValue(organization);
+      jest.spyOn(Organization, 'findOneAndUpdate').mockResolvedValue(organization);
+
+      const { invite, token } = await createInvite(organization, 'Sam@Contractor.io', 'admin-1', now);
+      await joinOrganization(employee({ email: 'sam@contractor.io' }), token, now);
+
+      expect(invite).toEqual({
+        email: 'sam@contractor.io',
+        expiresAt: new Date(now.getTime() + config.ORGANIZATION_INVITE_TTL_MS)
+      });
+      // Only a hash of the token is stored
+      const tokenHash = crypto.createHash('sha256').update(token).digest('hex');
+      expect(organization.invites[0].tokenHash).toBe(tokenHash);
+      expect(organization.toJSON().invites[0].tokenHash).toBeUndefined();
+      expect(Organization.findOneAndUpdate).toHaveBeenCalledWith(
+        expect.objectContaining({
+          invites: { $elemMatch: expect.objectContaining({ tokenHash, email: 'sam@contractor.io' }) }
+        }),
+        expect.anything(),
+        expect.anything()
+      );
+    });
+
+    it('should refuse an unknown, used or expired invite', async () => {
+      jest.spyOn(Organization, 'findOneAndUpdate').mockResolvedValue(null);
+
+      await expect(joinOrganization(employee(), 'abc123', now))
+        .rejects.toMatchObject({ status: 400, message: expect.stringContaining('Invite is invalid') });
+    });
+
+    it('should not join a second organization', async () => {
+      const member = employee({ organization: { organizationId: new mongoose.Types.ObjectId() } });
+
+      await expect(joinOrganization(member, undefined, now)).rejects.toMatchObject({ status: 409 });
+    });
+  });
+
+  describe('billing', () => {
+    const organization = makeOrganization();
+    const driverId = new mongoose.Types.ObjectId();
+    let posted;
+    let gateway;
+
+    const makePool = (price) => new RidePool({
+      status: 'completed',
+      passengers: [{
+        userId: new mongoose.Types.ObjectId(),
+        requestId: new mongoose.Types.ObjectId(),
+        organizationId: organization._id,
+        pickupLocation: { type: 'Point', coordinates: [0, 0] },
+        dropoffLocation: { type: 'Point', coordinates: [0.1, 0] },
+        price,
+        fareBreakdown: { base: { amount: price }, lines: [], total: price },
+        passengerCount: 1,
+        luggageCount: 0
+      }],
+      vehicle: { type: 'sedan', capacity: 4, luggageCapacity: 6, driverId },
+      pricing: { surgeFactor: 1.0 }
+    });
+
+    beforeEach(() => {
+      posted = [];
+      gateway = new FakePaymentGateway();
+      setPaymentGateway(gateway);
+      jest.spyOn(LedgerTransaction, 'findOne').mockResolvedValue(null);
+      jest.spyOn(LedgerTransaction, 'create').mockImplementation(async (doc) => {
+        posted.push(doc);
+        return doc;
+      });
+      jest.spyOn(Payment, 'findOne').mockResolvedValue(null);
+    });
+
+    it("should bill a business ride to the organization, not the rider's card", async () => {
+      const pool = makePool(42);
+      const [passenger] = pool.passengers;
+
+      await authorizeRide({ _id: passenger.requestId, userId: passenger.userId, paymentMethod: 'card' }, pool);
+      expect(passenger.paymentStatus).toBe('pending');
+
+      expect(await captureRide(pool, passenger)).toBe('invoiced');
+      expect(posted[0].entries).toContainEqual({ account: `organization:${organization._id}`, debit: 42, credit: 0 });
+      expect(posted.map(t => t.type)).toEqual(['ride_charge']);
+      expect(gateway.authorizations.size).toBe(0);
+    });
+
+    it('should bill a cancellation fee on a business ride to the organization', async () => {
+      const pool = makePool(42);
+
+      await chargeCancellation(pool._id, pool.passengers[0], { kind: 'cancellation', fee: 4 });
+
+      expect(posted[0]).toMatchObject({
+        type: 'cancellation_fee',
+        entries: [
+          { account: `organization:${organization._id}`, debit: 4, credit: 0 },
+          { account: 'revenue:fees', debit: 0, credit: 4 }
+        ]
+      });
+    });
+  });
+
+  describe('monthlyStatement', () => {
+    it('should list the month\'s charges and total them per employee', async () => {
+      const organization = makeOrganization();
+      const account = `organization:${organization._id}`;
+      const jo = { _id: new mongoose.Types.ObjectId(), name: 'Jo', email: 'jo@acme.com' };
+      const sam = { _id: new mongoose.Types.ObjectId(), name: 'Sam', email: 'sam@acme.com' };
+      const charge = (user, type, amount, day) => ({
+        type,
+        description: `${type} for ${user.name}`,
+        userId: user._id,
+        requestId: new mongoose.Types.ObjectId(),
+        postedAt: new Date(`2026-02-${day}T12:00:00Z`),
+        entries: [{ account, debit: amount, credit: 0 }, { account: 'revenue:fares', debit: 0, credit: amount }]
+      });
+      const transactions = [
+        charge(jo, 'ride_charge', 31.2, 3),
+        charge(sam, 'ride_charge', 28, 10),
+        charge(jo, 'cancellation_fee', 4, 18),
+        charge(jo, 'ride_charge', 40.15, 27)
+      ];
+      const find = jest.spyOn(LedgerTransaction, 'find').mockReturnValue({
+        sort: () => ({ lean: async () => transactions })
+      });
+      jest.spyOn(User, 'find').mockReturnValue({ lean: async () => [jo, sam] });
+
+      const statement = await monthlyStatement(organization, '2026-02');
+
+      expect(find).toHaveBeenCalledWith({
+        'entries.account': account,
+        postedAt: { $gte: new Date('2026-02-01T00:00:00Z'), $lt: new Date('2026-03-01T00:00:00Z') }
+      });
+      expect(statement.lines).toHaveLength(4);
+      expect(statement.total).toBe(103.35);
+      expect(statement.employees).toEqual([
+        { userId: jo._id, name: 'Jo', email: 'jo@acme.com', rides: 2, total: 75.35 },
+        { userId: sam._id, name: 'Sam', email: 'sam@acme.com', rides: 1, total: 28 }
+      ]);
+    });
+  });
+});
@@ -0,0 +1,438 @@
+const express = require('express');
+const request = require('supertest');
+const mongoose = require('mongoose');
+const Payment = require('../src/models/Payment');
+const RidePool = require('../src/models/RidePool');
+const LedgerTransaction = require('../src/models/LedgerTransaction');
+const User = require('../src/models/User');
+const walletRoutes = require('../src/routes/walletRoutes');
+const { generateToken } = require('../src/middleware/auth');
+const { FakePaymentGateway } = require('../src/services/paymentGateways');
+const { postTransaction, accountBalance } = require('../src/services/ledger');
+const { walletBalance, listWalletTransactions } = require('../src/services/wallet');
+const {
+  setPaymentGateway,
+  authorizationAmount,
+  authorizeRide,
+  captureRide,
+  chargeCancellation,
+  refundPayment,
+  payOutDriver,
+  topUpWallet
+} = require('../src/services/payments');
+const config = require('../src/config/config');
+
+const round = (amount) => Math.round(amount * 100) / 100;
+
+// In-memory stand-ins for the payments and ledger collections
+const createStore = () => {
+  const payments = [];
+  const transactions = [];
+  const matches = (doc, query) => Object.entries(query)
+    .every(([key, value]) => String(doc[key]) === String(value));
+  const track = (payment) => {
+    jest.spyOn(payment, 'save').mockResolvedValue(payment);
+    return payment;
+  };
+
+  jest.spyOn(Payment, 'findOne').mockImplementation(async (query) =>
+    payments.find(p => matches(p, query)) || null);
+  jest.spyOn(Payment, 'findById').mockImplementation(async (id) =>
+    payments.find(p => p._id.equals(id)) || null);
+  jest.spyOn(Payment, 'findOneAndUpdate').mockImplementation(async (query, { $unset, ...fields }) => {
+    let payment = payments.find(p => matches(p, query));
+    if (!payment) {
+      payment = track(new Payment(query));
+      payments.push(payment);
+    }
+    payment.set(fields);
+    Object.keys($unset || {}).forEach(key => payment.set(key, undefined));
+    return payment;
+  });
+
+  jest.spyOn(LedgerTransaction, 'findOne').mockImplementation(async ({ idempotencyKey }) =>
+    transactions.find(t => t.idempotencyKey === idempotencyKey) || null);
+  jest.spyOn(LedgerTransaction, 'create').mockImplementation(async (doc) => {
+    if (transactions.some(t => t.idempotencyKey === doc.idempotencyKey)) {
+      throw Object.assign(new Error('duplicate key'), { code: 11000 });
+    }
+    transactions.push({ _id: new mongoose.Types.ObjectId(), ...doc });
+    return doc;
+  });
+  // Newest first, as sorted on _id
+  jest.spyOn(LedgerTransaction, 'find').mockImplementation(({ 'entries.account': account, _id, ...rest }) => {
+    const found = transactions
+      .filter(t => t.entries.some(e => e.account === account))
+      .filter(t => !_id || t._id.toString() < _id.$lt.toString())
+      .filter(t => matches(t, rest))
+      .reverse();
+    const query = (docs) => ({
+      sort: () => query(docs),
+      limit: (n) => query(docs.slice(0, n)),
+      lean: async () => docs,
+      then: (resolve, reject) => Promise.resolve(docs).then(resolve, reject)
+    });
+    return query(found);
+  });
+  jest.spyOn(LedgerTransaction, 'aggregate').mockImplementation(async ([{ $match }]) => {
+    const account = $match['entries.account'];
+    const entries = transactions.flatMap(t => t.entries).filter(e => e.account === account);
+    return entries.length > 0
+      ? [{ debit: entries.reduce((s, e) => s + e.debit, 0), credit: entries.reduce((s, e) => s + e.credit, 0) }]
+      : [];
+  });
+  jest.spyOn(RidePool, 'updateOne').mockResolvedValue(null);
+
+  return { payments, transactions };
+};
+
+describe('FakePaymentGateway', () => {
+  let gateway;
+
+  beforeEach(() => {
+    gateway = new FakePaymentGateway({ declineAbove: 500 });
+  });
+
+  it('should return the first result when a call is retried with the same key', async () => {
+    const request = { amount: 30, customerId: 'rider-1', idempotencyKey: 'authorize:1' };
+
+    const first = await gateway.authorize(request);
+    const retry = await gateway.authorize(request);
+    const charge = await gateway.capture(first.id, { amount: 25, idempotencyKey: 'capture:1' });
+    const captureRetry = await gateway.capture(first.id, { amount: 25, idempotencyKey: 'capture:1' });
+
+    expect(retry).toEqual(first);
+    expect(captureRetry).toEqual(charge);
+    expect(gateway.charges.size).toBe(1);
+  });
+
+  it('should refuse a key reused for a different request', async () => {
+    await gateway.authorize({ amount: 30, idempotencyKey: 'authorize:1' });
+
+    await expect(gateway.authorize({ amount: 40, idempotencyKey: 'authorize:1' }))
+      .rejects.toMatchObject({ status: 409 });
+  });
+
+  it('should decline large authorizations and let them be retried', async () => {
+    await expect(gateway.authorize({ amount: 600, idempotencyKey: 'authorize:big' }))
+      .rejects.toMatchObject({ status: 402, message: 'Card declined' });
+
+    gateway.declineAbove = 1000;
+    await expect(gateway.authorize({ amount: 600, idempotencyKey: 'authorize:big' }))
+      .resolves.toMatchObject({ status: 'authorized' });
+  });
+
+  it('should not capture more than was authorized or refund more than was captured', async () => {
+    const { id } = await gateway.authorize({ amount: 30, idempotencyKey: 'a' });
+
+    await expect(gateway.capture(id, { amount: 31, idempotencyKey: 'c1' }))
+      .rejects.toMatchObject({ status: 409 });
+
+    const charge = await gateway.capture(id, { amount: 30, idempotencyKey: 'c2' });
+    await gateway.refund(charge.id, { amount: 20, idempotencyKey: 'r1' });
+
+    await expect(gateway.refund(charge.id, { amount: 20, idempotencyKey: 'r2' }))
+      .rejects.toMatchObject({ status: 409 });
+  });
+
+  it('should not capture a voided authorization', async () => {
+    const { id } = await gateway.authorize({ amount: 30, idempotencyKey: 'a' });
+    await gateway.void(id, { idempotencyKey: 'v' });
+
+    await expect(gateway.capture(id, { amount: 10, idempotencyKey: 'c' }))
+      .rejects.toMatchObject({ status: 409 });
+  });
+});
+
+describe('ledger', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('should refuse a transaction that does not balance', async () => {
+    createStore();
+
+    await expect(postTransaction({
+      type: 'payment',
+      idempotencyKey: 'payment:x',
+      entries: [{ account: 'cash', debit: 10 }, { account: 'rider:1', credit: 9.99 }]
+    })).rejects.toMatchObject({ status: 400 });
+  });
+
+  it('should post each idempotency key once', async () => {
+    const { transactions } = createStore();
+    const transaction = {
+      type: 'payment',
+      idempotencyKey: 'payment:y',
+      entries: [{ account: 'cash', debit: 10 }, { account: 'rider:1', credit: 10 }]
+    };
+
+    await postTransaction(transaction);
+    await postTransaction(transaction);
+
+    expect(transactions).toHaveLength(1);
+    expect(await accountBalance('cash')).toBe(10);
+    expect(await accountBalance('rider:1')).toBe(-10);
+  });
+});
+
+describe('payments', () => {
+  const driverId = new mongoose.Types.ObjectId();
+  let store;
+  let gateway;
+
+  const makePool = (price, lines = []) => {
+    const userId = new mongoose.Types.ObjectId();
+    const requestId = new mongoose.Types.ObjectId();
+
+    return new RidePool({
+      status: 'completed',
+      passengers: [{
+        userId,
+        requestId,
+        pickupLocation: { type: 'Point', coordinates: [0, 0] },
+        dropoffLocation: { type: 'Point', coordinates: [0.1, 0] },
+        price,
+        fareBreakdown: { base: { amount: price }, lines, total: price },
+        status: 'dropped_off',
+        passengerCount: 1,
+        luggageCount: 0
+      }],
+      vehicle: { type: 'sedan', capacity: 4, luggageCapacity: 6, driverId },
+      pricing: { surgeFactor: 1.0 }
+    });
+  };
+  const requestFor = (passenger, quote) => ({ _id: passenger.requestId, userId: passenger.userId, quote });
+
+  beforeEach(() => {
+    store = createStore();
+    gateway = new FakePaymentGateway();
+    setPaymentGateway(gateway);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('should authorize enough to cover settlement, within a quoted ceiling', () => {
+    expect(authorizationAmount(20)).toBe(20 * (1 + config.SETTLEMENT_MAX_INCREASE));
+    expect(authorizationAmount(20, 21)).toBe(21);
+  });
+
+  it('should authorize a rider when they join and capture the settled fare once', async () => {
+    const pool = makePool(20);
+    const [passenger] = pool.passengers;
+
+    await authorizeRide(requestFor(passenger), pool);
+    expect(passenger.paymentStatus).toBe('authorized');
+    expect(store.payments[0]).toMatchObject({ status: 'authorized', authorizedAmount: authorizationAmount(20) });
+
+    passenger.price = 22;
+    passenger.fareBreakdown.total = 22;
+    expect(await captureRide(pool, passenger)).toBe('paid');
+    // A retried settlement changes nothing
+    expect(await captureRide(pool, passenger)).toBe('paid');
+
+    expect(store.payments[0]).toMatchObject({ status: 'captured', capturedAmount: 22 });
+    expect(gateway.charges.size).toBe(1);
+    expect(store.transactions.map(t => t.type)).toEqual(['ride_charge', 'payment']);
+    expect(await accountBalance(`rider:${passenger.userId}`)).toBe(0);
+    expect(await accountBalance('cash')).toBe(22);
+  });
+
+  it('should fund promo discounts and compensation, paying the driver a share before them', async () => {
+    const pool = makePool(16, [
+      { type: 'promo_discount', amount: -3 },
+      { type: 'compensation', amount: -1 }
+    ]);
+    const [passenger] = pool.passengers;
+
+    await captureRide(pool, passenger);
+
+    const [charge] = store.transactions;
+    const driverShare = Math.round(20 * config.DRIVER_PAYOUT_SHARE * 100) / 100;
+    expect(charge.entries).toEqual(expect.arrayContaining([
+      { account: `rider:${passenger.userId}`, debit: 16, credit: 0 },
+      { account: 'expense:promotions', debit: 3, credit: 0 },
+      { account: 'expense:compensation', debit: 1, credit: 0 },
+      { account: `driver:${driverId}`, debit: 0, credit: driverShare },
+      { account: 'revenue:fares', debit: 0, credit: Math.round((20 - driverShare) * 100) / 100 }
+    ]));
+  });
+
+  it('should authorize at settlement when the join authorization failed', async () => {
+    const pool = makePool(20);
+    const [passenger] = pool.passengers;
+    gateway.declineAbove = 10;
+
+    expect(await authorizeRide(requestFor(passenger), pool)).toBeNull();
+    expect(store.payments[0]).toMatchObject({ status: 'failed', failureReason: 'Card declined' });
+
+    gateway.declineAbove = 100;
+    expect(await captureRide(pool, passenger)).toBe('paid');
+    expect(store.payments[0].status).toBe('captured');
+  });
+
+  it('should take a cancellation fee from the authorization, or release it', async () => {
+    const charged = makePool(20);
+    const free = makePool(20);
+    await authorizeRide(requestFor(charged.passengers[0]), charged);
+    await authorizeRide(requestFor(free.passengers[0]), free);
+
+    await chargeCancellation(charged._id, charged.passengers[0], { kind: 'cancellation', fee: 4.5 });
+    await chargeCancellation(free._id, free.passengers[0], { kind: 'cancellation', fee: 0 });
+
+    expect(store.payments.map(p => p.status)).toEqual(['captured', 'voided']);
+    expect(store.payments[0].capturedAmount).toBe(4.5);
+    expect(await accountBalance('revenue:fees')).toBe(-4.5);
+    expect(await accountBalance(`rider:${charged.passengers[0].userId}`)).toBe(0);
+  });
+
+  it('should refund once per idempotency key and no more than was paid', async () => {
+    const pool = makePool(20);
+    const [passenger] = pool.passengers;
+    await captureRide(pool, passenger);
+    const paymentId = store.payments[0]._id;
+
+    await refundPayment(paymentId, { amount: 5, reason: 'Dirty car', idempotencyKey: 'refund-0001' });
+    const retried = await refundPayment(paymentId, { amount: 5, reason: 'Dirty car', idempotencyKey: 'refund-0001' });
+
+    expect(retried).toMatchObject({ status: 'partially_refunded', refundedAmount: 5 });
+    expect(retried.refunds).toHaveLength(1);
+    expect(await accountBalance('expense:refunds')).toBe(5);
+    await expect(refundPayment(paymentId, { amount: 6, idempotencyKey: 'refund-0001' }))
+      .rejects.toMatchObject({ status: 409 });
+    await expect(refundPayment(paymentId, { amount: 15.01, idempotencyKey: 'refund-0002' }))
+      .rejects.toMatchObject({ status: 409 });
+  });
+
+  it('should pay a driver out of what they have earned', async () => {
+    const pool = makePool(20);
+    await captureRide(pool, pool.passengers[0]);
+    const earned = Math.round(20 * config.DRIVER_PAYOUT_SHARE * 100) / 100;
+
+    await expect(payOutDriver(driverId, { amount: earned + 1, idempotencyKey: 'payout-1' }))
+      .rejects.toMatchObject({ status: 409 });
+
+    await payOutDriver(driverId, { idempotencyKey: 'payout-2' });
+    await payOutDriver(driverId, { idempotencyKey: 'payout-2' });
+
+    expect(await accountBalance(`driver:${driverId}`)).toBe(0);
+    expect(await accountBalance('cash')).toBe(Math.round((20 - earned) * 100) / 100);
+  });
+
+  describe('wallet', () => {
+    const topUp = (userId, amount, key) => topUpWallet(userId, { amount, idempotencyKey: key });
+
+    it('should top up from the card once per idempotency key', async () => {
+      const userId = new mongoose.Types.ObjectId();
+
+      await topUp(userId, 50, 'top-up-0001');
+      await topUp(userId, 50, 'top-up-0001');
+
+      expect(await walletBalance(userId)).toBe(50);
+      expect(await accountBalance('cash')).toBe(50);
+      expect(gateway.charges.size).toBe(1);
+      await expect(topUp(userId, 60, 'top-up-0001')).rejects.toMatchObject({ status: 409 });
+    });
+
+    it('should take a top-up amount sent as text as a number', async () => {
+      const userId = new mongoose.Types.ObjectId();
+      const originalSecret = config.JWT_SECRET;
+      config.JWT_SECRET = 'wallet-routes-test-secret';
+      jest.spyOn(User, 'findById').mockResolvedValue({ _id: userId, isActive: true });
+      const app = express();
+      app.use(express.json());
+      app.use('/api/wallet', walletRoutes);
+      const post = (amount, key) => request(app)
+        .post('/api/wallet/top-ups')
+        .set('Authorization', `Bearer ${generateToken(userId.toString())}`)
+        .set('Idempotency-Key', key)
+        .send({ amount });
+
+      const authorize = jest.spyOn(gateway, 'authorize');
+
+      try {
+        expect((await post('50', 'top-up-text-1')).status).toBe(201);
+        const res = await post('25.5', 'top-up-text-2');
+
+        expect(res.status).toBe(201);
+        expect(res.body.data.balance).toBe(75.5);
+        expect(authorize.mock.calls.map(([charge]) => charge.amount)).toEqual([50, 25.5]);
+      } finally {
+        config.JWT_SECRET = originalSecret;
+      }
+    });
+
+    it('should not add credit when the card is declined', async () => {
+      const userId = new mongoose.Types.ObjectId();
+      gateway.declineAbove = 10;
+
+      await expect(topUp(userId, 50, 'top-up-0002')).rejects.toMatchObject({ status: 402 });
+      expect(await walletBalance(userId)).toBe(0);
+    });
+
+    it('should pay wallet-first and credit back what the fare came down by', async () => {
+      const pool = makePool(30);
+      const [passenger] = pool.passengers;
+      await topUp(passenger.userId, 50, 'top-up-0003');
+
+      await authorizeRide({ ...requestFor(passenger), paymentMethod: 'wallet' }, pool);
+      expect(await walletBalance(passenger.userId)).toBe(20);
+      // The card only holds the settlement allowance
+      expect(store.payments[0].authorizedAmount).toBe(round(authorizationAmount(30) - 30));
+
+      // The pool grew and the fare came down
+      passenger.price = 24;
+      expect(await captureRide(pool, passenger)).toBe('paid');
+      expect(await captureRide(pool, passenger)).toBe('paid');
+
+      expect(await walletBalance(passenger.userId)).toBe(26);
+      expect(await accountBalance(`rider:${passenger.userId}`)).toBe(0);
+      expect(store.payments[0].status).toBe('voided');
+      expect(gateway.charges.size).toBe(1); // Only the top-up
+    });
+
+    it('should charge the card for what the wallet does not cover', async () => {
+      const pool = makePool(30);
+      const [passenger] = pool.passengers;
+      await topUp(passenger.userId, 10, 'top-up-0004');
+
+      await authorizeRide({ ...requestFor(passenger), paymentMethod: 'wallet' }, pool);
+      expect(store.payments[0].authorizedAmount).toBe(round(authorizationAmount(30) - 10));
+
+      await captureRide(pool, passenger);
+
+      expect(store.payments[0]).toMatchObject({ status: 'captured', capturedAmount: 20 });
+      expect(await walletBalance(passenger.userId)).toBe(0);
+      expect(await accountBalance(`rider:${passenger.userId}`)).toBe(0);
+    });
+
+    it('should credit a cancelled ride back to the wallet, less the fee', async () => {
+      const pool = makePool(30);
+      const [passenger] = pool.passengers;
+      await topUp(passenger.userId, 50, 'top-up-0005');
+      await authorizeRide({ ...requestFor(passenger), paymentMethod: 'wallet' }, pool);
+
+      await chargeCancellation(pool._id, passenger, { kind: 'cancellation', fee: 4 });
+
+      expect(await walletBalance(passenger.userId)).toBe(46);
+      expect(await accountBalance('revenue:fees')).toBe(-4);
+      expect(store.payments.map(p => p.status)).toEqual(['voided']);
+    });
+
+    it('should page through wallet transactions with a cursor', async () => {
+      const userId = new mongoose.Types.ObjectId();
+      for (const n of [1, 2, 3]) {
+        await topUp(userId, 10 * n, `top-up-page-${n}`);
+      }
+
+      const first = await listWalletTransactions(userId, { limit: 2 });
+      const second = await listWalletTransactions(userId, { limit: 2, cursor: first.nextCursor });
+
+      expect(first.transactions.map(t => t.amount)).toEqual([30, 20]);
+      expect(second.transactions.map(t => t.amount)).toEqual([10]);
+      expect(second.nextCursor).toBeNull();
+    });
+  });
+});
@@ -0,0 +1,134 @@
+const http = require('http');
+const mongoose = require('mongoose');
+const { io: connect } = require('socket.io-client');
+const { initPoolSocket } = require('../src/sockets/poolSocket');
+const { generateToken } = require('../src/middleware/auth');
+const { POOL_EVENTS, publishPoolEvent } = require('../src/services/poolEvents');
+const RidePool = require('../src/models/RidePool');
+const User = require('../src/models/User');
+const config = require('../src/config/config');
+
+const rider = new mongoose.Types.ObjectId();
+const otherRider = new mongoose.Types.ObjectId();
+const stranger = new mongoose.Types.ObjectId();
+const poolId = new mongoose.Types.ObjectId().toString();
+
+const emitWithAck = (socket, event, payload) => new Promise(resolve => socket.emit(event, payload, resolve));
+
+describe('Pool socket', () => {
+  const originalSecret = config.JWT_SECRET;
+  let httpServer;
+  let io;
+  let url;
+  let clients;
+
+  const connectAs = (userId) => new Promise((resolve, reject) => {
+    const socket = connect(url, {
+      auth: { token: generateToken(userId.toString()) },
+      transports: ['websocket'],
+      reconnection: false
+    });
+    clients.push(socket);
+    socket.on('connect', () => resolve(socket));
+    socket.on('connect_error', reject);
+  });
+
+  beforeAll(async () => {
+    config.JWT_SECRET = 'socket-test-secret';
+    httpServer = http.createServer();
+    io = initPoolSocket(httpServer);
+    await new Promise(resolve => httpServer.listen(0, resolve));
+    url = `http://localhost:${httpServer.address().port}`;
+  });
+
+  afterAll(async () => {
+    await new Promise(resolve => io.close(resolve));
+    config.JWT_SECRET = originalSecret;
+  });
+
+  beforeEach(() => {
+    clients = [];
+    jest.spyOn(User, 'findById').mockImplementation(async (id) => ({ _id: id, isActive: true }));
+    jest.spyOn(RidePool, 'findById').mockReturnValue({
+      select: () => ({
+        lean: async () => ({
+          status: 'forming',
+          passengers: [{ userId: rider }, { userId: otherRider }],
+          vehicle: {}
+        })
+      })
+    });
+  });
+
+  afterEach(() => {
+    clients.forEach(socket => socket.disconnect());
+    jest.restoreAllMocks();
+  });
+
+  it('should refuse connections without a valid token', async () => {
+    const socket = connect(url, { auth: { token: 'not-a-token' }, transports: ['websocket'], reconnection: false });
+    clients.push(socket);
+
+    const error = await new Promise(resolve => socket.on('connect_error', resolve));
+
+    expect(error.message).toBe('Invalid authentication token');
+  });
+
+  it('should only let pool members subscribe', async () => {
+    const member = await connectAs(rider);
+    const outsider = await connectAs(stranger);
+
+    expect(await emitWithAck(member, 'pool:subscribe', { poolId }))
+      .toEqual({ success: true, data: { poolId, status: 'forming' } });
+    expect(await emitWithAck(outsider, 'pool:subscribe', { poolId }))
+      .toEqual({ success: false, error: 'You are not part of this ride pool' });
+  });
+
+  it('should reject malformed payloads without crashing', async () => {
+    const socket = await connectAs(rider);
+
+    // No payload and no acknowledgement must not throw on the server
+    socket.emit('pool:subscribe', null);
+    socket.emit('pool:unsubscribe');
+
+    expect(await emitWithAck(socket, 'pool:subscribe', null))
+      .toEqual({ success: false, error: 'Invalid pool ID' });
+    expect(await emitWithAck(socket, 'pool:subscribe', 'abc'))
+      .toEqual({ success: false, error: 'Invalid pool ID' });
+    expect(await emitWithAck(socket, 'pool:unsubscribe', { poolId: { $ne: null } }))
+      .toEqual({ success: false, error: 'Invalid pool ID' });
+    expect(socket.connected).toBe(true);
+  });
+
+  it('should forward pool events to subscribers', async () => {
+    const socket = await connectAs(rider);
+    await emitWithAck(socket, 'pool:subscribe', { poolId });
+
+    const received = new Promise(resolve => socket.on(POOL_EVENTS.STATUS_CHANGED, resolve));
+    await publishPoolEvent(poolId, POOL_EVENTS.STATUS_CHANGED, { from: 'forming', to: 'ready' });
+
+    expect(await received).toMatchObject({ poolId, from: 'forming', to: 'ready' });
+  });
+
+  it('should stop sending pool events to a rider who left the pool', async () => {
+    const leaver = await connectAs(rider);
+    const stayer = await connectAs(otherRider);
+    await emitWithAck(leaver, 'pool:subscribe', { poolId });
+    await emitWithAck(stayer, 'pool:subscribe', { poolId });
+
+    const leaverEvents = [];
+    leaver.onAny(event => leaverEvents.push(event));
+    const stayerPrices = new Promise(resolve => stayer.on(POOL_EVENTS.PRICE_UPDATED, resolve));
+
+    await publishPoolEvent(poolId, POOL_EVENTS.PASSENGER_LEFT, { userId: rider });
+    await publishPoolEvent(poolId, POOL_EVENTS.PRICE_UPDATED, {
+      totalPrice: 30,
+      passengers: [{ userId: otherRider, price: 30 }]
+    });
+
+    expect(await stayerPrices).toMatchObject({ totalPrice: 30 });
+    // Anything sent to the leaver before this reply has arrived by now
+    await emitWithAck(leaver, 'pool:unsubscribe', {});
+    expect(leaverEvents).toEqual([POOL_EVENTS.PASSENGER_LEFT]);
+  });
+});
@@ -0,0 +1,102 @@
+const {
+  transitionPool,
+  transitionPassenger,
+  assertCanCancelPassenger
+} = require('../src/services/poolStateMachine');
+
+const makePool = (status, passengerStatus = 'waiting') => ({
+  status,
+  statusHistory: [],
+  passengers: [{ userId: 'user-1', status: passengerStatus }]
+});
+
+describe('poolStateMachine', () => {
+  describe('transitionPool', () => {
+    it('should move a forming pool to matched and record it', () => {
+      const pool = makePool('forming');
+
+      transitionPool(pool, 'matched', 'Second passenger joined');
+
+      expect(pool.status).toBe('matched');
+      expect(pool.matchedAt).toBeInstanceOf(Date);
+      expect(pool.statusHistory).toHaveLength(1);
+      expect(pool.statusHistory[0]).toMatchObject({
+        entity: 'pool',
+        from: 'forming',
+        to: 'matched',
+        reason: 'Second passenger joined'
+      });
+    });
+
+    it('should reject skipping straight from forming to completed', () => {
+      const pool = makePool('forming');
+
+      expect(() => transitionPool(pool, 'completed', 'test')).toThrow('Cannot move ride from forming to completed');
+      expect(pool.status).toBe('forming');
+      expect(pool.statusHistory).toHaveLength(0);
+    });
+
+    it('should not leave a terminal state', () => {
+      const pool = makePool('completed');
+
+      expect(() => transitionPool(pool, 'cancelled', 'test')).toThrow();
+    });
+
+    it('should record the cancel reason', () => {
+      const pool = makePool('matched');
+
+      transitionPool(pool, 'cancelled', 'All passengers cancelled');
+
+      expect(pool.cancelReason).toBe('All passengers cancelled');
+      expect(pool.cancelledAt).toBeInstanceOf(Date);
+    });
+  });
+
+  describe('transitionPassenger', () => {
+    it('should stamp pickup and dropoff times', () => {
+      const pool = makePool('active');
+      const passenger = pool.passengers[0];
+
+      transitionPassenger(pool, passenger, 'picked_up', 'pickup');
+      transitionPassenger(pool, passenger, 'dropped_off', 'dropoff');
+
+      expect(passenger.actualPickupTime).toBeInstanceOf(Date);
+      expect(passenger.actualDropoffTime).toBeInstanceOf(Date);
+      expect(pool.statusHistory.map(h => h.to)).toEqual(['picked_up', 'dropped_off']);
+      expect(pool.statusHistory[0].passengerId).toBe('user-1');
+    });
+
+    it('should reject dropping off a passenger who was never picked up', () => {
+      const pool = makePool('active');
+
+      expect(() => transitionPassenger(pool, pool.passengers[0], 'dropped_off', 'test')).toThrow();
+    });
+  });
+
+  describe('assertCanCancelPassenger', () => {
+    it('should allow cancelling before pickup in an active pool', () => {
+      const pool = makePool('active');
+
+      expect(() => assertCanCancelPassenger(pool, pool.passengers[0])).not.toThrow();
+    });
+
+    it('should refuse cancellation after pickup', () => {
+      const pool = makePool('active', 'picked_up');
+
+      expect(() => assertCanCancelPassenger(pool, pool.passengers[0])).toThrow('Cannot cancel after pickup');
+    });
+
+    it('should refuse cancellation from a completed pool', () => {
+      const pool = makePool('completed', 'dropped_off');
+
+      let error;
+      try {
+        assertCanCancelPassenger(pool, pool.passengers[0]);
+      } catch (err) {
+        error = err;
+      }
+
+      expect(error.status).toBe(409);
+    });
+  });
+});
@@ -0,0 +1,92 @@
+const { issueQuote, verifyQuote, redeemQuote } = require('../src/services/priceQuotes');
+const config = require('../src/config/config');
+
+const trip = {
+  userId: '64b000000000000000000001',
+  pickupLocation: { type: 'Point', coordinates: [72.8656, 19.0896] },
+  dropoffLocation: { type: 'Point', coordinates: [72.8258, 18.9220] },
+  vehicleType: 'sedan'
+};
+
+describe('Price quotes', () => {
+  const now = new Date('2026-03-01T10:00:00Z');
+  const originalSecret = config.QUOTE_SECRET;
+
+  beforeAll(() => {
+    config.QUOTE_SECRET = 'quote-test-secret';
+  });
+
+  afterAll(() => {
+    config.QUOTE_SECRET = originalSecret;
+  });
+
+  it('should verify a quote for the trip it was issued for', () => {
+    const issued = issueQuote({ ...trip, priceCeiling: 42.5 }, now);
+
+    const quote = verifyQuote(issued.token, trip, new Date(now.getTime() + 1000));
+
+    expect(quote).toEqual({
+      id: issued.quoteId,
+      priceCeiling: 42.5,
+      vehicleType: 'sedan',
+      expiresAt: new Date(now.getTime() + config.QUOTE_TTL_MS)
+    });
+  });
+
+  it('should reject a tampered quote', () => {
+    const { token } = issueQuote({ ...trip, priceCeiling: 42.5 }, now);
+    const [encoded, signature] = token.split('.');
+    const payload = JSON.parse(Buffer.from(encoded, 'base64url').toString('utf8'));
+    const cheaper = Buffer.from(JSON.stringify({ ...payload, priceCeiling: 1 })).toString('base64url');
+
+    expect(() => verifyQuote(`${cheaper}.${signature}`, trip, now)).toThrow('Invalid price quote');
+    expect(() => verifyQuote('not-a-token', trip, now)).toThrow('Invalid price quote');
+  });
+
+  it('should reject an expired quote', () => {
+    const { token } = issueQuote({ ...trip, priceCeiling: 42.5 }, now);
+    const later = new Date(now.getTime() + config.QUOTE_TTL_MS);
+
+    expect(() => verifyQuote(token, trip, later)).toThrow('Price quote has expired');
+  });
+
+  it('should reject a quote for another trip, rider or vehicle', () => {
+    const { token } = issueQuote({ ...trip, priceCeiling: 42.5 }, now);
+    const elsewhere = { type: 'Point', coordinates: [72.8777, 19.0760] };
+
+    expect(() => verifyQuote(token, { ...trip, dropoffLocation: elsewhere }, now))
+      .toThrow('Price quote is for a different trip');
+    expect(() => verifyQuote(token, { ...trip, userId: '64b000000000000000000002' }, now))
+      .toThrow('Price quote is for a different trip');
+    expect(() => verifyQuote(token, { ...trip, vehicleType: 'van' }, now))
+      .toThrow('Price quote is for a sedan, not a van');
+  });
+
+  it('should reject a signature of the right length in characters but not bytes', () => {
+    const { token } = issueQuote({ ...trip, priceCeiling: 42.5 }, now);
+    const [encoded, signature] = token.split('.');
+    const multibyte = `${'é'.repeat(signature.length)}`;
+
+    expect(() => verifyQuote(`${encoded}.${multibyte}`, trip, now))
+      .toThrow(expect.objectContaining({ status: 400, message: 'Invalid price quote' }));
+  });
+
+  it('should redeem a quote only once', async () => {
+    const used = new Set();
+    const redis = {
+      set: jest.fn(async (key) => (used.has(key) ? null : (used.add(key), 'OK')))
+    };
+    const { token } = issueQuote({ ...trip, priceCeiling: 42.5 });
+    const quote = verifyQuote(token, trip);
+
+    await redeemQuote(quote, redis);
+
+    await expect(redeemQuote(quote, redis)).rejects.toMatchObject({
+      message: 'Price quote has already been used',
+      status: 409
+    });
+    expect(redis.set).toHaveBeenCalledWith(
+      `quote:used:${quote.id}`, '1', 'PX', expect.any(Number), 'NX'
+    );
+  });
+});
@@ -0,0 +1,155 @@
+const PricingEngine = require('../src/services/pricingEngine');
+const config = require('../src/config/config');
+
+const request = (overrides = {}) => ({
+  pickupLocation: { type: 'Point', coordinates: [0, 0] },
+  dropoffLocation: { type: 'Point', coordinates: [0.2, 0] },
+  metadata: { estimatedDistance: 22.24, estimatedDuration: 33 },
+  ...overrides
+});
+
+const lineTotal = (fare) =>
+  Math.round((fare.base.amount + fare.lines.reduce((sum, line) => sum + line.amount, 0)) * 100) / 100;
+
+describe('PricingEngine fare breakdown', () => {
+  beforeEach(() => {
+    jest.spyOn(PricingEngine, 'getTimeMultiplier').mockReturnValue(1.3);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('should itemize the base fare', () => {
+    const fare = PricingEngine.createFare(10, 20);
+
+    expect(fare.base).toEqual({
+      distance: 10 * config.BASE_RATE_PER_KM,
+      time: 20 * config.BASE_RATE_PER_MIN,
+      airportFee: config.AIRPORT_FEE,
+      minimumFareAdjustment: 0,
+      amount: 10 * config.BASE_RATE_PER_KM + 20 * config.BASE_RATE_PER_MIN + config.AIRPORT_FEE
+    });
+    expect(fare.total).toBe(fare.base.amount);
+  });
+
+  it('should top short trips up to the minimum fare', () => {
+    const fare = PricingEngine.createFare(0, 0);
+
+    expect(fare.base.minimumFareAdjustment).toBe(config.MINIMUM_FARE - config.AIRPORT_FEE);
+    expect(fare.base.amount).toBe(config.MINIMUM_FARE);
+  });
+
+  it('should list every adjustment to a pooled fare in the order applied', () => {
+    const pool = { passengers: [{}], vehicle: { type: 'suv' }, pricing: { surgeFactor: 1.2 } };
+
+    const fare = PricingEngine.calculatePassengerFare(request({ loyaltyTier: 'premium' }), pool, 0.1);
+
+    expect(fare.lines.map(line => line.type)).toEqual([
+      'surge',
+      'time_of_day',
+      'vehicle',
+      'pooling_discount',
+      'distance_discount',
+      'loyalty_discount'
+    ]);
+    expect(fare.lines.find(line => line.type === 'pooling_discount').amount).toBeLessThan(0);
+    expect(lineTotal(fare)).toBe(fare.total);
+    expect(PricingEngine.calculatePassengerPrice(request({ loyaltyTier: 'premium' }), pool, 0.1)).toBe(fare.total);
+  });
+
+  it('should leave out adjustments that change nothing', () => {
+    PricingEngine.getTimeMultiplier.mockReturnValue(1.0);
+    const pool = { passengers: [{}], vehicle: { type: 'sedan' }, pricing: { surgeFactor: 1.0 } };
+
+    const fare = PricingEngine.calculatePassengerFare(
+      request({ metadata: { estimatedDistance: 8, estimatedDuration: 15 } }),
+      pool,
+      0
+    );
+
+    expect(fare.lines.map(line => line.type)).toEqual(['pooling_discount']);
+    expect(lineTotal(fare)).toBe(fare.total);
+  });
+
+  it('should price a solo fare with every step of a pooled fare but the pooling discount', () => {
+    const fare = PricingEngine.calculateSoloFare(request({ loyaltyTier: 'vip' }), 'van', 1.2);
+
+    expect(fare.lines.map(line => [line.type, line.factor])).toEqual([
+      ['surge', 1.2],
+      ['time_of_day', 1.3],
+      ['vehicle', config.VEHICLE_FLEET.van.priceMultiplier],
+      ['distance_discount', 0.9],
+      ['loyalty_discount', config.LOYALTY_TIERS.vip.priceFactor]
+    ]);
+    expect(lineTotal(fare)).toBe(fare.total);
+  });
+
+  it('should never price sharing above riding alone', () => {
+    const solo = PricingEngine.calculateSoloFare(request(), 'suv', 1.5);
+    const pool = { passengers: [{}], vehicle: { type: 'suv' }, pricing: { surgeFactor: 1.5 } };
+
+    // The worst detour leaves the smallest pooling discount
+    const shared = PricingEngine.calculatePassengerFare(request(), pool, 1);
+
+    expect(shared.total).toBeLessThan(solo.total);
+  });
+
+  it('should estimate the prices booking and matching would charge', () => {
+    const factors = { distance: 22.24, duration: 33, surgeFactor: 1.2, vehicleType: 'sedan', loyaltyTier: 'premium' };
+    const rideRequest = request({ loyaltyTier: 'premium' });
+    const pool = { passengers: [{}], vehicle: { type: 'sedan' }, pricing: { surgeFactor: 1.2 } };
+
+    expect(PricingEngine.estimateFare(factors)).toEqual(PricingEngine.calculateSoloFare(rideRequest, 'sedan', 1.2));
+    expect(PricingEngine.estimateFare({ ...factors, pooled: true }))
+      .toEqual(PricingEngine.calculatePassengerFare(rideRequest, pool, 0));
+  });
+
+  it('should cap a fare at the quoted price', () => {
+    const pool = { passengers: [{}], vehicle: { type: 'sedan' }, pricing: { surgeFactor: 2.0 } };
+    const uncapped = PricingEngine.calculatePassengerFare(request(), pool, 0);
+
+    const fare = PricingEngine.calculatePassengerFare(
+      request({ quote: { priceCeiling: 20 } }),
+      pool,
+      0
+    );
+
+    expect(uncapped.total).toBeGreaterThan(20);
+    expect(fare.lines[fare.lines.length - 1].type).toBe('quote_cap');
+    expect(fare.total).toBe(20);
+    expect(lineTotal(fare)).toBe(fare.total);
+  });
+
+  it('should not add a cap line when the fare is under the quote', () => {
+    const fare = PricingEngine.calculateSoloFare(request({ quote: { priceCeiling: 1000 } }), 'sedan');
+
+    expect(fare.lines.map(line => line.type)).not.toContain('quote_cap');
+  });
+});
+
+describe('PricingEngine.ensureFairPricing', () => {
+  it('should split the pool price by direct distance', () => {
+    const shares = PricingEngine.ensureFairPricing([
+      { passengerId: 'a', directDistance: 30, individualPrice: 60 },
+      { passengerId: 'b', directDistance: 10, individualPrice: 40 }
+    ], 80);
+
+    expect(shares).toEqual([
+      { passengerId: 'a', price: 60 },
+      { passengerId: 'b', price: 20 }
+    ]);
+  });
+
+  it('should not charge anyone more than their own pooled price', () => {
+    const shares = PricingEngine.ensureFairPricing([
+      { passengerId: 'a', directDistance: 30, individualPrice: 50 },
+      { passengerId: 'b', directDistance: 10, individualPrice: 30 }
+    ], 80);
+
+    expect(shares).toEqual([
+      { passengerId: 'a', price: 50 },
+      { passengerId: 'b', price: 20 }
+    ]);
+  });
+});
@@ -0,0 +1,208 @@
+const mongoose = require('mongoose');
+const PromoCode = require('../src/models/PromoCode');
+const PromoRedemption = require('../src/models/PromoRedemption');
+const RideRequest = require('../src/models/RideRequest');
+const PricingEngine = require('../src/services/pricingEngine');
+const {
+  findApplicablePromo,
+  redeemPromo,
+  reversePromoRedemption
+} = require('../src/services/promoCodes');
+const config = require('../src/config/config');
+
+const now = new Date('2026-03-01T10:00:00Z');
+
+const makePromo = (overrides = {}) => new PromoCode({
+  code: 'launch20',
+  discountType: 'percent',
+  discountValue: 20,
+  validFrom: new Date('2026-02-01T00:00:00Z'),
+  validUntil: new Date('2026-04-01T00:00:00Z'),
+  ...overrides
+});
+
+const rider = (overrides = {}) => ({
+  _id: new mongoose.Types.ObjectId(),
+  tier: 'basic',
+  totalRides: 3,
+  ...overrides
+});
+
+describe('promoCodes', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('findApplicablePromo', () => {
+    const usePromo = (promo, redemptions = 0) => {
+      jest.spyOn(PromoCode, 'findOne').mockResolvedValue(promo);
+      jest.spyOn(PromoRedemption, 'countDocuments').mockResolvedValue(redemptions);
+      jest.spyOn(RideRequest, 'exists').mockResolvedValue(null);
+    };
+
+    it('should accept a valid code whatever case it is typed in', async () => {
+      const promo = makePromo();
+      usePromo(promo);
+
+      await expect(findApplicablePromo(' Launch20 ', rider(), now)).resolves.toBe(promo);
+      expect(PromoCode.findOne).toHaveBeenCalledWith({ code: 'LAUNCH20' });
+    });
+
+    it('should explain why a code cannot be used', async () => {
+      const cases = [
+        [null, rider(), 'Promo code LAUNCH20 does not exist'],
+        [makePromo({ validUntil: new Date('2026-02-15T00:00:00Z') }), rider(), 'has expired'],
+        [makePromo({ validFrom: new Date('2026-03-15T00:00:00Z') }), rider(), 'is not valid until'],
+        [makePromo({ allowedTiers: ['vip'] }), rider(), 'is only for vip riders'],
+        [makePromo({ airports: ['JFK'] }), rider(), 'is not valid at this airport'],
+        [makePromo({ maxRedemptions: 5, redemptionCount: 5 }), rider(), 'has been fully redeemed'],
+        [makePromo({ firstRideOnly: true }), rider(), "only for a rider's first ride"]
+      ];
+
+      for (const [promo, user, message] of cases) {
+        usePromo(promo);
+        await expect(findApplicablePromo('launch20', user, now)).rejects.toMatchObject({
+          status: 400,
+          message: expect.stringContaining(message)
+        });
+      }
+    });
+
+    it('should allow restricted codes to riders who meet the restrictions', async () => {
+      usePromo(makePromo({ allowedTiers: ['vip'], airports: [config.DEMAND_REGION], firstRideOnly: true }));
+
+      await expect(findApplicablePromo('launch20', rider({ tier: 'vip', totalRides: 0 }), now))
+        .resolves.toBeTruthy();
+    });
+
+    it('should not count the booked ride a first-ride code is added to', async () => {
+      usePromo(makePromo({ firstRideOnly: true }));
+      const requestId = new mongoose.Types.ObjectId();
+      const user = rider({ totalRides: 0 });
+
+      await expect(findApplicablePromo('launch20', user, now, requestId)).resolves.toBeTruthy();
+      expect(RideRequest.exists).toHaveBeenCalledWith({
+        userId: user._id,
+        status: { $in: ['scheduled', 'pending', 'matched'] },
+        _id: { $ne: requestId }
+      });
+    });
+
+    it('should enforce the per-rider limit', async () => {
+      usePromo(makePromo({ maxRedemptionsPerUser: 2 }), 2);
+
+      await expect(findApplicablePromo('launch20', rider(), now))
+        .rejects.toThrow('You have already used promo code LAUNCH20');
+    });
+  });
+
+  describe('redeemPromo', () => {
+    const rideRequest = { _id: new mongoose.Types.ObjectId(), userId: new mongoose.Types.ObjectId() };
+    const duplicateKey = () => Object.assign(new Error('E11000 duplicate key error'), { code: 11000 });
+
+    it('should count the redemption and audit it', async () => {
+      const promo = makePromo();
+      jest.spyOn(PromoCode, 'findOneAndUpdate').mockResolvedValue(promo);
+      const create = jest.spyOn(PromoRedemption, 'create').mockImplementation(async doc => doc);
+
+      await redeemPromo(promo, rideRequest, 6.5);
+
+      expect(PromoCode.findOneAndUpdate.mock.calls[0][1]).toEqual({ $inc: { redemptionCount: 1 } });
+      expect(create).toHaveBeenCalledWith({
+        promoCodeId: promo._id,
+        code: 'LAUNCH20',
+        userId: rideRequest.userId,
+        requestId: rideRequest._id,
+        slot: 0,
+        discount: 6.5
+      });
+    });
+
+    it('should take the rider\'s next free use of the code', async () => {
+      const promo = makePromo({ maxRedemptionsPerUser: 3 });
+      jest.spyOn(PromoCode, 'findOneAndUpdate').mockResolvedValue(promo);
+      jest.spyOn(PromoRedemption, 'create')
+        .mockRejectedValueOnce(duplicateKey())
+        .mockImplementation(async doc => doc);
+
+      await expect(redeemPromo(promo, rideRequest, 6.5)).resolves.toMatchObject({ slot: 1 });
+    });
+
+    it('should refuse a rider whose uses were taken by a concurrent booking', async () => {
+      const promo = makePromo({ maxRedemptionsPerUser: 2 });
+      const findOneAndUpdate = jest.spyOn(PromoCode, 'findOneAndUpdate');
+      const create = jest.spyOn(PromoRedemption, 'create').mockRejectedValue(duplicateKey());
+
+      await expect(redeemPromo(promo, rideRequest, 6.5)).rejects.toMatchObject({
+        status: 409,
+        message: 'You have already used promo code LAUNCH20'
+      });
+      expect(create).toHaveBeenCalledTimes(2);
+      expect(findOneAndUpdate).not.toHaveBeenCalled();
+    });
+
+    it('should refuse once the last redemption is taken', async () => {
+      const redemption = { _id: new mongoose.Types.ObjectId() };
+      jest.spyOn(PromoCode, 'findOneAndUpdate').mockResolvedValue(null);
+      jest.spyOn(PromoRedemption, 'create').mockResolvedValue(redemption);
+      const deleteOne = jest.spyOn(PromoRedemption, 'deleteOne').mockResolvedValue({ deletedCount: 1 });
+
+      await expect(redeemPromo(makePromo({ maxRedemptions: 1 }), rideRequest, 6.5))
+        .rejects.toMatchObject({ status: 409 });
+      // The rider's use is given back
+      expect(deleteOne).toHaveBeenCalledWith({ _id: redemption._id });
+    });
+  });
+
+  describe('reversePromoRedemption', () => {
+    it('should mark the redemption reversed and free the code', async () => {
+      const redemption = { promoCodeId: new mongoose.Types.ObjectId(), code: 'LAUNCH20' };
+      jest.spyOn(PromoRedemption, 'findOneAndUpdate').mockResolvedValue(redemption);
+      const updateOne = jest.spyOn(PromoCode, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+
+      await expect(reversePromoRedemption('request-1', 'Cancelled by rider')).resolves.toBe(true);
+
+      expect(PromoRedemption.findOneAndUpdate.mock.calls[0][0]).toEqual({ requestId: 'request-1', status: 'applied' });
+      expect(PromoRedemption.findOneAndUpdate.mock.calls[0][1]).toMatchObject({
+        status: 'reversed',
+        reverseReason: 'Cancelled by rider'
+      });
+      expect(updateOne.mock.calls[0][1]).toEqual({ $inc: { redemptionCount: -1 } });
+    });
+
+    it('should do nothing for a ride booked without a code', async () => {
+      jest.spyOn(PromoRedemption, 'findOneAndUpdate').mockResolvedValue(null);
+      const updateOne = jest.spyOn(PromoCode, 'updateOne');
+
+      await expect(reversePromoRedemption('request-1', 'Cancelled by rider')).resolves.toBe(false);
+      expect(updateOne).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('fare line', () => {
+    const trip = {
+      metadata: { estimatedDistance: 20, estimatedDuration: 30 }
+    };
+
+    beforeEach(() => {
+      jest.spyOn(PricingEngine, 'getTimeMultiplier').mockReturnValue(1.0);
+    });
+
+    it('should show a percent code as the last line, within its cap', () => {
+      const promo = makePromo({ maxDiscount: 5 }).toFareTerms();
+      const fare = PricingEngine.calculateSoloFare({ ...trip, promo }, 'sedan');
+
+      const line = fare.lines[fare.lines.length - 1];
+      expect(line).toMatchObject({ type: 'promo_discount', description: 'Promo LAUNCH20 20% off', amount: -5 });
+      expect(fare.total).toBe(fare.base.amount - 5);
+    });
+
+    it('should never take a fixed discount below zero', () => {
+      const promo = makePromo({ discountType: 'fixed', discountValue: 500 }).toFareTerms();
+      const fare = PricingEngine.calculateSoloFare({ ...trip, promo }, 'sedan');
+
+      expect(fare.lines[0]).toMatchObject({ type: 'promo_discount', amount: -fare.base.amount });
+      expect(fare.total).toBe(0);
+    });
+  });
+});
@@ -0,0 +1,373 @@
+jest.mock('../src/services/matchingQueue');
+jest.mock('../src/services/demandTracker');
+
+const express = require('express');
+const request = require('supertest');
+const mongoose = require('mongoose');
+const rideRoutes = require('../src/routes/rideRoutes');
+const rideController = require('../src/controllers/rideController');
+const RideRequest = require('../src/models/RideRequest');
+const PromoCode = require('../src/models/PromoCode');
+const PromoRedemption = require('../src/models/PromoRedemption');
+const User = require('../src/models/User');
+const PricingEngine = require('../src/services/pricingEngine');
+const DistanceCalculator = require('../src/utils/distanceCalculator');
+const { enqueueRideRequest } = require('../src/services/matchingQueue');
+const { issueQuote } = require('../src/services/priceQuotes');
+const { generateToken } = require('../src/middleware/auth');
+const database = require('../src/config/database');
+const config = require('../src/config/config');
+
+const pickupLocation = { type: 'Point', coordinates: [72.8656, 19.0896] };
+const dropoffLocation = { type: 'Point', coordinates: [72.8258, 18.9220] };
+
+const makeRes = () => {
+  const res = {};
+  res.status = jest.fn(() => res);
+  res.json = jest.fn(() => res);
+  return res;
+};
+
+describe('rideController.createRideRequest', () => {
+  const originalSecret = config.QUOTE_SECRET;
+  const userId = new mongoose.Types.ObjectId();
+  let redis;
+
+  const makeReq = (body = {}) => ({
+    userId,
+    user: { _id: userId, tier: 'basic', preferences: { detourTolerance: 0.3 } },
+    body: {
+      pickupLocation,
+      pickupAddress: 'Airport',
+      dropoffLocation,
+      dropoffAddress: 'Downtown',
+      passengers: 1,
+      luggage: 1,
+      ...body
+    }
+  });
+
+  beforeAll(() => {
+    config.QUOTE_SECRET = 'controller-test-secret';
+  });
+
+  afterAll(() => {
+    config.QUOTE_SECRET = originalSecret;
+  });
+
+  beforeEach(() => {
+    const keys = new Set();
+    redis = {
+      set: jest.fn(async (key) => (keys.has(key) ? null : (keys.add(key), 'OK'))),
+      del: jest.fn(async (key) => (keys.delete(key) ? 1 : 0))
+    };
+    jest.spyOn(database, 'redisCache', 'get').mockReturnValue(redis);
+
+    jest.spyOn(DistanceCalculator, 'getRoadRoute').mockResolvedValue({ distance: 20, duration: 40 });
+    jest.spyOn(PricingEngine, 'getCurrentDemand').mockResolvedValue({ surgeFactor: 1.0 });
+    jest.spyOn(RideRequest, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    enqueueRideRequest.mockReset();
+  });
+
+  const quoteToken = () => issueQuote({
+    userId,
+    pickupLocation,
+    dropoffLocation,
+    vehicleType: 'sedan',
+    priceCeiling: 80
+  }).token;
+
+  it('should spend the quote on a booked ride', async () => {
+    jest.spyOn(RideRequest.prototype, 'save').mockResolvedValue();
+    enqueueRideRequest.mockResolvedValue();
+    const token = quoteToken();
+    const res = makeRes();
+
+    await rideController.createRideRequest(makeReq({ quoteToken: token }), res);
+    expect(res.status).toHaveBeenCalledWith(202);
+
+    const retry = makeRes();
+    await rideController.createRideRequest(makeReq({ quoteToken: token }), retry);
+    expect(retry.status).toHaveBeenCalledWith(409);
+  });
+
+  it('should give the quote back when the request cannot be saved', async () => {
+    jest.spyOn(RideRequest.prototype, 'save')
+      .mockResolvedValue()
+      .mockRejectedValueOnce(new Error('connection reset'));
+    enqueueRideRequest.mockResolvedValue();
+    const token = quoteToken();
+    const res = makeRes();
+
+    await rideController.createRideRequest(makeReq({ quoteToken: token }), res);
+
+    expect(res.status).toHaveBeenCalledWith(500);
+    expect(RideRequest.updateOne).not.toHaveBeenCalled();
+
+    // The rider can retry at the quoted price
+    const retry = makeRes();
+    await rideController.createRideRequest(makeReq({ quoteToken: token }), retry);
+    expect(retry.status).toHaveBeenCalledWith(202);
+  });
+
+  it('should cancel the saved request and give the quote back when it cannot be queued', async () => {
+    let saved;
+    jest.spyOn(RideRequest.prototype, 'save').mockImplementation(async function() {
+      saved = this;
+    });
+    enqueueRideRequest.mockRejectedValueOnce(new Error('queue unavailable'));
+    const token = quoteToken();
+    const res = makeRes();
+
+    await rideController.createRideRequest(makeReq({ quoteToken: token }), res);
+
+    expect(res.status).toHaveBeenCalledWith(500);
+    expect(RideRequest.updateOne).toHaveBeenCalledWith(
+      { _id: saved._id, status: { $in: ['scheduled', 'pending'] } },
+      { status: 'cancelled' }
+    );
+    expect(redis.del).toHaveBeenCalledTimes(1);
+  });
+
+  it('should give the promo code back when the request cannot be saved', async () => {
+    const promo = new PromoCode({
+      code: 'LAUNCH20',
+      discountType: 'percent',
+      discountValue: 20,
+      validFrom: new Date(Date.now() - 86400000),
+      validUntil: new Date(Date.now() + 86400000)
+    });
+    jest.spyOn(PromoCode, 'findOne').mockResolvedValue(promo);
+    jest.spyOn(PromoCode, 'findOneAndUpdate').mockResolvedValue(promo);
+    jest.spyOn(PromoCode, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+    jest.spyOn(PromoRedemption, 'countDocuments').mockResolvedValue(0);
+    jest.spyOn(PromoRedemption, 'create').mockImplementation(async doc => doc);
+    const reverse = jest.spyOn(PromoRedemption, 'findOneAndUpdate').mockResolvedValue({ promoCodeId: promo._id, code: 'LAUNCH20' });
+    jest.spyOn(RideRequest.prototype, 'save').mockRejectedValue(new Error('connection reset'));
+    const res = makeRes();
+
+    await rideController.createRideRequest(makeReq({ promoCode: 'launch20' }), res);
+
+    expect(res.status).toHaveBeenCalledWith(500);
+    expect(reverse).toHaveBeenCalledWith(
+      { requestId: PromoRedemption.create.mock.calls[0][0].requestId, status: 'applied' },
+      expect.objectContaining({ status: 'reversed', reverseReason: 'Ride request could not be booked' }),
+      { new: true }
+    );
+    expect(PromoCode.updateOne.mock.calls[0][1]).toEqual({ $inc: { redemptionCount: -1 } });
+  });
+});
+
+describe('rideController.updateScheduledRide', () => {
+  const userId = new mongoose.Types.ObjectId();
+  const requestId = new mongoose.Types.ObjectId();
+  let booked;
+
+  const makeReq = (body) => ({ userId, user: { _id: userId }, params: { requestId }, body });
+
+  beforeEach(() => {
+    booked = {
+      _id: requestId,
+      userId,
+      status: 'scheduled',
+      pickupLocation,
+      dropoffLocation,
+      passengers: 2,
+      luggage: 2,
+      preferredVehicleType: 'any',
+      loyaltyTier: 'basic',
+      detourTolerance: 0.3,
+      billing: { profile: 'personal' },
+      quote: { id: 'quote-1', priceCeiling: 25, vehicleType: 'sedan' },
+      metadata: { estimatedDistance: 20, estimatedDuration: 40, estimatedPrice: 25 }
+    };
+    jest.spyOn(RideRequest, 'findOne').mockReturnValue({ lean: async () => booked });
+    jest.spyOn(RideRequest, 'findOneAndUpdate').mockResolvedValue({
+      _id: requestId,
+      matchingWindowOpensAt: new Date(Date.now() + 86400000)
+    });
+    jest.spyOn(RideRequest, 'findById').mockReturnValue({ lean: async () => booked });
+    jest.spyOn(PricingEngine, 'getCurrentDemand').mockResolvedValue({ surgeFactor: 1.0 });
+    jest.spyOn(PricingEngine, 'getTimeMultiplier').mockReturnValue(1.0);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  const updatesSent = () => RideRequest.findOneAndUpdate.mock.calls[0][1];
+
+  it('should refuse a party no vehicle the rider accepts can carry', async () => {
+    booked.preferredVehicleType = 'sedan';
+    const res = makeRes();
+
+    await rideController.updateScheduledRide(makeReq({ passengers: 5 }), res);
+
+    expect(res.status).toHaveBeenCalledWith(400);
+    expect(res.json.mock.calls[0][0].error).toBe('No sedan can carry 5 passengers with 2 bags');
+    expect(RideRequest.findOneAndUpdate).not.toHaveBeenCalled();
+  });
+
+  it('should reprice a party that now needs a bigger vehicle and drop the sedan quote', async () => {
+    const res = makeRes();
+
+    await rideController.updateScheduledRide(makeReq({ passengers: 5 }), res);
+
+    expect(res.status).not.toHaveBeenCalled();
+    const updates = updatesSent();
+    const vehicleLine = updates['metadata.fareBreakdown'].lines.find(line => line.type === 'vehicle');
+    expect(vehicleLine.description).toMatch(/suv/);
+    expect(updates['metadata.estimatedPrice']).toBe(updates['metadata.fareBreakdown'].total);
+    expect(updates['metadata.estimatedPrice']).toBeGreaterThan(25);
+    expect(updates.$unset).toEqual({ quote: 1 });
+  });
+
+  it('should keep the quote when the same vehicle still carries the party', async () => {
+    const res = makeRes();
+
+    await rideController.updateScheduledRide(makeReq({ luggage: 4 }), res);
+
+    const updates = updatesSent();
+    expect(updates.$unset).toBeUndefined();
+    expect(updates['metadata.estimatedPrice']).toBeLessThanOrEqual(25);
+  });
+
+  it('should leave the price alone when only the pickup details change', async () => {
+    await rideController.updateScheduledRide(makeReq({ pickupAddress: 'Terminal 2' }), makeRes());
+
+    expect(updatesSent()).toEqual({ pickupAddress: 'Terminal 2' });
+    expect(PricingEngine.getCurrentDemand).not.toHaveBeenCalled();
+  });
+
+  describe('with a promo code', () => {
+    let promo;
+
+    beforeEach(() => {
+      promo = new PromoCode({
+        code: 'LAUNCH20',
+        discountType: 'percent',
+        discountValue: 20,
+        validFrom: new Date(Date.now() - 86400000),
+        validUntil: new Date(Date.now() + 86400000)
+      });
+      jest.spyOn(PromoCode, 'findOne').mockResolvedValue(promo);
+      jest.spyOn(PromoCode, 'findOneAndUpdate').mockResolvedValue(promo);
+      jest.spyOn(PromoCode, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+      jest.spyOn(PromoRedemption, 'countDocuments').mockResolvedValue(0);
+      jest.spyOn(PromoRedemption, 'create').mockImplementation(async doc => doc);
+      jest.spyOn(PromoRedemption, 'findOneAndUpdate')
+        .mockResolvedValue({ promoCodeId: promo._id, code: 'LAUNCH20' });
+    });
+
+    it('should redeem the code and take it off the price', async () => {
+      const res = makeRes();
+
+      await rideController.updateScheduledRide(makeReq({ promoCode: 'launch20' }), res);
+
+      expect(res.status).not.toHaveBeenCalled();
+      const updates = updatesSent();
+      const promoLine = updates['metadata.fareBreakdown'].lines.find(line => line.type === 'promo_discount');
+      expect(promoLine.amount).toBeLessThan(0);
+      expect(updates['metadata.estimatedPrice']).toBeLessThan(25);
+      expect(updates.promo).toMatchObject({ code: 'LAUNCH20', discountValue: 20 });
+      expect(updates.$unset).toBeUndefined();
+      expect(PromoRedemption.create).toHaveBeenCalledWith(
+        expect.objectContaining({ requestId, userId, discount: -promoLine.amount })
+      );
+      expect(PromoRedemption.findOneAndUpdate).not.toHaveBeenCalled();
+    });
+
+    it('should give the code back when the ride is already being matched', async () => {
+      RideRequest.findOneAndUpdate.mockResolvedValue(null);
+      const res = makeRes();
+
+      await rideController.updateScheduledRide(makeReq({ promoCode: 'launch20' }), res);
+
+      expect(res.status).toHaveBeenCalledWith(409);
+      expect(PromoRedemption.findOneAndUpdate).toHaveBeenCalledWith(
+        { requestId, status: 'applied' },
+        expect.objectContaining({ status: 'reversed', reverseReason: 'Scheduled ride could not be updated' }),
+        { new: true }
+      );
+    });
+
+    it('should leave a ride that already has the code as it is', async () => {
+      booked.promo = promo.toFareTerms();
+
+      await rideController.updateScheduledRide(makeReq({ promoCode: 'LAUNCH20' }), makeRes());
+
+      expect(updatesSent()).toEqual({});
+      expect(PromoRedemption.create).not.toHaveBeenCalled();
+    });
+
+    it('should refuse a second code on a ride', async () => {
+      booked.promo = { code: 'WELCOME10', discountType: 'percent', discountValue: 10 };
+      const res = makeRes();
+
+      await rideController.updateScheduledRide(makeReq({ promoCode: 'launch20' }), res);
+
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(res.json.mock.calls[0][0].error).toMatch(/WELCOME10 is already applied/);
+      expect(PromoRedemption.create).not.toHaveBeenCalled();
+      expect(RideRequest.findOneAndUpdate).not.toHaveBeenCalled();
+    });
+  });
+});
+
+describe('Ride routes', () => {
+  const originalSecrets = { JWT_SECRET: config.JWT_SECRET, QUOTE_SECRET: config.QUOTE_SECRET };
+  const userId = new mongoose.Types.ObjectId();
+  const app = express();
+  app.use(express.json());
+  app.use('/api/rides', rideRoutes);
+
+  const estimate = (body) => request(app)
+    .post('/api/rides/price-estimate')
+    .set('Authorization', `Bearer ${generateToken(userId.toString())}`)
+    .send({ pickupLocation, dropoffLocation, ...body });
+
+  beforeAll(() => {
+    config.JWT_SECRET = 'ride-routes-test-secret';
+    config.QUOTE_SECRET = 'ride-routes-test-secret';
+  });
+
+  afterAll(() => {
+    Object.assign(config, originalSecrets);
+  });
+
+  beforeEach(() => {
+    jest.spyOn(User, 'findById').mockResolvedValue({ _id: userId, isActive: true, tier: 'basic' });
+    jest.spyOn(DistanceCalculator, 'getRoadRoute').mockResolvedValue({ distance: 20, duration: 30 });
+    jest.spyOn(PricingEngine, 'getCurrentDemand')
+      .mockResolvedValue({ surgeFactor: 1.0, demandLevel: 'normal' });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('should accept parties up to the largest vehicle in the fleet', async () => {
+    const res = await estimate({ passengers: 8, luggage: 12 });
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.vehicleType).toBe('van');
+  });
+
+  it('should reject parties larger than any vehicle', async () => {
+    const res = await estimate({ passengers: 9, luggage: 13 });
+
+    expect(res.status).toBe(400);
+    expect(res.body.errors.map(error => error.field)).toEqual(['passengers', 'luggage']);
+  });
+
+  it('should reject a party no vehicle the rider accepts carries', async () => {
+    const res = await estimate({ passengers: 7, luggage: 2, preferredVehicleType: 'suv' });
+
+    expect(res.status).toBe(400);
+    expect(res.body.error).toBe('No suv can carry 7 passengers with 2 bags');
+  });
+});
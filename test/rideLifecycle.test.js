@@ -0,0 +1,373 @@
+jest.mock('../src/services/fareSettlement');
+jest.mock('../src/services/payments');
+jest.mock('../src/services/loyaltyProgram');
+jest.mock('../src/services/demandTracker');
+
+const express = require('express');
+const request = require('supertest');
+const mongoose = require('mongoose');
+const RideLifecycle = require('../src/services/rideLifecycle');
+const MatchingEngine = require('../src/services/matchingEngine');
+const driverRoutes = require('../src/routes/driverRoutes');
+const RidePool = require('../src/models/RidePool');
+const User = require('../src/models/User');
+const { settlePool } = require('../src/services/fareSettlement');
+const { capturePoolPayments } = require('../src/services/payments');
+const { recordCompletedRides } = require('../src/services/loyaltyProgram');
+const { recordDriverOffline } = require('../src/services/demandTracker');
+const { generateToken } = require('../src/middleware/auth');
+const config = require('../src/config/config');
+
+const point = (lng, lat = 0) => ({ type: 'Point', coordinates: [lng, lat] });
+const minutes = (n) => n * 60 * 1000;
+
+const driverId = new mongoose.Types.ObjectId();
+const riderA = new mongoose.Types.ObjectId();
+const riderB = new mongoose.Types.ObjectId();
+
+// A matched pool: A is picked up, then B; B is dropped off, then A
+const makePool = (overrides = {}) => new RidePool({
+  status: 'matched',
+  passengers: [riderA, riderB].map((userId, i) => ({
+    userId,
+    requestId: new mongoose.Types.ObjectId(),
+    pickupLocation: point(0.01 * i),
+    dropoffLocation: point(0.1 - 0.01 * i),
+    price: 20
+  })),
+  route: {
+    stops: [
+      { type: 'pickup', passengerId: riderA, location: point(0.00), sequence: 0 },
+      { type: 'pickup', passengerId: riderB, location: point(0.01), sequence: 1 },
+      { type: 'dropoff', passengerId: riderB, location: point(0.09), sequence: 2 },
+      { type: 'dropoff', passengerId: riderA, location: point(0.10), sequence: 3 }
+    ]
+  },
+  vehicle: { type: 'sedan', capacity: 4, luggageCapacity: 6, allowedTypes: ['sedan', 'suv'], driverId },
+  currentOccupancy: { seats: 2, luggage: 2 },
+  pricing: { surgeFactor: 1.0 },
+  ...overrides
+});
+
+const activePool = () => {
+  const pool = makePool({ status: 'active' });
+  pool.startedAt = new Date();
+  return pool;
+};
+
+const completeStops = (pool, count) => {
+  pool.route.stops.slice(0, count).forEach(stop => {
+    stop.completed = true;
+  });
+};
+
+describe('RideLifecycle', () => {
+  let lockManager;
+  let lifecycle;
+  let pool;
+  let save;
+
+  const usePool = (doc) => {
+    pool = doc;
+    jest.spyOn(RidePool, 'findById').mockResolvedValue(pool);
+    save = jest.spyOn(pool, 'save').mockResolvedValue(pool);
+  };
+
+  beforeEach(() => {
+    lockManager = {
+      acquireLock: jest.fn().mockResolvedValue('lock-value'),
+      releaseLock: jest.fn().mockResolvedValue(),
+      cancelRide: jest.fn().mockResolvedValue({ pool: {}, cancellation: { charge: 'no_show' } })
+    };
+    lifecycle = new RideLifecycle(lockManager);
+    settlePool.mockResolvedValue([]);
+    capturePoolPayments.mockResolvedValue([]);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    jest.clearAllMocks();
+  });
+
+  describe('acceptPool', () => {
+    const driver = (vehicleType) => ({ _id: driverId, driverProfile: { vehicleType } });
+
+    it('should assign a forming pool to a driver in a vehicle its riders accept', async () => {
+      usePool(makePool({ status: 'forming' }));
+      pool.vehicle.driverId = undefined;
+
+      await lifecycle.acceptPool(driver('suv'), pool._id);
+
+      expect(pool.status).toBe('matched');
+      expect(pool.vehicle).toMatchObject({ type: 'suv', driverId });
+      expect(save).toHaveBeenCalled();
+      expect(recordDriverOffline).toHaveBeenCalledWith(driverId);
+      expect(lockManager.releaseLock).toHaveBeenCalledWith(`pool:${pool._id}`, 'lock-value');
+    });
+
+    it('should refuse a pool that already has a driver', async () => {
+      usePool(makePool());
+
+      await expect(lifecycle.acceptPool(driver('sedan'), pool._id))
+        .rejects.toMatchObject({ status: 409, message: 'Ride already has a driver' });
+      expect(save).not.toHaveBeenCalled();
+      expect(lockManager.releaseLock).toHaveBeenCalled();
+    });
+
+    it('should refuse a vehicle the riders did not accept', async () => {
+      usePool(makePool({ status: 'forming' }));
+      pool.vehicle.driverId = undefined;
+
+      await expect(lifecycle.acceptPool(driver('van'), pool._id)).rejects.toMatchObject({ status: 409 });
+      expect(save).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('startRide', () => {
+    it('should start a matched ride', async () => {
+      usePool(makePool());
+
+      await lifecycle.startRide(driverId, pool._id);
+
+      expect(pool.status).toBe('active');
+      expect(pool.startedAt).toBeInstanceOf(Date);
+    });
+
+    it('should only let the assigned driver start the ride', async () => {
+      usePool(makePool());
+
+      await expect(lifecycle.startRide(new mongoose.Types.ObjectId(), pool._id))
+        .rejects.toMatchObject({ status: 403 });
+      expect(pool.status).toBe('matched');
+    });
+  });
+
+  describe('completeStop', () => {
+    it('should pick up the rider at the next stop', async () => {
+      usePool(activePool());
+
+      await lifecycle.completeStop(driverId, pool._id, 0);
+
+      expect(pool.route.stops[0].completed).toBe(true);
+      expect(pool.passengers[0].status).toBe('picked_up');
+      expect(pool.passengers[0].actualPickupTime).toBeInstanceOf(Date);
+    });
+
+    it('should reject a stop completed out of order', async () => {
+      usePool(activePool());
+      completeStops(pool, 1);
+
+      await expect(lifecycle.completeStop(driverId, pool._id, 2))
+        .rejects.toMatchObject({ status: 409, message: 'Earlier stops must be completed first' });
+      expect(pool.route.stops[2].completed).toBeFalsy();
+      expect(save).not.toHaveBeenCalled();
+    });
+
+    it('should reject stops before the ride starts', async () => {
+      usePool(makePool());
+
+      await expect(lifecycle.completeStop(driverId, pool._id, 0))
+        .rejects.toMatchObject({ status: 409, message: 'Ride has not started' });
+    });
+  });
+
+  describe('arriveAtStop', () => {
+    it('should start the no-show grace period at a pickup', async () => {
+      usePool(activePool());
+
+      await lifecycle.arriveAtStop(driverId, pool._id, 0);
+
+      expect(pool.route.stops[0].arrivedAt).toBeInstanceOf(Date);
+      expect(save).toHaveBeenCalledTimes(1);
+    });
+
+    it('should keep the first arrival time when reported again', async () => {
+      usePool(activePool());
+      const arrivedAt = new Date(Date.now() - minutes(2));
+      pool.route.stops[0].arrivedAt = arrivedAt;
+
+      await lifecycle.arriveAtStop(driverId, pool._id, 0);
+
+      expect(pool.route.stops[0].arrivedAt).toEqual(arrivedAt);
+      expect(save).not.toHaveBeenCalled();
+    });
+
+    it('should only report arrival at pickups', async () => {
+      usePool(activePool());
+      completeStops(pool, 2);
+
+      await expect(lifecycle.arriveAtStop(driverId, pool._id, 2))
+        .rejects.toMatchObject({ status: 409, message: 'Arrival is only reported at pickups' });
+    });
+  });
+
+  describe('reportNoShow', () => {
+    it('should refuse a no-show before the grace period has passed', async () => {
+      usePool(activePool());
+      pool.route.stops[0].arrivedAt = new Date(Date.now() - config.NO_SHOW_GRACE_MS + minutes(1));
+
+      await expect(lifecycle.reportNoShow(driverId, pool._id, 0))
+        .rejects.toMatchObject({ status: 409, message: 'The rider still has time to reach the pickup' });
+      expect(lockManager.cancelRide).not.toHaveBeenCalled();
+    });
+
+    it('should refuse a no-show before the driver reported arriving', async () => {
+      usePool(activePool());
+
+      await expect(lifecycle.reportNoShow(driverId, pool._id, 0))
+        .rejects.toMatchObject({ status: 409, message: 'Report arriving at the pickup first' });
+      expect(lockManager.cancelRide).not.toHaveBeenCalled();
+    });
+
+    it('should cancel the rider with the no-show fee once the grace period has passed', async () => {
+      usePool(activePool());
+      pool.route.stops[0].arrivedAt = new Date(Date.now() - config.NO_SHOW_GRACE_MS);
+
+      const result = await lifecycle.reportNoShow(driverId, pool._id, 0);
+
+      expect(lockManager.cancelRide).toHaveBeenCalledWith(riderA, pool._id, {
+        reason: 'Rider did not show up',
+        charge: 'no_show'
+      });
+      expect(result.cancellation).toEqual({ charge: 'no_show' });
+      // The pool lock is released before cancelRide takes it
+      expect(lockManager.releaseLock.mock.invocationCallOrder[0])
+        .toBeLessThan(lockManager.cancelRide.mock.invocationCallOrder[0]);
+    });
+  });
+
+  describe('completeRide', () => {
+    it('should refuse to complete a ride with stops left', async () => {
+      usePool(activePool());
+      completeStops(pool, 3);
+
+      await expect(lifecycle.completeRide(driverId, pool._id))
+        .rejects.toMatchObject({ status: 409, message: 'All stops must be completed first' });
+      expect(settlePool).not.toHaveBeenCalled();
+      expect(capturePoolPayments).not.toHaveBeenCalled();
+    });
+
+    it('should settle and capture every rider\'s fare', async () => {
+      usePool(activePool());
+      completeStops(pool, 4);
+      pool.passengers.forEach(passenger => {
+        passenger.status = 'dropped_off';
+      });
+
+      await lifecycle.completeRide(driverId, pool._id);
+
+      expect(pool.status).toBe('completed');
+      expect(settlePool).toHaveBeenCalledWith(pool, pool.completedAt);
+      expect(capturePoolPayments).toHaveBeenCalledWith(pool);
+      expect(settlePool.mock.invocationCallOrder[0])
+        .toBeLessThan(capturePoolPayments.mock.invocationCallOrder[0]);
+      expect(capturePoolPayments.mock.invocationCallOrder[0])
+        .toBeLessThan(save.mock.invocationCallOrder[0]);
+      expect(recordCompletedRides).toHaveBeenCalledWith([riderA, riderB]);
+    });
+
+    it('should complete the ride even if loyalty counts cannot be recorded', async () => {
+      usePool(activePool());
+      completeStops(pool, 4);
+      recordCompletedRides.mockRejectedValueOnce(new Error('connection reset'));
+
+      await expect(lifecycle.completeRide(driverId, pool._id)).resolves.toBe(pool);
+      expect(pool.status).toBe('completed');
+    });
+  });
+});
+
+describe('Driver routes', () => {
+  const originalSecret = config.JWT_SECRET;
+  const app = express();
+  app.use(express.json());
+  app.use('/api/drivers', driverRoutes);
+
+  let pool;
+  let user;
+
+  const post = (path) => request(app)
+    .post(`/api/drivers${path}`)
+    .set('Authorization', `Bearer ${generateToken(driverId.toString())}`);
+
+  beforeAll(() => {
+    config.JWT_SECRET = 'driver-routes-test-secret';
+  });
+
+  afterAll(() => {
+    config.JWT_SECRET = originalSecret;
+  });
+
+  beforeEach(() => {
+    user = { _id: driverId, role: 'driver', isActive: true, driverProfile: { vehicleType: 'sedan' } };
+    jest.spyOn(User, 'findById').mockImplementation(async () => user);
+    jest.spyOn(MatchingEngine.prototype, 'acquireLock').mockResolvedValue('lock-value');
+    jest.spyOn(MatchingEngine.prototype, 'releaseLock').mockResolvedValue();
+    pool = activePool();
+    jest.spyOn(RidePool, 'findById').mockResolvedValue(pool);
+    jest.spyOn(pool, 'save').mockResolvedValue(pool);
+    settlePool.mockResolvedValue([]);
+    capturePoolPayments.mockResolvedValue([]);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    jest.clearAllMocks();
+  });
+
+  it('should only serve drivers', async () => {
+    user = { ...user, role: 'rider' };
+
+    const res = await post(`/pools/${pool._id}/start`);
+
+    expect(res.status).toBe(403);
+  });
+
+  it('should validate the pool ID and stop sequence', async () => {
+    expect((await post('/pools/not-an-id/complete')).status).toBe(400);
+    expect((await post(`/pools/${pool._id}/stops/-1/complete`)).status).toBe(400);
+  });
+
+  it('should complete the next stop', async () => {
+    const res = await post(`/pools/${pool._id}/stops/0/complete`);
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.pool.route.stops[0].completed).toBe(true);
+  });
+
+  it('should report a stop completed out of order as a conflict', async () => {
+    const res = await post(`/pools/${pool._id}/stops/1/complete`);
+
+    expect(res.status).toBe(409);
+    expect(res.body).toEqual({ success: false, error: 'Earlier stops must be completed first' });
+  });
+
+  it('should report an early no-show as a conflict', async () => {
+    pool.route.stops[0].arrivedAt = new Date();
+
+    const res = await post(`/pools/${pool._id}/stops/0/no-show`);
+
+    expect(res.status).toBe(409);
+    expect(res.body.error).toBe('The rider still has time to reach the pickup');
+  });
+
+  it('should settle and capture fares when the ride is completed', async () => {
+    completeStops(pool, 4);
+
+    const res = await post(`/pools/${pool._id}/complete`);
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.pool.status).toBe('completed');
+    expect(settlePool).toHaveBeenCalledTimes(1);
+    expect(capturePoolPayments).toHaveBeenCalledTimes(1);
+  });
+
+  it('should hide unexpected errors behind a generic message', async () => {
+    RidePool.findById.mockRejectedValue(new Error('database timeout'));
+
+    const res = await post(`/pools/${pool._id}/start`);
+
+    expect(res.status).toBe(500);
+    expect(res.body).toEqual({ success: false, error: 'Failed to start ride' });
+  });
+});
@@ -0,0 +1,77 @@
+const config = require('../src/config/config');
+const {
+  desiredPickupTime,
+  isTimeCompatible,
+  scheduleFields,
+  assertValidPickupTime
+} = require('../src/services/rideScheduler');
+
+const NOW = new Date('2026-03-01T10:00:00Z');
+const minutes = (n) => n * 60 * 1000;
+const at = (offsetMs) => new Date(NOW.getTime() + offsetMs);
+
+describe('rideScheduler', () => {
+  describe('scheduleFields', () => {
+    it('should start on-demand requests matching immediately', () => {
+      const fields = scheduleFields(null, NOW);
+
+      expect(fields.status).toBe('pending');
+      expect(fields.matchingWindowOpensAt).toBeNull();
+      expect(fields.expiresAt.getTime()).toBeGreaterThan(NOW.getTime());
+    });
+
+    it('should hold a booking until its matching window opens', () => {
+      const pickup = at(minutes(180));
+      const fields = scheduleFields(pickup, NOW);
+
+      expect(fields.status).toBe('scheduled');
+      expect(fields.matchingWindowOpensAt).toEqual(
+        new Date(pickup.getTime() - config.SCHEDULED_MATCHING_LEAD_MS)
+      );
+      expect(fields.expiresAt.getTime()).toBeGreaterThan(fields.matchingWindowOpensAt.getTime());
+    });
+
+    it('should match a booking straight away when its window is already open', () => {
+      const fields = scheduleFields(at(config.SCHEDULED_MATCHING_LEAD_MS / 2), NOW);
+
+      expect(fields.status).toBe('pending');
+    });
+  });
+
+  describe('assertValidPickupTime', () => {
+    it('should reject pickup times in the past', () => {
+      expect(() => assertValidPickupTime(at(-minutes(1)), NOW)).toThrow('must be in the future');
+    });
+
+    it('should reject pickup times too far ahead', () => {
+      const tooFar = at((config.SCHEDULED_MAX_ADVANCE_DAYS + 1) * 24 * minutes(60));
+
+      expect(() => assertValidPickupTime(tooFar, NOW)).toThrow(/at most/);
+    });
+
+    it('should carry a 400 status', () => {
+      try {
+        assertValidPickupTime('not a date', NOW);
+      } catch (error) {
+        expect(error.status).toBe(400);
+      }
+      expect.assertions(1);
+    });
+  });
+
+  describe('pool time compatibility', () => {
+    it('should pool a scheduled booking with an on-demand ride leaving near the same time', () => {
+      const scheduled = { scheduledPickupTime: at(minutes(40)), requestedTime: NOW };
+      const onDemand = { requestedTime: at(minutes(35)) };
+
+      expect(isTimeCompatible(desiredPickupTime(scheduled), desiredPickupTime(onDemand))).toBe(true);
+    });
+
+    it('should keep rides leaving far apart out of the same pool', () => {
+      const early = { scheduledPickupTime: at(minutes(60)) };
+      const late = { scheduledPickupTime: at(minutes(60) + config.SCHEDULED_POOL_WINDOW_MS + 1) };
+
+      expect(isTimeCompatible(desiredPickupTime(early), desiredPickupTime(late))).toBe(false);
+    });
+  });
+});
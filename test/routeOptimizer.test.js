@@ -0,0 +1,129 @@
+const RouteOptimizer = require('../src/utils/routeOptimizer');
+const DistanceCalculator = require('../src/utils/distanceCalculator');
+
+// Stops along the equator; 0.01 degrees is roughly 1.1 km
+const stop = (type, passengerId, lng, extra = {}) => ({
+  type,
+  passengerId,
+  location: { type: 'Point', coordinates: [lng, 0] },
+  ...extra
+});
+
+const distance = (a, b) => DistanceCalculator.calculateDistance(a, b);
+
+const isValidOrder = (stops) => {
+  const pickedUp = new Set();
+  return stops.every(s => {
+    if (s.type === 'pickup') {
+      pickedUp.add(s.passengerId);
+      return true;
+    }
+    return pickedUp.has(s.passengerId) || s.completed;
+  });
+};
+
+const permutations = (items) => {
+  if (items.length <= 1) return [items];
+  return items.flatMap((item, idx) =>
+    permutations([...items.slice(0, idx), ...items.slice(idx + 1)]).map(rest => [item, ...rest])
+  );
+};
+
+describe('RouteOptimizer', () => {
+  describe('optimize', () => {
+    it('should match brute force over all valid orders', () => {
+      const stops = [
+        stop('pickup', 'a', 0.00),
+        stop('dropoff', 'a', 0.05),
+        stop('pickup', 'b', 0.03),
+        stop('dropoff', 'b', 0.01),
+        stop('pickup', 'c', 0.02),
+        stop('dropoff', 'c', 0.06)
+      ];
+
+      const bruteForce = Math.min(
+        ...permutations(stops)
+          .filter(isValidOrder)
+          .map(order => RouteOptimizer.routeDistance(order, distance))
+      );
+
+      const result = RouteOptimizer.optimize(stops, distance);
+
+      expect(result.optimal).toBe(true);
+      expect(isValidOrder(result.stops)).toBe(true);
+      expect(result.distance).toBeCloseTo(bruteForce, 6);
+    });
+
+    it('should keep completed stops fixed at the front', () => {
+      const stops = [
+        stop('pickup', 'a', 0.05, { completed: true }),
+        stop('pickup', 'b', 0.00),
+        stop('dropoff', 'a', 0.06),
+        stop('dropoff', 'b', 0.01)
+      ];
+
+      const result = RouteOptimizer.optimize(stops, distance);
+
+      expect(result.stops[0].passengerId).toBe('a');
+      expect(result.stops[0].type).toBe('pickup');
+      expect(result.stops.map(s => s.sequence)).toEqual([0, 1, 2, 3]);
+    });
+
+    it('should allow a dropoff whose pickup is already completed', () => {
+      const stops = [
+        stop('pickup', 'a', 0.00, { completed: true }),
+        stop('pickup', 'b', 0.04),
+        stop('dropoff', 'b', 0.05),
+        stop('dropoff', 'a', 0.01)
+      ];
+
+      const result = RouteOptimizer.optimize(stops, distance);
+
+      expect(result.stops.map(s => `${s.type}:${s.passengerId}`)).toEqual([
+        'pickup:a', 'dropoff:a', 'pickup:b', 'dropoff:b'
+      ]);
+    });
+  });
+
+  describe('DistanceCalculator.calculateDetour', () => {
+    it('should re-sequence earlier insertions and report the savings', () => {
+      // Existing order zig-zags: a is dropped off only after b is picked up far away
+      const originalRoute = [
+        stop('pickup', 'a', 0.00, { sequence: 0 }),
+        stop('pickup', 'b', 0.10, { sequence: 1 }),
+        stop('dropoff', 'a', 0.01, { sequence: 2 }),
+        stop('dropoff', 'b', 0.11, { sequence: 3 })
+      ];
+
+      const result = DistanceCalculator.calculateDetour(
+        originalRoute,
+        { type: 'Point', coordinates: [0.02, 0] },
+        { type: 'Point', coordinates: [0.03, 0] },
+        'c'
+      );
+
+      expect(result.distanceSaved).toBeGreaterThan(0);
+      expect(result.newDistance).toBeLessThan(result.insertionDistance);
+      expect(isValidOrder(result.bestRoute)).toBe(true);
+      expect(result.bestRoute.filter(s => s.passengerId === 'c')).toHaveLength(2);
+    });
+  });
+
+  describe('DistanceCalculator.optimizeRoute', () => {
+    it('should improve the order left behind after a cancellation', () => {
+      const remaining = [
+        stop('pickup', 'a', 0.00),
+        stop('pickup', 'b', 0.10),
+        stop('dropoff', 'a', 0.01),
+        stop('dropoff', 'b', 0.11)
+      ];
+
+      const result = DistanceCalculator.optimizeRoute(remaining);
+
+      expect(result.distanceSaved).toBeGreaterThan(0);
+      expect(result.stops.map(s => `${s.type}:${s.passengerId}`)).toEqual([
+        'pickup:a', 'dropoff:a', 'pickup:b', 'dropoff:b'
+      ]);
+    });
+  });
+});
@@ -0,0 +1,162 @@
+const path = require('path');
+const {
+  RoutingProvider,
+  HttpRoutingProvider,
+  LocalGraphProvider
+} = require('../src/services/routingProviders');
+const DistanceCalculator = require('../src/utils/distanceCalculator');
+const config = require('../src/config/config');
+
+const point = (lng, lat = 0) => ({ type: 'Point', coordinates: [lng, lat] });
+
+const graphFile = path.join(__dirname, 'fixtures', 'road-graph.json');
+
+describe('Routing providers', () => {
+  describe('LocalGraphProvider', () => {
+    const provider = new LocalGraphProvider({ graphFile });
+
+    it('should follow the road network instead of the straight line', async () => {
+      const { distances, durations } = await provider.getMatrix([point(0, 0), point(0, 0.01)]);
+
+      // a -> b -> c -> d; the direct d -> a edge is one-way
+      expect(distances[0][1]).toBeCloseTo(3.6, 6);
+      expect(durations[0][1]).toBeCloseTo(6, 6);
+      expect(distances[1][0]).toBeCloseTo(1.5, 6);
+      expect(durations[1][0]).toBeCloseTo(6, 6);
+    });
+
+    it('should add the leg from an off-network location to its nearest node', async () => {
+      const { distanceKm } = await provider.getRoute(point(0.001, 0), point(0.01, 0));
+
+      expect(distanceKm).toBeGreaterThan(1.2);
+      expect(distanceKm).toBeLessThan(1.4);
+    });
+  });
+
+  describe('HttpRoutingProvider', () => {
+    it('should convert an OSRM table response to km and minutes', async () => {
+      const httpClient = {
+        get: jest.fn().mockResolvedValue({
+          data: {
+            code: 'Ok',
+            distances: [[0, 2500], [2700, 0]],
+            durations: [[0, 300], [330, 0]]
+          }
+        })
+      };
+      const provider = new HttpRoutingProvider({
+        style: 'osrm',
+        baseUrl: 'http://osrm.local',
+        httpClient
+      });
+
+      const { distances, durations } = await provider.getMatrix([point(1, 2), point(3, 4)]);
+
+      expect(httpClient.get.mock.calls[0][0]).toBe('http://osrm.local/table/v1/driving/1,2;3,4');
+      expect(distances).toEqual([[0, 2.5], [2.7, 0]]);
+      expect(durations).toEqual([[0, 5], [5.5, 0]]);
+    });
+
+    // Answers with distance = 1 km per index of the origin plus 0.001 km per index of the destination
+    const googleClient = (locations, elementStatus = () => 'OK') => ({
+      get: jest.fn().mockImplementation((url, { params }) => {
+        const index = param => locations.findIndex(loc => `${loc.coordinates[1]},${loc.coordinates[0]}` === param);
+        const origins = params.origins.split('|').map(index);
+        const destinations = params.destinations.split('|').map(index);
+        return Promise.resolve({
+          data: {
+            status: 'OK',
+            rows: origins.map(i => ({
+              elements: destinations.map(j => (elementStatus(i, j) === 'OK'
+                ? { status: 'OK', distance: { value: i * 1000 + j }, duration: { value: 120 } }
+                : { status: elementStatus(i, j) }))
+            }))
+          }
+        });
+      })
+    });
+
+    it('should split Google requests to stay within 100 elements', async () => {
+      const locations = Array.from({ length: 12 }, (_, i) => point(i * 0.01));
+      const httpClient = googleClient(locations);
+      const provider = new HttpRoutingProvider({ style: 'google', apiKey: 'key', httpClient });
+
+      const { distances, durations } = await provider.getMatrix(locations);
+
+      expect(httpClient.get).toHaveBeenCalledTimes(2);
+      expect(distances).toHaveLength(12);
+      expect(distances[11][0]).toBe(11);
+      expect(durations[11][0]).toBe(2);
+    });
+
+    it('should split both origins and destinations for large Google matrices', async () => {
+      const locations = Array.from({ length: 40 }, (_, i) => point(i * 0.01));
+      const httpClient = googleClient(locations);
+      const provider = new HttpRoutingProvider({ style: 'google', apiKey: 'key', httpClient });
+
+      const { distances } = await provider.getMatrix(locations);
+
+      httpClient.get.mock.calls.forEach(([, { params }]) => {
+        const origins = params.origins.split('|').length;
+        const destinations = params.destinations.split('|').length;
+        expect(origins).toBeLessThanOrEqual(25);
+        expect(destinations).toBeLessThanOrEqual(25);
+        expect(origins * destinations).toBeLessThanOrEqual(100);
+      });
+      expect(distances).toHaveLength(40);
+      distances.forEach((row, i) => {
+        expect(row).toHaveLength(40);
+        row.forEach((km, j) => expect(km).toBeCloseTo(i + j / 1000, 9));
+      });
+    });
+
+    it('should measure pairs Google cannot route as a straight line', async () => {
+      const locations = [point(0), point(0.1)];
+      const httpClient = googleClient(locations, (i, j) => (i === 0 && j === 1 ? 'ZERO_RESULTS' : 'OK'));
+      const provider = new HttpRoutingProvider({ style: 'google', apiKey: 'key', httpClient });
+
+      const { distances, durations } = await provider.getMatrix(locations);
+      const straightLine = DistanceCalculator.calculateDistance(locations[0], locations[1]);
+
+      expect(distances[0][1]).toBeCloseTo(straightLine, 1);
+      expect(durations[0][1]).toBeCloseTo((distances[0][1] / config.ROUTING_AVG_SPEED_KMH) * 60, 6);
+    });
+  });
+
+  describe('DistanceCalculator with a routing provider', () => {
+    afterEach(() => {
+      DistanceCalculator.setRoutingProvider(null);
+    });
+
+    it('should measure detours on road distances from the matrix', async () => {
+      DistanceCalculator.setRoutingProvider(new LocalGraphProvider({ graphFile }));
+
+      const pickup = point(0, 0);
+      const dropoff = point(0, 0.01);
+      const matrix = await DistanceCalculator.buildMatrix([pickup, dropoff]);
+
+      const stops = [
+        { type: 'pickup', passengerId: 'a', location: pickup },
+        { type: 'dropoff', passengerId: 'a', location: dropoff }
+      ];
+
+      expect(DistanceCalculator.calculateRouteDistance(stops, matrix)).toBeCloseTo(3.6, 6);
+      expect(DistanceCalculator.calculateRouteDuration(stops, matrix)).toBe(6);
+      expect(DistanceCalculator.calculateRouteDistance(stops)).toBeCloseTo(1.1, 1);
+    });
+
+    it('should fall back to straight-line distances when the provider fails', async () => {
+      class FailingProvider extends RoutingProvider {
+        async getMatrix() {
+          throw new Error('routing service unavailable');
+        }
+      }
+      DistanceCalculator.setRoutingProvider(new FailingProvider());
+
+      const route = await DistanceCalculator.getRoadRoute(point(0), point(0.1));
+
+      expect(route.distance).toBeCloseTo(DistanceCalculator.calculateDistance(point(0), point(0.1)), 6);
+      expect(route.duration).toBe(DistanceCalculator.estimateDuration(route.distance));
+    });
+  });
+});
@@ -0,0 +1,77 @@
+const TravelMatrixCache = require('../src/services/travelMatrixCache');
+const { HaversineProvider } = require('../src/services/routingProviders');
+
+const point = (lng, lat = 0) => ({ type: 'Point', coordinates: [lng, lat] });
+
+// In-memory stand-in for the ioredis calls the cache uses
+const createRedis = () => {
+  const store = new Map();
+  return {
+    store,
+    mget: jest.fn(async keys => keys.map(key => store.get(key) ?? null)),
+    pipeline: () => {
+      const ops = [];
+      return {
+        set: (key, value) => ops.push([key, value]),
+        exec: async () => ops.forEach(([key, value]) => store.set(key, value))
+      };
+    }
+  };
+};
+
+const createProvider = () => {
+  const provider = new HaversineProvider();
+  jest.spyOn(provider, 'getMatrix');
+  return provider;
+};
+
+describe('TravelMatrixCache', () => {
+  it('should compute every leg once and serve repeats from Redis', async () => {
+    const provider = createProvider();
+    const cache = new TravelMatrixCache(provider, createRedis());
+    const locations = [point(0), point(0.05), point(0.1)];
+
+    const first = await cache.getMatrix(locations);
+    const second = await cache.getMatrix(locations);
+
+    expect(provider.getMatrix).toHaveBeenCalledTimes(1);
+    expect(second.distances).toEqual(first.distances);
+    expect(second.durations).toEqual(first.durations);
+    expect(cache.getStats()).toEqual({ hits: 6, misses: 6, hitRate: 0.5 });
+  });
+
+  it('should only ask the provider about locations with missing legs', async () => {
+    const provider = createProvider();
+    const cache = new TravelMatrixCache(provider, createRedis());
+
+    await cache.getMatrix([point(0), point(0.05)]);
+    await cache.getMatrix([point(0), point(0.05), point(0.1)]);
+
+    const bulkCall = provider.getMatrix.mock.calls[1][0];
+    expect(bulkCall).toHaveLength(3);
+    expect(cache.getStats().hits).toBe(2);
+    expect(cache.getStats().misses).toBe(2 + 4);
+  });
+
+  it('should share entries between nearly identical coordinates', async () => {
+    const provider = createProvider();
+    const cache = new TravelMatrixCache(provider, createRedis());
+
+    await cache.getMatrix([point(0.10001), point(0.2)]);
+    await cache.getMatrix([point(0.10002), point(0.2)]);
+
+    expect(provider.getMatrix).toHaveBeenCalledTimes(1);
+  });
+
+  it('should keep routing when Redis is unavailable', async () => {
+    const provider = createProvider();
+    const redis = createRedis();
+    redis.mget.mockRejectedValue(new Error('connection refused'));
+    const cache = new TravelMatrixCache(provider, redis);
+
+    const { distances } = await cache.getMatrix([point(0), point(0.1)]);
+
+    expect(distances[0][1]).toBeGreaterThan(11);
+    expect(cache.getStats().misses).toBe(2);
+  });
+});
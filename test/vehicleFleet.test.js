@@ -0,0 +1,79 @@
+const mongoose = require('mongoose');
+const VehicleFleet = require('../src/utils/vehicleFleet');
+const RidePool = require('../src/models/RidePool');
+
+describe('VehicleFleet', () => {
+  it('should list vehicle types smallest first', () => {
+    expect(VehicleFleet.types()).toEqual(['sedan', 'suv', 'van']);
+  });
+
+  it('should accept any type for riders without a preference', () => {
+    expect(VehicleFleet.allowedTypes('any')).toEqual(['sedan', 'suv', 'van']);
+    expect(VehicleFleet.allowedTypes(undefined)).toEqual(['sedan', 'suv', 'van']);
+    expect(VehicleFleet.allowedTypes('suv')).toEqual(['suv']);
+  });
+
+  it('should only offer types every rider accepts', () => {
+    expect(VehicleFleet.commonTypes(['any', 'van'])).toEqual(['van']);
+    expect(VehicleFleet.commonTypes(['sedan', 'suv'])).toEqual([]);
+  });
+
+  it('should pick the smallest vehicle that carries the party', () => {
+    expect(VehicleFleet.smallestFitting(2, 2)).toBe('sedan');
+    expect(VehicleFleet.smallestFitting(5, 2)).toBe('suv');
+    expect(VehicleFleet.smallestFitting(4, 10)).toBe('van');
+    expect(VehicleFleet.smallestFitting(5, 2, ['sedan'])).toBeNull();
+  });
+
+  it('should size requests by the largest seats and luggage in the fleet', () => {
+    expect(VehicleFleet.largestCapacity()).toEqual({ seats: 8, luggage: 12 });
+    expect(VehicleFleet.smallestFitting(8, 12)).toBe('van');
+    expect(VehicleFleet.smallestFitting(6, 12, ['sedan', 'suv'])).toBeNull();
+  });
+});
+
+describe('RidePool vehicle', () => {
+  const makePool = (preferences, overrides = {}) => {
+    const pool = new RidePool({
+      status: 'forming',
+      passengers: preferences.map(preferredVehicleType => ({
+        userId: new mongoose.Types.ObjectId(),
+        requestId: new mongoose.Types.ObjectId(),
+        pickupLocation: { type: 'Point', coordinates: [0, 0] },
+        dropoffLocation: { type: 'Point', coordinates: [0.1, 0] },
+        price: 10,
+        passengerCount: 2,
+        luggageCount: 2,
+        preferredVehicleType
+      })),
+      vehicle: VehicleFleet.vehicleFields('sedan'),
+      currentOccupancy: { seats: preferences.length * 2, luggage: preferences.length * 2 },
+      ...overrides
+    });
+    pool.refreshAllowedVehicleTypes();
+    return pool;
+  };
+
+  it('should find the smallest upgrade every rider accepts', () => {
+    expect(makePool(['any', 'any']).findVehicleUpgrade(1, 1, ['sedan', 'suv', 'van'])).toBe('suv');
+    expect(makePool(['any', 'van']).findVehicleUpgrade(1, 1, ['sedan', 'suv', 'van'])).toBe('van');
+    expect(makePool(['any', 'sedan']).findVehicleUpgrade(1, 1, ['sedan', 'suv', 'van'])).toBeNull();
+  });
+
+  it('should not upgrade once a driver has the pool', () => {
+    const pool = makePool(['any']);
+    pool.vehicle.driverId = new mongoose.Types.ObjectId();
+
+    expect(pool.findVehicleUpgrade(4, 1, ['sedan', 'suv', 'van'])).toBeNull();
+  });
+
+  it('should let drivers with a larger vehicle the riders accept take the pool', () => {
+    expect(makePool(['any']).acceptsVehicle('van')).toBe(true);
+    expect(makePool(['sedan']).acceptsVehicle('van')).toBe(false);
+
+    const upgraded = makePool(['any', 'any']);
+    upgraded.upgradeVehicle('suv');
+    expect(upgraded.acceptsVehicle('sedan')).toBe(false);
+    expect(upgraded.acceptsVehicle('suv')).toBe(true);
+  });
+});